@@ -1,19 +1,23 @@
 // account_ui.js - Clean account management UI orchestrator
 // Coordinates between: account_creation, credential_core, credential_mapping, account_arweave
-// Clear separation: creation → email+password auth → persistence on funding
+// Clear separation: creation → email+password (or passkey) auth → persistence on funding
 
 import uiStatusManager from './ui_status_manager.js';
 import { stopSync, startSync, markInitialSyncDone } from './sync_manager.js';
 import { resetKeyState } from './app.js';
-import { uploadAccountMetadata, downloadAccountMetadata } from './core/account_arweave.js';
+import { uploadAccountMetadata, downloadAccountMetadata, findNewerAccountMetadata } from './core/account_arweave.js';
 import { deriveAndStoreSymmetricKey, hexToBytes, storeSessionEncryptedSeed, getSessionEncryptedSeed, clearSessionEncryptedSeed, importAesKey, bytesToBase64, base64ToBytes } from './core/crypto_core.js';
 import { ACCOUNT_STORAGE_KEY, SEED_SHOWN_KEY, CREDENTIAL_STORAGE_KEY, PENDING_CREDENTIAL_MAPPING_KEY, PENDING_ESCROW_MAPPING_KEY } from './core/storage_constants.js';
 import * as storageManager from './core/storage_manager.js';
 import { openOnrampWidget, isCoinbaseOnrampConfigured } from './core/coinbase_onramp.js';
 import { formatBalanceAsBooks, getBalanceStatus } from './core/balance_display.js';
 import { requestFaucetFunding, isEligibleForFaucet } from './core/faucet_client.js';
-import { deriveCredentialKeys, normalizeUsername, encryptCredentialPayload, decryptCredentialPayload, assessPasswordStrength, isValidEmail } from './core/credential_core.js';
+import { deriveCredentialKeys, deriveCredentialKeysFromPrf, normalizeUsername, encryptCredentialPayload, decryptCredentialPayload, assessPasswordStrength, isValidEmail } from './core/credential_core.js';
 import { uploadCredentialMapping, downloadCredentialMapping, credentialMappingExists } from './core/credential_mapping.js';
+import { parseGoodreadsCSV } from './core/goodreads_csv.js';
+import { buildBackup, parseBackup } from './core/backup_core.js';
+import { activeKeyId, keyFor, getRotatedKeys, addRotatedKeys } from './keyring.js';
+import { isPasskeySupported, createPasskey, getPasskeyPrf } from './passkey.js';
 
 // Global state
 let currentBalanceETH = null;
@@ -248,8 +252,10 @@ async function renderAccountModalContent(container) {
           const buttonText = !isFunded ? 'Add Cloud Credit' : 'Add Credit';
           return `<button id="enableBackupBtn" class="btn primary" style="width: 100%; margin-bottom: 12px;">${buttonText}</button>`;
         })()}
+        ${isPasskeySupported() ? `<button id="addPasskeyBtn" type="button" class="btn secondary" style="width: 100%; margin-bottom: 12px;">🔑 ${accountObj.passkeys?.length ? 'Add another passkey' : 'Add a passkey'}</button>` : ''}
         <div style="display: flex; justify-content: center; gap: 16px; margin-top: 16px; font-size: 0.8rem;">
           <button id="viewRecoveryBtn" style="background: transparent; border: none; color: #64748b; cursor: pointer; text-decoration: underline; font-size: 0.8rem; padding: 4px;">Recovery Phrase</button>
+          ${accountObj.derivation === 'credential' || accountObj.derivation === 'passkey' ? `<button id="rotateKeyBtn" style="background: transparent; border: none; color: #64748b; cursor: pointer; text-decoration: underline; font-size: 0.8rem; padding: 4px;">Change Encryption Key</button>` : ''}
           <button id="logoutBtn" style="background: transparent; border: none; color: #64748b; cursor: pointer; text-decoration: underline; font-size: 0.8rem; padding: 4px;">Sign Out</button>
         </div>
       </div>
@@ -257,7 +263,14 @@ async function renderAccountModalContent(container) {
       <div class="account-data-section" style="margin-top: 24px; padding-top: 20px; border-top: 1px solid #334155;">
         <h3 style="margin: 0 0 12px 0; font-size: 0.9rem; color: #94a3b8;">Your Data</h3>
         <button id="exportBooksBtn" type="button" class="btn secondary" style="width: 100%; margin-bottom: 8px;">📥 Export my books</button>
-        <p style="font-size: 0.75rem; color: #64748b; margin: 4px 0 0 0; line-height: 1.5;">Export books from this device as CSV.</p>
+        <button id="importBooksBtn" type="button" class="btn secondary" style="width: 100%; margin-bottom: 8px;">📤 Import from Goodreads</button>
+        <input id="importBooksFile" type="file" accept=".csv,text/csv" style="display: none;">
+        <div style="display: flex; gap: 8px; margin-bottom: 8px;">
+          <button id="backupBooksBtn" type="button" class="btn secondary" style="flex: 1;">💾 Full backup</button>
+          <button id="restoreBooksBtn" type="button" class="btn secondary" style="flex: 1;">♻️ Restore</button>
+        </div>
+        <input id="restoreBooksFile" type="file" accept=".json,application/json" style="display: none;">
+        <p style="font-size: 0.75rem; color: #64748b; margin: 4px 0 0 0; line-height: 1.5;">Export books from this device as CSV, or import a Goodreads or StoryGraph CSV export. A full backup keeps covers, tags and every other detail.</p>
         <a href="/forever.html" target="_blank" rel="noopener" style="font-size: 0.75rem; color: #60a5fa; display: inline-block; margin-top: 6px;">Export from cloud →</a>
       </div>
     `;
@@ -279,8 +292,18 @@ async function renderAccountModalContent(container) {
       handleViewSeed();
     });
 
+    document.getElementById('rotateKeyBtn')?.addEventListener('click', (e) => {
+      handleRotateKey(e.currentTarget);
+    });
+
+    document.getElementById('addPasskeyBtn')?.addEventListener('click', (e) => {
+      handleAddPasskey(e.currentTarget);
+    });
+
     setupDisplayNameEdit(displayName);
     setupExportBooksBtn();
+    setupImportBooksBtn();
+    setupBackupButtons();
   } else {
     container.innerHTML = `
       <h2>Account</h2>
@@ -300,7 +323,14 @@ async function renderAccountModalContent(container) {
       <div class="account-data-section" style="margin-top: 24px; padding-top: 20px; border-top: 1px solid #334155;">
         <h3 style="margin: 0 0 12px 0; font-size: 0.9rem; color: #94a3b8;">Your Data</h3>
         <button id="exportBooksBtn" type="button" class="btn secondary" style="width: 100%; margin-bottom: 8px;">📥 Export my books</button>
-        <p style="font-size: 0.75rem; color: #64748b; margin: 4px 0 0 0; line-height: 1.5;">Export books from this device as CSV.</p>
+        <button id="importBooksBtn" type="button" class="btn secondary" style="width: 100%; margin-bottom: 8px;">📤 Import from Goodreads</button>
+        <input id="importBooksFile" type="file" accept=".csv,text/csv" style="display: none;">
+        <div style="display: flex; gap: 8px; margin-bottom: 8px;">
+          <button id="backupBooksBtn" type="button" class="btn secondary" style="flex: 1;">💾 Full backup</button>
+          <button id="restoreBooksBtn" type="button" class="btn secondary" style="flex: 1;">♻️ Restore</button>
+        </div>
+        <input id="restoreBooksFile" type="file" accept=".json,application/json" style="display: none;">
+        <p style="font-size: 0.75rem; color: #64748b; margin: 4px 0 0 0; line-height: 1.5;">Export books from this device as CSV, or import a Goodreads or StoryGraph CSV export. A full backup keeps covers, tags and every other detail.</p>
       </div>
     `;
 
@@ -316,6 +346,8 @@ async function renderAccountModalContent(container) {
     });
 
     setupExportBooksBtn();
+    setupImportBooksBtn();
+    setupBackupButtons();
   }
   } catch (error) {
     console.error('[Bookish:AccountUI] Error in renderAccountModalContent:', error);
@@ -789,7 +821,9 @@ async function runAccountCreationFlow(email, displayName, password, escrowEnable
         address,
         displayName,
         symKey,
-        createdAt: accountData.created
+        keyId: activeKeyId(),
+        createdAt: accountData.created,
+        settings: storageManager.getSettings()
       });
       console.log('[Bookish:AccountUI] Account metadata uploaded:', metaTxId);
 
@@ -802,7 +836,8 @@ async function runAccountCreationFlow(email, displayName, password, escrowEnable
             const escrowPayload = base64ToBytes(pendingEscrow.encryptedPayloadB64);
             const escrowTxId = await uploadCredentialMapping({
               lookupKey: pendingEscrow.lookupKey,
-              encryptedPayload: escrowPayload
+              encryptedPayload: escrowPayload,
+              schemaVersion: '0.1.0'   // written by the escrow worker
             });
             console.log('[Bookish:AccountUI] Escrow mapping uploaded to Arweave:', escrowTxId);
             localStorage.removeItem(PENDING_ESCROW_MAPPING_KEY);
@@ -873,7 +908,7 @@ async function runAccountCreationFlow(email, displayName, password, escrowEnable
         const symKeyHex = localStorage.getItem('bookish.sym');
         const symKeyBytes = hexToBytes(symKeyHex);
         const symKey = await importAesKey(symKeyBytes);
-        const metaTxId = await uploadAccountMetadata({ address, displayName, symKey, createdAt: accountData.created });
+        const metaTxId = await uploadAccountMetadata({ address, displayName, symKey, keyId: activeKeyId(), createdAt: accountData.created, settings: storageManager.getSettings() });
 
         const storedAccount = JSON.parse(localStorage.getItem(ACCOUNT_STORAGE_KEY));
         storedAccount.arweaveTxId = metaTxId;
@@ -1050,8 +1085,8 @@ async function handleLogin() {
 
   const accountObj = JSON.parse(accountData);
 
-  if (accountObj.derivation === 'credential') {
-    // Credential-based account - show email+password sign-in
+  if (accountObj.derivation === 'credential' || accountObj.derivation === 'passkey') {
+    // Credential-based account - show email+password (or passkey) sign-in
     handleSignIn();
   } else {
     // Manual seed account - require seed entry
@@ -1087,6 +1122,7 @@ function handleSignIn() {
 
       <button type="submit" id="signInSubmitBtn" class="btn primary" style="width:100%;padding:14px 20px;" disabled>Sign In</button>
     </form>
+    ${isPasskeySupported() ? `<button type="button" id="passkeySignInBtn" class="btn secondary" style="width:100%;padding:14px 20px;margin-top:12px;">🔑 Sign in with a passkey</button>` : ''}
 
     <div class="auth-footer">
       <div>Forgot password? <a href="mailto:support@getbookish.app?subject=Bookish%3A%20Password%20Recovery&body=My%20sign-in%20email%3A%20%0AI%20need%20help%20recovering%20my%20account." id="forgotPasswordLink">Contact us</a></div>
@@ -1147,6 +1183,35 @@ function handleSignIn() {
     handleCreateAccount();
   });
 
+  // Passkey sign-in (no email or password)
+  const passkeyBtn = document.getElementById('passkeySignInBtn');
+  passkeyBtn?.addEventListener('click', async () => {
+    const label = passkeyBtn.textContent;
+    passkeyBtn.disabled = true;
+    submitBtn.disabled = true;
+    passkeyBtn.innerHTML = '<span class="spinner-inline"></span> Signing in...';
+    errorDiv.style.display = 'none';
+    try {
+      await runPasskeySignInFlow();
+    } catch (error) {
+      console.error('[Bookish:AccountUI] Passkey sign-in failed:', error);
+      passkeyBtn.disabled = false;
+      passkeyBtn.textContent = label;
+      validateSignIn();
+      if (error.code === 'passkey-cancelled') return;
+      const message = error.code === 'prf-unsupported' ? error.message
+        : error.message.includes('No account found') ? 'No Bookish account uses this passkey. Sign in with your email and password, then add a passkey from your account.'
+        : 'We couldn\'t sign you in with that passkey. Check your internet connection and try again.';
+      errorDiv.innerHTML = `
+        <div class="error-box">
+          <span class="error-icon">⚠</span>
+          <span class="error-text">${message}</span>
+        </div>
+      `;
+      errorDiv.style.display = 'block';
+    }
+  });
+
   // Form submission
   document.getElementById('signInForm').addEventListener('submit', async (e) => {
     e.preventDefault();
@@ -1235,9 +1300,54 @@ async function runSignInFlow(email, password) {
 
   // Step 3: Decrypt credential payload (seed + metadata)
   const credentialPayload = await decryptCredentialPayload(mapping.encryptedPayload, encryptionKey);
-  const seed = credentialPayload.seed;
   console.log('[Bookish:AccountUI] Credential payload decrypted successfully');
 
+  // Steps 4-6
+  await completeCredentialSignIn(credentialPayload, {
+    derivation: 'credential',
+    email: normalizeUsername(email),
+    credential: { lookupKey, hasEscrow: true } // Assume escrow since they have an Arweave mapping
+  });
+}
+
+/**
+ * Run the passkey sign-in flow: the passkey's PRF output gives the credential
+ * keys, and the mapping it points to is read as for email+password.
+ */
+async function runPasskeySignInFlow() {
+  console.log('[Bookish:AccountUI] Starting passkey sign-in...');
+
+  const { credentialId, prfOutput } = await getPasskeyPrf();
+  const { lookupKey, encryptionKey } = await deriveCredentialKeysFromPrf(prfOutput);
+
+  const mapping = await downloadCredentialMapping(lookupKey);
+  if (!mapping) {
+    throw new Error('No account found for this passkey');
+  }
+
+  const credentialPayload = await decryptCredentialPayload(mapping.encryptedPayload, encryptionKey);
+  console.log('[Bookish:AccountUI] Credential payload decrypted successfully');
+
+  await completeCredentialSignIn(credentialPayload, {
+    derivation: 'passkey',
+    email: null,
+    credential: { lookupKey, passkeyId: credentialId },
+    passkeys: [{ id: credentialId, lookupKey, addedAt: Date.now() }]
+  });
+}
+
+/**
+ * Restore local state from a decrypted credential payload (Frame B2 step 4 onwards)
+ * @param {{seed: string, displayName: string, createdAt: number, keys: Object}} credentialPayload
+ * @param {Object} opts
+ * @param {string} opts.derivation - 'credential' or 'passkey'
+ * @param {string|null} opts.email - Normalized email, null for passkey sign-in
+ * @param {Object} opts.credential - Stored under CREDENTIAL_STORAGE_KEY
+ * @param {Array<Object>} [opts.passkeys] - Passkeys known to belong to the account
+ */
+async function completeCredentialSignIn(credentialPayload, { derivation, email, credential, passkeys }) {
+  const seed = credentialPayload.seed;
+
   // Step 4: Restore local state
   const { deriveWalletFromSeed } = await import('./core/account_creation.js');
   const { address } = await deriveWalletFromSeed(seed);
@@ -1246,6 +1356,8 @@ async function runSignInFlow(email, password) {
   await deriveAndStoreSymmetricKey(seed);
   await window.bookishWallet.ensure();
   await storeSessionEncryptedSeed(seed);
+  // Keys from key rotations (not derivable from the seed); the newest is active
+  await addRotatedKeys(credentialPayload.keys, seed);
 
   // Step 5: Download account metadata
   const symKeyHex = localStorage.getItem('bookish.sym');
@@ -1256,33 +1368,31 @@ async function runSignInFlow(email, password) {
   let createdAt = credentialPayload.createdAt || Date.now();
 
   try {
-    const metadata = await downloadAccountMetadata(address, symKey);
+    const metadata = await downloadAccountMetadata(address, symKey, { keyFor });
     if (metadata) {
       displayName = metadata.displayName || displayName;
       createdAt = metadata.createdAt || createdAt;
+      if (metadata.settings) storageManager.setSettings(metadata.settings);
     }
   } catch (metaErr) {
     console.warn('[Bookish:AccountUI] Could not download account metadata:', metaErr);
   }
 
-  // Store account info
-  const normalizedEmail = normalizeUsername(email);
+  // Step 6: Store account info
   const accountData = {
     version: 2,
-    derivation: 'credential',
+    derivation,
     displayName,
-    email: normalizedEmail,
     created: createdAt,
     arweaveTxId: 'restored',
     persistedAt: createdAt
   };
+  if (email) accountData.email = email;
+  if (passkeys) accountData.passkeys = passkeys;
   localStorage.setItem(ACCOUNT_STORAGE_KEY, JSON.stringify(accountData));
 
   // Store credential metadata
-  localStorage.setItem(CREDENTIAL_STORAGE_KEY, JSON.stringify({
-    lookupKey,
-    hasEscrow: true // Assume true since they have an Arweave mapping
-  }));
+  localStorage.setItem(CREDENTIAL_STORAGE_KEY, JSON.stringify(credential));
 
   console.log('[Bookish:AccountUI] Sign-in complete, local state restored');
 
@@ -1418,6 +1528,15 @@ async function updateDisplayName(newName) {
   const textEl = document.getElementById('accountDisplayNameText');
   if (textEl) textEl.textContent = trimmed;
   showToast('Name updated');
+  await persistAccountMetadataIfFunded(accountObj);
+}
+
+/**
+ * Re-upload account metadata (profile + settings) when the wallet is funded.
+ * Unfunded accounts keep changes locally; they travel with the first persist.
+ * @param {Object} accountObj - Stored account data
+ */
+async function persistAccountMetadataIfFunded(accountObj) {
   try {
     const walletInfo = await getStoredWalletInfo();
     const cachedBalance = window.bookishSyncManager?.getSyncStatus?.()?.currentBalanceETH;
@@ -1427,12 +1546,17 @@ async function updateDisplayName(newName) {
       if (symKeyHex) {
         const symKeyBytes = hexToBytes(symKeyHex);
         const symKey = await importAesKey(symKeyBytes);
+        const settings = storageManager.getSettings();
         await uploadAccountMetadata({
           address: walletInfo.address,
-          displayName: trimmed,
+          displayName: accountObj.displayName,
           symKey,
-          createdAt: accountObj.created
+          keyId: activeKeyId(),
+          createdAt: accountObj.created,
+          settings
         });
+        // Settings changed again while uploading still wait for the next persist
+        if (JSON.stringify(storageManager.getSettings()) === JSON.stringify(settings)) storageManager.setSettingsUnsent(false);
       }
     }
   } catch (err) {
@@ -1440,6 +1564,57 @@ async function updateDisplayName(newName) {
   }
 }
 
+/**
+ * Pick up profile and settings changed on another device. Called by the sync
+ * loop; only downloads when newer account metadata than this device's exists.
+ * Settings changed here that haven't uploaded yet are sent first instead, so
+ * they aren't replaced by older ones from another device.
+ * @returns {Promise<boolean>} - Whether anything was updated
+ */
+export async function refreshAccountMetadata() {
+  const accountObj = storageManager.getAccount();
+  const symKeyHex = storageManager.getSymKey();
+  const walletInfo = await getStoredWalletInfo();
+  if (!accountObj || !symKeyHex || !walletInfo?.address) return false;
+  if (storageManager.hasUnsentSettings()) {
+    await persistAccountMetadataIfFunded(accountObj);
+    return false;
+  }
+  try {
+    const txId = await findNewerAccountMetadata(walletInfo.address);
+    if (!txId) return false;
+    const symKey = await importAesKey(hexToBytes(symKeyHex));
+    const metadata = await downloadAccountMetadata(walletInfo.address, symKey, { keyFor, txId });
+    // Changed here during the download: this device's settings win
+    if (!metadata || storageManager.hasUnsentSettings()) return false;
+    if (metadata.settings) storageManager.setSettings(metadata.settings);
+    if (metadata.displayName && metadata.displayName !== accountObj.displayName) {
+      accountObj.displayName = metadata.displayName;
+      localStorage.setItem(ACCOUNT_STORAGE_KEY, JSON.stringify(accountObj));
+      const textEl = document.getElementById('accountDisplayNameText');
+      if (textEl) textEl.textContent = metadata.displayName;
+    }
+    console.log('[Bookish:AccountUI] Account metadata refreshed from', txId);
+    return true;
+  } catch (err) {
+    console.warn('[Bookish:AccountUI] Account metadata refresh skipped:', err.message);
+    return false;
+  }
+}
+
+/**
+ * Save account settings locally and sync them in the account metadata.
+ * Works signed out too (settings stay local until an account is created).
+ * @param {Object} settings - Complete settings object
+ */
+export async function updateAccountSettings(settings) {
+  storageManager.setSettings(settings);
+  const accountObj = storageManager.getAccount();
+  if (!accountObj) return;
+  storageManager.setSettingsUnsent(true);
+  await persistAccountMetadataIfFunded(accountObj);
+}
+
 /**
  * Setup display name edit: toggle between view and edit mode
  */
@@ -1486,6 +1661,317 @@ function setupExportBooksBtn() {
   document.getElementById('exportBooksBtn')?.addEventListener('click', () => exportBooksToCSV());
 }
 
+/**
+ * Import a Goodreads / StoryGraph CSV export into the library
+ */
+async function importBooksFromCSV(file) {
+  const btn = document.getElementById('importBooksBtn');
+  const setLabel = (text) => { const b = document.getElementById('importBooksBtn'); if (b) b.textContent = text; };
+  if (btn) btn.disabled = true;
+  setLabel('Reading file...');
+  try {
+    if (!window.bookishApp?.importBooks) {
+      showToast('Import not available');
+      return;
+    }
+    const { payloads } = parseGoodreadsCSV(await file.text());
+    if (payloads.length === 0) {
+      showToast('No books found in that file');
+      return;
+    }
+    setLabel(`Importing ${payloads.length} books...`);
+    const { created, duplicates, failed = [] } = await window.bookishApp.importBooks(payloads, {
+      onProgress: ({ done, total }) => setLabel(`Saving ${done} of ${total}...`)
+    });
+    const dupNote = duplicates ? ` (${duplicates} already on your shelf)` : '';
+    const failNote = failed.length ? `, ${failed.length} need fixing before they can be saved to the cloud` : '';
+    showToast(`Imported ${created.length} books${dupNote}${failNote}`, 4000);
+  } catch (err) {
+    console.error('[Bookish:AccountUI] Import failed:', err);
+    showToast('Import failed. Please check the file and try again.');
+  } finally {
+    const b = document.getElementById('importBooksBtn');
+    if (b) {
+      b.disabled = false;
+      b.textContent = '📤 Import from Goodreads';
+    }
+  }
+}
+
+/**
+ * Setup Import from Goodreads button (opens hidden file picker)
+ */
+function setupImportBooksBtn() {
+  const input = document.getElementById('importBooksFile');
+  document.getElementById('importBooksBtn')?.addEventListener('click', () => input?.click());
+  input?.addEventListener('change', () => {
+    const file = input.files?.[0];
+    input.value = '';
+    if (file) importBooksFromCSV(file);
+  });
+}
+
+// Covers live in the cache's cover store; the backup carries them inline
+async function withCovers(cache, entries) {
+  return Promise.all(entries.map(async (e) => {
+    const cover = e.coverHash ? await cache.getCover(e.coverHash) : null;
+    if (!cover?.blob) return e;
+    return { ...e, coverImage: bytesToBase64(new Uint8Array(await cover.blob.arrayBuffer())) };
+  }));
+}
+
+/**
+ * Download a full-fidelity JSON backup of all active entries
+ */
+async function downloadBackup() {
+  try {
+    const cache = window.bookishCache;
+    if (!cache) {
+      showToast('Backup not available');
+      return;
+    }
+    const entries = await cache.getAllActive();
+    if (entries.length === 0) {
+      showToast('No books to back up yet');
+      return;
+    }
+    const backup = buildBackup(await withCovers(cache, entries));
+    const blob = new Blob([JSON.stringify(backup)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `bookish-backup-${backup.exportedAt.slice(0, 10)}.json`;
+    a.click();
+    URL.revokeObjectURL(url);
+    showToast(`Backed up ${backup.count} books`);
+  } catch (err) {
+    console.error('[Bookish:AccountUI] Backup failed:', err);
+    showToast('Backup failed. Please try again.');
+  }
+}
+
+/**
+ * Restore entries from a JSON backup file into this device's library
+ */
+async function restoreFromBackup(file) {
+  try {
+    if (!window.bookishApp?.restoreBackup) {
+      showToast('Restore not available');
+      return;
+    }
+    const { entries } = parseBackup(await file.text());
+    const { restored, skipped } = await window.bookishApp.restoreBackup(entries);
+    const skipNote = skipped ? ` (${skipped} already up to date)` : '';
+    showToast(`Restored ${restored} books${skipNote}`, 4000);
+  } catch (err) {
+    console.error('[Bookish:AccountUI] Restore failed:', err);
+    showToast(err?.message?.startsWith('Not a Bookish') || err?.message?.startsWith('Unsupported') ? err.message : 'Restore failed. Please check the file and try again.');
+  }
+}
+
+/**
+ * Register a passkey for this account: the seed (and any rotated keys) is
+ * wrapped with the passkey's credential keys and stored as a credential
+ * mapping, like email+password.
+ * The passkey then signs in on other devices with nothing typed.
+ * @param {HTMLButtonElement} btn - Button showing progress
+ */
+async function handleAddPasskey(btn) {
+  let label = btn.textContent;
+  btn.disabled = true;
+  btn.innerHTML = '<span class="spinner-inline"></span> Adding passkey...';
+  try {
+    const accountObj = storageManager.getAccount();
+    const seed = await getSessionEncryptedSeed();
+    if (!accountObj || !seed) {
+      showToast('Sign in again to add a passkey');
+      return;
+    }
+    const passkeys = accountObj.passkeys || [];
+    const { credentialId, prfOutput } = await createPasskey({
+      name: accountObj.email || accountObj.displayName,
+      displayName: accountObj.displayName,
+      excludeIds: passkeys.map(p => p.id)
+    });
+    const { lookupKey, encryptionKey } = await deriveCredentialKeysFromPrf(prfOutput);
+    const encryptedPayload = await encryptCredentialPayload({
+      seed,
+      displayName: accountObj.displayName,
+      createdAt: accountObj.created,
+      keys: getRotatedKeys()
+    }, encryptionKey);
+    const txId = await uploadCredentialMapping({ lookupKey, encryptedPayload });
+    console.log('[Bookish:AccountUI] Passkey mapping uploaded:', txId);
+
+    accountObj.passkeys = [...passkeys, { id: credentialId, lookupKey, addedAt: Date.now() }];
+    localStorage.setItem(ACCOUNT_STORAGE_KEY, JSON.stringify(accountObj));
+    showToast('Passkey added. Use it to sign in on your other devices.', 4000);
+    label = '🔑 Add another passkey';
+  } catch (err) {
+    console.error('[Bookish:AccountUI] Adding passkey failed:', err);
+    if (err.code === 'passkey-cancelled') { /* user closed the prompt */ }
+    else if (err.code === 'prf-unsupported' || err.code === 'passkey-exists') showToast(err.message, 4000);
+    else showToast('Couldn\'t add a passkey. Please try again.');
+  } finally {
+    btn.disabled = false;
+    btn.textContent = label;
+  }
+}
+
+/**
+ * Change the encryption key. The new key is random, so the recovery phrase
+ * doesn't give it and a device that had this account (a lost one, say) can't
+ * read what's written from now on. It's stored in the email+password
+ * credential mapping, uploaded again here, and other devices get it by
+ * signing in again (see keyring.js). Books and account details are then
+ * written again under it; copies already on Arweave keep their old key.
+ * @param {HTMLButtonElement} btn - Button showing progress
+ */
+function handleRotateKey(btn) {
+  if (!window.bookishApp?.rotateEncryptionKey) {
+    showToast('Not available');
+    return;
+  }
+  showAccountModal(`
+    <h3>Change Encryption Key</h3>
+    <p style="font-size:.875rem;line-height:1.6;opacity:.9;margin:16px 0;">
+      Your books are saved again under a new key, which uses some cloud credit. Other devices stop syncing until you sign in on them again, so a lost device can't read anything you save from now on.
+    </p>
+    <div style="background:#f59e0b1a;border:1px solid #f59e0b;border-radius:6px;padding:12px 16px;margin:0 0 16px 0;">
+      <p style="font-size:.8rem;line-height:1.5;color:#f59e0b;margin:0;">
+        Your recovery phrase and password recovery don't include the new key: books saved after the change open only when you sign in with this password, or with a passkey you add afterwards. Add your passkeys again once the key has changed.
+      </p>
+    </div>
+    <form id="rotateKeyForm" class="auth-form" novalidate>
+      <div class="form-group">
+        <label for="rotateKeyEmail">Email</label>
+        <input type="email" id="rotateKeyEmail" autocomplete="email" placeholder="you@example.com" required>
+      </div>
+      <div class="form-group">
+        <label for="rotateKeyPassword">Password</label>
+        <input type="password" id="rotateKeyPassword" autocomplete="current-password" placeholder="Your password" required>
+      </div>
+      <div id="rotateKeyError" style="display:none;"></div>
+      <button type="submit" id="rotateKeySubmitBtn" class="btn primary" style="width:100%;padding:14px 20px;">Change Key</button>
+    </form>
+    <div style="text-align:center;margin:16px 0 0 0;">
+      <button type="button" onclick="window.accountUI.closeHelperModal()" class="link-btn">Cancel</button>
+    </div>
+  `);
+
+  const emailInput = document.getElementById('rotateKeyEmail');
+  const passwordInput = document.getElementById('rotateKeyPassword');
+  const errorDiv = document.getElementById('rotateKeyError');
+  const submitBtn = document.getElementById('rotateKeySubmitBtn');
+  emailInput.value = storageManager.getAccount()?.email || '';
+  (emailInput.value ? passwordInput : emailInput).focus();
+
+  const showError = (text) => {
+    errorDiv.innerHTML = `<div class="error-box"><span class="error-icon">⚠</span><span class="error-text"></span></div>`;
+    errorDiv.querySelector('.error-text').textContent = text;
+    errorDiv.style.display = 'block';
+  };
+
+  document.getElementById('rotateKeyForm').addEventListener('submit', async (e) => {
+    e.preventDefault();
+    errorDiv.style.display = 'none';
+    submitBtn.disabled = true;
+    submitBtn.textContent = 'Checking…';
+    let credential;
+    try {
+      credential = await verifyCredentialForRotation(emailInput.value, passwordInput.value);
+    } catch (err) {
+      console.warn('[Bookish:AccountUI] Key change not started:', err.message);
+      showError(err.code === 'wrong-account' ? 'That email and password are for a different account.'
+        : err.code === 'no-mapping' ? 'We couldn\'t find this account in the cloud. Check your email and password, or add cloud credit first so your account is saved.'
+        : err.code === 'seed-unavailable' ? err.message
+        : 'We couldn\'t check your password. Check your internet connection and try again.');
+      submitBtn.disabled = false;
+      submitBtn.textContent = 'Change Key';
+      return;
+    }
+    closeHelperModal();
+    await rotateKeyWithCredential(btn, credential);
+  });
+}
+
+// Email+password keys, checked against the account: the mapping they lead to
+// must hold this session's seed. Returns what rotateKeyWithCredential needs.
+async function verifyCredentialForRotation(email, password) {
+  const seed = await getSessionEncryptedSeed();
+  if (!seed) {
+    const err = new Error('Sign in again to change your encryption key');
+    err.code = 'seed-unavailable';
+    throw err;
+  }
+  const { lookupKey, encryptionKey } = await deriveCredentialKeys(email, password);
+  const mapping = await downloadCredentialMapping(lookupKey);
+  if (!mapping) {
+    const err = new Error('No credential mapping');
+    err.code = 'no-mapping';
+    throw err;
+  }
+  const payload = await decryptCredentialPayload(mapping.encryptedPayload, encryptionKey);
+  if (payload.seed !== seed) {
+    const err = new Error('Credential mapping is for another account');
+    err.code = 'wrong-account';
+    throw err;
+  }
+  // Keys rotated on another device since this one signed in
+  await addRotatedKeys(payload.keys, seed);
+  return { seed, lookupKey, encryptionKey, payload };
+}
+
+async function rotateKeyWithCredential(btn, { seed, lookupKey, encryptionKey, payload }) {
+  const label = btn.textContent;
+  btn.disabled = true;
+  btn.textContent = 'Changing key…';
+  try {
+    const { entries, failed } = await window.bookishApp.rotateEncryptionKey({
+      // The mapping carries the new key before anything is written under it
+      shareKeys: async (keys) => {
+        const encryptedPayload = await encryptCredentialPayload({ seed, displayName: payload.displayName, createdAt: payload.createdAt, keys }, encryptionKey);
+        const txId = await uploadCredentialMapping({ lookupKey, encryptedPayload });
+        console.log('[Bookish:AccountUI] Credential mapping uploaded with the new key:', txId);
+      },
+      onProgress: ({ done, total }) => { btn.textContent = `Re-encrypting ${done}/${total}…`; }
+    });
+    const accountObj = storageManager.getAccount();
+    // Passkey mappings still hold the old keys only; they're added again from scratch
+    const hadPasskeys = !!accountObj?.passkeys?.length;
+    if (hadPasskeys) {
+      accountObj.passkeys = [];
+      localStorage.setItem(ACCOUNT_STORAGE_KEY, JSON.stringify(accountObj));
+    }
+    if (accountObj?.arweaveTxId) await persistAccountMetadataIfFunded(accountObj);
+    const failNote = failed?.length ? ` (${failed.length} will retry on next sync)` : '';
+    const passkeyNote = hadPasskeys ? ' Add your passkeys again to sign in with them.' : '';
+    showToast(`Encryption key changed, ${entries} books re-encrypted${failNote}.${passkeyNote}`, 5000);
+  } catch (err) {
+    console.error('[Bookish:AccountUI] Key change failed:', err);
+    showToast(err?.code === 'seed-unavailable' ? err.message
+      : err?.code === 'unknown-key' ? 'Your key was already changed on another device. Sign out and sign in again first.'
+      : 'Key change failed. Please try again.');
+  } finally {
+    btn.disabled = false;
+    btn.textContent = label;
+  }
+}
+
+/**
+ * Setup Full backup / Restore buttons
+ */
+function setupBackupButtons() {
+  document.getElementById('backupBooksBtn')?.addEventListener('click', () => downloadBackup());
+  const input = document.getElementById('restoreBooksFile');
+  document.getElementById('restoreBooksBtn')?.addEventListener('click', () => input?.click());
+  input?.addEventListener('change', () => {
+    const file = input.files?.[0];
+    input.value = '';
+    if (file) restoreFromBackup(file);
+  });
+}
+
 /**
  * Show a temporary toast notification
  * @param {string} message - Toast message
@@ -1563,12 +2049,13 @@ function handleManualSeedLogin() {
         const symKeyBytes = hexToBytes(symKeyHex);
         const symKey = await crypto.subtle.importKey('raw', symKeyBytes, { name: 'AES-GCM' }, false, ['encrypt', 'decrypt']);
 
-        const metadata = await downloadAccountMetadata(account.address, symKey);
+        const metadata = await downloadAccountMetadata(account.address, symKey, { keyFor });
         if (metadata) {
           console.log('[Bookish:AccountUI] Account metadata restored from Arweave');
           accountData.displayName = metadata.displayName;
           accountData.arweaveTxId = 'restored'; // Mark as having been backed up
           accountData.persistedAt = metadata.createdAt;
+          if (metadata.settings) storageManager.setSettings(metadata.settings);
         }
       } catch (metadataError) {
         console.log('[Bookish:AccountUI] No account metadata found on Arweave (new account or not yet backed up)');
@@ -2432,7 +2919,9 @@ export async function handlePersistAccountToArweave(isAutoTrigger = false) {
       address,
       displayName,
       symKey,
-      createdAt: accountObj.created
+      keyId: activeKeyId(),
+      createdAt: accountObj.created,
+      settings: storageManager.getSettings()
     });
 
     console.log('[Bookish:AccountUI] Account metadata uploaded:', accountTxId);
@@ -2472,7 +2961,8 @@ export async function handlePersistAccountToArweave(isAutoTrigger = false) {
             const escrowPayload = base64ToBytes(pendingEscrow.encryptedPayloadB64);
             const escrowTxId = await uploadCredentialMapping({
               lookupKey: pendingEscrow.lookupKey,
-              encryptedPayload: escrowPayload
+              encryptedPayload: escrowPayload,
+              schemaVersion: '0.1.0'   // written by the escrow worker
             });
             console.log('[Bookish:AccountUI] Escrow mapping uploaded:', escrowTxId);
             localStorage.removeItem(PENDING_ESCROW_MAPPING_KEY);
@@ -2712,6 +3202,7 @@ window.accountUI = {
   closeAccountModal,
   closeHelperModal,
   handlePersistAccountToArweave,
+  refreshAccountMetadata,
   updateBalanceDisplay,
   handleSignIn
 };
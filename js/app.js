@@ -6,6 +6,22 @@ import uiStatusManager from './ui_status_manager.js';
 import { getAccountStatus } from './account_ui.js';
 import { resizeImageToBase64 } from './core/image_utils.js';
 import { BookRepository, READING_STATUS, normalizeReadingStatus } from './core/book_repository.js';
+import { createSyncWorker } from './sync_worker_client.js';
+import { groupByWork, workKeyFor, readHistory, buildReadAgainPayload } from './core/work_core.js';
+import { latestCheckin, progressPercent, formatProgress, formatCheckin } from './core/progress_core.js';
+import { initStatsView, refreshStatsView } from './stats_view.js';
+import { initShelvesView, openShelvesView } from './shelves_view.js';
+import { initSeriesView, openSeriesView } from './series_view.js';
+import { initHistoryView, openHistoryView } from './history_view.js';
+import { initTrashView } from './trash_view.js';
+import { initConflictsView } from './conflicts_view.js';
+import { initBulkSelect, isBulkSelecting, toggleBulkSelected, syncBulkSelection } from './bulk_select.js';
+import { seriesKey, normalizeSeriesIndex } from './core/series_core.js';
+import { applyQuery, isActiveQuery } from './core/library_query.js';
+import { initLibraryFilter, getLibraryQuery, updateLibraryFilter } from './library_filter.js';
+import { coverRefOf, hasCoverImage } from './core/cover_core.js';
+import { initCoverLoader, coverImgAttrs, coverKey, coverUrl } from './cover_loader.js';
+import { getKeyring, addRotatedKeys, createRotationKey } from './keyring.js';
 
 // --- Version logging (always visible in console) ---
 {
@@ -26,6 +42,7 @@ const statusEl = document.getElementById('status');
 const cardsEl = document.getElementById('cards');
 const emptyEl = document.getElementById('empty');
 const shelfEmptyEl = document.getElementById('shelfEmpty');
+const filterEmptyEl = document.getElementById('filterEmpty');
 const actionBarEl = document.querySelector('.action-bar');
 const modal = document.getElementById('modal');
 // Account panel refs
@@ -41,6 +58,7 @@ const coverRemoveBtn = document.getElementById('coverRemoveBtn');
 const notesInput = document.getElementById('notesInput');
 const saveBtn = document.getElementById('saveBtn');
 const deleteBtn = document.getElementById('deleteBtn');
+const historyBtn = document.getElementById('historyBtn');
 const cancelBtn = document.getElementById('cancelBtn');
 const newBtn = document.getElementById('newBtn');
 // Phase 2: First-run experience refs
@@ -58,8 +76,11 @@ const ownedToggle = document.getElementById('ownedToggle');
 const ownedLabel = document.getElementById('ownedLabel');
 const tagsInputEl = document.getElementById('tagsInput');
 const tagsPillsEl = document.getElementById('tagsPills');
+const seriesInputEl = document.getElementById('seriesInput');
+const seriesIndexInputEl = document.getElementById('seriesIndexInput');
+const viewSeriesBtn = document.getElementById('viewSeriesBtn');
 const OPT_FIELDS_KEY = 'bookish_active_fields';
-const OPTIONAL_FIELDS = ['notes','rating','owned','tags'];
+const OPTIONAL_FIELDS = ['notes','rating','owned','tags','series'];
 
 // --- Reading status (constants imported from book_repository.js) ---
 const wtrCounter = document.getElementById('wtrCounter');
@@ -72,6 +93,18 @@ const wtrEmptyEl = document.getElementById('wtrEmpty');
 const wtrAddBtn = document.getElementById('wtrAddBtn');
 const wtrFooterAdd = document.getElementById('wtrFooterAdd');
 const statusSelector = document.getElementById('statusSelector');
+const readHistoryEl = document.getElementById('readHistory');
+const readHistoryListEl = document.getElementById('readHistoryList');
+const readAgainBtn = document.getElementById('readAgainBtn');
+const readingProgressEl = document.getElementById('readingProgress');
+const progressSummaryEl = document.getElementById('progressSummary');
+const progressValueInput = document.getElementById('progressValue');
+const progressUnitSelect = document.getElementById('progressUnit');
+const progressTotalInput = document.getElementById('progressTotal');
+const progressLogBtn = document.getElementById('progressLogBtn');
+const progressLogEl = document.getElementById('progressLog');
+const bookShelvesEl = document.getElementById('bookShelves');
+const bookShelvesListEl = document.getElementById('bookShelvesList');
 const readingStatusInput = document.getElementById('readingStatusInput');
 
 function showStatusToast(msg) {
@@ -86,17 +119,17 @@ function showStatusToast(msg) {
   setTimeout(() => { toast.classList.add('hiding'); setTimeout(() => toast.remove(), 300); }, 2000);
 }
 
-const MARK_READ_UNDO_MS = 5500;
+const UNDO_TOAST_MS = 5500;
 
-/** Toast after marking a currently-reading book as read; Undo restores prior fields via BookRepository. */
-function showMarkAsReadToastWithUndo(key, snapshot) {
+/** Toast with an Undo button; onUndo runs at most once, while the toast is showing. */
+function showUndoToast(msg, onUndo) {
   const existing = document.getElementById('bookishStatusToast');
   if (existing) existing.remove();
   const toast = document.createElement('div');
   toast.id = 'bookishStatusToast';
   toast.className = 'toast status-toast status-toast-with-action';
   toast.setAttribute('role', 'status');
-  toast.innerHTML = `<span class="toast-message">Marked as read</span><button type="button" class="toast-undo-btn">Undo</button>`;
+  toast.innerHTML = `<span class="toast-message">${escapeHtml(msg)}</span><button type="button" class="toast-undo-btn">Undo</button>`;
   toast.style.cssText = 'position:fixed;bottom:24px;left:50%;transform:translateX(-50%);z-index:9001;';
   document.body.appendChild(toast);
 
@@ -107,18 +140,23 @@ function showMarkAsReadToastWithUndo(key, snapshot) {
     toast.classList.add('hiding');
     setTimeout(() => toast.remove(), 300);
   };
-  const timer = setTimeout(remove, MARK_READ_UNDO_MS);
+  const timer = setTimeout(remove, UNDO_TOAST_MS);
 
   toast.querySelector('.toast-undo-btn')?.addEventListener('click', async () => {
     if (cleared || !bookRepo) return;
     cleared = true;
     clearTimeout(timer);
-    await bookRepo.applyReadingSnapshot(key, snapshot);
+    await onUndo();
     toast.classList.add('hiding');
     setTimeout(() => toast.remove(), 300);
   });
 }
 
+/** Toast after marking a currently-reading book as read; Undo restores prior fields via BookRepository. */
+function showMarkAsReadToastWithUndo(key, snapshot) {
+  showUndoToast('Marked as read', () => bookRepo.applyReadingSnapshot(key, snapshot));
+}
+
 function getActiveFields(){ try{ return JSON.parse(localStorage.getItem(OPT_FIELDS_KEY))||[]; }catch{ return []; } }
 function setActiveFields(list){ localStorage.setItem(OPT_FIELDS_KEY, JSON.stringify(list)); }
 function activateField(name){
@@ -138,7 +176,7 @@ function showOptionalField(name, show){
 function initOptionalFields(entry){
   const active=getActiveFields();
   OPTIONAL_FIELDS.forEach(name=>{
-    const hasData = entry && ((name==='notes' && entry.notes) || (name==='rating' && entry.rating) || (name==='owned' && entry.owned) || (name==='tags' && entry.tags));
+    const hasData = entry && ((name==='notes' && entry.notes) || (name==='rating' && entry.rating) || (name==='owned' && entry.owned) || (name==='tags' && entry.tags) || (name==='series' && entry.series));
     showOptionalField(name, active.includes(name)||!!hasData);
   });
 }
@@ -147,6 +185,9 @@ function resetOptionalFields(){
   if(ownedToggle){ ownedToggle.checked=false; if(ownedLabel) ownedLabel.textContent='No'; }
   if(tagsInputEl){ tagsInputEl.value=''; }
   if(tagsPillsEl){ tagsPillsEl.innerHTML=''; }
+  if(seriesInputEl){ seriesInputEl.value=''; }
+  if(seriesIndexInputEl){ seriesIndexInputEl.value=''; }
+  if(viewSeriesBtn){ viewSeriesBtn.style.display='none'; }
 }
 function populateOptionalFields(entry){
   resetOptionalFields();
@@ -158,6 +199,11 @@ function populateOptionalFields(entry){
     tagsPillsEl.innerHTML='';
     entry.tags.split(',').map(t=>t.trim()).filter(Boolean).forEach(t=>addTagPill(t));
   }
+  if(entry.series){
+    seriesInputEl.value=entry.series;
+    seriesIndexInputEl.value=entry.seriesIndex!=null?entry.seriesIndex:'';
+    if(viewSeriesBtn) viewSeriesBtn.style.display='';
+  }
 }
 function getOptionalFieldValues(){
   const vals={};
@@ -166,6 +212,12 @@ function getOptionalFieldValues(){
   if(ownedToggle?.checked) vals.owned=true;
   const tags=collectTags();
   if(tags) vals.tags=tags;
+  const series=(seriesInputEl?.value||'').trim();
+  if(series){
+    vals.series=series;
+    const idx=normalizeSeriesIndex(seriesIndexInputEl?.value);
+    if(idx!==undefined) vals.seriesIndex=idx;
+  }
   return vals;
 }
 function collectTags(){
@@ -232,6 +284,21 @@ tagsInputEl?.addEventListener('blur',()=>{
   if(parts.length){ parts.forEach(t=>addTagPill(t)); tagsInputEl.value=''; activateField('tags'); updateDirty(); }
 });
 
+// Series interaction (book_search fills it from OpenLibrary editions)
+seriesInputEl?.addEventListener('change',()=>{ if(seriesInputEl.value.trim()) activateField('series'); });
+function setSeriesFields({ series, seriesIndex }){
+  if(!seriesInputEl || !series) return;
+  seriesInputEl.value=series;
+  seriesIndexInputEl.value=seriesIndex!=null?seriesIndex:'';
+  showOptionalField('series', true);
+}
+viewSeriesBtn?.addEventListener('click',()=>{
+  const key=seriesKey(seriesInputEl?.value);
+  if(!key) return;
+  closeModal();
+  openSeriesView(key);
+});
+
 // Chip click → activate field
 fieldChipsEl?.addEventListener('click',e=>{
   const chip=e.target.closest('.field-chip');
@@ -252,7 +319,7 @@ if(coverRemoveBtn){ coverRemoveBtn.addEventListener('click',(e)=>{ e.stopPropaga
 
 // --- Helpers ---
 function escapeHtml(s){ return s.replace(/&/g,'&amp;').replace(/</g,'&lt;').replace(/>/g,'&gt;').replace(/"/g,'&quot;'); }
-function clearCoverPreview(){ coverPreview.style.display='none'; coverPlaceholder.style.display='block'; if(coverPlaceholder) coverPlaceholder.innerHTML='<div class="placeholder-icon"><svg width="48" height="48" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="1.5" stroke-linecap="round" stroke-linejoin="round"><path d="M4 19.5A2.5 2.5 0 0 1 6.5 17H20"/><path d="M6.5 2H20v20H6.5A2.5 2.5 0 0 1 4 19.5v-15A2.5 2.5 0 0 1 6.5 2z"/></svg><span>No cover</span></div>'; delete coverPreview.dataset.b64; delete coverPreview.dataset.mime; coverPreview.src=''; if(coverRemoveBtn) coverRemoveBtn.style.display='none'; coverFileInput.value=''; tileCoverClick.style.removeProperty('--cover-url'); }
+function clearCoverPreview(){ coverPreview.style.display='none'; coverPlaceholder.style.display='block'; if(coverPlaceholder) coverPlaceholder.innerHTML='<div class="placeholder-icon"><svg width="48" height="48" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="1.5" stroke-linecap="round" stroke-linejoin="round"><path d="M4 19.5A2.5 2.5 0 0 1 6.5 17H20"/><path d="M6.5 2H20v20H6.5A2.5 2.5 0 0 1 4 19.5v-15A2.5 2.5 0 0 1 6.5 2z"/></svg><span>No cover</span></div>'; delete coverPreview.dataset.b64; delete coverPreview.dataset.mime; delete coverPreview.dataset.cover; coverPreview.src=''; if(coverRemoveBtn) coverRemoveBtn.style.display='none'; coverFileInput.value=''; tileCoverClick.style.removeProperty('--cover-url'); }
 function showCoverLoaded(){ if(coverRemoveBtn) coverRemoveBtn.style.display='inline-flex'; }
 
 // --- State ---
@@ -325,27 +392,37 @@ function openModal(entry, forceIntent){
   if(notesInput) notesInput.value = entry?.notes || '';
   initOptionalFields(entry);
   populateOptionalFields(entry);
-  if(entry&&entry.coverImage){
-    const coverDataUrl='data:'+(entry.mimeType||'image/*')+';base64,'+entry.coverImage;
-    coverPreview.src=coverDataUrl;
+  const coverRef=coverRefOf(entry);
+  if(coverRef){
+    // The saved cover (dataset.cover) is only sent again if it's replaced or removed
+    clearCoverPreview();
+    const key=coverKey(coverRef);
+    coverPreview.dataset.cover=key;
     coverPreview.style.display='block'; coverPlaceholder.style.display='none';
-    coverPreview.dataset.b64=entry.coverImage; if(entry.mimeType) coverPreview.dataset.mime=entry.mimeType;
-    tileCoverClick.style.setProperty('--cover-url',`url('${coverDataUrl}')`);
     showCoverLoaded();
+    coverUrl(coverRef).then(url=>{
+      if(!url || coverPreview.dataset.cover!==key || coverPreview.dataset.b64) return;
+      coverPreview.src=url;
+      tileCoverClick.style.setProperty('--cover-url',`url('${url}')`);
+    });
   } else { clearCoverPreview(); }
   if(deleteBtn) deleteBtn.style.display=entry?'inline-flex':'none';
+  if(historyBtn) historyBtn.style.display=entry?.txid?'inline-flex':'none';
   if(cancelBtn) cancelBtn.style.display='inline-flex';
 
   // Reading status: unified selector for both add and edit mode
   const status = entry ? normalizeReadingStatus(entry) : (forceIntent || READING_STATUS.WANT_TO_READ);
   setReadingStatus(status);
   if(statusSelector) statusSelector.style.display='flex';
+  renderReadHistory(entry);
+  renderProgressSection(entry);
+  renderBookShelves(entry);
 
   snapshotOriginal();
   updateDirty();
   if(window.bookSearch) window.bookSearch.handleModalOpen(!!entry);
   if(entry && window.bookSearch?.showFindCoversBtn){
-    const hasCover=!!(entry.coverImage);
+    const hasCover=hasCoverImage(entry);
     window.bookSearch.showFindCoversBtn(hasCover);
   }
   setTimeout(()=>{ if(notesInput){ notesInput.style.height='auto'; notesInput.style.height=Math.max(60,notesInput.scrollHeight)+'px'; }}, 0);
@@ -405,7 +482,111 @@ function applyIntentUI(intent){
   }
 }
 
-function closeModal(){ modal.classList.remove('active'); const inner=modal.querySelector('.modal-inner'); if(inner) inner.classList.remove('add-mode'); form.reset(); resetOptionalFields(); coverPreview.style.display='none'; if(coverRemoveBtn) coverRemoveBtn.style.display='none'; delete form.dataset.orig; saveBtn.disabled=true; saveBtn.textContent='Save'; if(statusSelector) statusSelector.style.display='none';
+// Reading history: every started/finished read of this work, plus "Read again"
+function renderReadHistory(entry){
+  if(!readHistoryEl) return;
+  const history = entry ? readHistory(entries, entry) : [];
+  const canReadAgain = !!entry && normalizeReadingStatus(entry) === READING_STATUS.READ && !history.some(h => h.readingStatus === READING_STATUS.READING);
+  if(history.length < 2 && !canReadAgain){ readHistoryEl.style.display='none'; return; }
+  readHistoryEl.style.display='';
+  if(readAgainBtn) readAgainBtn.style.display = canReadAgain ? '' : 'none';
+  const current = entry.txid || entry.id;
+  readHistoryListEl.innerHTML = history.length < 2 ? '' : history.map((h, i) => {
+    const when = h.readingStatus === READING_STATUS.READING
+      ? 'Reading now'
+      : (h.dateRead ? formatDisplayDate(h.dateRead) : 'Finished');
+    const stars = h.rating ? `<span class="card-rating">${'★'.repeat(h.rating)}</span>` : '';
+    return `<li class="read-history-item${h.key===current?' current':''}"><span class="read-history-num">#${history.length - i}</span><span class="read-history-when">${escapeHtml(when)}</span><span class="read-history-format">${escapeHtml(mapFormat(h.format))}</span>${stars}</li>`;
+  }).join('');
+}
+
+// Shelves: membership toggles are saved immediately, independent of Save
+function renderBookShelves(entry){
+  if(!bookShelvesEl) return;
+  if(!entry || !entry.bookId || !bookRepo){ bookShelvesEl.style.display='none'; return; }
+  const shelves = bookRepo.getShelves();
+  bookShelvesEl.style.display='';
+  bookShelvesListEl.innerHTML = shelves.map(s => {
+    const on = (s.bookIds||[]).includes(entry.bookId);
+    return `<button type="button" class="book-shelf-chip${on?' active':''}" data-shelf="${escapeHtml(s.shelfId)}" aria-pressed="${on}">${on?'✓ ':''}${escapeHtml(s.name)}</button>`;
+  }).join('') + '<button type="button" class="book-shelf-chip book-shelf-new" data-shelf="">+ New shelf</button>';
+}
+
+bookShelvesListEl?.addEventListener('click', async (ev)=>{
+  const chip = ev.target.closest('.book-shelf-chip');
+  if(!chip || !bookRepo) return;
+  const key = form.priorTxid.value;
+  const entry = key ? entries.find(e => (e.txid||e.id) === key) : null;
+  if(!entry?.bookId) return;
+  if(!chip.dataset.shelf){ closeModal(); openShelvesView(); return; }
+  const shelf = bookRepo.getShelf(chip.dataset.shelf);
+  if(!shelf) return;
+  if((shelf.bookIds||[]).includes(entry.bookId)) await bookRepo.removeFromShelf(shelf.shelfId, entry.bookId);
+  else await bookRepo.addToShelf(shelf.shelfId, entry.bookId);
+  renderBookShelves(entry);
+});
+
+// Reading progress: check-ins are logged immediately, independent of Save
+function renderProgressSection(entry){
+  if(!readingProgressEl) return;
+  if(!entry || normalizeReadingStatus(entry) !== READING_STATUS.READING){ readingProgressEl.style.display='none'; return; }
+  readingProgressEl.style.display='';
+  const p = entry.progress;
+  const last = latestCheckin(p);
+  if(progressUnitSelect) progressUnitSelect.value = p?.unit || 'page';
+  if(progressTotalInput) progressTotalInput.value = p?.total || '';
+  if(progressValueInput) progressValueInput.value = '';
+  updateProgressInputs();
+  if(progressSummaryEl){
+    const pct = progressPercent(p);
+    progressSummaryEl.textContent = last ? formatProgress(p) + (pct != null && p.unit !== 'percent' ? ` · ${pct}%` : '') : '';
+  }
+  if(progressLogEl){
+    const recent = (p?.checkins || []).slice(-5).reverse();
+    progressLogEl.innerHTML = recent.map(c => `<li><span>${escapeHtml(formatCheckin(c))}</span><span>${escapeHtml(new Date(c.at).toLocaleDateString(undefined,{month:'short',day:'numeric'}))}</span></li>`).join('');
+  }
+}
+
+function updateProgressInputs(){
+  const unit = progressUnitSelect?.value || 'page';
+  if(progressValueInput) progressValueInput.placeholder = unit === 'percent' ? '%' : unit === 'minutes' ? 'Minutes' : 'Page';
+  if(progressTotalInput) progressTotalInput.style.display = unit === 'percent' ? 'none' : '';
+}
+
+async function logProgressFromModal(){
+  const key = form.priorTxid.value;
+  if(!key || !bookRepo || !progressValueInput?.value) return;
+  try {
+    const entry = await bookRepo.logProgress(key, {
+      value: progressValueInput.value,
+      unit: progressUnitSelect?.value,
+      total: progressTotalInput?.value
+    });
+    if(entry) renderProgressSection(entry);
+  } catch(err){
+    showStatusToast(err.message || 'Could not log progress');
+  }
+}
+
+progressUnitSelect?.addEventListener('change', updateProgressInputs);
+progressLogBtn?.addEventListener('click', logProgressFromModal);
+progressValueInput?.addEventListener('keydown', (ev)=>{ if(ev.key==='Enter'){ ev.preventDefault(); logProgressFromModal(); } });
+
+async function readAgain(entry){
+  if(!bookRepo || !entry) return;
+  const result = await bookRepo.create(buildReadAgainPayload(entry));
+  if(!result.isDuplicate) showStatusToast('Started another read');
+}
+
+readAgainBtn?.addEventListener('click', ()=>{
+  const key = form.priorTxid.value;
+  const entry = key ? entries.find(e => (e.txid||e.id) === key) : null;
+  if(!entry) return;
+  closeModal();
+  readAgain(entry);
+});
+
+function closeModal(){ modal.classList.remove('active'); if(readHistoryEl) readHistoryEl.style.display='none'; if(bookShelvesEl) bookShelvesEl.style.display='none'; if(readingProgressEl) readingProgressEl.style.display='none'; const inner=modal.querySelector('.modal-inner'); if(inner) inner.classList.remove('add-mode'); form.reset(); resetOptionalFields(); coverPreview.style.display='none'; if(coverRemoveBtn) coverRemoveBtn.style.display='none'; delete form.dataset.orig; saveBtn.disabled=true; saveBtn.textContent='Save'; if(statusSelector) statusSelector.style.display='none';
   const dateBlock = form.dateRead?.closest('.field-block');
   if(dateBlock){ dateBlock.style.display=''; dateBlock.classList.remove('date-readonly'); }
   if(form.dateRead) form.dateRead.readOnly=false;
@@ -413,7 +594,7 @@ function closeModal(){ modal.classList.remove('active'); const inner=modal.query
   if(dateLabel) dateLabel.textContent='Completed';
   if(window.bookSearch) window.bookSearch.handleModalOpen(true); }
 function clearBooks(){ if(bookRepo) bookRepo.clear(); else { entries=[]; render(); } }
-window.bookishApp={ openModal, clearBooks, showCoverLoaded, clearCoverPreview, render, changeReadingStatus };
+window.bookishApp={ openModal, clearBooks, showCoverLoaded, clearCoverPreview, setSeriesFields, render, changeReadingStatus, importBooks, restoreBackup, rotateEncryptionKey };
 // Dirty tracking helpers
 function currentFormState(){ return JSON.stringify({
   prior: form.priorTxid.value||'',
@@ -422,11 +603,13 @@ function currentFormState(){ return JSON.stringify({
   format: form.format.value,
   dateRead: form.dateRead.value,
   readingStatus: readingStatusInput?.value||READING_STATUS.WANT_TO_READ,
-  cover: coverPreview.dataset.b64||'',
+  cover: coverPreview.dataset.b64||coverPreview.dataset.cover||'',
   notes: (notesInput?.value||'').trim(),
   rating: ratingInput?.value||'',
   owned: ownedToggle?.checked?'1':'',
-  tags: collectTags()
+  tags: collectTags(),
+  series: (seriesInputEl?.value||'').trim(),
+  seriesIndex: seriesIndexInputEl?.value||''
 }); }
 function snapshotOriginal(){ form.dataset.orig = currentFormState(); }
 function updateDirty(){ const orig=form.dataset.orig||''; const cur=currentFormState(); saveBtn.disabled = (orig===cur); }
@@ -613,25 +796,29 @@ function generatedCoverColor(title){
 function markDeletingVisual(entry){ entry._deleting=true; entry._committed=false; const key=entry.txid||entry.id||''; const el=key?document.querySelector('.card[data-txid="'+key+'"]'):null; if(el){ el.classList.add('deleting'); el.style.pointerEvents='none'; el.style.opacity='0.35'; } }
 
 /** Build inner HTML for a single book card */
-function buildCardHTML(e){
+function buildCardHTML(e, readCount=1){
   const dateDisp=formatDisplayDate(e.dateRead);
   const notesSnippet = e.notes ? `<p class="card-notes">${escapeHtml(e.notes)}</p>` : '';
   const metaStrip = buildCardMetadata(e);
-  const coverDataUrl = e.coverImage ? `data:${e.mimeType||'image/jpeg'};base64,${e.coverImage}` : '';
+  const coverAttrs = coverImgAttrs(coverRefOf(e));
   const rs = normalizeReadingStatus(e);
   const isReading = rs === READING_STATUS.READING;
   const cardKey = e.txid || e.id || '';
+  const pct = isReading ? progressPercent(e.progress) : null;
+  const progressRow = isReading && e.progress
+    ? `${pct != null ? `<div class="card-progress"><div class="card-progress-bar" style="width:${pct}%"></div></div>` : ''}<span class="card-progress-label">${escapeHtml(formatProgress(e.progress))}</span>`
+    : '';
   const readingRow = isReading
-    ? `<div class="card-reading-label"><span class="card-reading-text">◐ Reading</span><button type="button" class="card-done-check" data-done-key="${escapeHtml(cardKey)}" title="Mark as read" aria-label="Mark as read">✓</button></div>`
+    ? `<div class="card-reading-label"><span class="card-reading-text">◐ Reading</span><button type="button" class="card-done-check" data-done-key="${escapeHtml(cardKey)}" title="Mark as read" aria-label="Mark as read">✓</button></div>${progressRow}`
     : '';
   const showDate = !isReading && dateDisp;
   return `
-      <div class="cover"${coverDataUrl?` style="--cover-url:url('${coverDataUrl}')"`:''}>${e.coverImage?`<img src="${coverDataUrl}">`:`<div class="generated-cover" style="background:${generatedCoverColor(e.title||'')}"><span class="generated-title">${escapeHtml(e.title||'Untitled')}</span>${e.author?`<span class="generated-author">${escapeHtml(e.author)}</span>`:''}</div>`}</div>
+      <div class="cover">${coverAttrs?`<img${coverAttrs} alt="">`:`<div class="generated-cover" style="background:${generatedCoverColor(e.title||'')}"><span class="generated-title">${escapeHtml(e.title||'Untitled')}</span>${e.author?`<span class="generated-author">${escapeHtml(e.author)}</span>`:''}</div>`}</div>
       <div class="meta">
         <p class="title">${e.title||'<i>Untitled</i>'}</p>
         <p class="author">${e.author||''}</p>
         ${metaStrip}
-        <div class="details">${readingRow}${showDate ? `<span class="read-date">Read ${dateDisp}</span>` : ''}</div>
+        <div class="details">${readingRow}${showDate ? `<span class="read-date">Read ${dateDisp}</span>` : ''}${readCount > 1 ? `<span class="read-count">Read ${readCount}×</span>` : ''}</div>
         ${notesSnippet}
       </div>`;
 }
@@ -643,6 +830,9 @@ function buildCardMetadata(e){
     const empty='☆'.repeat(5-e.rating);
     parts.push(`<span class="card-rating" aria-label="Rated ${e.rating} out of 5">${filled}<span class="stars-empty">${empty}</span></span>`);
   }
+  if(e.series){
+    parts.push('<span class="card-series">'+escapeHtml(e.series)+(e.seriesIndex!=null?' #'+escapeHtml(e.seriesIndex):'')+'</span>');
+  }
   if(e.owned){
     parts.push('<span class="card-owned">📖 Owned</span>');
   }
@@ -656,24 +846,34 @@ function buildCardMetadata(e){
 
 /** Quick fingerprint for change detection — avoids unnecessary innerHTML rewrites */
 function entryFingerprint(e){
-  return (e.txid||e.id||'')+'\t'+(e.title||'')+'\t'+(e.author||'')+'\t'+(e.dateRead||'')+'\t'+(e.notes||'')+'\t'+(e.coverImage?'1':'0')+'\t'+(e.onArweave?'1':'0')+'\t'+(e._deleting?'1':'0')+'\t'+(e.format||'')+'\t'+(e.readingStatus||'')+'\t'+(e.rating||'')+'\t'+(e.owned?'1':'0')+'\t'+(e.tags||'');
+  return (e.txid||e.id||'')+'\t'+(e.title||'')+'\t'+(e.author||'')+'\t'+(e.dateRead||'')+'\t'+(e.notes||'')+'\t'+coverKey(coverRefOf(e))+'\t'+(e.onArweave?'1':'0')+'\t'+(e._deleting?'1':'0')+'\t'+(e.format||'')+'\t'+(e.readingStatus||'')+'\t'+(e.rating||'')+'\t'+(e.owned?'1':'0')+'\t'+(e.tags||'')+'\t'+(e.series||'')+'\t'+(e.seriesIndex??'')+'\t'+(latestCheckin(e.progress)?.at||'');
 }
 
 function render(){
   const visible = entries.filter(e => e.status !== 'tombstoned');
 
-  // Split by reading status
-  const readingList = visible.filter(e => normalizeReadingStatus(e) === READING_STATUS.READING);
-  const readList = visible.filter(e => normalizeReadingStatus(e) === READING_STATUS.READ);
   const wantList = visible.filter(e => normalizeReadingStatus(e) === READING_STATUS.WANT_TO_READ);
-
-  // Sort each list
-  readingList.sort((a,b)=> (b.readingStartedAt||b.createdAt||0) - (a.readingStartedAt||a.createdAt||0));
-  readList.sort((a,b)=>{ const da=a.dateRead||''; const db=b.dateRead||''; if(da!==db) return db.localeCompare(da); return (b.createdAt||0)-(a.createdAt||0); });
   wantList.sort((a,b)=> (b.createdAt||0) - (a.createdAt||0));
-
-  // Main grid shows: reading first, then read
-  const shelfEntries = [...readingList, ...readList];
+  const hasShelfBooks = wantList.length < visible.length;
+
+  // Main grid shows the library query: by default reading first, then read by dateRead
+  const query = getLibraryQuery();
+  const filtering = isActiveQuery(query);
+  const shelfEntries = applyQuery(visible, query);
+  // Re-reads of the same work collapse into one card showing the latest read;
+  // the read count covers the whole work, not just the reads that matched
+  const works = groupByWork(shelfEntries);
+  const readsPerWork = new Map();
+  for(const e of visible){
+    if(normalizeReadingStatus(e) !== READING_STATUS.READ) continue;
+    const k = workKeyFor(e);
+    if(k) readsPerWork.set(k, (readsPerWork.get(k)||0) + 1);
+  }
+  const readCounts = new Map(works.map(w => {
+    const k = workKeyFor(w.latest);
+    return [w.latest, k ? (readsPerWork.get(k)||0) : w.reads.filter(r => normalizeReadingStatus(r) === READING_STATUS.READ).length];
+  }));
+  updateLibraryFilter(visible, works.length, visible.length > 0);
 
   if(wtrCounter){
     if(wantList.length > 0){
@@ -686,7 +886,7 @@ function render(){
   // Update WTR drawer if open
   if(wtrOverlay && wtrOverlay.style.display !== 'none') renderWtrDrawer(wantList);
 
-  if(!shelfEntries.length && !wantList.length){
+  if(!hasShelfBooks && !wantList.length){
     const syncStatus = getSyncStatusForUI();
     const isLoading = storageManager.isLoggedIn() && !syncStatus.initialSynced;
 
@@ -713,22 +913,27 @@ function render(){
     if(cardsEl.children.length > 0) cardsEl.replaceChildren();
     emptyEl.style.display='block';
     if(shelfEmptyEl) shelfEmptyEl.style.display = 'none';
+    if(filterEmptyEl) filterEmptyEl.style.display = 'none';
     if(actionBarEl) actionBarEl.style.display = 'none';
     hideAccountNudge();
+    syncBulkSelection();
     return;
   }
 
-  if(!shelfEntries.length && wantList.length){
+  if(!shelfEntries.length){
     if(cardsEl.children.length > 0) cardsEl.replaceChildren();
     emptyEl.style.display='none';
-    if(shelfEmptyEl) shelfEmptyEl.style.display = 'block';
+    if(shelfEmptyEl) shelfEmptyEl.style.display = filtering ? 'none' : 'block';
+    if(filterEmptyEl) filterEmptyEl.style.display = filtering ? 'block' : 'none';
     if(actionBarEl) actionBarEl.style.display = '';
     hideAccountNudge();
+    syncBulkSelection();
     return;
   }
 
   emptyEl.style.display='none';
   if(shelfEmptyEl) shelfEmptyEl.style.display = 'none';
+  if(filterEmptyEl) filterEmptyEl.style.display = 'none';
   if(actionBarEl) actionBarEl.style.display = '';
   if(storageManager.isLoggedIn()) hideAccountNudge();
 
@@ -741,10 +946,11 @@ function render(){
   const desiredKeys = new Set();
   const orderedCards = [];
 
-  for(const e of shelfEntries){
+  for(const { latest: e } of works){
     const key = e.txid || e.id || '';
     desiredKeys.add(key);
-    const fp = entryFingerprint(e);
+    const readCount = readCounts.get(e);
+    const fp = entryFingerprint(e)+'\t'+readCount;
     const isReading = normalizeReadingStatus(e) === READING_STATUS.READING;
 
     let card = existingMap.get(key);
@@ -756,7 +962,7 @@ function render(){
         card.dataset.fmt=fmtVariant;
         card.dataset.format=rawFmt;
         if(isReading) card.dataset.reading='true'; else delete card.dataset.reading;
-        card.innerHTML=buildCardHTML(e);
+        card.innerHTML=buildCardHTML(e, readCount);
         card.dataset._fp=fp;
         if(e._deleting){ card.style.pointerEvents='none'; card.style.opacity='0.35'; }
         else { card.style.pointerEvents=''; card.style.opacity=''; }
@@ -770,12 +976,13 @@ function render(){
       card.dataset.fmt=fmtVariant;
       card.dataset.format=rawFmt;
       if(isReading) card.dataset.reading='true';
-      card.innerHTML=buildCardHTML(e);
+      card.innerHTML=buildCardHTML(e, readCount);
       card.dataset._fp=fp;
       if(e._deleting){ card.style.pointerEvents='none'; card.style.opacity='0.35'; }
     }
     card.onclick=(ev)=>{
       if(e._deleting) return;
+      if(isBulkSelecting()){ toggleBulkSelected(key); return; }
       const path=typeof ev.composedPath==='function'?ev.composedPath():[];
       for(const n of path){
         if(n instanceof Element && n.classList?.contains('card-done-check')) return;
@@ -795,6 +1002,7 @@ function render(){
     }
   }
 
+  syncBulkSelection();
   setTimeout(probePendingArweaveConfirmations, 0);
 }
 
@@ -877,9 +1085,9 @@ function renderWtrDrawer(wantList){
   if(wtrEmptyEl) wtrEmptyEl.style.display = 'none';
   wtrListEl.innerHTML = wantList.map(e => {
     const key = e.txid || e.id || '';
-    const coverDataUrl = e.coverImage ? `data:${e.mimeType||'image/jpeg'};base64,${e.coverImage}` : '';
-    const coverHtml = coverDataUrl
-      ? `<img src="${coverDataUrl}">`
+    const coverAttrs = coverImgAttrs(coverRefOf(e));
+    const coverHtml = coverAttrs
+      ? `<img${coverAttrs} alt="">`
       : `<div class="wtr-mini-cover" style="background:${generatedCoverColor(e.title||'')}"><span class="wtr-mini-title">${escapeHtml(e.title||'')}</span></div>`;
     return `<div class="wtr-item" data-key="${escapeHtml(key)}">
       <div class="wtr-item-cover">${coverHtml}</div>
@@ -892,6 +1100,8 @@ function renderWtrDrawer(wantList){
   }).join('');
 }
 
+initLibraryFilter(render);
+
 wtrCounter?.addEventListener('click', openWtrDrawer);
 wtrBackdrop?.addEventListener('click', closeWtrDrawer);
 wtrClose?.addEventListener('click', closeWtrDrawer);
@@ -919,7 +1129,7 @@ wtrListEl?.addEventListener('click', (ev)=>{
 // Mark as read (checkmark) on Currently Reading cards — toast with Undo
 cardsEl?.addEventListener('click', (ev)=>{
   const doneBtn = ev.target.closest('.card-done-check');
-  if(doneBtn){
+  if(doneBtn && !isBulkSelecting()){
     ev.stopPropagation();
     ev.preventDefault();
     const key = doneBtn.dataset.doneKey;
@@ -965,14 +1175,14 @@ async function ensureKeys(){
   let symTxt=localStorage.getItem('bookish.sym');
   // Legacy hex key prompt removed - now using credential-based seed storage
   if(!symTxt){ return false; }
-  try { const sym=localStorage.getItem('bookish.sym'); if(window.createBrowserClient){ browserClient=await window.createBrowserClient({ symKeyHex:sym, appName:'bookish', schemaVersion:'0.1.0', keyId:'default' }); } else if(window.bookishBrowserClient){ browserClient=await window.bookishBrowserClient.createBrowserClient({ symKeyHex:sym, appName:'bookish', schemaVersion:'0.1.0', keyId:'default' }); } if(!browserClient){ setStatus('Client loading...'); return false; } keyState.loaded=true; const addr=await browserClient.address(); setStatus('EVM '+(addr?addr.slice(0,8)+'...':'ready')); return true; } catch(e){ console.error(e); setStatus('Key load error'); return false; }
+  try { const keyring=getKeyring(); if(window.createBrowserClient){ browserClient=await window.createBrowserClient({ keyring, appName:'bookish', schemaVersion:'0.1.0' }); } else if(window.bookishBrowserClient){ browserClient=await window.bookishBrowserClient.createBrowserClient({ keyring, appName:'bookish', schemaVersion:'0.1.0' }); } if(!browserClient){ setStatus('Client loading...'); return false; } keyState.loaded=true; const addr=await browserClient.address(); setStatus('EVM '+(addr?addr.slice(0,8)+'...':'ready')); return true; } catch(e){ console.error(e); setStatus('Key load error'); return false; }
 }
 
 // --- Book data operations (delegated to BookRepository) ---
 
-async function syncBooksFromArweave() {
+async function syncBooksFromArweave({ full = false } = {}) {
   if (!bookRepo) return;
-  await bookRepo.sync();
+  await bookRepo.sync({ full });
   setTimeout(probePendingArweaveConfirmations, 50);
 }
 
@@ -999,12 +1209,49 @@ async function deleteServerless(priorTxid) {
   const entry = bookRepo.getById(priorTxid);
   if (entry) markDeletingVisual(entry);
   uiStatusManager.refresh();
-  await bookRepo.delete(priorTxid);
+  const done = bookRepo.delete(priorTxid);
+  // Undo waits for the delete to land, then takes the book back out of the trash
+  showUndoToast('Moved to Trash', async () => {
+    await done;
+    try { await bookRepo.restoreFromTrash(priorTxid); }
+    catch (err) { console.warn('[Bookish] Undo delete failed:', err); }
+  });
+  await done;
+}
+
+async function importBooks(payloads, opts) {
+  if (!bookRepo) return { created: [], duplicates: 0, failed: [] };
+  uiStatusManager.refresh();
+  return bookRepo.createMany(payloads, opts);
+}
+
+async function restoreBackup(backupEntries) {
+  if (!bookRepo) throw new Error('Library not ready');
+  const result = await bookRepo.restoreBackup(backupEntries);
+  uiStatusManager.refresh();
+  return result;
+}
+
+// Key rotation: catch up first (a sync fails on keys rotated elsewhere that
+// this device lacks), hand the new key to shareKeys (the credential mapping)
+// before anything is written under it, then switch to it and publish the
+// library again under it
+async function rotateEncryptionKey({ shareKeys, ...opts }) {
+  if (!bookRepo) throw new Error('Library not ready');
+  await bookRepo.sync();
+  const { keyId, keys } = createRotationKey();
+  await shareKeys(keys);
+  await addRotatedKeys(keys);
+  resetKeyState();
+  if (!await ensureKeys()) throw new Error('Encryption keys not available');
+  const result = await bookRepo.reencryptLibrary(opts);
+  uiStatusManager.refresh();
+  return { keyId, ...result };
 }
 
 // --- Form handlers ---
 let _formSubmitting = false;
-form.addEventListener('submit',ev=>{ ev.preventDefault(); if(_formSubmitting) return; _formSubmitting=true; const priorTxid=form.priorTxid.value||undefined; const rsValue = readingStatusInput?.value || READING_STATUS.WANT_TO_READ; const dateVal = form.dateRead.value; const payload={ title:form.title.value.trim(), author:form.author.value.trim(), format:form.format.value, dateRead:'', readingStatus:rsValue }; if(rsValue === READING_STATUS.READ){ payload.dateRead = dateVal; } else if(rsValue === READING_STATUS.READING){ payload.readingStartedAt = dateVal ? new Date(dateVal+'T00:00:00').getTime() : Date.now(); } if(coverPreview.dataset.b64){ payload.coverImage=coverPreview.dataset.b64; if(coverPreview.dataset.mime) payload.mimeType=coverPreview.dataset.mime; } else if(priorTxid){ payload.coverImage=''; payload.mimeType=''; } const notesVal=(notesInput?.value||'').trim(); if(notesVal) payload.notes=notesVal; const optVals=getOptionalFieldValues(); if(priorTxid){ payload.rating=optVals.rating||0; payload.owned=!!optVals.owned; payload.tags=optVals.tags||''; if(!notesVal) payload.notes=''; } else { if(optVals.rating) payload.rating=optVals.rating; if(optVals.owned) payload.owned=optVals.owned; if(optVals.tags) payload.tags=optVals.tags; } uiStatusManager.refresh();
+form.addEventListener('submit',ev=>{ ev.preventDefault(); if(_formSubmitting) return; _formSubmitting=true; const priorTxid=form.priorTxid.value||undefined; const rsValue = readingStatusInput?.value || READING_STATUS.WANT_TO_READ; const dateVal = form.dateRead.value; const payload={ title:form.title.value.trim(), author:form.author.value.trim(), format:form.format.value, dateRead:'', readingStatus:rsValue }; if(rsValue === READING_STATUS.READ){ payload.dateRead = dateVal; } else if(rsValue === READING_STATUS.READING){ payload.readingStartedAt = dateVal ? new Date(dateVal+'T00:00:00').getTime() : Date.now(); } if(coverPreview.dataset.b64){ payload.coverImage=coverPreview.dataset.b64; if(coverPreview.dataset.mime) payload.mimeType=coverPreview.dataset.mime; } else if(coverPreview.dataset.cover){ /* saved cover kept */ } else if(priorTxid){ payload.coverImage=''; payload.mimeType=''; } const notesVal=(notesInput?.value||'').trim(); if(notesVal) payload.notes=notesVal; const optVals=getOptionalFieldValues(); if(priorTxid){ payload.rating=optVals.rating||0; payload.owned=!!optVals.owned; payload.tags=optVals.tags||''; payload.series=optVals.series||''; payload.seriesIndex=optVals.seriesIndex??null; if(!notesVal) payload.notes=''; } else { if(optVals.rating) payload.rating=optVals.rating; if(optVals.owned) payload.owned=optVals.owned; if(optVals.tags) payload.tags=optVals.tags; if(optVals.series){ payload.series=optVals.series; if(optVals.seriesIndex!==undefined) payload.seriesIndex=optVals.seriesIndex; } } uiStatusManager.refresh();
   const toastMsg = rsValue === READING_STATUS.WANT_TO_READ ? 'Added to Want to Read' : rsValue === READING_STATUS.READING ? 'Added to Currently Reading' : (!priorTxid ? 'Added to Shelf' : null);
   if(priorTxid){
   closeModal();
@@ -1012,6 +1259,14 @@ form.addEventListener('submit',ev=>{ ev.preventDefault(); if(_formSubmitting) re
 } else { closeModal(); createServerless(payload).then(()=>{ if(toastMsg) showStatusToast(toastMsg); }).catch(()=> { walletError='Couldn\u2019t save to cloud. Your book is safe locally.'; uiStatusManager.refresh(); }); }
 });
 
+historyBtn?.addEventListener('click', ()=>{
+  const key=form.priorTxid.value;
+  const entry=key ? entries.find(e=>(e.txid||e.id)===key) : null;
+  if(!entry) return;
+  closeModal();
+  openHistoryView(entry);
+});
+
 deleteBtn?.addEventListener('click', async ()=>{ const txid=form.priorTxid.value; if(!txid) return; closeModal(); await deleteServerless(txid); });
 
 // header refresh removed; app auto-syncs
@@ -1051,9 +1306,14 @@ async function initCacheLayer(){
       getWalletAddress: async () => window.bookishWallet?.getAddress?.(),
       ensureWallet: async () => { if (window.bookishWallet?.ensure) await window.bookishWallet.ensure(); },
       deriveBookId: (payload) => window.bookishBrowserClient?.deriveBookId?.(payload),
-      onDirty: markDirty
+      onDirty: markDirty,
+      // GraphQL paging, decryption and merging run off the main thread
+      syncWorker: createSyncWorker(),
+      getSyncKeys: async () => ({ keyring: getKeyring(), appName: 'bookish' })
     });
 
+    initCoverLoader((ref) => bookRepo.getCover(ref));
+
     // Wire repository events to UI
     bookRepo.on('change', (repoEntries) => {
       entries = repoEntries;
@@ -1071,6 +1331,19 @@ async function initCacheLayer(){
     bookRepo.on('progress', (items) => {
       if (items) dbg('sync progress:', items);
     });
+    initStatsView(bookRepo);
+    initShelvesView(bookRepo, { openBook: (entry) => openModal(entry) });
+    initSeriesView(bookRepo, { openBook: (entry) => openModal(entry) });
+    initHistoryView(bookRepo, {
+      onRestored: () => showStatusToast('Older version restored'),
+      onFailed: (err) => showStatusToast(err?.message === 'Entry not found' ? 'This book is no longer in your library' : 'Couldn\u2019t restore that version')
+    });
+    initTrashView(bookRepo, { onRestored: () => showStatusToast('Restored from Trash') });
+    initConflictsView(bookRepo, {
+      onResolved: () => showStatusToast('Conflict resolved'),
+      onDetected: (found) => showStatusToast(found.length === 1 ? `“${found[0].title || 'A book'}” was changed on two devices – see Conflicts` : `${found.length} books were changed on two devices – see Conflicts`)
+    });
+    initBulkSelect(bookRepo, { notify: showStatusToast });
 
     // Load cached books immediately for instant display
     await bookRepo.loadFromCache();
@@ -1088,6 +1361,9 @@ async function initCacheLayer(){
           await window.accountUI.handlePersistAccountToArweave(isAutoTrigger);
         }
       },
+      onAccountRefresh: async () => {
+        if (await window.accountUI?.refreshAccountMetadata?.()) refreshStatsView();
+      },
       getWalletInfo: async () => {
         try {
           const address = await window.bookishWallet?.getAddress();
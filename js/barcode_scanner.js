@@ -0,0 +1,133 @@
+// barcode_scanner.js - Camera ISBN scanner for the add-book search
+// Reads EAN-13 barcodes with the native BarcodeDetector when the browser has one,
+// otherwise decodes video frames with the pure decoder in barcode_core.js.
+// A scanned ISBN is handed to book_search.js, which runs the OpenLibrary ISBN lookup.
+
+import { decodeEan13Image, isbnFromEan13 } from './core/barcode_core.js';
+
+const SCAN_INTERVAL_MS = 150;
+const FALLBACK_FRAME_WIDTH = 640;   // frames are downscaled before pure-JS decoding
+
+const scanBtn = document.getElementById('scanBarcodeBtn');
+const overlay = document.getElementById('scanOverlay');
+const video = document.getElementById('scanVideo');
+const statusEl = document.getElementById('scanStatus');
+const cancelBtn = document.getElementById('scanCancel');
+
+let _stream = null;
+let _timer = null;
+let _detector = null;
+let _canvas = null;
+let _lastCode = null;     // fallback decoder must read the same code twice in a row
+
+function setStatus(text) { if (statusEl) statusEl.textContent = text; }
+
+function isOpen() { return overlay && overlay.style.display !== 'none'; }
+
+async function getNativeDetector() {
+  if (typeof window.BarcodeDetector !== 'function') return null;
+  try {
+    const formats = await window.BarcodeDetector.getSupportedFormats();
+    if (!formats.includes('ean_13')) return null;
+    return new window.BarcodeDetector({ formats: ['ean_13'] });
+  } catch {
+    return null;
+  }
+}
+
+async function readFrame() {
+  if (!video.videoWidth) return null;
+  if (_detector) {
+    const found = await _detector.detect(video);
+    return found.length ? found[0].rawValue : null;
+  }
+  const scale = Math.min(1, FALLBACK_FRAME_WIDTH / video.videoWidth);
+  const w = Math.round(video.videoWidth * scale);
+  const h = Math.round(video.videoHeight * scale);
+  if (!_canvas) _canvas = document.createElement('canvas');
+  _canvas.width = w;
+  _canvas.height = h;
+  const ctx = _canvas.getContext('2d', { willReadFrequently: true });
+  ctx.drawImage(video, 0, 0, w, h);
+  const code = decodeEan13Image(ctx.getImageData(0, 0, w, h));
+  if (!code) { _lastCode = null; return null; }
+  const confirmed = code === _lastCode;
+  _lastCode = code;
+  return confirmed ? code : null;
+}
+
+async function scanLoop() {
+  _timer = null;
+  if (!_stream) return;
+  let code = null;
+  try { code = await readFrame(); } catch (err) { console.warn('[Bookish:Scanner] Frame decode failed:', err); }
+  if (!_stream) return;
+  if (code) {
+    const isbn = isbnFromEan13(code);
+    if (isbn) {
+      if (navigator.vibrate) try { navigator.vibrate(40); } catch {}
+      closeScanner();
+      window.bookSearch?.searchFor(isbn);
+      return;
+    }
+    setStatus('That barcode isn’t an ISBN. Look for the one starting with 978 or 979.');
+  }
+  _timer = setTimeout(scanLoop, SCAN_INTERVAL_MS);
+}
+
+/**
+ * Whether this browser can open a camera at all.
+ * @returns {boolean}
+ */
+export function isScannerSupported() {
+  return !!(navigator.mediaDevices && navigator.mediaDevices.getUserMedia);
+}
+
+export async function openScanner() {
+  if (!overlay || !video || _stream) return;
+  overlay.style.display = 'flex';
+  setStatus('Starting camera…');
+  _lastCode = null;
+  try {
+    _detector = await getNativeDetector();
+    _stream = await navigator.mediaDevices.getUserMedia({
+      video: { facingMode: { ideal: 'environment' }, width: { ideal: 1280 }, height: { ideal: 720 } },
+      audio: false
+    });
+    if (!isOpen()) { stopStream(); return; }
+    video.srcObject = _stream;
+    await video.play();
+    setStatus('Point the camera at the barcode on the back cover');
+    scanLoop();
+  } catch (err) {
+    stopStream();
+    console.warn('[Bookish:Scanner] Camera unavailable:', err);
+    setStatus(err?.name === 'NotAllowedError'
+      ? 'Camera access was blocked. Allow it in your browser settings, or type the ISBN instead.'
+      : 'Couldn’t start the camera. Type the ISBN into the search box instead.');
+  }
+}
+
+function stopStream() {
+  if (_timer) { clearTimeout(_timer); _timer = null; }
+  if (_stream) { _stream.getTracks().forEach(t => t.stop()); _stream = null; }
+  if (video) video.srcObject = null;
+}
+
+export function closeScanner() {
+  stopStream();
+  if (overlay) overlay.style.display = 'none';
+}
+
+if (scanBtn && isScannerSupported()) {
+  scanBtn.style.display = '';
+  scanBtn.addEventListener('click', openScanner);
+}
+cancelBtn?.addEventListener('click', closeScanner);
+document.addEventListener('keydown', (e) => {
+  if (e.key === 'Escape' && isOpen()) { e.stopPropagation(); closeScanner(); }
+});
+// Release the camera when the app is backgrounded
+document.addEventListener('visibilitychange', () => {
+  if (document.hidden && isOpen()) closeScanner();
+});
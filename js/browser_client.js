@@ -2,9 +2,15 @@
 // Uses WebCrypto for AES-256-GCM; no Arweave JWK required.
 // Layout of encrypted payload: iv(12) | tag(16) | ciphertext (matches Node implementation)
 
-import { hexToBytes, base64ToBytes, bytesToBase64, importAesKey, encryptJsonToBytes, decryptBytesToJson } from './core/crypto_core.js';
-import { searchBookEntries, computeLiveSets as coreComputeLiveSets } from './core/arweave_query.js';
+import { hexToBytes, base64ToBytes, bytesToBase64, importAesKey, encryptJsonToBytes } from './core/crypto_core.js';
+import { BATCH_SCHEMA } from './core/arweave_query.js';
+import { SNAPSHOT_SCHEMA, SNAPSHOT_VERSION } from './core/snapshot_core.js';
 import { resizeImage, blobToBase64 } from './core/image_utils.js';
+import { createReadClient } from './core/read_client.js';
+import { SHELF_SCHEMA } from './core/shelf_core.js';
+import { READING_SCHEMA, SCHEMA_VERSIONS, stampPayload, assertValidPayload } from './core/schema_core.js';
+import { COVER_SCHEMA, buildCoverRecord, hashCoverBase64 } from './core/cover_core.js';
+import { singleKeyring } from './core/keyring_core.js';
 
 /**
  * Derive a stable bookId for a reading event.
@@ -23,28 +29,30 @@ export async function deriveBookId({ isbn, title, author, edition, createdAt })
   return `hash:${hex}`;
 }
 
-export async function createBrowserClient({ jwk=null, symKeyHex, appName='bookish', schemaVersion='0.1.0', keyId='default' }={}){
-  if(!symKeyHex) throw new Error('missing symKeyHex');
-  const symKey = hexToBytes(symKeyHex.trim());
+// Uploads are encrypted with the keyring's active key and tagged with its Key-Id;
+// reads pick the key by Key-Id (see core/keyring_core.js). A lone symKeyHex is
+// a keyring of one key named keyId.
+export async function createBrowserClient({ jwk=null, symKeyHex, keyring=null, appName='bookish', schemaVersion='0.1.0', keyId='default' }={}){
+  if(!keyring){
+    if(!symKeyHex) throw new Error('missing symKeyHex');
+    keyring = singleKeyring(symKeyHex.trim(), keyId);
+  }
+  keyId = keyring.active;
+  const symKey = hexToBytes(keyring.keys[keyId].trim());
   const aesKey = await importAesKey(symKey);
   // Identity: use EVM address derived from bookish.sym
   async function address(){ try{ return await (window.bookishWallet?.getAddress?.()); }catch{ return null; } }
+  // Gateway reads, decryption and GraphQL search (shared with the sync worker)
+  const reader = await createReadClient({ keyring, appName, getAddress: address });
 
   function encJson(obj){
     return encryptJsonToBytes(aesKey, obj);
   }
-  async function decBytes(bytes){
-    try {
-      return await decryptBytesToJson(aesKey, bytes);
-    } catch(e) {
-      throw new Error('decrypt failed');
-    }
-  }
 
-  function addCommonTags(tx){
+  function addCommonTags(tx, schemaName='reading'){
     tx.addTag('App-Name', appName);
-    tx.addTag('Schema-Name', 'reading');
-    tx.addTag('Schema-Version', schemaVersion);
+    tx.addTag('Schema-Name', schemaName);
+    tx.addTag('Schema-Version', SCHEMA_VERSIONS[schemaName] || schemaVersion);
     tx.addTag('Visibility', 'private');
     tx.addTag('Enc', 'aes-256-gcm');
     tx.addTag('Key-Id', keyId);
@@ -59,8 +67,7 @@ export async function createBrowserClient({ jwk=null, symKeyHex, appName='bookis
 
   // Estimate encrypted payload size for a prospective entry (AES-GCM adds 12 iv + 16 tag)
   async function estimateEntryBytes(entry){
-    const e = { ...entry };
-    e.schema='reading'; e.version='0.1.0';
+    const e = stampPayload({ ...entry }, READING_SCHEMA);
     if(!e.bookId){ e.bookId = await deriveBookId(e); }
     const pt = new TextEncoder().encode(JSON.stringify(e));
     return 12 + 16 + pt.length; // iv + tag + ciphertext
@@ -70,49 +77,75 @@ export async function createBrowserClient({ jwk=null, symKeyHex, appName='bookis
   // Proxy limit is 102400. Keep encrypted payload under 95000 to be safe.
   const MAX_ENCRYPTED_BYTES = 95000;
 
-  async function uploadEntry(entry,{ extraTags=[], skipFee }={}){
-    entry.schema='reading'; entry.version='0.1.0';
+  // Stamp schema + bookId, validate and encrypt. Covers go up separately
+  // (uploadCover); the entry only carries the reference.
+  async function encodeEntry(entry){
+    if(entry.coverImage){ const e = new Error('Cover must be uploaded before the entry'); e.code='cover-not-uploaded'; throw e; }
+    stampPayload(entry, READING_SCHEMA);
     if(!entry.bookId){ entry.bookId = await deriveBookId(entry); }
-    if(entry.coverImage){
-      if(!entry.mimeType){
-        try { const raw = base64ToBytes(entry.coverImage); const mt = detectMime(raw); if(mt) entry.mimeType = mt; } catch{}
-      }
-      if(!entry.mimeType) throw new Error('coverImage mimeType missing');
+    await assertValidPayload(entry);
+    return encJson(entry);
+  }
+
+  // Encrypt a cover record, shrinking the image if it's over the upload limit.
+  // Returns the (possibly re-compressed) cover with its payload.
+  async function encodeCover({ data, mimeType, hash }){
+    if(!mimeType){
+      try { mimeType = detectMime(base64ToBytes(data)); } catch{}
+      if(!mimeType) throw new Error('cover mimeType missing');
     }
-    let payload = await encJson(entry);
-    if(payload.byteLength > MAX_ENCRYPTED_BYTES && entry.coverImage){
-      console.warn('[Bookish:Upload] Payload too large (' + payload.byteLength + 'B), attempting cover re-compression');
+    if(!hash) hash = await hashCoverBase64(data);
+    const record = stampPayload(buildCoverRecord({ data, mimeType, hash }), COVER_SCHEMA);
+    await assertValidPayload(record);
+    let payload = await encJson(record);
+    if(payload.byteLength > MAX_ENCRYPTED_BYTES){
+      console.warn('[Bookish:Upload] Cover too large (' + payload.byteLength + 'B), attempting re-compression');
       const recompressSteps = [
         { maxWidth: 300, maxHeight: 450, quality: 0.5 },
         { maxWidth: 200, maxHeight: 300, quality: 0.35 },
       ];
       for(const opts of recompressSteps){
-        try {
-          const raw = base64ToBytes(entry.coverImage);
-          const blob = new Blob([raw], { type: entry.mimeType || 'image/jpeg' });
-          const { blob: smaller } = await resizeImage(blob, opts);
-          const dataUrl = await blobToBase64(smaller);
-          entry.coverImage = dataUrl.split(',')[1];
-          entry.mimeType = smaller.type || 'image/jpeg';
-          payload = await encJson(entry);
-          console.info('[Bookish:Upload] Re-compressed cover (' + payload.byteLength + 'B) with', opts);
-          if(payload.byteLength <= MAX_ENCRYPTED_BYTES) break;
-        } catch(e){
-          console.warn('[Bookish:Upload] Cover re-compression failed:', e?.message || e);
-          break;
-        }
-      }
-      if(payload.byteLength > MAX_ENCRYPTED_BYTES){
-        console.warn('[Bookish:Upload] Still too large after re-compression (' + payload.byteLength + 'B), stripping cover');
-        delete entry.coverImage; delete entry.mimeType;
-        payload = await encJson(entry);
+        const blob = new Blob([base64ToBytes(record.data)], { type: record.mimeType });
+        const { blob: smaller } = await resizeImage(blob, opts);
+        const dataUrl = await blobToBase64(smaller);
+        record.data = dataUrl.split(',')[1];
+        record.mimeType = smaller.type || 'image/jpeg';
+        record.hash = await hashCoverBase64(record.data);
+        payload = await encJson(record);
+        console.info('[Bookish:Upload] Re-compressed cover (' + payload.byteLength + 'B) with', opts);
+        if(payload.byteLength <= MAX_ENCRYPTED_BYTES) break;
       }
+      if(payload.byteLength > MAX_ENCRYPTED_BYTES){ const e = new Error('Cover image is too large to upload'); e.code='cover-too-large'; throw e; }
     }
+    return { payload, cover: { hash: record.hash, mimeType: record.mimeType, data: record.data } };
+  }
+
+  // Tags on a batch bundle make it findable by the owner's sync query even when
+  // the gateway hasn't indexed the items inside. The bundle itself isn't encrypted.
+  async function batchTags(count){
+    const tags = [
+      { name:'App-Name', value: appName },
+      { name:'Schema-Name', value: BATCH_SCHEMA },
+      { name:'Schema-Version', value: schemaVersion },
+      { name:'Visibility', value:'private' },
+      { name:'Item-Count', value: String(count) }
+    ];
+    try{ const pubAddr = await (window.bookishWallet?.getAddress?.()); if(pubAddr) tags.push({ name:'Pub-Addr', value: String(pubAddr).toLowerCase() }); }catch{}
+    return tags;
+  }
+
+  async function entryTags(extraTags=[], schemaName='reading'){
     const tags = [];
     // Build tags array in a portable form for proxy (and we also add to tx for direct path)
-    addCommonTags({ addTag: (n,v)=> tags.push({ name:n, value:v }) });
+    addCommonTags({ addTag: (n,v)=> tags.push({ name:n, value:v }) }, schemaName);
     try{ const pubAddr = await (window.bookishWallet?.getAddress?.()); if(pubAddr) tags.push({ name:'Pub-Addr', value: String(pubAddr).toLowerCase() }); }catch{}
     extraTags.forEach(t=> tags.push({ name:t.name, value:t.value }));
+    return tags;
+  }
+
+  async function uploadEntry(entry,{ extraTags=[], skipFee }={}){
+    const payload = await encodeEntry(entry);
+    const tags = await entryTags(extraTags);
 
     const isEdit = extraTags.some(t => t.name === 'Prev' && t.value);
     const shouldSkipFee = skipFee !== undefined ? skipFee : isEdit;
@@ -125,28 +158,107 @@ export async function createBrowserClient({ jwk=null, symKeyHex, appName='bookis
     } catch(err){ throw err; }
   }
 
-  async function fetchBytes(txid){
-    try {
-      const rT = await fetch(`https://turbo-gateway.com/${txid}`);
-      if (rT.ok){
-        window.bookishNet = window.bookishNet||{reads:{arweave:0, turbo:0, errors:0}};
-        window.bookishNet.reads.turbo++; if(window.BOOKISH_DEBUG) console.debug('[Bookish] read from Turbo', txid);
-        return new Uint8Array(await rT.arrayBuffer());
-      }
-    } catch{ /* ignore */ }
+  // Bundle budget: per-item data item header + bundle index is ~600 bytes on top of the payload
+  const MAX_BUNDLE_BYTES = 95000;
+  const BUNDLE_ITEM_OVERHEAD = 600;
+
+  // Upload many entries as ANS-104 bundles: one request and one fee per bundle.
+  // Entries are packed greedily under the proxy limit. Returns one { txid } per entry in
+  // input order; an entry that can't be encoded (invalid-payload) gets { error } instead
+  // and the rest still go out.
+  async function uploadEntries(entries,{ extraTagsList=[], skipFee=false }={}){
+    const results = new Array(entries.length);
+    const items = [];
+    for(let i=0;i<entries.length;i++){
+      try { items.push({ i, data: await encodeEntry(entries[i]), tags: await entryTags(extraTagsList[i] || []) }); }
+      catch(err){ results[i] = { txid: null, error: err }; }
+    }
+    return uploadItems(items, results, { skipFee });
+  }
+
+  // Upload encoded items ({ i, data, tags }) in bundles, filling results[i].
+  // On failure err.partial holds the results up to the first item not uploaded.
+  async function uploadItems(items, results, { skipFee }){
+    if(!window.bookishUpload) try { await import('./turbo_client.js'); } catch {}
+    if(!window.bookishUpload?.uploadBundle) { const e = new Error('Upload client required'); e.code='upload-required'; throw e; }
+    const groups = [];
+    let cur = [], bytes = 0;
+    for(const item of items){
+      const size = item.data.byteLength + BUNDLE_ITEM_OVERHEAD;
+      if(cur.length && bytes + size > MAX_BUNDLE_BYTES){ groups.push(cur); cur = []; bytes = 0; }
+      cur.push(item); bytes += size;
+    }
+    if(cur.length) groups.push(cur);
+
     try {
-      const rA = await fetch(`https://arweave.net/${txid}`);
-      if (rA.ok){
-        window.bookishNet = window.bookishNet||{reads:{arweave:0, turbo:0, errors:0}};
-        window.bookishNet.reads.arweave++; if(window.BOOKISH_DEBUG) console.debug('[Bookish] read from Arweave', txid);
-        return new Uint8Array(await rA.arrayBuffer());
+      for(const group of groups){
+        if(group.length === 1){
+          const res = await window.bookishUpload.upload(group[0].data, group[0].tags, { skipFee });
+          results[group[0].i] = { txid: res.id, status: 200 };
+        } else {
+          const res = await window.bookishUpload.uploadBundle(group, { skipFee, tags: await batchTags(group.length) });
+          res.ids.forEach((id, k) => { results[group[k].i] = { txid: id, status: 200, bundleId: res.id }; });
+        }
       }
-    } catch{ /* ignore */ }
-    window.bookishNet = window.bookishNet||{reads:{arweave:0, turbo:0, errors:0}};
-    window.bookishNet.reads.errors++; if(window.BOOKISH_DEBUG) console.debug('[Bookish] read failed', txid);
-    throw new Error('fetch '+txid+': turbo+arweave failed');
+    } catch(err){
+      // Earlier bundles may already be on Arweave; let the caller keep them
+      const upTo = results.findIndex(r => !r);
+      err.partial = upTo < 0 ? results : results.slice(0, upTo);
+      throw err;
+    }
+    return results;
+  }
+
+  // Covers are their own records (Schema-Name=cover), uploaded once per image
+  // and shared by every entry that shows it. Returns { txid, hash, mimeType, data };
+  // hash and data differ from the input when the image had to be shrunk.
+  async function uploadCover(cover){
+    const { payload, cover: uploaded } = await encodeCover(cover);
+    const tags = await entryTags([], COVER_SCHEMA);
+    if(!window.bookishUpload) try { await import('./turbo_client.js'); } catch {}
+    if(!window.bookishUpload) { const e = new Error('Upload client required'); e.code='upload-required'; throw e; }
+    const res = await window.bookishUpload.upload(payload, tags, { skipFee: true });
+    return { txid: res.id, ...uploaded };
+  }
+
+  // Decrypt a cover record: { hash, mimeType, data }
+  async function fetchCover(txid){
+    const rec = await reader.decryptTx(txid);
+    if(rec?.schema !== COVER_SCHEMA || !rec.data) throw new Error('Not a cover record: ' + txid);
+    return { hash: rec.hash, mimeType: rec.mimeType, data: rec.data };
+  }
+
+  // Shelf records share the entry tagging (Schema-Name=shelf) and the Prev edit chain
+  async function uploadShelf(shelf,{ prevTxid }={}){
+    const record = stampPayload({ ...shelf }, SHELF_SCHEMA);
+    await assertValidPayload(record);
+    const payload = await encJson(record);
+    const tags = await entryTags(prevTxid ? [{ name:'Prev', value: prevTxid }] : [], 'shelf');
+    if(!window.bookishUpload) try { await import('./turbo_client.js'); } catch {}
+    if(!window.bookishUpload) { const e = new Error('Upload client required'); e.code='upload-required'; throw e; }
+    const res = await window.bookishUpload.upload(payload, tags, { skipFee: !!prevTxid });
+    return { txid: res.id, status: 200 };
+  }
+
+  // Snapshot parts are sync infrastructure rather than new library content, so
+  // like tombstones they go up without the per-entry fee. Returns part txids in order.
+  async function uploadSnapshot(parts,{ snapshotId, height }){
+    if(!window.bookishUpload) try { await import('./turbo_client.js'); } catch {}
+    if(!window.bookishUpload) { const e = new Error('Upload client required'); e.code='upload-required'; throw e; }
+    const txids = [];
+    for(let i=0;i<parts.length;i++){
+      const payload = await encJson({ schema: SNAPSHOT_SCHEMA, version: SNAPSHOT_VERSION, snapshotId, height, part: i, parts: parts.length, items: parts[i] });
+      const tags = await entryTags([
+        { name:'Snapshot-Id', value: snapshotId },
+        { name:'Snapshot-Height', value: String(height) },
+        { name:'Part', value: String(i) },
+        { name:'Parts', value: String(parts.length) }
+      ], SNAPSHOT_SCHEMA);
+      const res = await window.bookishUpload.upload(payload, tags, { skipFee: true });
+      txids.push(res.id);
+    }
+    return txids;
   }
-  async function decryptTx(txid){ const bytes = await fetchBytes(txid); return decBytes(bytes); }
 
   // --- Availability probes (best-effort; cached per session) ---
   const availCache = new Map();
@@ -180,28 +292,31 @@ export async function createBrowserClient({ jwk=null, symKeyHex, appName='bookis
   window.bookishNet.probeAvailability = probeAvailability;
   window.bookishNet.forceProbe = async (txid)=>{ availCache.delete(txid); return probeAvailability(txid); };
 
-  async function searchByOwner(owner, { limit = 25, cursor } = {}) {
-    const pub = (await (window.bookishWallet?.getAddress?.()))?.toLowerCase();
-    if (!pub && !owner) return { edges: [], pageInfo: { hasNextPage: false } };
-    return searchBookEntries(pub, { owner, limit, cursor, appName });
-  }
-
-  function computeLiveSets(allEdges) {
-    return coreComputeLiveSets(allEdges);
-  }
-
-  async function tombstone(priorTxid,{ note }={}){
-    const content = await encJson({ op:'tombstone', ref:priorTxid, note:note||'' });
-    const tags = []; addCommonTags({ addTag:(n,v)=>tags.push({name:n,value:v}) });
+  async function encodeTombstone(priorTxid, note, schemaName){
+    const data = await encJson({ op:'tombstone', ref:priorTxid, note:note||'' });
+    const tags = []; addCommonTags({ addTag:(n,v)=>tags.push({name:n,value:v}) }, schemaName);
     tags.push({ name:'Op', value:'tombstone' }); tags.push({ name:'Ref', value: priorTxid });
     try{ const pubAddr = await (window.bookishWallet?.getAddress?.()); if(pubAddr) tags.push({ name:'Pub-Addr', value: String(pubAddr).toLowerCase() }); }catch{}
+    return { data, tags };
+  }
+
+  async function tombstone(priorTxid,{ note, schemaName='reading' }={}){
+    const { data, tags } = await encodeTombstone(priorTxid, note, schemaName);
     if(!window.bookishUpload) try { await import('./turbo_client.js'); } catch {}
     if(!window.bookishUpload) { const e = new Error('Upload client required'); e.code='upload-required'; throw e; }
-    const res = await window.bookishUpload.upload(content, tags, { skipFee: true });
+    const res = await window.bookishUpload.upload(data, tags, { skipFee: true });
     return { txid: res.id, status: 200 };
   }
 
-  return { address, uploadEntry, decryptTx, searchByOwner, computeLiveSets, tombstone, estimateEntryBytes };
+  // Tombstones for many records, bundled like uploadEntries (bulk delete).
+  // Returns one { txid } per priorTxid in order; err.partial as for uploadEntries.
+  async function tombstones(priorTxids,{ note, schemaName='reading' }={}){
+    const items = [];
+    for(let i=0;i<priorTxids.length;i++) items.push({ i, ...await encodeTombstone(priorTxids[i], note, schemaName) });
+    return uploadItems(items, new Array(priorTxids.length), { skipFee: true });
+  }
+
+  return { address, keyId, keyIds: reader.keyIds, uploadEntry, uploadEntries, uploadCover, fetchCover, uploadShelf, uploadSnapshot, decryptTx: reader.decryptTx, decryptBytes: reader.decryptBytes, fetchTxBytes: reader.fetchTxBytes, searchByOwner: reader.searchByOwner, computeLiveSets: reader.computeLiveSets, tombstone, tombstones, estimateEntryBytes };
 }
 
 // Convenience global for ad-hoc debugging
@@ -213,8 +328,7 @@ window.bookishEstimate.entryBytes = async (entry)=>{
     // Need a client instance to access estimator; re-create minimal for AES key path
     if(typeof createBrowserClient!=='function') return null;
     // The estimator here is independent, but we can reuse deriveBookId directly
-    const e = { ...entry };
-    e.schema='reading'; e.version='0.1.0';
+    const e = stampPayload({ ...entry }, READING_SCHEMA);
     if(!e.bookId){ e.bookId = await deriveBookId(e); }
     const pt = new TextEncoder().encode(JSON.stringify(e));
     return 12 + 16 + pt.length;
@@ -0,0 +1,148 @@
+// bulk_select.js - Multi-select mode on the card grid with bulk actions
+// While selecting, tapping a card toggles it instead of opening the modal; the
+// bulk bar changes status, adds/removes a tag, sets owned or deletes the whole
+// selection through BookRepository.updateMany / deleteMany.
+
+import { READING_STATUS } from './core/book_repository.js';
+import { TRASH_RETENTION_DAYS } from './core/trash_core.js';
+import { statusPatch, addTagPatch, removeTagPatch, ownedPatch, normalizeTag } from './core/bulk_core.js';
+
+const selectBtn = document.getElementById('selectBtn');
+const cardsEl = document.getElementById('cards');
+const bulkBar = document.getElementById('bulkBar');
+const bulkCount = document.getElementById('bulkCount');
+const bulkStatus = document.getElementById('bulkStatus');
+const bulkTagInput = document.getElementById('bulkTagInput');
+
+const STATUS_LABELS = {
+  [READING_STATUS.WANT_TO_READ]: 'Want to Read',
+  [READING_STATUS.READING]: 'Currently Reading',
+  [READING_STATUS.READ]: 'Read'
+};
+
+let _repo = null;
+let _notify = null;
+let _selecting = false;
+const _selected = new Set();
+
+function plural(n) { return `${n} book${n === 1 ? '' : 's'}`; }
+
+function updateBar() {
+  if (!bulkBar) return;
+  bulkBar.hidden = !_selecting;
+  if (bulkCount) bulkCount.textContent = _selected.size ? `${_selected.size} selected` : 'Tap books to select';
+  bulkBar.querySelectorAll('[data-bulk]').forEach(btn => {
+    if (btn.dataset.bulk !== 'all' && btn.dataset.bulk !== 'done') btn.disabled = !_selected.size;
+  });
+  if (bulkStatus) bulkStatus.disabled = !_selected.size;
+}
+
+/** Whether the card grid is in selection mode. */
+export function isBulkSelecting() { return _selecting; }
+
+/**
+ * Toggle one card's selection.
+ * @param {string} key - Card key (txid or local id)
+ */
+export function toggleBulkSelected(key) {
+  if (!key) return;
+  if (_selected.has(key)) _selected.delete(key); else _selected.add(key);
+  syncBulkSelection();
+}
+
+/**
+ * Reflect the selection on the rendered cards; keys no longer on the grid
+ * (filtered out, deleted) drop out of the selection. Call after render().
+ */
+export function syncBulkSelection() {
+  if (!cardsEl) return;
+  const onGrid = new Set();
+  for (const card of cardsEl.children) {
+    const key = card.dataset?.txid;
+    if (!key) continue;
+    onGrid.add(key);
+    card.classList.toggle('selected', _selecting && _selected.has(key));
+  }
+  for (const key of [..._selected]) if (!onGrid.has(key)) _selected.delete(key);
+  cardsEl.classList.toggle('selecting', _selecting);
+  updateBar();
+}
+
+export function startBulkSelect() {
+  _selecting = true;
+  _selected.clear();
+  if (selectBtn) selectBtn.setAttribute('aria-pressed', 'true');
+  syncBulkSelection();
+}
+
+export function stopBulkSelect() {
+  _selecting = false;
+  _selected.clear();
+  if (selectBtn) selectBtn.setAttribute('aria-pressed', 'false');
+  if (bulkTagInput) bulkTagInput.value = '';
+  syncBulkSelection();
+}
+
+function selectAll() {
+  if (!cardsEl) return;
+  const keys = [...cardsEl.children].map(c => c.dataset?.txid).filter(Boolean);
+  const all = keys.every(k => _selected.has(k));
+  if (all) _selected.clear(); else keys.forEach(k => _selected.add(k));
+  syncBulkSelection();
+}
+
+// Runs a bulk edit; keys change as edits upload, so the selection ends here
+async function runUpdate(change, doneMessage) {
+  const keys = [..._selected];
+  stopBulkSelect();
+  const { updated } = await _repo.updateMany(keys, change);
+  _notify?.(updated.length ? doneMessage(updated.length) : 'Nothing to change');
+}
+
+async function runAction(action) {
+  if (!_repo || !_selected.size) return;
+  const n = _selected.size;
+  if (action === 'tag-add' || action === 'tag-remove') {
+    const tag = normalizeTag(bulkTagInput?.value);
+    if (!tag) { bulkTagInput?.focus(); return; }
+    if (action === 'tag-add') await runUpdate(e => addTagPatch(e, tag), c => `Tagged ${plural(c)} “${tag}”`);
+    else await runUpdate(e => removeTagPatch(e, tag), c => `Removed “${tag}” from ${plural(c)}`);
+  } else if (action === 'owned' || action === 'not-owned') {
+    const owned = action === 'owned';
+    await runUpdate(e => ownedPatch(e, owned), c => `Marked ${plural(c)} as ${owned ? 'owned' : 'not owned'}`);
+  } else if (action === 'delete') {
+    if (!confirm(`Delete ${plural(n)}? ${n === 1 ? 'It stays' : 'They stay'} in Trash for ${TRASH_RETENTION_DAYS} days.`)) return;
+    const keys = [..._selected];
+    stopBulkSelect();
+    const { deleted } = await _repo.deleteMany(keys);
+    if (deleted.length) _notify?.(`Moved ${plural(deleted.length)} to Trash`);
+  }
+}
+
+/**
+ * Wire selection mode to a BookRepository.
+ * @param {import('./core/book_repository.js').BookRepository} repo
+ * @param {{ notify?: Function }} [opts] - notify(message) shows a status toast
+ */
+export function initBulkSelect(repo, { notify } = {}) {
+  _repo = repo;
+  _notify = notify;
+}
+
+selectBtn?.addEventListener('click', () => { if (_selecting) stopBulkSelect(); else startBulkSelect(); });
+bulkBar?.addEventListener('click', (ev) => {
+  const btn = ev.target.closest('[data-bulk]');
+  if (!btn || btn.disabled) return;
+  if (btn.dataset.bulk === 'done') stopBulkSelect();
+  else if (btn.dataset.bulk === 'all') selectAll();
+  else runAction(btn.dataset.bulk);
+});
+bulkStatus?.addEventListener('change', () => {
+  const status = bulkStatus.value;
+  bulkStatus.value = '';
+  if (!status || !_repo || !_selected.size) return;
+  runUpdate(e => statusPatch(e, status), c => `Moved ${plural(c)} to ${STATUS_LABELS[status]}`);
+});
+bulkTagInput?.addEventListener('keydown', (e) => {
+  if (e.key === 'Enter') { e.preventDefault(); runAction('tag-add'); }
+});
@@ -1,122 +1,279 @@
 // cache.js - IndexedDB based local cache & sync layer
-import { computeContentHash as coreComputeContentHash, detectDuplicate as coreDetectDuplicate, applyRemote as coreApplyRemote, compactDuplicates as coreCompactDuplicates } from './core/cache_core.js';
+// One connection is opened per page and reused; it closes itself when another
+// tab upgrades the database and is reopened on next use. Entry lookups go
+// through indexes (txid, contentHash, bookId, status, readingStatus) and a
+// sync diff is written in a single transaction.
+// Cover images live in their own store, keyed by content hash; entry records
+// keep only the reference (coverHash / coverTxid, see cover_core.js). An image
+// still inline in an entry (picked by the user, or from a version written
+// before covers had records) moves there as the entry is written.
+import { computeContentHash as coreComputeContentHash, applyRemote as coreApplyRemote, compactDuplicates as coreCompactDuplicates, toEntryDiff, patchApplies, replaceApplies, patchEntry } from './core/cache_core.js';
+import { hashCoverBytes } from './core/cover_core.js';
+import { base64ToBytes } from './core/crypto_core.js';
 
 (function(){
   const DB_NAME='bookish';
-  const DB_VERSION=1;
   const ENTRY_STORE='entries';
-  const OPS_STORE='ops'; // future use (queued mutations)
+  const OPS_STORE='ops'; // queued mutations
+  const SHELF_STORE='shelves'; // custom shelves, keyed by shelfId
+  const META_STORE='meta'; // small sync state records (e.g. the incremental sync cursor), keyed by key
+  const COVER_STORE='covers'; // { hash, txid, mimeType, blob } per cover image, keyed by hash
+  const COVERS_MOVED_KEY='coversMoved'; // meta: inline covers of older records were moved to COVER_STORE
+
+  function ensureIndex(store, name, opts={ unique:false }){ if(!store.indexNames.contains(name)) store.createIndex(name, name, opts); }
+
+  // Schema upgrade steps: a database at version v runs every step after it
+  const UPGRADES=[
+    // 1: entries and the ops queue
+    (db)=>{
+      if(!db.objectStoreNames.contains(ENTRY_STORE)){
+        const s=db.createObjectStore(ENTRY_STORE,{keyPath:'id'});
+        s.createIndex('txid','txid',{unique:true});
+        s.createIndex('contentHash','contentHash',{unique:false});
+      }
+      if(!db.objectStoreNames.contains(OPS_STORE)) db.createObjectStore(OPS_STORE,{keyPath:'id'});
+    },
+    // 2: custom shelves
+    (db)=>{ if(!db.objectStoreNames.contains(SHELF_STORE)) db.createObjectStore(SHELF_STORE,{keyPath:'shelfId'}); },
+    // 3: sync state
+    (db)=>{ if(!db.objectStoreNames.contains(META_STORE)) db.createObjectStore(META_STORE,{keyPath:'key'}); },
+    // 4: entry lookups without full scans
+    (db, tx)=>{
+      const s=tx.objectStore(ENTRY_STORE);
+      ensureIndex(s, 'bookId');
+      ensureIndex(s, 'status');
+      ensureIndex(s, 'readingStatus');
+    },
+    // 5: cover images (entries written before it are moved over by initCache)
+    (db)=>{ if(!db.objectStoreNames.contains(COVER_STORE)) db.createObjectStore(COVER_STORE,{keyPath:'hash'}); }
+  ];
+  const DB_VERSION=UPGRADES.length;
 
   function openDB(){
     return new Promise((res,rej)=>{
       const req=indexedDB.open(DB_NAME, DB_VERSION);
       req.onupgradeneeded=e=>{
-        const db=req.result;
-        if(!db.objectStoreNames.contains(ENTRY_STORE)){
-          const s=db.createObjectStore(ENTRY_STORE,{keyPath:'id'});
-          s.createIndex('txid','txid',{unique:true});
-          s.createIndex('contentHash','contentHash',{unique:false});
-        }
-        if(!db.objectStoreNames.contains(OPS_STORE)){
-          db.createObjectStore(OPS_STORE,{keyPath:'id'});
-        }
+        console.log('[Bookish:Cache] Upgrading database from version', e.oldVersion, 'to', DB_VERSION);
+        for(let v=e.oldVersion; v<DB_VERSION; v++) UPGRADES[v](req.result, req.transaction);
       };
+      req.onblocked=()=>console.warn('[Bookish:Cache] Database upgrade waiting for another tab to close');
       req.onsuccess=()=>res(req.result);
       req.onerror=()=>rej(req.error);
     });
   }
 
-  async function withStore(mode, storeName, fn){
-    const db=await openDB();
+  let dbPromise=null;
+  function getDB(){
+    if(!dbPromise){
+      dbPromise=openDB().then(db=>{
+        // Another tab is upgrading: step aside and reopen on next use
+        db.onversionchange=()=>{ db.close(); dbPromise=null; };
+        db.onclose=()=>{ dbPromise=null; };
+        return db;
+      }).catch(err=>{ dbPromise=null; throw err; });
+    }
+    return dbPromise;
+  }
+
+  // fn(tx) runs synchronously inside the transaction and may await requests
+  // (see req()); resolves with its result once the transaction commits
+  async function withTx(mode, storeNames, fn){
+    const db=await getDB();
     return new Promise((res,rej)=>{
-      const tx=db.transaction(storeName, mode);
-      tx.onabort=()=>rej(tx.error);
-      tx.onerror=()=>rej(tx.error);
-      const store=tx.objectStore(storeName);
-      Promise.resolve(fn(store)).then(val=>{ tx.oncomplete=()=>res(val); }).catch(rej);
+      const tx=db.transaction(storeNames, mode);
+      let result;
+      tx.oncomplete=()=>res(result);
+      tx.onabort=()=>rej(tx.error || new Error('Transaction aborted'));
+      let out;
+      try{ out=fn(tx); }catch(err){ try{ tx.abort(); }catch{} rej(err); return; }
+      Promise.resolve(out).then(v=>{ result=v; }, err=>{ try{ tx.abort(); }catch{} rej(err); });
     });
   }
+  function withStore(mode, storeName, fn){ return withTx(mode, storeName, tx=> fn(tx.objectStore(storeName))); }
+  function req(r){ return new Promise((res,rej)=>{ r.onsuccess=()=>res(r.result); r.onerror=()=>rej(r.error); }); }
 
   async function computeContentHash(entry){ return coreComputeContentHash(entry); }
   async function ensureContentHash(e){ if(!e.contentHash || !e.contentHash.startsWith('sha256-')){ e.contentHash=await computeContentHash(e); } return e; }
-  async function putEntry(e){ await ensureContentHash(e); return withStore('readwrite', ENTRY_STORE, store=> store.put(e)); }
-  async function bulkPut(entries){ return withStore('readwrite', ENTRY_STORE, store=>{ entries.forEach(async e=>{ await ensureContentHash(e); store.put(e); }); }); }
-  async function findByContentHash(h){ if(!h) return null; return withStore('readonly', ENTRY_STORE, store=> new Promise(r=>{ const idx=store.index('contentHash'); let found=null; const req=idx.openCursor(); req.onsuccess=e=>{ const cur=e.target.result; if(cur){ if(cur.value.contentHash===h){ found=cur.value; r(found); return; } cur.continue(); } else r(found); }; })); }
-  async function getAllActive(){
-    return withStore('readonly', ENTRY_STORE, store=>{
-      return new Promise(r=>{
-        const entries=[]; const req=store.openCursor();
-        req.onsuccess=e=>{ const cur=e.target.result; if(cur){ if(cur.value.status!=='tombstoned') entries.push(cur.value); cur.continue(); } else r(entries); };
-      });
+
+  // Take an entry's inline image out (in place) as a cover record; an entry
+  // that already references an uploaded cover yields the hash -> txid mapping
+  async function takeCover(e){
+    if(!e.coverImage) return e.coverHash && e.coverTxid ? { hash:e.coverHash, txid:e.coverTxid, mimeType:e.mimeType||null } : null;
+    const bytes=base64ToBytes(e.coverImage);
+    const mimeType=e.mimeType||'image/jpeg';
+    e.coverHash=await hashCoverBytes(bytes);
+    e.mimeType=mimeType;
+    delete e.coverImage; delete e.hasCover;
+    return { hash:e.coverHash, txid:e.coverTxid||null, mimeType, blob:new Blob([bytes],{ type:mimeType }) };
+  }
+  async function takeCovers(entries){ return (await Promise.all(entries.map(takeCover))).filter(Boolean); }
+  // Merge into the stored record: a txid or image once known is kept
+  async function storeCover(store, rec){
+    const cur=await req(store.get(rec.hash));
+    return req(store.put({ hash:rec.hash, txid:rec.txid||cur?.txid||null, mimeType:rec.mimeType||cur?.mimeType||null, blob:rec.blob||cur?.blob||null }));
+  }
+  async function storeCovers(tx, covers){ for(const c of covers) await storeCover(tx.objectStore(COVER_STORE), c); }
+
+  async function putEntry(e){
+    const covers=await takeCovers([e]);
+    await ensureContentHash(e);
+    return withTx('readwrite', [ENTRY_STORE, COVER_STORE], async tx=>{ await storeCovers(tx, covers); return req(tx.objectStore(ENTRY_STORE).put(e)); });
+  }
+  async function bulkPut(entries){
+    const covers=await takeCovers(entries);
+    for(const e of entries) await ensureContentHash(e);
+    return withTx('readwrite', [ENTRY_STORE, COVER_STORE], async tx=>{
+      await storeCovers(tx, covers);
+      const store=tx.objectStore(ENTRY_STORE);
+      for(const e of entries) store.put(e);
     });
   }
+  async function findByContentHash(h){ if(!h) return null; return withStore('readonly', ENTRY_STORE, store=> req(store.index('contentHash').get(h)).then(r=> r||null)); }
+  async function getAllActive(){ return (await listAllRaw()).filter(e=> e.status!=='tombstoned'); }
   async function markTombstoned(txid){ if(!txid) return; const rec=await findByTxid(txid); if(rec){ rec.status='tombstoned'; rec.tombstonedAt=Date.now(); await putEntry(rec); } }
   async function removeOldTombstones(days=7){
     const cutoff=Date.now()-days*86400000;
     return withStore('readwrite', ENTRY_STORE, store=> new Promise(r=>{
-      const req=store.openCursor();
-      req.onsuccess=e=>{ const cur=e.target.result; if(cur){ const v=cur.value; if(v.status==='tombstoned' && v.tombstonedAt && v.tombstonedAt<cutoff){ cur.delete(); } cur.continue(); } else r(); };
+      const cursorReq=store.index('status').openCursor(IDBKeyRange.only('tombstoned'));
+      cursorReq.onsuccess=e=>{ const cur=e.target.result; if(cur){ const v=cur.value; if(v.tombstonedAt && v.tombstonedAt<cutoff){ cur.delete(); } cur.continue(); } else r(); };
     }));
   }
 
+  // The records applyRemote can touch: same txid as a remote record, its Prev
+  // or a tombstone ref; same bookId; or pending (matched by content hash)
+  async function relatedEntries(remoteList, tombstones){
+    const txids=new Set([...remoteList.flatMap(r=> [r.txid, r.prevTxid]), ...(tombstones||[]).map(t=> t.ref)].filter(Boolean));
+    const bookIds=new Set(remoteList.map(r=> r.bookId).filter(Boolean));
+    return withStore('readonly', ENTRY_STORE, async store=>{
+      const byId=new Map();
+      const keep=e=>{ if(e) byId.set(e.id, e); };
+      const txIdx=store.index('txid'), bookIdx=store.index('bookId');
+      await Promise.all([
+        ...[...txids].map(t=> req(txIdx.get(t)).then(keep)),
+        ...[...bookIds].map(b=> req(bookIdx.getAll(b)).then(list=> list.forEach(keep))),
+        req(store.index('status').getAll('pending')).then(list=> list.forEach(keep))
+      ]);
+      return [...byId.values()];
+    });
+  }
+
   async function applyRemote(remoteList, tombstones){
-    const localAll = await listAllRaw();
-    console.log('[Bookish:Cache] applyRemote: local entries:', localAll.length, 'remote:', remoteList.length, 'tombstones:', tombstones.length);
-    const result = await coreApplyRemote(remoteList, tombstones, localAll);
+    const local=await relatedEntries(remoteList, tombstones);
+    console.log('[Bookish:Cache] applyRemote: related local entries:', local.length, 'remote:', remoteList.length, 'tombstones:', tombstones.length);
+    const result = await coreApplyRemote(remoteList, tombstones, local);
     console.log('[Bookish:Cache] applyRemote result: add:', result.toAdd.length, 'replace:', result.toReplace.length, 'update:', result.toUpdate.length, 'tombstone:', result.toTombstone.length);
-
-    // Apply changes to IndexedDB
-    for(const entry of result.toUpdate){
-      await putEntry(entry);
-    }
-    for(const entry of result.toTombstone){
-      await putEntry(entry);
-    }
-    for(const { prevId, entry } of (result.toReplace || [])){
-      await deleteById(prevId);
-      await putEntry(entry);
+    return applyDiff(toEntryDiff(result, local));
+  }
+  // Write a finished entry diff (cache_core toEntryDiff), e.g. from the sync worker,
+  // in one transaction. It may be computed against an older view of the cache:
+  // patches and replaces skip records edited since, and remote records whose
+  // txid is already stored are left out.
+  async function applyDiff(diff){
+    // Hashing is async, so patched records are prepared before the write
+    // transaction and re-checked inside it
+    const current=await withStore('readonly', ENTRY_STORE, store=> Promise.all(diff.patch.map(p=> req(store.get(p.id)))));
+    const patched=[];
+    for(const [i, p] of diff.patch.entries()){
+      if(patchApplies(current[i], p)) patched.push({ patch: p, entry: await ensureContentHash(patchEntry(current[i], p.changes)) });
     }
-    if(result.toAdd.length) await bulkPut(result.toAdd);
+    for(const { entry } of diff.replace) await ensureContentHash(entry);
+    for(const entry of diff.add) await ensureContentHash(entry);
+    const covers=await takeCovers([...patched.map(p=> p.entry), ...diff.replace.map(r=> r.entry), ...diff.add]);
 
+    await withTx('readwrite', [ENTRY_STORE, COVER_STORE], async tx=>{
+      await storeCovers(tx, covers);
+      const store=tx.objectStore(ENTRY_STORE);
+      const txIdx=store.index('txid');
+      for(const { patch, entry } of patched){
+        if(patchApplies(await req(store.get(patch.id)), patch)) await req(store.put(entry));
+      }
+      for(const r of diff.replace){
+        if(await req(txIdx.getKey(r.entry.txid))) continue;
+        if(r.prevId){
+          if(!replaceApplies(await req(store.get(r.prevId)), r)) continue;
+          await req(store.delete(r.prevId));
+        }
+        await req(store.put(r.entry));
+      }
+      for(const entry of diff.add){
+        if(!(await req(txIdx.getKey(entry.txid)))) await req(store.put(entry));
+      }
+    });
     return getAllActive();
   }
-  async function detectDuplicate(payload){ const all=await listAllRaw(); return coreDetectDuplicate(payload, all); }
-  async function deleteById(id){ if(!id) return; return withStore('readwrite', ENTRY_STORE, store=> store.delete(id)); }
+  async function detectDuplicate(payload){
+    const hash=await computeContentHash(payload);
+    const matches=await withStore('readonly', ENTRY_STORE, store=> req(store.index('contentHash').getAll(hash)));
+    return matches.find(e=> e.status!=='tombstoned') || null;
+  }
+  async function deleteById(id){ if(!id) return; return withStore('readwrite', ENTRY_STORE, store=> req(store.delete(id))); }
   async function compactDuplicates(){
     const all=await listAllRaw();
     const result = coreCompactDuplicates(all);
-    for(const id of result.toDelete){
-      await deleteById(id);
-    }
+    if(!result.toDelete.length) return;
+    await withStore('readwrite', ENTRY_STORE, store=>{ for(const id of result.toDelete) store.delete(id); });
   }
-  async function replaceProvisional(oldId, rec){ if(oldId && oldId!==rec.id){ await deleteById(oldId); } await putEntry(rec); }
-  async function listAllRaw(){
-    return withStore('readonly', ENTRY_STORE, store=> new Promise(r=>{ const out=[]; const req=store.openCursor(); req.onsuccess=e=>{ const cur=e.target.result; if(cur){ out.push(cur.value); cur.continue(); } else r(out); }; }));
+  async function replaceProvisional(oldId, rec){
+    const covers=await takeCovers([rec]);
+    await ensureContentHash(rec);
+    return withTx('readwrite', [ENTRY_STORE, COVER_STORE], async tx=>{
+      await storeCovers(tx, covers);
+      const store=tx.objectStore(ENTRY_STORE);
+      if(oldId && oldId!==rec.id) store.delete(oldId);
+      store.put(rec);
+    });
   }
-  async function findByTxid(txid){ if(!txid) return null; return withStore('readonly', ENTRY_STORE, store=> new Promise(r=>{ const idx=store.index('txid'); const req=idx.get(txid); req.onsuccess=()=>r(req.result||null); req.onerror=()=>r(null); })); }
-  async function initCache(){ await openDB(); }
+  async function listAllRaw(){ return withStore('readonly', ENTRY_STORE, store=> req(store.getAll())); }
+  async function getById(id){ if(!id) return null; return withStore('readonly', ENTRY_STORE, store=> req(store.get(id)).then(r=> r||null, ()=> null)); }
+  async function findByTxid(txid){ if(!txid) return null; return withStore('readonly', ENTRY_STORE, store=> req(store.index('txid').get(txid)).then(r=> r||null, ()=> null)); }
+  async function initCache(){ await getDB(); await moveInlineCovers(); }
+
+  // Entries cached before the cover store existed still hold their image
+  async function moveInlineCovers(){
+    if(await getMeta(COVERS_MOVED_KEY)) return;
+    const inline=(await listAllRaw()).filter(e=> e.coverImage);
+    if(inline.length){
+      console.log('[Bookish:Cache] Moving', inline.length, 'inline covers to the cover store');
+      await bulkPut(inline);
+    }
+    await putMeta(COVERS_MOVED_KEY, true);
+  }
+
+  // --- Covers ---
+  async function getCover(hash){ if(!hash) return null; return withStore('readonly', COVER_STORE, store=> req(store.get(hash)).then(r=> r||null, ()=> null)); }
+  async function putCover(rec){ if(!rec?.hash) return; return withStore('readwrite', COVER_STORE, store=> storeCover(store, rec)); }
 
   // --- Ops queue (minimal) ---
   async function queueOp(op){
     if(!op.id) op.id='op-'+Date.now().toString(36)+Math.random().toString(36).slice(2,6);
     op.createdAt=op.createdAt||Date.now();
-    await withStore('readwrite', OPS_STORE, store=> store.put(op));
+    await withStore('readwrite', OPS_STORE, store=> req(store.put(op)));
     return op.id;
   }
   async function listOps(){
-    return withStore('readonly', OPS_STORE, store=> new Promise(r=>{ const out=[]; const req=store.openCursor(); req.onsuccess=e=>{ const cur=e.target.result; if(cur){ out.push(cur.value); cur.continue(); } else { out.sort((a,b)=>a.createdAt-b.createdAt); r(out); } }; }));
+    const out=await withStore('readonly', OPS_STORE, store=> req(store.getAll()));
+    return out.sort((a,b)=>a.createdAt-b.createdAt);
   }
-  async function removeOp(id){ if(!id) return; return withStore('readwrite', OPS_STORE, store=> store.delete(id)); }
+  async function removeOp(id){ if(!id) return; return withStore('readwrite', OPS_STORE, store=> req(store.delete(id))); }
+
+  // --- Shelves ---
+  async function listShelves(){ return withStore('readonly', SHELF_STORE, store=> req(store.getAll())); }
+  async function putShelf(shelf){ return withStore('readwrite', SHELF_STORE, store=> req(store.put(shelf))); }
+  async function deleteShelf(shelfId){ if(!shelfId) return; return withStore('readwrite', SHELF_STORE, store=> req(store.delete(shelfId))); }
+
+  // --- Meta ---
+  async function getMeta(key){ return withStore('readonly', META_STORE, store=> req(store.get(key)).then(r=> r ? r.value : null, ()=> null)); }
+  async function putMeta(key, value){ return withStore('readwrite', META_STORE, store=> req(store.put({ key, value }))); }
+
   async function clearAll(){
-    return withStore('readwrite', ENTRY_STORE, store=> new Promise(r=>{
-      const req=store.clear();
-      req.onsuccess=()=>r();
-      req.onerror=()=>r();
-    }));
+    const stores=[META_STORE, SHELF_STORE, ENTRY_STORE, COVER_STORE];
+    return withTx('readwrite', stores, tx=>{
+      for(const name of stores) tx.objectStore(name).clear();
+    });
   }
 
   window.bookishCache={
-    initCache,getAllActive,putEntry,bulkPut,applyRemote,findByTxid,markTombstoned,removeOldTombstones,listAllRaw,computeContentHash,detectDuplicate,deleteById,compactDuplicates,replaceProvisional,
-    queueOp,listOps,removeOp,clearAll
+    initCache,getAllActive,putEntry,bulkPut,applyRemote,applyDiff,findByTxid,markTombstoned,removeOldTombstones,listAllRaw,computeContentHash,detectDuplicate,deleteById,compactDuplicates,replaceProvisional,
+    queueOp,listOps,removeOp,listShelves,putShelf,deleteShelf,getMeta,putMeta,getCover,putCover,clearAll
   };
 })();
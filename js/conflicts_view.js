@@ -0,0 +1,165 @@
+// conflicts_view.js - Conflict inbox for books edited on two devices at once
+// Sync merges forked edits field by field (core/merge_core.js); fields both
+// devices changed differently are listed here. The user keeps one version or
+// picks a value per field, and the choice is saved through BookRepository.
+// Re-renders on the repository's 'change' event.
+
+import { HISTORY_FIELDS, formatFieldValue } from './core/history_core.js';
+import { conflictSides } from './core/merge_core.js';
+import { coverImgAttrs } from './cover_loader.js';
+
+const conflictsLink = document.getElementById('conflictsLink');
+const conflictsBtn = document.getElementById('conflictsBtn');
+const conflictsOverlay = document.getElementById('conflictsOverlay');
+const conflictsBody = document.getElementById('conflictsBody');
+
+const FIELD_LABELS = { ...Object.fromEntries(HISTORY_FIELDS), coverImage: 'Cover' };
+
+let _repo = null;
+let _onResolved = null;
+let _onDetected = null;
+let _entries = [];
+let _known = null;        // keys with conflicts at the last change, to spot new ones
+let _since = 0;           // conflicts detected before the inbox started aren't announced
+let _saving = null;       // key being saved
+
+function escapeHtml(s) { return String(s).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;'); }
+
+function isOpen() { return conflictsOverlay && conflictsOverlay.style.display !== 'none'; }
+
+const keyOf = (entry) => entry.txid || entry.id;
+
+function formatWhen(ts) {
+  if (!ts) return 'unknown date';
+  return new Date(ts).toLocaleString(undefined, { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' });
+}
+
+function valueHtml(field, v) {
+  if (field === 'coverHash' && v.value) {
+    return `<img class="conflict-cover"${coverImgAttrs({ hash: v.value, coverTxid: v.coverTxid, entryTxid: v.txid })} alt="Cover">`;
+  }
+  if (field === 'coverImage' && v.value) {
+    return `<img class="conflict-cover" src="data:${escapeHtml(v.mimeType || 'image/jpeg')};base64,${escapeHtml(v.value)}" alt="Cover">`;
+  }
+  return escapeHtml(formatFieldValue(field, v.value));
+}
+
+function fieldHtml(entry, c) {
+  const key = keyOf(entry);
+  const label = FIELD_LABELS[c.field] || c.field;
+  const was = c.base !== null && c.base !== undefined ? formatFieldValue(c.field, c.base) : null;
+  return `<fieldset class="conflict-field">
+    <legend class="history-field">${escapeHtml(label)}${was ? ` <span class="conflict-was">was ${escapeHtml(was)}</span>` : ''}</legend>
+    ${c.values.map((v, i) => `<label class="conflict-choice">
+      <input type="radio" name="${escapeHtml(key)}:${escapeHtml(c.field)}" value="${i}" data-field="${escapeHtml(c.field)}" data-txid="${escapeHtml(v.txid || '')}"${i === 0 ? ' checked' : ''}>
+      <span class="conflict-value">${valueHtml(c.field, v)}</span>
+      <span class="conflict-when">${escapeHtml(formatWhen(v.modifiedAt))}</span>
+    </label>`).join('')}
+  </fieldset>`;
+}
+
+function renderConflicts() {
+  if (!_entries.length) {
+    conflictsBody.innerHTML = '<p class="wtr-empty">No conflicts. When a book is changed on two devices at the same time, anything that can\'t be combined shows up here.</p>';
+    return;
+  }
+  conflictsBody.innerHTML = `
+    <p class="shelf-desc">These books were changed on two devices at the same time. Everything else was combined; pick what to keep for these fields.</p>
+    <ol class="history-list">${_entries.map(e => {
+      const key = keyOf(e);
+      const sides = conflictSides(e.conflicts);
+      return `<li class="history-version" data-key="${escapeHtml(key)}">
+        <div class="history-version-head">
+          <span class="history-when">${escapeHtml(e.title || 'Untitled')}${e.author ? ` <span class="trash-author">${escapeHtml(e.author)}</span>` : ''}</span>
+        </div>
+        ${e.conflicts.map(c => fieldHtml(e, c)).join('')}
+        <div class="conflict-actions">
+          ${sides.map(s => `<button type="button" class="shelf-empty-link" data-action="side" data-txid="${escapeHtml(s.txid || '')}">Use all from ${escapeHtml(formatWhen(s.modifiedAt))}</button>`).join('')}
+          <button type="button" class="btn" data-action="resolve"${_saving ? ' disabled' : ''}>${_saving === key ? 'Saving…' : 'Save'}</button>
+        </div>
+      </li>`;
+    }).join('')}</ol>`;
+}
+
+// Keeps the footer link and the open inbox current. The inbox only re-renders
+// when the set of conflicted books changes, so choices in progress survive
+// unrelated changes.
+function refresh() {
+  const entries = _repo.getConflicts();
+  if (conflictsBtn) conflictsBtn.textContent = `Conflicts (${entries.length})`;
+  if (conflictsLink) conflictsLink.style.display = entries.length ? '' : 'none';
+  const fresh = _known ? entries.filter(e => !_known.has(keyOf(e))) : [];
+  const changed = !_known || fresh.length || entries.length !== _known.size;
+  const detected = fresh.filter(e => e.conflicts.some(c => (c.detectedAt || 0) >= _since));
+  _known = new Set(entries.map(keyOf));
+  _entries = entries;
+  if (detected.length) _onDetected?.(detected);
+  if (changed && isOpen() && !_saving) renderConflicts();
+}
+
+export function openConflictsView() {
+  if (!conflictsOverlay || !_repo) return;
+  _entries = _repo.getConflicts();
+  renderConflicts();
+  conflictsOverlay.style.display = 'block';
+}
+
+export function closeConflictsView() {
+  if (conflictsOverlay) conflictsOverlay.style.display = 'none';
+}
+
+/**
+ * Wire the conflict inbox to a BookRepository.
+ * @param {import('./core/book_repository.js').BookRepository} repo
+ * @param {{ onResolved?: Function, onDetected?: Function }} [opts]
+ *   onResolved(entry) once a resolution is saved locally; onDetected(entries) when sync finds new conflicts
+ */
+export function initConflictsView(repo, { onResolved, onDetected } = {}) {
+  _repo = repo;
+  _onResolved = onResolved;
+  _onDetected = onDetected;
+  _since = Date.now();
+  repo.on('change', refresh);
+  refresh();
+}
+
+async function resolve(item) {
+  const key = item?.dataset.key;
+  if (!key || _saving) return;
+  const choices = {};
+  for (const input of item.querySelectorAll('input[type="radio"]:checked')) choices[input.dataset.field] = Number(input.value);
+  _saving = key;
+  renderConflicts();
+  try {
+    const entry = await _repo.resolveConflicts(key, choices);
+    _onResolved?.(entry);
+  } catch (err) {
+    console.warn('[Bookish:Conflicts] Resolve failed:', err);
+  } finally {
+    _saving = null;
+    _entries = _repo.getConflicts();
+    if (isOpen()) renderConflicts();
+  }
+}
+
+// Check every field's value from one version
+function pickSide(item, txid) {
+  for (const fieldset of item.querySelectorAll('.conflict-field')) {
+    const input = fieldset.querySelector(`input[data-txid="${CSS.escape(txid)}"]`);
+    if (input) input.checked = true;
+  }
+}
+
+conflictsBtn?.addEventListener('click', openConflictsView);
+document.getElementById('conflictsBackdrop')?.addEventListener('click', closeConflictsView);
+document.getElementById('conflictsClose')?.addEventListener('click', closeConflictsView);
+conflictsBody?.addEventListener('click', (ev) => {
+  const btn = ev.target.closest('[data-action]');
+  if (!btn) return;
+  const item = btn.closest('[data-key]');
+  if (btn.dataset.action === 'side') pickSide(item, btn.dataset.txid);
+  else if (btn.dataset.action === 'resolve') resolve(item);
+});
+document.addEventListener('keydown', (e) => {
+  if (e.key === 'Escape' && isOpen()) closeConflictsView();
+});
@@ -4,9 +4,11 @@
 
 import { encryptJsonToBytes, decryptBytesToJson, hexToBytes } from './crypto_core.js';
 import { registerPendingTxByKey, fetchPendingTxIdsByKey } from './pending_tx_bridge.js';
-import { queryGraphQL } from './arweave_query.js';
+import { queryGraphQL, fetchTxTags } from './arweave_query.js';
+import { DEFAULT_KEY_ID } from './keyring_core.js';
 
 const TX_CACHE_PREFIX = 'bookish.txcache.acct.';
+const UPDATED_AT_PREFIX = 'bookish.txcache.acctAt.';
 
 // Derive a bridge key that won't collide with the book sync bridge key.
 // Books use SHA-256(wallet + 'bookish'); we namespace account metadata
@@ -25,28 +27,88 @@ function getCachedTxId(hashedLookupKey) {
   try { return localStorage.getItem(TX_CACHE_PREFIX + hashedLookupKey); } catch { return null; }
 }
 
+// updatedAt of the metadata this device last uploaded or read (0 when unknown)
+function cacheUpdatedAt(hashedLookupKey, updatedAt) {
+  if (!updatedAt) return;
+  try { localStorage.setItem(UPDATED_AT_PREFIX + hashedLookupKey, String(updatedAt)); } catch {}
+}
+
+function getCachedUpdatedAt(hashedLookupKey) {
+  try { return Number(localStorage.getItem(UPDATED_AT_PREFIX + hashedLookupKey)) || 0; } catch { return 0; }
+}
+
+// Lookup key: SHA-256(walletAddress + 'bookish')
+async function accountLookupKey(walletAddress) {
+  const lookupHash = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(walletAddress.toLowerCase() + 'bookish'));
+  return Array.from(new Uint8Array(lookupHash)).map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+// Newest metadata tx: bridge first (recent uploads, before Arweave indexes
+// them), then GraphQL. Returns { txId, tags } or null; throws when GraphQL is unavailable.
+async function findLatestMetadataTx(hashedLookupKey) {
+  try {
+    const bk = await acctBridgeKey(hashedLookupKey);
+    const bridgeIds = await fetchPendingTxIdsByKey(bk);
+    if (bridgeIds.length > 0) {
+      const txId = bridgeIds[bridgeIds.length - 1];
+      console.log(`[Bookish:AccountArweave] Found via bridge: ${txId}`);
+      return { txId, tags: null };
+    }
+  } catch { /* bridge unavailable — fall through to GraphQL */ }
+
+  const query = `query {
+    transactions(
+      tags: [
+        {name: "App-Name", values: ["Bookish"]},
+        {name: "Type", values: ["account-metadata"]},
+        {name: "Account-Lookup-Key", values: ["${hashedLookupKey}"]}
+      ],
+      first: 1,
+      sort: HEIGHT_DESC
+    ) {
+      edges {
+        node {
+          id
+          tags { name value }
+        }
+      }
+    }
+  }`;
+  const { data, error } = await queryGraphQL(query);
+  if (error) throw new Error(`GraphQL unavailable: ${error}`);
+  const edges = data?.transactions?.edges || [];
+  if (edges.length === 0) return null;
+  return { txId: edges[0].node.id, tags: edges[0].node.tags || null };
+}
+
 /**
  * Upload encrypted account metadata to Arweave (profile only, NO SEED)
  * @param {Object} params
  * @param {string} params.address - Ethereum wallet address
  * @param {string} params.displayName - User display name
  * @param {CryptoKey} params.symKey - bookish.sym encryption key (pre-derived from seed)
+ * @param {string} [params.keyId='default'] - Key-Id of symKey (see keyring_core.js)
  * @param {number} [params.createdAt] - Account creation timestamp
+ * @param {Object} [params.settings] - Synced account settings; settings.readingGoals
+ *   maps year strings to book targets, e.g. { "2026": 24 }
  * @returns {Promise<string>} - Arweave transaction ID
  */
-export async function uploadAccountMetadata({ address, displayName, symKey, createdAt }) {
+export async function uploadAccountMetadata({ address, displayName, symKey, keyId = DEFAULT_KEY_ID, createdAt, settings }) {
   if (!address || !symKey) {
     throw new Error('address and symKey are required');
   }
 
   console.log('[Bookish:AccountArweave] Starting account metadata upload...');
 
-  // Prepare account metadata (profile only, NO SEED)
+  // Prepare account metadata (profile only, NO SEED). updatedAt orders
+  // uploads from different devices (see findNewerAccountMetadata)
+  const updatedAt = Date.now();
   const accountMetadata = {
     displayName: displayName || 'Bookish User',
-    settings: {},
+    settings: settings || {},
     bookmarks: [],
-    createdAt: createdAt || Date.now()
+    createdAt: createdAt || updatedAt,
+    updatedAt
   };
 
   console.log('[Bookish:AccountArweave] Encrypting account metadata...');
@@ -65,7 +127,9 @@ export async function uploadAccountMetadata({ address, displayName, symKey, crea
     { name: 'Type', value: 'account-metadata' },
     { name: 'Account-Lookup-Key', value: hashedLookupKey },
     { name: 'Enc', value: 'aes-256-gcm' },
-    { name: 'Schema-Version', value: '0.1.0' }
+    { name: 'Key-Id', value: keyId },
+    { name: 'Schema-Version', value: '0.1.0' },
+    { name: 'Updated-At', value: String(updatedAt) }
   ];
 
   console.log('[Bookish:AccountArweave] Uploading to Arweave via Turbo...');
@@ -80,6 +144,7 @@ export async function uploadAccountMetadata({ address, displayName, symKey, crea
 
   console.log('[Bookish:AccountArweave] Account metadata uploaded:', txId);
   cacheTxId(hashedLookupKey, txId);
+  cacheUpdatedAt(hashedLookupKey, updatedAt);
   acctBridgeKey(hashedLookupKey).then(bk => registerPendingTxByKey(bk, txId)).catch(() => {});
   return txId;
 }
@@ -88,70 +153,41 @@ export async function uploadAccountMetadata({ address, displayName, symKey, crea
  * Download and decrypt account metadata from Arweave by wallet address
  * @param {string} walletAddress - Ethereum wallet address
  * @param {CryptoKey} symKey - Symmetric decryption key (bookish.sym)
+ * @param {Object} [opts]
+ * @param {Function} [opts.keyFor] - async (keyId) => CryptoKey|null, for metadata
+ *   uploaded after a key rotation under a key symKey isn't
+ * @param {string} [opts.txId] - Metadata tx to read (from findNewerAccountMetadata)
  * @returns {Promise<Object|null>} - Decrypted account metadata or null if not found
  */
-export async function downloadAccountMetadata(walletAddress, symKey) {
+export async function downloadAccountMetadata(walletAddress, symKey, { keyFor, txId: knownTxId = null } = {}) {
   if (!walletAddress || !symKey) {
     throw new Error('walletAddress and symKey are required');
   }
 
   console.log(`[Bookish:AccountArweave] Querying account metadata for ${walletAddress}...`);
 
-  // Generate lookup key: SHA-256(walletAddress + 'bookish')
-  const lookupInput = walletAddress.toLowerCase() + 'bookish';
-  const lookupHash = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(lookupInput));
-  const hashedLookupKey = Array.from(new Uint8Array(lookupHash))
-    .map(b => b.toString(16).padStart(2, '0'))
-    .join('');
-
-  const query = `query {
-    transactions(
-      tags: [
-        {name: "App-Name", values: ["Bookish"]},
-        {name: "Type", values: ["account-metadata"]},
-        {name: "Account-Lookup-Key", values: ["${hashedLookupKey}"]}
-      ],
-      first: 1,
-      sort: HEIGHT_DESC
-    ) {
-      edges {
-        node {
-          id
-        }
-      }
-    }
-  }`;
+  const hashedLookupKey = await accountLookupKey(walletAddress);
 
   try {
-    // Check local tx ID cache first (instant, avoids GraphQL indexing delay)
-    let txId = getCachedTxId(hashedLookupKey);
+    // A known tx (findNewerAccountMetadata), else the local tx ID cache (instant,
+    // avoids GraphQL indexing delay), else the newest one
+    let txId = knownTxId || getCachedTxId(hashedLookupKey);
+    let tags = null;
     if (txId) {
-      console.log(`[Bookish:AccountArweave] Using cached tx: ${txId}`);
-    }
-    if (!txId) {
+      console.log(`[Bookish:AccountArweave] Using ${knownTxId ? 'given' : 'cached'} tx: ${txId}`);
+    } else {
+      let latest;
       try {
-        const bk = await acctBridgeKey(hashedLookupKey);
-        const bridgeIds = await fetchPendingTxIdsByKey(bk);
-        if (bridgeIds.length > 0) {
-          txId = bridgeIds[bridgeIds.length - 1];
-          console.log(`[Bookish:AccountArweave] Found via bridge: ${txId}`);
-          cacheTxId(hashedLookupKey, txId);
-        }
-      } catch { /* bridge unavailable — fall through to GraphQL */ }
-    }
-    if (!txId) {
-      const { data, error } = await queryGraphQL(query);
-      if (error) {
-        console.warn('[Bookish:AccountArweave] GraphQL unavailable:', error);
+        latest = await findLatestMetadataTx(hashedLookupKey);
+      } catch (err) {
+        console.warn('[Bookish:AccountArweave]', err.message);
         return null;
       }
-      const edges = data?.transactions?.edges || [];
-      if (edges.length === 0) {
+      if (!latest) {
         console.log('[Bookish:AccountArweave] No account metadata found');
         return null;
       }
-      txId = edges[0].node.id;
-      cacheTxId(hashedLookupKey, txId);
+      ({ txId, tags } = latest);
     }
     console.log(`[Bookish:AccountArweave] Found metadata: ${txId}`);
 
@@ -178,9 +214,21 @@ export async function downloadAccountMetadata(walletAddress, symKey) {
       throw new Error(`Failed to download metadata from any gateway: ${txId}`);
     }
 
-    // Decrypt
-    const decrypted = await decryptBytesToJson(symKey, encryptedBytes);
+    // Decrypt; metadata from after a key rotation names its key in Key-Id
+    let decrypted;
+    try {
+      decrypted = await decryptBytesToJson(symKey, encryptedBytes);
+    } catch (err) {
+      if (!keyFor) throw err;
+      tags = tags || await fetchTxTags(txId);
+      const keyId = tags?.find(t => t.name === 'Key-Id')?.value;
+      const key = keyId ? await keyFor(keyId) : null;
+      if (!key) throw err;
+      decrypted = await decryptBytesToJson(key, encryptedBytes);
+    }
     console.log('[Bookish:AccountArweave] Account metadata decrypted successfully');
+    cacheTxId(hashedLookupKey, txId);
+    cacheUpdatedAt(hashedLookupKey, decrypted?.updatedAt);
 
     return decrypted;
   } catch (error) {
@@ -189,6 +237,28 @@ export async function downloadAccountMetadata(walletAddress, symKey) {
   }
 }
 
+/**
+ * Newest account metadata, when it was uploaded after the one this device last
+ * uploaded or read (i.e. another device changed the profile or settings since).
+ * Uploads are ordered by their Updated-At tag: GraphQL can still return an
+ * older upload for a while after a new one, and that must not count as newer.
+ * Metadata without the tag (from before it existed) is never newer than
+ * metadata with it; until this device has seen one with it, any other tx is.
+ * @param {string} walletAddress - Ethereum wallet address
+ * @returns {Promise<string|null>} - Its transaction ID, or null when nothing is newer
+ */
+export async function findNewerAccountMetadata(walletAddress) {
+  const hashedLookupKey = await accountLookupKey(walletAddress);
+  const latest = await findLatestMetadataTx(hashedLookupKey);
+  if (!latest || latest.txId === getCachedTxId(hashedLookupKey)) return null;
+  const known = getCachedUpdatedAt(hashedLookupKey);
+  if (!known) return latest.txId;
+  // Bridge results carry no tags; ones GraphQL hasn't indexed yet wait a round
+  const tags = latest.tags || await fetchTxTags(latest.txId).catch(() => null);
+  const updatedAt = Number(tags?.find(t => t.name === 'Updated-At')?.value) || 0;
+  return updatedAt > known ? latest.txId : null;
+}
+
 /**
  * Check if account metadata exists on Arweave for given wallet
  * @param {string} walletAddress - Ethereum wallet address
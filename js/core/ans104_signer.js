@@ -122,3 +122,45 @@ export async function createSignedDataItem(privateKeyHex, data, tags) {
 
   return concat(new Uint8Array(hdr), tagBytes, payload);
 }
+
+function base64url(bytes) {
+  let bin = '';
+  for (const b of bytes) bin += String.fromCharCode(b);
+  return btoa(bin).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+// 32-byte little-endian unsigned integer (ANS-104 bundle header fields)
+function u256le(n) {
+  const out = new Uint8Array(32);
+  for (let i = 0; i < 6 && n > 0; i++) { out[i] = n % 256; n = Math.floor(n / 256); }
+  return out;
+}
+
+/**
+ * Raw 32-byte id of a signed data item: SHA-256 of its signature.
+ * @param {Uint8Array} item  Signed data item bytes (signature type 3)
+ * @returns {Promise<Uint8Array>}
+ */
+async function rawDataItemId(item) {
+  return new Uint8Array(await crypto.subtle.digest('SHA-256', item.subarray(2, 2 + SIG_LEN)));
+}
+
+/**
+ * Pack signed data items into an ANS-104 binary bundle.
+ * Layout: count(32) | [size(32) | id(32)] * count | items...
+ * The bundle itself is uploaded as the payload of an outer data item tagged
+ * Bundle-Format: binary / Bundle-Version: 2.0.0.
+ *
+ * @param {Array<Uint8Array>} items  Signed data items
+ * @returns {Promise<{ bytes: Uint8Array, ids: Array<string> }>}
+ */
+export async function createBundle(items) {
+  const headers = [u256le(items.length)];
+  const ids = [];
+  for (const item of items) {
+    const raw = await rawDataItemId(item);
+    headers.push(u256le(item.length), raw);
+    ids.push(base64url(raw));
+  }
+  return { bytes: concat(...headers, ...items), ids };
+}
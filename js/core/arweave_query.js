@@ -8,6 +8,9 @@ export const ARWEAVE_GRAPHQL = 'https://arweave.net/graphql';
 export const ARWEAVE_GATEWAY = 'https://arweave.net';
 export const TURBO_GATEWAY = 'https://turbo-gateway.com';
 
+// Schema-Name of an ANS-104 bundle holding several entries (imports, bulk edits)
+export const BATCH_SCHEMA = 'batch';
+
 /**
  * Resilient Arweave GraphQL query.  Returns structured results — never
  * throws for HTTP errors, non-200 status, or JSON parse failures.
@@ -59,24 +62,25 @@ export async function queryGraphQL(query, variables) {
  * @param {number} [options.limit=100] - Page size
  * @param {string} [options.cursor] - Pagination cursor from previous page
  * @param {string} [options.appName='bookish'] - App-Name tag value
+ * @param {Array<string>} [options.schemaNames=['reading']] - Schema-Name values to match (e.g. ['reading', 'shelf'])
  * @returns {Promise<{edges: Array, pageInfo: {hasNextPage: boolean}, error: string|null}>}
  */
-export async function searchBookEntries(address, { owner = null, limit = 100, cursor = null, appName = 'bookish' } = {}) {
+export async function searchBookEntries(address, { owner = null, limit = 100, cursor = null, appName = 'bookish', schemaNames = ['reading'] } = {}) {
   const pub = address?.toLowerCase();
   const tags = [
     { name: 'App-Name', values: [appName] },
-    { name: 'Schema-Name', values: ['reading'] },
+    { name: 'Schema-Name', values: schemaNames },
     { name: 'Visibility', values: ['private'] },
     ...(pub ? [{ name: 'Pub-Addr', values: [pub] }] : [])
   ];
 
   const q = owner
     ? `query($after:String,$first:Int,$tags:[TagFilter!],$owners:[String!]){
-      t1:transactions(after:$after,first:$first,sort:HEIGHT_DESC,tags:$tags){pageInfo{hasNextPage}edges{cursor node{id tags{name value}block{timestamp height}}}}
-      t2:transactions(after:$after,first:$first,sort:HEIGHT_DESC,owners:$owners,tags:$tags){pageInfo{hasNextPage}edges{cursor node{id tags{name value}block{timestamp height}}}}
+      t1:transactions(after:$after,first:$first,sort:HEIGHT_DESC,tags:$tags){pageInfo{hasNextPage}edges{cursor node{id tags{name value}block{timestamp height}bundledIn{id}}}}
+      t2:transactions(after:$after,first:$first,sort:HEIGHT_DESC,owners:$owners,tags:$tags){pageInfo{hasNextPage}edges{cursor node{id tags{name value}block{timestamp height}bundledIn{id}}}}
     }`
     : `query($after:String,$first:Int,$tags:[TagFilter!]){
-      t1:transactions(after:$after,first:$first,sort:HEIGHT_DESC,tags:$tags){pageInfo{hasNextPage}edges{cursor node{id tags{name value}block{timestamp height}}}}
+      t1:transactions(after:$after,first:$first,sort:HEIGHT_DESC,tags:$tags){pageInfo{hasNextPage}edges{cursor node{id tags{name value}block{timestamp height}bundledIn{id}}}}
     }`;
   const variables = owner
     ? { after: cursor ?? null, first: limit, tags, owners: [owner] }
@@ -104,26 +108,70 @@ export async function searchBookEntries(address, { owner = null, limit = 100, cu
   return { edges: merged, pageInfo: { hasNextPage: hasNext }, error };
 }
 
+/**
+ * Schema-Name tag of an edge ('reading' when absent, for legacy entries).
+ * @param {Object} edge
+ * @returns {string}
+ */
+export function schemaNameOf(edge) {
+  return edge.node.tags?.find(t => t.name === 'Schema-Name')?.value || 'reading';
+}
+
+/**
+ * Tags of a single transaction, looked up by id.
+ * Returns null when the transaction isn't indexed yet or GraphQL is unavailable.
+ *
+ * @param {string} txid - Transaction ID
+ * @returns {Promise<Array<{name: string, value: string}>|null>}
+ */
+export async function fetchTxTags(txid) {
+  const { data } = await queryGraphQL(
+    'query($ids:[ID!]){transactions(ids:$ids,first:1){edges{node{id tags{name value}}}}}',
+    { ids: [txid] }
+  );
+  const node = data?.transactions?.edges?.[0]?.node;
+  return node ? (node.tags || []) : null;
+}
+
 // --- Tombstone/superseded filtering ---
 
 function isTomb(e) { return e.node.tags?.some(t => t.name === 'Op' && t.value === 'tombstone'); }
+
+/**
+ * Whether an edge is a batch bundle rather than an entry. Its items are
+ * separate edges (indexed by the gateway or unpacked with bundle_core.js).
+ * @param {Object} edge
+ * @returns {boolean}
+ */
+export function isBatchEdge(edge) { return schemaNameOf(edge) === BATCH_SCHEMA; }
 function refOf(e) { return e.node.tags?.find(t => t.name === 'Ref')?.value; }
 
+/**
+ * Versions an edge supersedes: its Prev tags (a merge of forked versions
+ * has one per fork).
+ * @param {Object} edge
+ * @returns {Array<string>}
+ */
+export function parentTxids(edge) {
+  return (edge.node.tags || []).filter(t => t.name === 'Prev' && t.value).map(t => t.value);
+}
+
 /**
  * Compute live entries from raw GraphQL edges, filtering tombstones and superseded versions.
+ * Batch bundles are dropped; their items count like any other edge.
  * Pure function — no side effects.
  *
- * @param {Array} allEdges - Raw GraphQL edges (from searchBookEntries)
+ * @param {Array} allEdges - Raw GraphQL edges (from searchBookEntries), plus unpacked batch items
  * @returns {{liveEdges: Array, tombstones: Array<{txid: string, ref: string}>}}
  */
 export function computeLiveSets(allEdges) {
   const tombstones = allEdges.filter(isTomb).map(e => ({ txid: e.node.id, ref: refOf(e) }));
 
-  const edgesWithPrev = allEdges.filter(e => e.node.tags?.some(t => t.name === 'Prev'));
-  const superseded = new Set(edgesWithPrev.map(e => e.node.tags.find(t => t.name === 'Prev')?.value).filter(Boolean));
+  const superseded = new Set(allEdges.flatMap(parentTxids));
 
   const tombRefs = new Set(tombstones.map(t => t.ref).filter(Boolean));
   const liveEdges = allEdges.filter(e => {
+    if (isBatchEdge(e)) return false;
     if (isTomb(e)) return false;
     if (tombRefs.has(e.node.id)) return false;
     if (superseded.has(e.node.id)) return false;
@@ -0,0 +1,113 @@
+// backup_core.js - Pure full-fidelity library backup / restore logic
+// Builds and validates versioned JSON backups and plans how a backup merges into
+// the local cache. No DOM, no IndexedDB, no network.
+
+import { pickWinner } from './cache_core.js';
+
+export const BACKUP_FORMAT = 'bookish-backup';
+export const BACKUP_VERSION = 1;
+
+// Device-local bookkeeping that must not travel between installs
+const LOCAL_STATE_FIELDS = ['id', 'status', 'pending', 'seenRemote', 'onArweave', 'contentHash', 'block', 'tombstonedAt', 'restoredAt', 'mergeOf', 'publishMerge'];
+
+/**
+ * Serialize one cached entry for backup.
+ * Keeps every stored field (covers, tags, owned, bookId, txid, timestamps, ...)
+ * except local cache state and transient UI flags (leading underscore).
+ * @param {Object} entry
+ * @returns {Object}
+ */
+export function entryToBackup(entry) {
+  const out = {};
+  for (const [k, v] of Object.entries(entry)) {
+    if (k.startsWith('_') || LOCAL_STATE_FIELDS.includes(k) || v === undefined) continue;
+    out[k] = v;
+  }
+  // Unsynced changes on an uploaded entry are replayed as an edit on restore
+  if (entry.txid && entry.status === 'pending') out.unsynced = true;
+  return out;
+}
+
+/**
+ * Build a backup document from active entries.
+ * @param {Array<Object>} entries
+ * @param {{ exportedAt?: string }} [opts]
+ * @returns {{ format: string, version: number, exportedAt: string, count: number, entries: Array<Object> }}
+ */
+export function buildBackup(entries, { exportedAt = new Date().toISOString() } = {}) {
+  const list = (entries || []).filter(e => e.status !== 'tombstoned').map(entryToBackup);
+  return { format: BACKUP_FORMAT, version: BACKUP_VERSION, exportedAt, count: list.length, entries: list };
+}
+
+/**
+ * Parse and validate a backup document.
+ * @param {string|Object} input - JSON text or parsed object
+ * @returns {{ version: number, exportedAt: string|null, entries: Array<Object> }}
+ * @throws {Error} if the document is not a supported Bookish backup
+ */
+export function parseBackup(input) {
+  let doc = input;
+  if (typeof input === 'string') {
+    try { doc = JSON.parse(input); } catch { throw new Error('Backup is not valid JSON'); }
+  }
+  if (!doc || doc.format !== BACKUP_FORMAT) throw new Error('Not a Bookish backup file');
+  if (!Number.isInteger(doc.version) || doc.version < 1 || doc.version > BACKUP_VERSION) {
+    throw new Error(`Unsupported backup version: ${doc.version}`);
+  }
+  if (!Array.isArray(doc.entries)) throw new Error('Backup has no entries');
+  const entries = doc.entries.filter(e => e && typeof e === 'object' && e.title);
+  return { version: doc.version, exportedAt: doc.exportedAt || null, entries };
+}
+
+/**
+ * Plan how backup entries merge into the local cache.
+ *
+ * Entries are matched to local ones by txid, then bookId. A match is only
+ * overwritten when the backup copy wins pickWinner, so restoring an old backup
+ * never rolls back newer edits. Restored uploaded entries keep their txid
+ * (status confirmed, seenRemote false) so the next sync's applyRemote links them
+ * to their Arweave versions instead of adding copies; never-uploaded entries get
+ * a local id and a queued create op.
+ *
+ * @param {Array<Object>} backupEntries - From parseBackup
+ * @param {Array<Object>} localEntries - cache.listAllRaw()
+ * @returns {{ toPut: Array<Object>, toDelete: Array<string>, ops: Array<Object>, skipped: number }}
+ */
+export function planRestore(backupEntries, localEntries) {
+  const live = localEntries.filter(e => e.status !== 'tombstoned');
+  const byTx = new Map(localEntries.filter(e => e.txid).map(e => [e.txid, e]));
+  const byBookId = new Map();
+  for (const e of live) {
+    if (!e.bookId) continue;
+    const cur = byBookId.get(e.bookId);
+    if (!cur || pickWinner(e, cur) === e) byBookId.set(e.bookId, e);
+  }
+
+  const toPut = [], toDelete = [], ops = [];
+  let skipped = 0;
+
+  for (const b of backupEntries) {
+    const { unsynced, ...fields } = b;
+    const rec = {
+      ...fields,
+      id: fields.txid || ('local-' + Date.now().toString(36) + Math.random().toString(36).slice(2, 8)),
+      txid: fields.txid || null,
+      status: fields.txid && !unsynced ? 'confirmed' : 'pending',
+      pending: !fields.txid || !!unsynced,
+      seenRemote: false,
+      onArweave: false
+    };
+
+    const local = (rec.txid && byTx.get(rec.txid)) || (rec.bookId && byBookId.get(rec.bookId));
+    if (local) {
+      if (local.status === 'tombstoned' || pickWinner(local, rec) !== rec) { skipped++; continue; }
+      if (local.id !== rec.id) toDelete.push(local.id);
+    }
+
+    toPut.push(rec);
+    if (!rec.txid) ops.push({ type: 'create', localId: rec.id });
+    else if (unsynced) ops.push({ type: 'edit', priorTxid: rec.txid });
+  }
+
+  return { toPut, toDelete, ops, skipped };
+}
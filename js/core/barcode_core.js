@@ -0,0 +1,190 @@
+// barcode_core.js - Pure EAN-13 / ISBN barcode decoding
+// Fallback for browsers without BarcodeDetector: scans horizontal lines of an
+// RGBA frame (ImageData-shaped { data, width, height }), measures bar widths and
+// matches them against the EAN-13 digit patterns. Works on still images too.
+// No DOM, no IndexedDB, no network.
+
+// Module widths (space, bar, space, bar) of the left-hand "L" digit codes.
+// R codes use the same widths starting with a bar; G codes are L reversed.
+const L_WIDTHS = [
+  [3, 2, 1, 1], [2, 2, 2, 1], [2, 1, 2, 2], [1, 4, 1, 1], [1, 1, 3, 2],
+  [1, 2, 3, 1], [1, 1, 1, 4], [1, 3, 1, 2], [1, 2, 1, 3], [3, 1, 1, 2]
+];
+const G_WIDTHS = L_WIDTHS.map(w => [...w].reverse());
+
+// Parity of the six left digits ('L' or 'G') encodes the first digit
+const FIRST_DIGIT_PARITY = ['LLLLLL', 'LLGLGG', 'LLGGLG', 'LLGGGL', 'LGLLGG', 'LGGLLG', 'LGGGLL', 'LGLGLL', 'LGLLGL', 'LGGLGL'];
+
+const EAN13_MODULES = 95;
+const EAN13_RUNS = 59;           // 3 guard + 6×4 + 5 middle + 6×4 + 3 guard
+const MAX_DIGIT_ERROR = 0.38;    // mean per-run deviation, in modules
+const DEFAULT_SCAN_LINES = 15;
+
+/**
+ * EAN-13 check digit for the first 12 digits.
+ * @param {string} digits12
+ * @returns {number}
+ */
+export function ean13CheckDigit(digits12) {
+  let sum = 0;
+  for (let i = 0; i < 12; i++) sum += Number(digits12[i]) * (i % 2 ? 3 : 1);
+  return (10 - (sum % 10)) % 10;
+}
+
+/**
+ * Whether a 13-digit string has a valid EAN-13 check digit.
+ * @param {string} code
+ * @returns {boolean}
+ */
+export function isValidEan13(code) {
+  return /^\d{13}$/.test(code || '') && ean13CheckDigit(code) === Number(code[12]);
+}
+
+/**
+ * ISBN-13 for a scanned EAN-13, or null when it isn't a book barcode
+ * (books use the 978/979 "Bookland" prefixes).
+ * @param {string} code
+ * @returns {string|null}
+ */
+export function isbnFromEan13(code) {
+  const digits = String(code || '').replace(/\D/g, '');
+  if (!isValidEan13(digits)) return null;
+  return /^97[89]/.test(digits) ? digits : null;
+}
+
+// Best matching digit for 4 run widths; widths are scaled so the digit spans 7 modules
+function matchDigit(runs, table) {
+  const total = runs[0] + runs[1] + runs[2] + runs[3];
+  if (!total) return null;
+  const scale = 7 / total;
+  let best = null, bestErr = Infinity;
+  for (let d = 0; d < 10; d++) {
+    const w = table[d];
+    let err = 0;
+    for (let k = 0; k < 4; k++) err += Math.abs(runs[k] * scale - w[k]);
+    if (err < bestErr) { bestErr = err; best = d; }
+  }
+  return bestErr / 4 <= MAX_DIGIT_ERROR ? { digit: best, err: bestErr } : null;
+}
+
+// Guard bars are all one module wide
+function isGuard(runs, start, count, unit) {
+  for (let k = 0; k < count; k++) {
+    const m = runs[start + k] / unit;
+    if (m < 0.5 || m > 1.6) return false;
+  }
+  return true;
+}
+
+// Decode 59 runs starting at a bar; returns the 13-digit code or null
+function decodeRunsAt(runs, i) {
+  let width = 0;
+  for (let k = 0; k < EAN13_RUNS; k++) width += runs[i + k];
+  const unit = width / EAN13_MODULES;
+  if (!isGuard(runs, i, 3, unit) || !isGuard(runs, i + 27, 5, unit) || !isGuard(runs, i + 56, 3, unit)) return null;
+  // Quiet zone: the space before the start guard must be wide
+  if (i > 0 && runs[i - 1] < unit * 3) return null;
+
+  let left = '', parity = '';
+  for (let d = 0; d < 6; d++) {
+    const r = runs.slice(i + 3 + d * 4, i + 7 + d * 4);
+    const l = matchDigit(r, L_WIDTHS);
+    const g = matchDigit(r, G_WIDTHS);
+    if (!l && !g) return null;
+    const useG = g && (!l || g.err < l.err);
+    left += useG ? g.digit : l.digit;
+    parity += useG ? 'G' : 'L';
+  }
+  const first = FIRST_DIGIT_PARITY.indexOf(parity);
+  if (first === -1) return null;
+
+  let right = '';
+  for (let d = 0; d < 6; d++) {
+    const r = matchDigit(runs.slice(i + 32 + d * 4, i + 36 + d * 4), L_WIDTHS);
+    if (!r) return null;
+    right += r.digit;
+  }
+  const code = String(first) + left + right;
+  return isValidEan13(code) ? code : null;
+}
+
+/**
+ * Run lengths of a binarized scan line, alternating space/bar.
+ * The threshold is the midpoint of the line's darkest and brightest values.
+ * @param {ArrayLike<number>} line - Luminance values (0-255)
+ * @returns {Array<number>} - Widths in pixels; even indexes are spaces
+ */
+export function runLengths(line) {
+  let min = 255, max = 0;
+  for (let x = 0; x < line.length; x++) {
+    if (line[x] < min) min = line[x];
+    if (line[x] > max) max = line[x];
+  }
+  if (max - min < 32) return [];
+  const threshold = (min + max) / 2;
+
+  // The list always starts and ends with a space run (possibly empty), so bars
+  // sit at odd indexes in both reading directions
+  const runs = [];
+  let dark = line[0] < threshold;
+  let len = 0;
+  if (dark) runs.push(0);
+  for (let x = 0; x < line.length; x++) {
+    const d = line[x] < threshold;
+    if (d === dark) { len++; continue; }
+    runs.push(len);
+    dark = d;
+    len = 1;
+  }
+  runs.push(len);
+  if (dark) runs.push(0);
+  return runs;
+}
+
+/**
+ * Decode an EAN-13 barcode from one scan line.
+ * Tries both directions so upside-down barcodes read too.
+ * @param {ArrayLike<number>} line - Luminance values (0-255)
+ * @returns {string|null} - 13 digits
+ */
+export function decodeEan13Line(line) {
+  const forward = runLengths(line);
+  for (const runs of [forward, [...forward].reverse()]) {
+    for (let i = 1; i + EAN13_RUNS <= runs.length; i += 2) {
+      const code = decodeRunsAt(runs, i);
+      if (code) return code;
+    }
+  }
+  return null;
+}
+
+/**
+ * Decode an EAN-13 barcode from an RGBA frame by sampling horizontal lines
+ * around the middle of the image.
+ * @param {{ data: ArrayLike<number>, width: number, height: number }} image - ImageData or equivalent
+ * @param {{ lines?: number }} [opts]
+ * @returns {string|null} - 13 digits
+ */
+export function decodeEan13Image(image, { lines = DEFAULT_SCAN_LINES } = {}) {
+  const { data, width, height } = image || {};
+  if (!data || !width || !height) return null;
+  const line = new Uint8ClampedArray(width);
+  // Middle line first, then alternately above and below it
+  for (let n = 0; n < lines; n++) {
+    const offset = Math.ceil(n / 2) * (n % 2 ? -1 : 1);
+    const y = Math.round(height / 2 + offset * (height * 0.8 / lines));
+    if (y < 0 || y >= height) continue;
+    // Luminance averaged with the rows above and below to damp sensor noise
+    for (let x = 0; x < width; x++) {
+      let sum = 0;
+      for (const yy of [Math.max(0, y - 1), y, Math.min(height - 1, y + 1)]) {
+        const p = (yy * width + x) * 4;
+        sum += data[p] * 299 + data[p + 1] * 587 + data[p + 2] * 114;
+      }
+      line[x] = sum / 3000;
+    }
+    const code = decodeEan13Line(line);
+    if (code) return code;
+  }
+  return null;
+}
@@ -1,7 +1,8 @@
 // book_repository.js — Single-responsibility module for all book data operations
 //
 // Owns the entries array, ops queue, upload pipeline, bridge registration,
-// and remote sync. Decoupled from DOM, UI, and encryption internals.
+// and remote sync (the fetch/decrypt/merge half lives in sync_pipeline.js and
+// normally runs in the sync worker). Decoupled from DOM, UI, and encryption internals.
 //
 // Usage:
 //   const repo = new BookRepository({ cache, ensureKeys, ... });
@@ -10,20 +11,24 @@
 //   repo.on('progress', (items) => updateDiagnostics(items));
 //   await repo.loadFromCache();
 
-import { registerPendingTx, fetchPendingTxIds } from './pending_tx_bridge.js';
-import { pickWinner } from './cache_core.js';
-
-export const READING_STATUS = {
-  WANT_TO_READ: 'want_to_read',
-  READING: 'reading',
-  READ: 'read'
-};
-
-export function normalizeReadingStatus(entry) {
-  const s = entry?.readingStatus;
-  if (s === READING_STATUS.WANT_TO_READ || s === READING_STATUS.READING || s === READING_STATUS.READ) return s;
-  return READING_STATUS.READ;
-}
+import { registerPendingTx } from './pending_tx_bridge.js';
+import { detectDuplicate, computeContentHash } from './cache_core.js';
+import { planRestore } from './backup_core.js';
+import { addCheckin } from './progress_core.js';
+import { SHELF_SCHEMA, createShelf, cleanShelfFields, buildShelfPayload, addBookId, removeBookId, moveBookId, mergeShelves } from './shelf_core.js';
+import { fetchTxTags } from './arweave_query.js';
+import { buildSnapshot, splitSnapshot, shouldPublishSnapshot } from './snapshot_core.js';
+import { SYNC_CURSOR_KEY } from './sync_cursor.js';
+import { SyncPipeline, runSyncJob, findLatestSnapshot } from './sync_pipeline.js';
+import { walkPrevChain } from './history_core.js';
+import { isUnresolvedMerge, buildResolutionPayload } from './merge_core.js';
+import { TRASH_RETENTION_DAYS, trashEntries, restoredRecord } from './trash_core.js';
+import { migratePayload, mergeQuarantine, QUARANTINE_KEY } from './schema_core.js';
+import { COVER_FIELDS, hasCoverImage, coverRefOf, coverFields, clearCover, addCoverHash, hashCoverBase64 } from './cover_core.js';
+import { bytesToBase64, base64ToBytes } from './crypto_core.js';
+import { READING_STATUS, normalizeReadingStatus } from './reading_status.js';
+
+export { READING_STATUS, normalizeReadingStatus };
 
 function buildPayloadFromEntry(entry) {
   const payload = {
@@ -34,18 +39,74 @@ function buildPayloadFromEntry(entry) {
     readingStatus: entry.readingStatus || READING_STATUS.READ,
     bookId: entry.bookId
   };
-  if (entry.coverImage) { payload.coverImage = entry.coverImage; if (entry.mimeType) payload.mimeType = entry.mimeType; }
+  if (entry.isbn) payload.isbn = entry.isbn;
+  if (entry.workKey) payload.workKey = entry.workKey;
+  if (entry.series) {
+    payload.series = entry.series;
+    if (entry.seriesIndex != null) payload.seriesIndex = entry.seriesIndex;
+  }
+  if (entry.progress) payload.progress = entry.progress;
+  Object.assign(payload, coverFields(entry));
   if (entry.notes) payload.notes = entry.notes;
   if (entry.rating) payload.rating = entry.rating;
   if (entry.owned) payload.owned = entry.owned;
   if (entry.tags) payload.tags = entry.tags;
   if (entry.readingStartedAt) payload.readingStartedAt = entry.readingStartedAt;
+  if (entry.conflicts?.length) payload.conflicts = entry.conflicts;
   if (entry.createdAt) payload.createdAt = entry.createdAt;
   if (entry.modifiedAt) payload.modifiedAt = entry.modifiedAt;
   return payload;
 }
 
-const prevTag = (edge) => edge.node.tags?.find(t => t.name === 'Prev')?.value;
+// Tags linking an edit to the versions it replaces: one Prev, plus one for
+// each forked version a merge folds in (see merge_core.js)
+function editTags(prevTxid, entry) {
+  return [prevTxid, ...(entry.mergeOf || [])].map(txid => ({ name: 'Prev', value: txid }));
+}
+
+// An edit is on Arweave: it follows prevTxid, and any merge it carried is done
+function settleEdit(entry, prevTxid) {
+  entry.prevTxid = prevTxid;
+  delete entry.mergeOf;
+  delete entry.publishMerge;
+}
+
+// Apply an edit payload to an entry in place and mark it pending upload.
+// A cover (coverImage, or coverHash for one already uploaded) replaces the old
+// one; empty coverImage / series clear those fields; seriesIndex null clears the number.
+function applyEntryPatch(entry, payload) {
+  if (payload.coverImage !== undefined || payload.coverHash !== undefined) clearCover(entry);
+  Object.assign(entry, payload);
+  if (payload.coverImage === '') { delete entry.coverImage; delete entry.mimeType; }
+  if (payload.series === '') { delete entry.series; delete entry.seriesIndex; }
+  else if (payload.seriesIndex === null) delete entry.seriesIndex;
+  entry.modifiedAt = Date.now();
+  entry.pending = true;
+  entry.status = 'pending';
+  entry.seenRemote = false;
+  entry._committed = false;
+}
+
+// Message for a payload that failed schema validation (see schema_core.js)
+function invalidPayloadMessage(entry, err) {
+  const problem = err.errors?.[0] || err.message;
+  return `\u201c${entry.title || 'Untitled'}\u201d couldn\u2019t be saved to the cloud (${problem}). Edit the book to fix it.`;
+}
+
+// Failures that concern one book of a batch: that book stays queued until it's
+// fixed and the rest of the batch goes on
+const ITEM_ERRORS = new Set(['invalid-payload', 'cover-unavailable']);
+
+function itemErrorMessage(entry, err) {
+  if (err?.code === 'invalid-payload') return invalidPayloadMessage(entry, err);
+  return `\u201c${entry.title || 'Untitled'}\u201d couldn\u2019t be saved to the cloud (its cover image is missing). Edit the book to add it again.`;
+}
+
+// Books per bundle for imports and queued creates
+const CREATE_BATCH_SIZE = 50;
+
+// Check-ins within this window share one edit upload
+const PROGRESS_UPLOAD_DELAY_MS = 20000;
 
 export class BookRepository {
   /**
@@ -57,8 +118,10 @@ export class BookRepository {
    * @param {Function} deps.ensureWallet - async () => void
    * @param {Function} [deps.deriveBookId] - async (payload) => string
    * @param {Function} [deps.onDirty] - () => void; signals sync manager
+   * @param {Object} [deps.syncWorker] - Sync worker (createSyncWorker()); without one sync runs in-process
+   * @param {Function} [deps.getSyncKeys] - async () => { keyring, appName } for the sync worker
    */
-  constructor({ cache, ensureKeys, getBrowserClient, getWalletAddress, ensureWallet, deriveBookId, onDirty }) {
+  constructor({ cache, ensureKeys, getBrowserClient, getWalletAddress, ensureWallet, deriveBookId, onDirty, syncWorker, getSyncKeys }) {
     this._cache = cache;
     this._ensureKeys = ensureKeys;
     this._getBrowserClient = getBrowserClient;
@@ -66,8 +129,17 @@ export class BookRepository {
     this._ensureWallet = ensureWallet || (() => {});
     this._deriveBookId = deriveBookId;
     this._onDirty = onDirty || (() => {});
+    this._syncWorker = syncWorker || null;
+    this._getSyncKeys = getSyncKeys || (async () => null);
 
     this._entries = [];
+    this._shelves = [];
+    this._prevLinks = new Map();   // txid -> Prev txid, learned from sync and own edits
+    this._pipeline = null;         // in-process SyncPipeline when there's no sync worker
+    this._diffQueue = Promise.resolve();
+    this._skippedReplace = false;  // a sync diff left a remote version out; the cursor stays put
+    this._latestSnapshot = undefined;  // newest snapshot { id, height, txids } | null; undefined until looked up
+    this._publishingSnapshot = false;
     this._editQueue = new Map();
     this._replaying = false;
     this._lastPendingOp = null;
@@ -90,10 +162,11 @@ export class BookRepository {
 
   _emitChange() { this._emit('change', this._entries); }
 
-  _emitError(code, message, pendingOp) {
+  // entry: the book a batch item failure is about
+  _emitError(code, message, pendingOp, entry) {
     if (code) this._lastPendingOp = pendingOp || null;
     else this._lastPendingOp = null;
-    this._emit('error', { code, message, pendingOp: pendingOp || null });
+    this._emit('error', { code, message, pendingOp: pendingOp || null, entry: entry || null });
   }
 
   _emitProgress(items) { this._emit('progress', items); }
@@ -108,17 +181,128 @@ export class BookRepository {
 
   getLastPendingOp() { return this._lastPendingOp; }
 
+  /** Custom shelves (not deleted), oldest first. */
+  getShelves() {
+    return this._shelves
+      .filter(s => s.status !== 'tombstoned')
+      .sort((a, b) => (a.createdAt || 0) - (b.createdAt || 0));
+  }
+
+  getShelf(shelfId) {
+    return this._shelves.find(s => s.shelfId === shelfId && s.status !== 'tombstoned');
+  }
+
+  /**
+   * Saved versions of an entry, newest first, by walking its Prev chain.
+   * Local edits that haven't uploaded yet are not part of the chain.
+   * @param {string} key - txid or local id
+   * @param {{ limit?: number }} [opts]
+   * @returns {Promise<Array<{ txid: string, payload: Object|null }>>} - payload is null when a version couldn't be fetched
+   */
+  async getHistory(key, { limit } = {}) {
+    const entry = this.getById(key) || this._entries.find(e => e.id === key);
+    if (!entry) throw new Error('Entry not found');
+    if (!entry.txid) return [];
+    const haveKeys = await this._ensureKeys();
+    if (!haveKeys) throw new Error('Encryption keys not available');
+
+    const client = this._getBrowserClient();
+    const txids = await walkPrevChain(entry.txid, txid => this._prevOf(txid), { limit });
+    const versions = [];
+    for (const txid of txids) {
+      try {
+        const { schema, version, ...payload } = await addCoverHash(migratePayload(await client.decryptTx(txid), { txid }));
+        versions.push({ txid, payload });
+      } catch (err) {
+        console.warn('[BookRepository] Failed to load version', txid, err);
+        versions.push({ txid, payload: null });
+      }
+    }
+    return versions;
+  }
+
+  /**
+   * Entries whose forked edits conflict (see merge_core.js), most recently
+   * detected first.
+   * @returns {Array<Object>}
+   */
+  getConflicts() {
+    const detected = (e) => Math.max(...e.conflicts.map(c => c.detectedAt || 0));
+    return this._entries
+      .filter(e => e.conflicts?.length && e.status !== 'tombstoned')
+      .sort((a, b) => detected(b) - detected(a));
+  }
+
+  /**
+   * Settle an entry's conflicts with the user's choices. Saved as an edit;
+   * for a merge of forked versions its Prev tags name every fork.
+   * @param {string} key - txid or local id
+   * @param {Object} choices - field -> index into that conflict's values (see buildResolutionPayload)
+   * @returns {Promise<Object|null>} updated entry
+   */
+  async resolveConflicts(key, choices = {}) {
+    const entry = this.getById(key);
+    if (!entry?.conflicts?.length) return entry || null;
+    // A cover chosen from a version written before covers had records is
+    // only inline in that version; bring it into the cover store for upload
+    const cover = entry.conflicts.find(c => c.field === 'coverHash')?.values[choices.coverHash];
+    if (cover?.value && !cover.coverTxid) await this.getCover({ hash: cover.value, entryTxid: cover.txid }).catch(() => null);
+    await this.update(entry.txid || entry.id, buildResolutionPayload(entry.conflicts, choices));
+    return entry;
+  }
+
+  /**
+   * Cover image of an entry (see coverRefOf in cover_core.js): from the local
+   * cover store, else its cover record, else (entries written before covers
+   * had records) the entry's own transaction. Fetched covers are kept in the
+   * store, and an entry that only knew it had a cover learns its reference.
+   * @param {{ hash?: string|null, coverTxid?: string|null, entryTxid?: string|null }} ref
+   * @returns {Promise<Blob|null>} - null when it isn't available
+   */
+  async getCover({ hash, coverTxid, entryTxid } = {}) {
+    const stored = hash && this._cache?.getCover ? await this._cache.getCover(hash) : null;
+    if (stored?.blob) return stored.blob;
+    if (!await this._ensureKeys()) return null;
+    const cover = await this._fetchCover({ hash, coverTxid: coverTxid || stored?.txid, entryTxid });
+    if (!cover) return null;
+    const blob = new Blob([base64ToBytes(cover.data)], { type: cover.mimeType || 'image/jpeg' });
+    if (this._cache?.putCover) await this._cache.putCover({ hash: cover.hash, txid: cover.txid, mimeType: cover.mimeType, blob });
+    const entry = !hash && entryTxid ? this._entries.find(e => e.txid === entryTxid) : null;
+    if (entry?.hasCover && !entry.coverHash) {
+      Object.assign(entry, { coverHash: cover.hash, mimeType: cover.mimeType }, cover.txid && { coverTxid: cover.txid });
+      delete entry.hasCover;
+      if (this._cache) await this._cache.putEntry(entry);
+    }
+    return blob;
+  }
+
+  /**
+   * Remote records sync left out because they don't match their schema,
+   * newest first.
+   * @returns {Promise<Array<{ txid: string, schema: string, version: string|null, errors: Array<string>, at: number }>>}
+   */
+  async getQuarantine() {
+    if (!this._cache?.getMeta) return [];
+    return (await this._cache.getMeta(QUARANTINE_KEY)) || [];
+  }
+
   // --- Lifecycle ---
 
   async loadFromCache() {
     if (!this._cache) return;
+    await this._cache.removeOldTombstones(TRASH_RETENTION_DAYS);
     this._entries = await this._cache.getAllActive();
     this._entries.forEach(e => { e._committed = !!(e.status === 'confirmed' && e.seenRemote); });
+    if (this._cache.listShelves) this._shelves = await this._cache.listShelves();
     this._emitChange();
   }
 
   clear() {
     this._entries = [];
+    this._shelves = [];
+    this._prevLinks.clear();
+    this._pipeline = null;
+    this._latestSnapshot = undefined;
     this._emitChange();
   }
 
@@ -156,6 +340,7 @@ export class BookRepository {
 
       await this._ensureWallet();
       this._emitProgress(['Publishing to Arweave...', 'If funding is needed, you\'ll be prompted']);
+      await this._ensureCover(rec);
 
       const client = this._getBrowserClient();
       const res = await client.uploadEntry(buildPayloadFromEntry(rec), {});
@@ -174,7 +359,10 @@ export class BookRepository {
       const pending = { type: 'create', localId: rec.id, payload };
       if (this._cache) await this._cache.queueOp(pending);
 
-      if (e?.code === 'upload-required') {
+      if (e?.code === 'invalid-payload') {
+        this._emitError('invalid-payload', invalidPayloadMessage(rec, e), pending);
+        this._emitProgress(['Couldn\u2019t save to cloud \u2013 edit the book to fix it']);
+      } else if (e?.code === 'upload-required') {
         this._emitError('upload-required', 'Upload client missing. Refresh page and retry.', pending);
         this._emitProgress(['Upload client missing', 'Refresh page and retry']);
       } else if (e?.code === 'post-fund-timeout') {
@@ -191,6 +379,157 @@ export class BookRepository {
     return { entry: rec, isDuplicate: false };
   }
 
+  /**
+   * Create many entries at once (library import).
+   * Each payload goes through detectDuplicate, so re-importing the same file is a
+   * no-op. New entries are written locally first, then published in bundles of
+   * `batchSize` so each bundle costs one upload and one fee. A book that can't
+   * be published (invalid record, missing cover) is reported on 'error' and
+   * queued; the rest of the import goes on.
+   * @param {Array<Object>} payloads - create payloads; payload.createdAt is kept if set
+   * @param {{ batchSize?: number, onProgress?: Function }} [opts]
+   * @returns {Promise<{ created: Array<Object>, duplicates: number, failed: Array<Object> }>}
+   */
+  async createMany(payloads, { batchSize = CREATE_BATCH_SIZE, onProgress } = {}) {
+    const existing = this._cache ? await this._cache.listAllRaw() : [...this._entries];
+    const created = [];
+    const failed = [];
+    let duplicates = 0;
+
+    for (const payload of payloads) {
+      if (await detectDuplicate(payload, existing)) { duplicates++; continue; }
+
+      const createdAt = payload.createdAt || Date.now();
+      if (!payload.bookId && this._deriveBookId) {
+        try { payload.bookId = await this._deriveBookId({ ...payload, createdAt }); } catch {}
+      }
+      const rec = {
+        id: 'local-' + Date.now().toString(36) + Math.random().toString(36).slice(2, 8),
+        txid: null, ...payload, createdAt, modifiedAt: Date.now(),
+        status: 'pending', pending: true, seenRemote: false, onArweave: false, _committed: false
+      };
+      rec.contentHash = await computeContentHash(rec);
+      existing.push(rec);
+      created.push(rec);
+    }
+
+    if (!created.length) return { created, duplicates, failed };
+
+    this._entries.push(...created);
+    if (this._cache) for (const rec of created) await this._cache.putEntry(rec);
+    this._onDirty();
+    this._emitChange();
+
+    const createOp = (rec) => ({ type: 'create', localId: rec.id, payload: buildPayloadFromEntry(rec) });
+    const queueRemaining = async () => {
+      const left = created.filter(rec => !rec.txid && !failed.includes(rec));
+      if (this._cache) for (const rec of left) await this._cache.queueOp(createOp(rec));
+      return left.length;
+    };
+    const itemFailed = async (rec, err) => {
+      const pending = createOp(rec);
+      if (this._cache) await this._cache.queueOp(pending);
+      failed.push(rec);
+      this._emitError(err.code, itemErrorMessage(rec, err), pending, rec);
+    };
+
+    const haveKeys = await this._ensureKeys();
+    if (!haveKeys) {
+      await queueRemaining();
+      return { created, duplicates, failed };
+    }
+
+    try {
+      await this._ensureWallet();
+      const client = this._getBrowserClient();
+      const addr = await this._getWalletAddress();
+
+      for (let done = 0; done < created.length; done += batchSize) {
+        const batch = created.slice(done, done + batchSize);
+        this._emitProgress([`Publishing books ${done + 1}–${done + batch.length} of ${created.length}…`]);
+        if (onProgress) onProgress({ done, total: created.length });
+        await this._uploadCreates(client, batch, addr, itemFailed);
+        this._emitChange();
+      }
+
+      if (onProgress) onProgress({ done: created.length, total: created.length });
+      if (!failed.length) this._emitError(null, null);
+      this._emitProgress(null);
+    } catch (e) {
+      console.warn('[BookRepository] createMany upload error:', e);
+      const pending = { type: 'create', count: await queueRemaining() };
+      this._emitChange();
+      if (e?.code === 'base-insufficient-funds' || e?.code === 'base-insufficient-funds-recent') {
+        this._emitError('base-insufficient-funds', 'Storage credit used up. Add credit in your account to resume saving.', pending);
+        this._emitProgress(['Storage credit used up', 'Add credit to resume']);
+      } else {
+        this._emitProgress(['Couldn\u2019t reach the server \u2013 queued for retry']);
+      }
+    }
+
+    return { created, duplicates, failed };
+  }
+
+  // Publish one bundle of new entries. A book that can't go out (ITEM_ERRORS)
+  // is handed to onItemError and the rest are uploaded; anything else stops
+  // the batch, keeping what made it up before the failure.
+  async _uploadCreates(client, batch, addr, onItemError) {
+    const ready = [];
+    for (const rec of batch) {
+      try {
+        await this._ensureCover(rec);
+        ready.push(rec);
+      } catch (e) {
+        if (!ITEM_ERRORS.has(e?.code)) throw e;
+        await onItemError(rec, e);
+      }
+    }
+    if (!ready.length) return;
+    let results;
+    try {
+      results = await client.uploadEntries(ready.map(buildPayloadFromEntry));
+    } catch (e) {
+      await this._commitUploaded(ready, e.partial || [], addr, onItemError);
+      throw e;
+    }
+    await this._commitUploaded(ready, results, addr, onItemError);
+  }
+
+  async _commitUploaded(batch, results, addr, onItemError) {
+    const txids = results.filter(r => r.txid).map(r => r.txid);
+    if (txids.length) registerPendingTx(addr, txids).catch(() => {});
+    for (let i = 0; i < results.length; i++) {
+      const rec = batch[i];
+      if (!results[i].txid) { await onItemError(rec, results[i].error); continue; }
+      const oldId = rec.id;
+      rec.txid = results[i].txid; rec.id = results[i].txid;
+      rec.pending = false; rec.status = 'confirmed'; rec.seenRemote = true; rec.onArweave = false;
+      if (this._cache) await this._cache.replaceProvisional(oldId, rec);
+    }
+  }
+
+  /**
+   * Restore entries from a parsed backup into the local cache (works offline).
+   * Uploaded entries keep their txid so the next sync() reconciles them with
+   * Arweave; never-uploaded entries and unsynced edits are queued for replay.
+   * @param {Array<Object>} backupEntries - parseBackup(...).entries
+   * @returns {Promise<{ restored: number, skipped: number }>}
+   */
+  async restoreBackup(backupEntries) {
+    if (!this._cache) throw new Error('Cache unavailable');
+    const plan = planRestore(backupEntries, await this._cache.listAllRaw());
+
+    for (const id of plan.toDelete) await this._cache.deleteById(id);
+    for (const rec of plan.toPut) await this._cache.putEntry(rec);
+    for (const op of plan.ops) await this._cache.queueOp(op);
+
+    this._entries = await this._cache.getAllActive();
+    this._entries.forEach(e => { e._committed = !!(e.status === 'confirmed' && e.seenRemote); });
+    this._onDirty();
+    this._emitChange();
+    return { restored: plan.toPut.length, skipped: plan.skipped };
+  }
+
   async update(id, payload) {
     const old = this._entries.find(e => e.txid === id) || this._entries.find(e => e.id === id);
     if (!old) throw new Error('Entry not found');
@@ -199,13 +538,7 @@ export class BookRepository {
     const queueEntry = this._editQueue.get(entryKey);
 
     const snapshot = { ...old };
-    Object.assign(old, payload);
-    if (payload.coverImage === '') { delete old.coverImage; delete old.mimeType; }
-    old.modifiedAt = Date.now();
-    old.pending = true;
-    old.status = 'pending';
-    old.seenRemote = false;
-    old._committed = false;
+    applyEntryPatch(old, payload);
     if (this._cache) await this._cache.putEntry(old);
     this._onDirty();
     this._emitChange();
@@ -228,8 +561,12 @@ export class BookRepository {
     entry._committed = false;
     this._emitChange();
 
+    // Never uploaded: nothing to tombstone on Arweave, keep it locally for the trash
     if (!entry.txid) {
-      if (this._cache) await this._cache.deleteById(entry.id);
+      entry.status = 'tombstoned';
+      entry.tombstonedAt = Date.now();
+      entry._deleting = false;
+      if (this._cache) await this._cache.putEntry(entry);
       this._entries = this._entries.filter(e => e !== entry);
       this._emitChange();
       return;
@@ -246,6 +583,7 @@ export class BookRepository {
 
       entry.status = 'tombstoned';
       entry.tombstonedAt = Date.now();
+      entry._deleting = false;
       if (this._cache) await this._cache.putEntry(entry);
       this._entries = this._entries.filter(e => e.status !== 'tombstoned');
       this._emitError(null, null);
@@ -258,6 +596,348 @@ export class BookRepository {
     }
   }
 
+  // --- Bulk actions ---
+  // Local changes are saved at once; uploads then report per-item progress on
+  // 'progress' and each book that fails on 'error' (with the entry), and the
+  // whole action ends with a single 'change' event.
+
+  /**
+   * Apply an edit to many entries (multi-select bulk actions).
+   * Edits to uploaded entries are published as Prev-linked bundles; edits that
+   * fail to upload stay local and are queued for replay.
+   * @param {Array<string>} keys - txids or local ids
+   * @param {Function} change - (entry) => edit payload, or null to leave the entry alone
+   * @param {{ batchSize?: number, onProgress?: Function }} [opts]
+   * @returns {Promise<{ updated: Array<Object>, failed: Array<Object> }>}
+   */
+  async updateMany(keys, change, { batchSize = 25, onProgress } = {}) {
+    const updated = [];
+    for (const key of new Set(keys)) {
+      const entry = this.getById(key);
+      if (!entry || entry._deleting) continue;
+      const payload = change(entry);
+      if (!payload) continue;
+      applyEntryPatch(entry, payload);
+      if (this._cache) await this._cache.putEntry(entry);
+      updated.push(entry);
+    }
+    if (!updated.length) return { updated, failed: [] };
+    this._onDirty();
+
+    // Not uploaded yet: the pending create carries the change
+    const failed = await this._uploadEditsBatch(updated.filter(e => e.txid), { batchSize, onProgress });
+    this._emitChange();
+    return { updated, failed };
+  }
+
+  // Publish edits for entries whose local state is already saved; returns the
+  // entries that failed. Edits made to them while a round uploads go out in
+  // another round. Emits no 'change'; the caller does once it's done.
+  async _uploadEditsBatch(entries, { batchSize, onProgress }) {
+    // Entries the edit queue already owns (an upload in flight, a progress timer
+    // waiting) pick the change up from there when it's their turn
+    entries = entries.filter(e => {
+      const queueEntry = this._editQueue.get(e.bookId || e.id);
+      if (queueEntry?.uploading) { queueEntry.hasPendingEdit = true; return false; }
+      return true;
+    });
+    if (!entries.length) return [];
+    // Keyed as at the start: an entry without a bookId changes id as it uploads
+    const keys = new Map(entries.map(e => [e, e.bookId || e.id]));
+    keys.forEach(k => this._editQueue.set(k, { uploading: true, hasPendingEdit: false }));
+
+    const failed = [];
+    const itemFailed = async (entry, err) => {
+      const pending = { type: 'edit', priorTxid: entry.txid };
+      if (this._cache) await this._cache.queueOp(pending);
+      failed.push(entry);
+      this._emitError(err?.code || 'save-failed', itemErrorMessage(entry, err), pending, entry);
+    };
+
+    let round = entries;
+    let uploaded = [];
+    let error = null;
+    try {
+      const haveKeys = await this._ensureKeys();
+      if (!haveKeys) throw new Error('Cannot upload: encryption keys not available');
+      const client = this._getBrowserClient();
+      const addr = await this._getWalletAddress();
+
+      while (round.length) {
+        uploaded = [];
+        for (let done = 0; done < round.length; done += batchSize) {
+          const batch = round.slice(done, done + batchSize);
+          if (round === entries) {
+            this._emitProgress([`Saving changes ${done + 1}–${done + batch.length} of ${entries.length}…`]);
+            if (onProgress) onProgress({ done, total: entries.length });
+          }
+          await this._uploadEdits(client, batch, addr, itemFailed, uploaded);
+        }
+        round = uploaded.filter(e => {
+          const queueEntry = this._editQueue.get(keys.get(e));
+          if (!queueEntry?.hasPendingEdit) return false;
+          queueEntry.hasPendingEdit = false;
+          return true;
+        });
+      }
+      if (onProgress) onProgress({ done: entries.length, total: entries.length });
+    } catch (e) {
+      console.warn('[BookRepository] Bulk edit upload error:', e);
+      error = e;
+    }
+
+    // Left over after a failure: the rest of the round, and uploaded entries
+    // edited meanwhile. They're queued for replay.
+    const left = error ? [
+      ...round.filter(e => !uploaded.includes(e) && !failed.includes(e)),
+      ...uploaded.filter(e => this._editQueue.get(keys.get(e))?.hasPendingEdit)
+    ] : [];
+    keys.forEach(k => this._editQueue.delete(k));
+    for (const entry of left) {
+      const pending = { type: 'edit', priorTxid: entry.txid };
+      if (this._cache) await this._cache.queueOp(pending);
+      failed.push(entry);
+      this._emitError(error.code || 'save-failed', `\u201c${entry.title || 'Untitled'}\u201d couldn\u2019t be saved to the cloud \u2013 will retry`, pending, entry);
+    }
+
+    if (error) {
+      const pending = { type: 'edit', count: left.length };
+      if (error?.code === 'base-insufficient-funds' || error?.code === 'base-insufficient-funds-recent') {
+        this._emitError('base-insufficient-funds', 'Storage credit used up. Add credit in your account to resume saving.', pending);
+        this._emitProgress(['Storage credit used up', 'Add credit to resume']);
+      } else {
+        this._emitError('bulk-edit-failed', `${failed.length} of ${entries.length} changes couldn\u2019t be saved to the cloud \u2013 will retry`, pending);
+        this._emitProgress(['Couldn\u2019t save to cloud \u2013 will retry']);
+      }
+    } else {
+      if (!failed.length) this._emitError(null, null);
+      this._emitProgress(null);
+    }
+    return failed;
+  }
+
+  // Publish one bundle of edits. Like _uploadCreates: a book that can't go out
+  // goes to onItemError, anything else stops the batch after keeping what made
+  // it up. Entries published are added to `uploaded`.
+  async _uploadEdits(client, batch, addr, onItemError, uploaded) {
+    const ready = [];
+    for (const entry of batch) {
+      try {
+        await this._ensureCover(entry);
+        ready.push(entry);
+      } catch (e) {
+        if (!ITEM_ERRORS.has(e?.code)) throw e;
+        await onItemError(entry, e);
+      }
+    }
+    if (!ready.length) return;
+    const prevs = ready.map(e => e.txid);
+    let results;
+    try {
+      results = await client.uploadEntries(ready.map(buildPayloadFromEntry), {
+        extraTagsList: ready.map((entry, i) => editTags(prevs[i], entry)),
+        skipFee: true
+      });
+    } catch (e) {
+      uploaded.push(...await this._commitEdits(ready, prevs, e.partial || [], addr, onItemError));
+      throw e;
+    }
+    uploaded.push(...await this._commitEdits(ready, prevs, results, addr, onItemError));
+  }
+
+  async _commitEdits(batch, prevs, results, addr, onItemError) {
+    const txids = results.filter(r => r.txid).map(r => r.txid);
+    if (txids.length) registerPendingTx(addr, txids).catch(() => {});
+    const committed = [];
+    for (let i = 0; i < results.length; i++) {
+      const entry = batch[i];
+      const txid = results[i].txid;
+      if (!txid) { await onItemError(entry, results[i].error); continue; }
+      this._prevLinks.set(txid, prevs[i]);
+      entry.txid = txid; entry.id = txid;
+      entry.pending = false; entry.status = 'confirmed'; entry.seenRemote = true; entry.onArweave = false;
+      settleEdit(entry, prevs[i]);
+      if (this._cache) await this._cache.replaceProvisional(prevs[i], entry);
+      committed.push(entry);
+    }
+    return committed;
+  }
+
+  /**
+   * Publish the library again under the browser client's current key, after a
+   * key rotation. Each uploaded book goes out as an unchanged edit of itself
+   * (its cover record re-uploaded once per image) and each shelf as a new
+   * version. Earlier versions stay on Arweave under the old key. Books with
+   * changes still waiting to upload go out with those instead; failures are
+   * queued like other edits.
+   * @param {{ batchSize?: number, onProgress?: Function }} [opts]
+   * @returns {Promise<{ entries: number, shelves: number, failed: Array<Object> }>}
+   */
+  async reencryptLibrary({ batchSize = 25, onProgress } = {}) {
+    if (!await this._ensureKeys()) throw new Error('Cannot upload: encryption keys not available');
+    const entries = this._entries.filter(e => e.txid && e.status === 'confirmed' && !e._deleting && !this._editQueue.has(e.bookId || e.id));
+
+    const covers = new Map();   // old coverHash -> re-uploaded cover, or null to keep the old record
+    for (const entry of entries) {
+      if (!entry.coverTxid) continue;
+      if (!covers.has(entry.coverHash)) covers.set(entry.coverHash, await this._reuploadCover(entry));
+      const cover = covers.get(entry.coverHash);
+      if (cover) Object.assign(entry, { coverHash: cover.hash, coverTxid: cover.txid, mimeType: cover.mimeType });
+    }
+    if (this._cache) for (const entry of entries) await this._cache.putEntry(entry);
+    const failed = await this._uploadEditsBatch(entries, { batchSize, onProgress });
+    this._emitChange();
+
+    const shelves = this._shelves.filter(s => s.txid && s.status === 'confirmed');
+    for (const shelf of shelves) {
+      shelf.status = 'pending';
+      if (this._cache?.putShelf) await this._cache.putShelf(shelf);
+      this._queueShelfUpload(shelf);
+    }
+    console.log('[BookRepository] Re-encrypted', entries.length - failed.length, 'of', entries.length, 'books and', shelves.length, 'shelves');
+    return { entries: entries.length - failed.length, shelves: shelves.length, failed };
+  }
+
+  // Upload an entry's cover again (under the current key). null when the image
+  // can't be had; the entry then keeps its old record, which still decrypts.
+  async _reuploadCover(entry) {
+    try {
+      const blob = await this.getCover(coverRefOf(entry));
+      if (!blob) return null;
+      const mimeType = blob.type || entry.mimeType;
+      const cover = await this._getBrowserClient().uploadCover({ data: bytesToBase64(new Uint8Array(await blob.arrayBuffer())), mimeType, hash: entry.coverHash });
+      if (this._cache?.putCover) await this._cache.putCover({ hash: cover.hash, txid: cover.txid, mimeType: cover.mimeType, blob: new Blob([base64ToBytes(cover.data)], { type: cover.mimeType }) });
+      return cover;
+    } catch (err) {
+      console.warn('[BookRepository] Cover not re-encrypted:', entry.title, err);
+      return null;
+    }
+  }
+
+  /**
+   * Delete many entries (multi-select bulk actions). Each uploaded entry gets its
+   * own tombstone, sent in bundles; deleted entries go to the trash like single
+   * deletes. Books that can't be deleted are reported one by one on 'error'.
+   * @param {Array<string>} keys - txids or local ids
+   * @param {{ batchSize?: number, onProgress?: Function }} [opts]
+   * @returns {Promise<{ deleted: Array<Object>, failed: Array<Object> }>}
+   */
+  async deleteMany(keys, { batchSize = 100, onProgress } = {}) {
+    const targets = [];
+    for (const key of new Set(keys)) {
+      const entry = this.getById(key);
+      if (!entry || entry._deleting) continue;
+      entry._deleting = true;
+      entry._committed = false;
+      targets.push(entry);
+    }
+    if (!targets.length) return { deleted: [], failed: [] };
+
+    const deleted = [];
+    const failed = [];
+    const uploaded = targets.filter(e => e.txid);
+    deleted.push(...targets.filter(e => !e.txid));
+
+    let client = null;
+    let addr = null;
+    if (uploaded.length) {
+      try {
+        if (!await this._ensureKeys()) throw new Error('Cannot delete: encryption keys not available');
+        client = this._getBrowserClient();
+        addr = await this._getWalletAddress();
+      } catch (e) {
+        console.warn('[BookRepository] Bulk delete unavailable:', e);
+        failed.push(...uploaded);
+      }
+    }
+    if (client) {
+      const sent = (batch, results) => {
+        if (results.length) registerPendingTx(addr, results.map(r => r.txid)).catch(() => {});
+        deleted.push(...batch.slice(0, results.length));
+      };
+      try {
+        for (let done = 0; done < uploaded.length; done += batchSize) {
+          const batch = uploaded.slice(done, done + batchSize);
+          this._emitProgress([`Deleting ${done + 1}–${done + batch.length} of ${uploaded.length}…`]);
+          if (onProgress) onProgress({ done, total: uploaded.length });
+          try {
+            sent(batch, await client.tombstones(batch.map(e => e.txid), { note: 'user delete' }));
+          } catch (e) {
+            sent(batch, e.partial || []);
+            throw e;
+          }
+        }
+        if (onProgress) onProgress({ done: uploaded.length, total: uploaded.length });
+      } catch (e) {
+        console.warn('[BookRepository] Bulk delete failed:', e);
+        failed.push(...uploaded.filter(entry => !deleted.includes(entry)));
+      }
+    }
+
+    const now = Date.now();
+    for (const entry of deleted) {
+      entry.status = 'tombstoned';
+      entry.tombstonedAt = now;
+      entry._deleting = false;
+      if (this._cache) await this._cache.putEntry(entry);
+    }
+    for (const entry of failed) entry._deleting = false;
+    this._entries = this._entries.filter(e => e.status !== 'tombstoned');
+    if (uploaded.length) this._onDirty();
+
+    if (failed.length) {
+      for (const entry of failed) this._emitError('delete-failed', `\u201c${entry.title || 'Untitled'}\u201d couldn\u2019t be deleted`, null, entry);
+      if (failed.length > 1) this._emitError('delete-failed', `${failed.length} of ${targets.length} books couldn\u2019t be deleted`);
+      this._emitProgress(null);
+    } else {
+      this._emitError(null, null);
+      this._emitProgress(null);
+    }
+    this._emitChange();
+    return { deleted, failed };
+  }
+
+  // --- Trash ---
+
+  /**
+   * Deleted entries still in the trash (full records), most recently deleted first.
+   * @returns {Promise<Array<Object>>}
+   */
+  async getTrash() {
+    if (!this._cache) return [];
+    return trashEntries(await this._cache.listAllRaw());
+  }
+
+  /**
+   * Take an entry back out of the trash. An uploaded entry is re-published as an
+   * edit with Prev=<tombstoned txid>, which supersedes the tombstone on every
+   * device; one that never left this device goes back on the create queue.
+   * @param {string} key - txid or local id of the trashed entry
+   * @returns {Promise<Object>} - The restored entry
+   */
+  async restoreFromTrash(key) {
+    const all = this._cache ? await this._cache.listAllRaw() : [];
+    const trashed = all.find(e => e.status === 'tombstoned' && (e.txid === key || e.id === key));
+    if (!trashed) throw new Error('Book not found in trash');
+
+    const entry = restoredRecord(trashed);
+    this._entries.push(entry);
+    if (this._cache) await this._cache.putEntry(entry);
+    this._onDirty();
+    this._emitChange();
+
+    if (!entry.txid) {
+      if (this._cache) await this._cache.queueOp({ type: 'create', localId: entry.id, payload: buildPayloadFromEntry(entry) });
+      return entry;
+    }
+
+    const entryKey = entry.bookId || entry.id;
+    this._editQueue.set(entryKey, { uploading: true, hasPendingEdit: false });
+    // Snapshot is the restored state, so a failed upload stays restored and retries from the queue
+    await this._doEditUpload(entryKey, entry, entry.txid, { ...entry });
+    return entry;
+  }
+
   /**
    * Change reading status with optimistic UI update + background upload.
    * @returns {{ entry, previousStatus, toastMessage } | null}
@@ -345,9 +1025,221 @@ export class BookRepository {
     return { entry };
   }
 
+  /**
+   * Record a reading progress check-in (page / percent / minutes).
+   * Saved locally at once; the upload is deferred so a burst of check-ins
+   * coalesces through the edit queue into a single Prev-linked edit.
+   * @param {string} key - txid or local id
+   * @param {{ value: number, unit?: string, total?: number }} checkin
+   * @returns {Promise<Object|null>} updated entry
+   */
+  async logProgress(key, checkin) {
+    const entry = this.getById(key);
+    if (!entry) return null;
+
+    entry.progress = addCheckin(entry.progress, checkin);
+    entry.modifiedAt = Date.now();
+    if (entry.txid) { entry.pending = true; entry.status = 'pending'; entry._committed = false; }
+    if (this._cache) await this._cache.putEntry(entry);
+    this._onDirty();
+    this._emitChange();
+
+    // Not uploaded yet: the pending create carries the progress
+    if (!entry.txid) return entry;
+
+    const entryKey = entry.bookId || entry.id;
+    const queueEntry = this._editQueue.get(entryKey);
+    // The timer reads the entry when it fires, so check-ins before then ride along
+    if (queueEntry?.waiting) return entry;
+    if (queueEntry?.uploading) {
+      queueEntry.hasPendingEdit = true;
+      return entry;
+    }
+
+    this._editQueue.set(entryKey, { uploading: true, hasPendingEdit: false, waiting: true });
+    // Survives a reload before the timer fires; replayPending leaves it alone while the
+    // timer owns the edit, and drops it once the txid moves on
+    if (this._cache) await this._cache.queueOp({ type: 'edit', priorTxid: entry.txid });
+    setTimeout(() => {
+      const queued = this._editQueue.get(entryKey);
+      if (queued) queued.waiting = false;
+      // Sync may have reloaded the entries since: upload the current record
+      const current = this._entries.find(e => (e.bookId || e.id) === entryKey);
+      if (current?.status !== 'pending' || !current.txid) { this._editQueue.delete(entryKey); return; }
+      this._doEditUpload(entryKey, current, current.txid, { ...current }).catch(() => {
+        this._emitError('progress-update-failed', 'Progress update failed');
+      });
+    }, PROGRESS_UPLOAD_DELAY_MS);
+
+    return entry;
+  }
+
+  // --- Shelves ---
+  // Each change is saved locally at once, then uploaded as a new Prev-linked
+  // version of the shelf record; bursts coalesce through the edit queue.
+
+  /**
+   * @param {{ name: string, description?: string }} fields
+   * @returns {Promise<Object>} the new shelf
+   * @throws {Error} on invalid fields
+   */
+  async createShelf(fields) {
+    const shelf = createShelf(fields);
+    this._shelves.push(shelf);
+    await this._saveShelf(shelf);
+    return shelf;
+  }
+
+  /**
+   * @param {string} shelfId
+   * @param {{ name?: string, description?: string }} fields
+   * @returns {Promise<Object>}
+   * @throws {Error} if the shelf is missing or fields are invalid
+   */
+  async updateShelf(shelfId, fields) {
+    const shelf = this.getShelf(shelfId);
+    if (!shelf) throw new Error('Shelf not found');
+    Object.assign(shelf, cleanShelfFields({
+      name: fields.name ?? shelf.name,
+      description: fields.description ?? shelf.description
+    }));
+    await this._saveShelf(shelf);
+    return shelf;
+  }
+
+  addToShelf(shelfId, bookId) {
+    return this._editShelfBooks(shelfId, ids => addBookId(ids, bookId));
+  }
+
+  removeFromShelf(shelfId, bookId) {
+    return this._editShelfBooks(shelfId, ids => removeBookId(ids, bookId));
+  }
+
+  moveInShelf(shelfId, bookId, toIndex) {
+    return this._editShelfBooks(shelfId, ids => moveBookId(ids, bookId, toIndex));
+  }
+
+  async deleteShelf(shelfId) {
+    const shelf = this.getShelf(shelfId);
+    if (!shelf) return;
+    const queueKey = 'shelf:' + shelfId;
+
+    if (!shelf.txid && !this._editQueue.has(queueKey)) {
+      this._shelves = this._shelves.filter(s => s !== shelf);
+      if (this._cache?.deleteShelf) await this._cache.deleteShelf(shelfId);
+      this._emitChange();
+      return;
+    }
+
+    // Tombstone once the txid is known (after an in-flight create, if any)
+    shelf.status = 'tombstoned';
+    shelf.pending = true;
+    shelf.modifiedAt = Date.now();
+    if (this._cache?.putShelf) await this._cache.putShelf(shelf);
+    this._onDirty();
+    this._emitChange();
+    this._queueShelfUpload(shelf);
+  }
+
+  async _editShelfBooks(shelfId, fn) {
+    const shelf = this.getShelf(shelfId);
+    if (!shelf) throw new Error('Shelf not found');
+    shelf.bookIds = fn(shelf.bookIds || []);
+    await this._saveShelf(shelf);
+    return shelf;
+  }
+
+  async _saveShelf(shelf) {
+    shelf.modifiedAt = Date.now();
+    shelf.status = 'pending';
+    if (this._cache?.putShelf) await this._cache.putShelf(shelf);
+    this._onDirty();
+    this._emitChange();
+    this._queueShelfUpload(shelf);
+  }
+
+  _queueShelfUpload(shelf) {
+    const queueKey = 'shelf:' + shelf.shelfId;
+    const queued = this._editQueue.get(queueKey);
+    if (queued?.uploading) { queued.hasPendingEdit = true; return; }
+    this._editQueue.set(queueKey, { uploading: true, hasPendingEdit: false });
+    this._doShelfUpload(queueKey, shelf);
+  }
+
+  async _doShelfUpload(queueKey, shelf) {
+    try {
+      await this._uploadShelfOnce(shelf);
+      this._emitChange();
+      const queued = this._editQueue.get(queueKey);
+      if (queued?.hasPendingEdit) {
+        queued.hasPendingEdit = false;
+        await this._doShelfUpload(queueKey, shelf);
+      } else {
+        this._editQueue.delete(queueKey);
+      }
+    } catch (e) {
+      console.warn('[BookRepository] shelf upload error:', e);
+      this._editQueue.delete(queueKey);
+      const pending = { type: 'shelf', shelfId: shelf.shelfId };
+      if (this._cache) await this._cache.queueOp(pending);
+      if (e?.code === 'base-insufficient-funds' || e?.code === 'base-insufficient-funds-recent') {
+        this._emitError('base-insufficient-funds', 'Storage credit used up. Add credit in your account to resume saving.', pending);
+      }
+      this._emitProgress(['Couldn\u2019t save shelf to cloud \u2013 will retry']);
+    }
+  }
+
+  // Upload the shelf's current state (new version, or tombstone when deleted). Throws on failure.
+  async _uploadShelfOnce(shelf) {
+    const haveKeys = await this._ensureKeys();
+    if (!haveKeys) throw new Error('Cannot upload: encryption keys not available');
+    const client = this._getBrowserClient();
+    const addr = await this._getWalletAddress();
+
+    if (shelf.status === 'tombstoned') {
+      if (!shelf.pending) return;
+      const res = await client.tombstone(shelf.txid, { note: 'shelf delete', schemaName: SHELF_SCHEMA });
+      registerPendingTx(addr, res.txid).catch(() => {});
+      shelf.pending = false;
+      if (this._cache?.putShelf) await this._cache.putShelf(shelf);
+      return;
+    }
+
+    const sentAt = shelf.modifiedAt;
+    const res = await client.uploadShelf(buildShelfPayload(shelf), { prevTxid: shelf.txid || undefined });
+    this._prevLinks.set(res.txid, shelf.txid || null);
+    registerPendingTx(addr, res.txid).catch(() => {});
+    shelf.txid = res.txid;
+    // Changed (or deleted) while uploading: stay pending for the queued follow-up
+    if (shelf.status === 'pending' && shelf.modifiedAt === sentAt) shelf.status = 'confirmed';
+    if (this._cache?.putShelf) await this._cache.putShelf(shelf);
+  }
+
+  async _applyRemoteShelves(remoteShelves, tombstones) {
+    if (!this._cache?.listShelves) return;
+    const local = await this._cache.listShelves();
+    const { toPut, toDelete } = mergeShelves(remoteShelves, local, tombstones, this._prevLinks);
+    for (const s of toPut) {
+      await this._cache.putShelf(s);
+      // Update in place so in-flight uploads keep a live reference
+      const cur = this._shelves.find(x => x.shelfId === s.shelfId);
+      if (cur) Object.assign(cur, s); else this._shelves.push(s);
+    }
+    for (const shelfId of toDelete) {
+      await this._cache.deleteShelf(shelfId);
+      this._shelves = this._shelves.filter(x => x.shelfId !== shelfId);
+    }
+  }
+
   // --- Sync pipeline ---
 
-  async sync() {
+  /**
+   * Pull remote changes into the cache. Routine cycles only fetch transactions
+   * newer than the persisted cursor; a full pass runs on cold start, once the
+   * last one is over an hour old, or when asked for.
+   * @param {{ full?: boolean }} [opts] - full: re-read every transaction
+   */
+  async sync({ full = false } = {}) {
     if (!this._cache) {
       console.warn('[BookRepository] Sync skipped - cache unavailable');
       return;
@@ -363,16 +1255,232 @@ export class BookRepository {
     }
 
     console.log('[BookRepository] Starting book sync from Arweave...');
-    const { entries: remoteEntries, tombstones, partial } = await this._fetchRemoteEntries();
-    console.log('[BookRepository] Fetched', remoteEntries.length, 'remote entries,', tombstones.length, 'tombstones', partial ? '(partial)' : '');
+    const input = await this._syncInput(full);
+    this._skippedReplace = false;
+    let job;
+    try {
+      job = await this._runSyncJob(input, diff => this._queueDiff(diff));
+    } catch (err) {
+      // The key was rotated on another device. Rotated keys come only with a
+      // sign-in (see keyring.js); nothing syncs until then.
+      if (err.code === 'unknown-key') this._emitError('unknown-key', 'Your encryption key was changed on another device. Sign out, then sign in with your email and password to keep syncing.');
+      throw err;
+    }
+    if (!job) {
+      this._entries = await this._cache.getAllActive();
+      this._emitChange();
+      return;
+    }
+    const { diff, tombstones, partial, shelves: remoteShelves, newerThanSnapshot, fullPass, cursor, prevLinks, latestSnapshot, quarantined = [] } = job;
+    console.log('[BookRepository] Fetched', diff.add.length, 'new,', diff.replace.length, 'replaced,', diff.patch.length, 'updated entries,', remoteShelves.length, 'shelves,', tombstones.length, 'tombstones', partial ? '(partial)' : fullPass ? '(full)' : '(incremental)');
 
-    const remote = remoteEntries.map(e => ({ ...e, status: 'confirmed', id: e.txid }));
-    this._entries = await this._cache.applyRemote(remote, tombstones);
+    for (const [txid, prev] of prevLinks) this._prevLinks.set(txid, prev);
+    if (latestSnapshot !== undefined) this._latestSnapshot = latestSnapshot;
+    await this._diffQueue;
+    await this._cache.applyDiff(diff);
+    if (await this._hasSkippedReplace(diff)) this._skippedReplace = true;
+    await this._applyRemoteShelves(remoteShelves, tombstones);
 
     await this._cache.compactDuplicates();
     this._entries = await this._cache.getAllActive();
     this._entries.forEach(e => e._committed = true);
     this._emitChange();
+
+    // Only a complete fetch moves the cursor; a partial one is retried next
+    // cycle, and so is one with remote versions left out for a local edit
+    if (!partial && !this._skippedReplace && cursor && this._cache.putMeta) await this._cache.putMeta(SYNC_CURSOR_KEY, cursor);
+    await this._recordQuarantine(quarantined, !partial && fullPass);
+
+    this._publishMerges();
+    if (!partial && fullPass) {
+      this._maybePublishSnapshot(newerThanSnapshot).catch(err => console.warn('[BookRepository] Snapshot publish failed:', err));
+    }
+  }
+
+  // Keep the quarantine list in cache meta; the cursor has moved past these
+  // records, so this is where they stay visible
+  async _recordQuarantine(found, complete) {
+    if (!this._cache.putMeta || (!found.length && !complete)) return;
+    const stored = await this._cache.getMeta(QUARANTINE_KEY);
+    if (!found.length && !stored?.length) return;
+    await this._cache.putMeta(QUARANTINE_KEY, mergeQuarantine(stored, found, { complete }));
+  }
+
+  // Forked versions merged by sync go out as an edit of the version they're
+  // based on, superseding the other forks too. Only the device sync marked
+  // publishMerge uploads one; merges with conflicts wait for the user
+  // (resolveConflicts).
+  _publishMerges() {
+    for (const entry of this._entries) {
+      if (!entry.mergeOf?.length || entry.status !== 'pending' || !entry.txid) continue;
+      if (isUnresolvedMerge(entry) || !entry.publishMerge) continue;
+      const entryKey = entry.bookId || entry.id;
+      if (this._editQueue.has(entryKey)) continue;
+      this._editQueue.set(entryKey, { uploading: true, hasPendingEdit: false });
+      this._doEditUpload(entryKey, entry, entry.txid, { ...entry }).catch(() => {});
+    }
+  }
+
+  // What the sync pipeline needs from this device, as plain data
+  async _syncInput(full) {
+    const raw = await this._cache.listAllRaw();
+    return {
+      full,
+      // Cache records reference covers; the images stay in the cover store
+      cachedEntries: raw,
+      shelfTxids: this._shelves.map(s => s.txid).filter(Boolean),
+      cursor: this._cache.getMeta ? await this._cache.getMeta(SYNC_CURSOR_KEY) : null,
+      latestSnapshot: this._latestSnapshot,
+      address: await this._getWalletAddress()
+    };
+  }
+
+  // The remote half of sync runs in the worker when there is one, otherwise
+  // in-process; either way only finished entry diffs come back. Returns null
+  // when there's no client to sync with.
+  async _runSyncJob(input, onDiff) {
+    if (this._syncWorker) {
+      const keys = await this._getSyncKeys();
+      if (keys?.keyring) {
+        try {
+          return await this._syncWorker.run(keys, input, { onDiff });
+        } catch (err) {
+          if (err.code !== 'worker-failed') throw err;
+          console.warn('[BookRepository] Sync worker unavailable, syncing on the main thread:', err.message);
+          this._syncWorker = null;
+        }
+      }
+    }
+    const client = this._getBrowserClient();
+    if (!client) return null;
+    if (this._pipeline?.client !== client) this._pipeline = new SyncPipeline(client);
+    return runSyncJob(this._pipeline, input, { onDiff });
+  }
+
+  // Show books as they decrypt during a long sync. Diffs are written in the
+  // order they arrive; sync() waits for the queue before its final diff.
+  _queueDiff(diff) {
+    this._diffQueue = this._diffQueue.then(async () => {
+      this._entries = await this._cache.applyDiff(diff);
+      if (await this._hasSkippedReplace(diff)) this._skippedReplace = true;
+      this._entries.forEach(e => { e._committed = !!(e.status === 'confirmed' && e.seenRemote); });
+      this._emitChange();
+    }).catch(err => console.warn('[BookRepository] Progressive apply failed:', err));
+    return this._diffQueue;
+  }
+
+  // A replace whose local record was edited while the sync ran isn't written
+  // (cache replaceApplies); its remote version is missing from the cache
+  async _hasSkippedReplace(diff) {
+    for (const { entry } of diff.replace) {
+      if (!await this._cache.findByTxid(entry.txid)) return true;
+    }
+    return false;
+  }
+
+  // --- Snapshots ---
+
+  // Newest complete snapshot, looked up once per session (sync fills it in too).
+  // Returns undefined (and retries next time) when GraphQL is unavailable.
+  async _findLatestSnapshot() {
+    if (this._latestSnapshot !== undefined) return this._latestSnapshot;
+    this._latestSnapshot = await findLatestSnapshot(this._getBrowserClient());
+    return this._latestSnapshot;
+  }
+
+  /**
+   * Publish a snapshot of the synced library when there is none yet or enough
+   * has changed since the last one. Runs after a complete sync.
+   * @param {number} newerTxs - Transactions newer than the latest snapshot
+   */
+  async _maybePublishSnapshot(newerTxs) {
+    if (this._publishingSnapshot || !this._cache) return;
+    const latest = await this._findLatestSnapshot();
+    if (latest === undefined) return;
+    const snap = buildSnapshot(await this._cache.listAllRaw(), this._shelves);
+    if (!snap || (latest && snap.height <= latest.height)) return;
+    const liveCount = snap.items.filter(i => i.schema === 'reading').length;
+    if (!shouldPublishSnapshot({ liveCount, latestHeight: latest?.height || null, newerTxs })) return;
+
+    this._publishingSnapshot = true;
+    try {
+      if (!await this._ensureKeys()) return;
+      const snapshotId = 'snap-' + Date.now().toString(36) + Math.random().toString(36).slice(2, 8);
+      const client = this._getBrowserClient();
+      const txids = await client.uploadSnapshot(splitSnapshot(snap.items), { snapshotId, height: snap.height });
+      this._latestSnapshot = { id: snapshotId, height: snap.height, txids };
+      console.log('[BookRepository] Published snapshot of', snap.items.length, 'records at height', snap.height, 'in', txids.length, 'parts');
+    } finally {
+      this._publishingSnapshot = false;
+    }
+  }
+
+  // Make sure the entry's cover has a cover record before the entry goes up
+  // referencing it. A new image is uploaded once (or matched by hash to a
+  // record already uploaded); a cover still inline in an older version moves
+  // to a record of its own. Throws if the cover can't be had.
+  async _ensureCover(entry) {
+    if (entry.coverTxid || !hasCoverImage(entry)) return;
+    let cover = await this._localCover(entry);
+    if (!cover && entry.txid) cover = await this._fetchCover({ hash: entry.coverHash, entryTxid: entry.txid });
+    if (!cover && !entry.coverHash) {
+      // An older snapshot said there was a cover; the version has none
+      delete entry.hasCover;
+    } else if (!cover) {
+      const err = new Error('Cover image unavailable');
+      err.code = 'cover-unavailable';
+      throw err;
+    } else {
+      if (!cover.txid) {
+        try {
+          cover = await this._getBrowserClient().uploadCover(cover);
+        } catch (err) {
+          if (err?.code !== 'cover-too-large') throw err;
+          console.warn('[BookRepository] Cover too large to upload, saving without it:', entry.title);
+          clearCover(entry);
+          if (this._cache) await this._cache.putEntry(entry);
+          return;
+        }
+        if (this._cache?.putCover) await this._cache.putCover({ hash: cover.hash, txid: cover.txid, mimeType: cover.mimeType, blob: new Blob([base64ToBytes(cover.data)], { type: cover.mimeType }) });
+      }
+      delete entry.coverImage;
+      delete entry.hasCover;
+      Object.assign(entry, { coverHash: cover.hash, coverTxid: cover.txid, mimeType: cover.mimeType || entry.mimeType });
+    }
+    if (this._cache) await this._cache.putEntry(entry);
+  }
+
+  // The entry's cover as held on this device: inline, or in the cover store
+  // (with its record's txid once uploaded)
+  async _localCover(entry) {
+    if (entry.coverImage) return { data: entry.coverImage, mimeType: entry.mimeType, hash: await hashCoverBase64(entry.coverImage), txid: null };
+    const stored = entry.coverHash && this._cache?.getCover ? await this._cache.getCover(entry.coverHash) : null;
+    const mimeType = stored?.mimeType || entry.mimeType;
+    if (stored?.txid) return { hash: stored.hash, txid: stored.txid, mimeType };
+    if (stored?.blob) return { hash: stored.hash, txid: null, mimeType, data: bytesToBase64(new Uint8Array(await stored.blob.arrayBuffer())) };
+    return null;
+  }
+
+  // Decrypt a cover from its record, or from an entry version (which either
+  // references one or, written before covers had records, holds it inline).
+  // Returns { hash, txid, mimeType, data }; txid is null for an inline cover.
+  // null when there's none or it doesn't match the expected hash.
+  async _fetchCover({ hash, coverTxid, entryTxid }) {
+    const client = this._getBrowserClient();
+    let cover = null;
+    if (!coverTxid && entryTxid) {
+      const dec = await client.decryptTx(entryTxid);
+      if (dec?.coverTxid) coverTxid = dec.coverTxid;
+      else if (dec?.coverImage) cover = { txid: null, mimeType: dec.mimeType, data: dec.coverImage };
+    }
+    if (coverTxid) cover = { ...(await client.fetchCover(coverTxid)), txid: coverTxid };
+    if (!cover?.data) return null;
+    const actual = await hashCoverBase64(cover.data);
+    if (hash && actual !== hash) {
+      console.warn('[BookRepository] Cover', coverTxid || entryTxid, 'does not match', hash);
+      return null;
+    }
+    return { ...cover, hash: actual };
   }
 
   async replayPending() {
@@ -401,40 +1509,50 @@ export class BookRepository {
       this._emitProgress(['Replaying pending changes...']);
       const client = this._getBrowserClient();
 
+      // Creates don't depend on other ops; they go first, in bundles
+      try {
+        await this._replayCreates(client, ops.filter(op => op.type === 'create'));
+      } catch (e) {
+        console.warn('[BookRepository] Replaying creates failed:', e);
+        this._emitProgress(['Awaiting upload credit...', 'Will retry automatically']);
+        return;
+      }
+
       for (const op of ops) {
-        if (op.type === 'create') {
-          const local = this._entries.find(e => e.id === op.localId);
-          if (!local) { await this._cache.removeOp(op.id); continue; }
-          if (local.txid) { await this._cache.removeOp(op.id); continue; }
+        if (op.type === 'shelf') {
+          const shelf = this._shelves.find(s => s.shelfId === op.shelfId);
+          const settled = !shelf || shelf.status === 'confirmed' || (shelf.status === 'tombstoned' && !shelf.pending);
+          if (settled || this._editQueue.has('shelf:' + op.shelfId)) { await this._cache.removeOp(op.id); continue; }
           try {
-            const payload = buildPayloadFromEntry(local);
-            const res = await client.uploadEntry(payload, {});
-            const addr = await this._getWalletAddress();
-            registerPendingTx(addr, res.txid).catch(() => {});
-            const oldId = local.id;
-            local.txid = res.txid; local.id = res.txid;
-            local.pending = false; local.status = 'confirmed'; local.seenRemote = true;
-            await this._cache.replaceProvisional(oldId, local);
+            await this._uploadShelfOnce(shelf);
             await this._cache.removeOp(op.id);
             this._emitChange();
-          } catch {
+          } catch (e) {
+            if (e?.code === 'invalid-payload') continue;
             this._emitProgress(['Awaiting upload credit...', 'Will retry automatically']);
             break;
           }
         } else if (op.type === 'edit') {
           const local = this._entries.find(e => e.txid === op.priorTxid) || this._entries.find(e => e.id === op.priorTxid);
           if (!local) { await this._cache.removeOp(op.id); continue; }
+          // Its upload is in flight or waiting on the progress timer: replaying now
+          // would upload a second version with the same Prev and fork the chain
+          if (this._editQueue.has(local.bookId || local.id)) continue;
           try {
+            await this._ensureCover(local);
             const payload = buildPayloadFromEntry(local);
-            const res = await client.uploadEntry(payload, { extraTags: [{ name: 'Prev', value: op.priorTxid }] });
+            const res = await client.uploadEntry(payload, { extraTags: editTags(op.priorTxid, local) });
+            this._prevLinks.set(res.txid, op.priorTxid);
             const addr = await this._getWalletAddress();
             registerPendingTx(addr, res.txid).catch(() => {});
             local.txid = res.txid; local.id = res.txid;
             local.pending = false; local.status = 'confirmed'; local.seenRemote = true;
+            settleEdit(local, op.priorTxid);
             await this._cache.replaceProvisional(op.priorTxid, local);
             await this._cache.removeOp(op.id);
             this._emitChange();
-          } catch {
+          } catch (e) {
+            if (e?.code === 'invalid-payload') continue;
             this._emitProgress(['Awaiting upload credit...', 'Will retry automatically']);
             break;
           }
@@ -446,9 +1564,67 @@ export class BookRepository {
     }
   }
 
+  // Queued creates (an interrupted import, books added offline) are published
+  // in bundles like createMany. Books that can't go out stay queued until
+  // they're fixed.
+  async _replayCreates(client, ops) {
+    const byRec = new Map();
+    for (const op of ops) {
+      const local = this._entries.find(e => e.id === op.localId);
+      if (!local || local.txid) { await this._cache.removeOp(op.id); continue; }
+      byRec.set(local, op);
+    }
+    if (!byRec.size) return;
+    const recs = [...byRec.keys()];
+    const addr = await this._getWalletAddress();
+    const settle = async () => {
+      for (const [rec, op] of byRec) {
+        if (rec.txid) { await this._cache.removeOp(op.id); byRec.delete(rec); }
+      }
+      this._emitChange();
+    };
+    try {
+      for (let i = 0; i < recs.length; i += CREATE_BATCH_SIZE) {
+        await this._uploadCreates(client, recs.slice(i, i + CREATE_BATCH_SIZE), addr, async () => {});
+        await settle();
+      }
+    } catch (e) {
+      await settle();
+      throw e;
+    }
+  }
+
   // --- Internal: edit upload chain ---
 
+  // Prev link of a transaction: known from sync or our own uploads, else asked of GraphQL
+  async _prevOf(txid) {
+    if (this._prevLinks.has(txid)) return this._prevLinks.get(txid);
+    const known = this._entries.find(e => e.txid === txid)?.prevTxid;
+    if (known) return known;
+    const tags = await fetchTxTags(txid);
+    const prev = tags?.find(t => t.name === 'Prev')?.value || null;
+    if (tags) this._prevLinks.set(txid, prev);
+    return prev;
+  }
+
+  // The in-memory record for an entry whose edit just uploaded. Sync may have
+  // reloaded the entries meanwhile; the reloaded record moves onto the new
+  // version, keeping changes made to it since (still pending, hasPendingEdit set).
+  _liveAfterUpload(entryKey, entry, sentAt) {
+    const i = this._entries.findIndex(e => (e.bookId || e.id) === entryKey);
+    if (i < 0 || this._entries[i] === entry) return entry;
+    const current = this._entries[i];
+    if ((current.modifiedAt || 0) === (sentAt || 0)) {
+      this._entries[i] = entry;
+      return entry;
+    }
+    Object.assign(current, { txid: entry.txid, id: entry.id, seenRemote: true });
+    settleEdit(current, entry.prevTxid);
+    return current;
+  }
+
   async _doEditUpload(entryKey, entry, prevTxid, snapshot) {
+    const sentAt = entry.modifiedAt;
     if (!entry.txid && !prevTxid) {
       this._editQueue.delete(entryKey);
       return;
@@ -457,17 +1633,21 @@ export class BookRepository {
     try {
       const haveKeys = await this._ensureKeys();
       if (!haveKeys) throw new Error('Cannot upload: encryption keys not available');
+      await this._ensureCover(entry);
 
       const payload = buildPayloadFromEntry(entry);
 
       this._emitProgress(['Saving to Arweave\u2026']);
       const client = this._getBrowserClient();
-      const res = await client.uploadEntry(payload, { extraTags: [{ name: 'Prev', value: prevTxid }] });
+      const res = await client.uploadEntry(payload, { extraTags: editTags(prevTxid, entry) });
+      this._prevLinks.set(res.txid, prevTxid);
       const addr = await this._getWalletAddress();
       registerPendingTx(addr, res.txid).catch(() => {});
 
       entry.txid = res.txid; entry.id = res.txid;
       entry.pending = false; entry.status = 'confirmed'; entry.seenRemote = true;
+      settleEdit(entry, prevTxid);
+      entry = this._liveAfterUpload(entryKey, entry, sentAt);
 
       const prevStillExists = prevTxid && this._cache
         ? await this._cache.findByTxid(prevTxid) : true;
@@ -497,13 +1677,18 @@ export class BookRepository {
     } catch (e) {
       this._editQueue.delete(entryKey);
       Object.assign(entry, snapshot);
+      // A cover reference set during the attempt belongs to the new cover
+      for (const k of COVER_FIELDS) if (!(k in snapshot)) delete entry[k];
       if (this._cache) await this._cache.putEntry(entry);
       this._emitChange();
 
       const pending = { type: 'edit', priorTxid: prevTxid };
       if (this._cache) await this._cache.queueOp(pending);
 
-      if (e?.code === 'upload-required') {
+      if (e?.code === 'invalid-payload') {
+        this._emitError('invalid-payload', invalidPayloadMessage(entry, e), pending);
+        this._emitProgress(['Couldn\u2019t save to cloud \u2013 edit the book to fix it']);
+      } else if (e?.code === 'upload-required') {
         this._emitError('upload-required', 'Upload client missing. Refresh page and retry.', pending);
         this._emitProgress(['Upload client missing', 'Refresh page and retry']);
       } else if (e?.code === 'post-fund-timeout') {
@@ -518,170 +1703,4 @@ export class BookRepository {
       }
     }
   }
-
-  // --- Internal: remote fetch pipeline ---
-
-  async _fetchRemoteEntries() {
-    const client = this._getBrowserClient();
-    if (!client) return { entries: [], tombstones: [], partial: false };
-
-    const { entries: bridgeEntries, tombstones: bridgeTombstones } = await this._fetchBridgeEntries();
-    const { edges: allEdges, error: gqlError } = await this._fetchGraphQLPages();
-
-    let liveEdges = [], tombstones = [];
-    if (allEdges.length > 0) {
-      ({ liveEdges, tombstones } = client.computeLiveSets(allEdges));
-    }
-    if (bridgeTombstones.length > 0) {
-      tombstones = [...tombstones, ...bridgeTombstones];
-    }
-
-    const cachedEntries = this._cache ? await this._cache.listAllRaw() : [];
-    const { needsDecrypt, alreadySynced } = this._partitionEdges(liveEdges, cachedEntries);
-
-    console.log('[BookRepository] Cache check:', alreadySynced.length, 'already synced,', needsDecrypt.length, 'need decrypt');
-    window.bookishNet = window.bookishNet || { reads: { arweave: 0, turbo: 0, errors: 0 }, cacheHits: 0 };
-    window.bookishNet.cacheHits = (window.bookishNet.cacheHits || 0) + alreadySynced.length;
-
-    const decrypted = await this._decryptEdges(needsDecrypt);
-    const restored = this._restoreFromCache(alreadySynced, cachedEntries);
-    const hydrated = [...decrypted, ...restored];
-    const entries = this._mergeAndDeduplicate(hydrated, bridgeEntries);
-
-    const partial = !!gqlError;
-    if (partial && bridgeEntries.length > 0) {
-      console.log('[BookRepository] Partial sync: GraphQL unavailable, returning', entries.length, 'bridge entries');
-    }
-
-    return { entries, tombstones, partial };
-  }
-
-  async _fetchBridgeEntries() {
-    try {
-      const addr = await this._getWalletAddress();
-      if (!addr) return { entries: [], tombstones: [] };
-      const pendingIds = await fetchPendingTxIds(addr);
-      if (pendingIds.length === 0) return { entries: [], tombstones: [] };
-
-      const cached = this._cache ? await this._cache.listAllRaw() : [];
-      const knownTxids = new Set(cached.filter(e => e.txid).map(e => e.txid));
-      const newIds = pendingIds.filter(id => !knownTxids.has(id));
-      if (newIds.length === 0) return { entries: [], tombstones: [] };
-
-      console.log('[BookRepository] Bridge: fetching', newIds.length, 'pending tx IDs from Turbo');
-      const client = this._getBrowserClient();
-      const results = [];
-      const bridgeTombstones = [];
-      for (const txid of newIds) {
-        try {
-          const dec = await client.decryptTx(txid);
-          if (dec.op === 'tombstone' && dec.ref) {
-            bridgeTombstones.push({ txid, ref: dec.ref });
-          } else {
-            results.push({ txid, ...dec, block: null });
-          }
-        } catch { /* skip undecryptable */ }
-      }
-      console.log('[BookRepository] Bridge: decrypted', results.length, 'entries,', bridgeTombstones.length, 'tombstones of', newIds.length, 'txids');
-      return { entries: results, tombstones: bridgeTombstones };
-    } catch {
-      return { entries: [], tombstones: [] };
-    }
-  }
-
-  async _fetchGraphQLPages() {
-    const client = this._getBrowserClient();
-    const allEdges = [];
-    let cursor, safety = 0;
-
-    console.log('[BookRepository] Querying Arweave GraphQL for book entries...');
-    const t0 = Date.now();
-
-    for (;;) {
-      const { edges, pageInfo, error } = await client.searchByOwner(null, { limit: 50, cursor });
-      if (error) {
-        console.warn('[BookRepository] GraphQL unavailable:', error);
-        return { edges: allEdges, error };
-      }
-      allEdges.push(...edges);
-      if (!pageInfo.hasNextPage) break;
-      cursor = edges[edges.length - 1]?.cursor;
-      if (++safety > 40) break;
-    }
-
-    console.log('[BookRepository] GraphQL completed in', Date.now() - t0, 'ms, found', allEdges.length, 'transactions');
-    return { edges: allEdges, error: null };
-  }
-
-  _partitionEdges(liveEdges, cachedEntries) {
-    const confirmedTxids = new Set(
-      cachedEntries
-        .filter(e => e.txid && e.seenRemote && e.status === 'confirmed')
-        .map(e => e.txid)
-    );
-    return {
-      needsDecrypt: liveEdges.filter(e => !confirmedTxids.has(e.node.id)),
-      alreadySynced: liveEdges.filter(e => confirmedTxids.has(e.node.id))
-    };
-  }
-
-  async _decryptEdges(edges) {
-    const t0 = Date.now();
-    const client = this._getBrowserClient();
-    const results = [];
-    for (const e of edges) {
-      try {
-        const dec = await client.decryptTx(e.node.id);
-        const prev = prevTag(e);
-        results.push({ txid: e.node.id, ...dec, block: e.node.block, ...(prev && { prevTxid: prev }) });
-      } catch (err) {
-        console.warn('[BookRepository] Failed to decrypt', e.node.id, err);
-      }
-    }
-    console.log('[BookRepository] Decrypted', edges.length, 'entries in', Date.now() - t0, 'ms');
-    return results;
-  }
-
-  _restoreFromCache(edges, cachedEntries) {
-    const results = [];
-    for (const e of edges) {
-      const cached = cachedEntries.find(c => c.txid === e.node.id);
-      if (cached) {
-        results.push({ ...cached, block: e.node.block, ...(prevTag(e) && { prevTxid: prevTag(e) }) });
-      }
-    }
-    return results;
-  }
-
-  _mergeAndDeduplicate(hydrated, bridgeEntries) {
-    if (bridgeEntries.length > 0) {
-      const txids = new Set(hydrated.map(e => e.txid));
-      let added = 0;
-      for (const be of bridgeEntries) {
-        if (!txids.has(be.txid)) { hydrated.push(be); added++; }
-      }
-      if (added > 0) console.log('[BookRepository] Bridge: merged', added, 'new entries into sync results');
-    }
-
-    const byBookId = new Map();
-    for (const entry of hydrated) {
-      if (!entry.bookId) continue;
-      const existing = byBookId.get(entry.bookId);
-      if (!existing || pickWinner(entry, existing) === entry) {
-        byBookId.set(entry.bookId, entry);
-      }
-    }
-
-    const noBookId = hydrated.filter(e => !e.bookId);
-    if (noBookId.length > 0) console.log('[BookRepository] WARNING: entries without bookId:', noBookId.map(e => e.txid?.slice(0,8)));
-    const deduped = [...byBookId.values(), ...noBookId];
-    console.log('[BookRepository] _mergeAndDeduplicate →', deduped.map(e => ({ tx: e.txid?.slice(0,8), bid: e.bookId?.slice(0,8) || 'NONE', mod: e.modifiedAt || 0 })));
-    deduped.sort((a, b) => {
-      const da = a.dateRead || '0000-00-00', db = b.dateRead || '0000-00-00';
-      if (da !== db) return db.localeCompare(da);
-      return (b.createdAt || 0) - (a.createdAt || 0);
-    });
-
-    return deduped;
-  }
 }
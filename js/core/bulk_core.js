@@ -0,0 +1,73 @@
+// bulk_core.js - Pure patch builders for multi-select bulk actions
+// Each builder returns the payload BookRepository.updateMany applies to one
+// entry, or null when the entry already has the requested value.
+// No DOM, no IndexedDB, no network.
+
+import { READING_STATUS, normalizeReadingStatus } from './reading_status.js';
+
+function tagList(entry) {
+  return (entry.tags || '').split(',').map(t => t.trim()).filter(Boolean);
+}
+
+/**
+ * Clean a tag typed into the bulk bar (tags are stored comma-separated).
+ * @param {string} tag
+ * @returns {string} - '' when nothing usable is left
+ */
+export function normalizeTag(tag) {
+  return String(tag || '').replace(/,/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Reading status change, with the same side effects as BookRepository.changeStatus:
+ * starting a book stamps readingStartedAt, finishing one fills in today's dateRead.
+ * @param {Object} entry
+ * @param {string} status - READING_STATUS value
+ * @param {number} [now]
+ * @returns {Object|null}
+ */
+export function statusPatch(entry, status, now = Date.now()) {
+  const previous = normalizeReadingStatus(entry);
+  if (previous === status) return null;
+  const patch = { readingStatus: status };
+  if (status === READING_STATUS.READING) patch.readingStartedAt = now;
+  if (status === READING_STATUS.READ && !entry.dateRead) patch.dateRead = new Date(now).toISOString().slice(0, 10);
+  return patch;
+}
+
+/**
+ * Add a tag (case-insensitive match against existing tags).
+ * @param {Object} entry
+ * @param {string} tag
+ * @returns {Object|null}
+ */
+export function addTagPatch(entry, tag) {
+  const t = normalizeTag(tag);
+  const tags = tagList(entry);
+  if (!t || tags.some(x => x.toLowerCase() === t.toLowerCase())) return null;
+  return { tags: [...tags, t].join(', ') };
+}
+
+/**
+ * Remove a tag (case-insensitive).
+ * @param {Object} entry
+ * @param {string} tag
+ * @returns {Object|null}
+ */
+export function removeTagPatch(entry, tag) {
+  const t = normalizeTag(tag).toLowerCase();
+  const tags = tagList(entry);
+  const kept = tags.filter(x => x.toLowerCase() !== t);
+  if (!t || kept.length === tags.length) return null;
+  return { tags: kept.join(', ') };
+}
+
+/**
+ * Mark owned or not owned.
+ * @param {Object} entry
+ * @param {boolean} owned
+ * @returns {Object|null}
+ */
+export function ownedPatch(entry, owned) {
+  return !!entry.owned === !!owned ? null : { owned: !!owned };
+}
@@ -0,0 +1,120 @@
+// bundle_core.js - Pure ANS-104 bundle reader for batched uploads
+// Imports and bulk edits upload several encrypted entries as one ANS-104 bundle
+// (see createBundle in ans104_signer.js). Gateways don't always index the items
+// of such nested bundles, so sync can fetch the bundle and unpack it here.
+// No DOM, no IndexedDB, no network.
+
+// Signature and owner lengths per ANS-104 signature type
+const SIG_CONFIG = {
+  1: { sig: 512, owner: 512 },   // Arweave
+  2: { sig: 64, owner: 32 },     // ED25519
+  3: { sig: 65, owner: 65 },     // Ethereum
+  4: { sig: 64, owner: 32 }      // Solana
+};
+
+const dec = new TextDecoder();
+
+function base64url(bytes) {
+  let bin = '';
+  for (const b of bytes) bin += String.fromCharCode(b);
+  return btoa(bin).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+// Little-endian unsigned integer of `len` bytes (safe up to 2^53)
+function readUint(bytes, offset, len) {
+  let n = 0;
+  for (let i = len - 1; i >= 0; i--) n = n * 256 + bytes[offset + i];
+  return n;
+}
+
+// Avro zigzag varint; returns [value, nextOffset]
+function readAvroLong(bytes, offset) {
+  let n = 0, shift = 0, b;
+  do {
+    if (offset >= bytes.length) throw new Error('Truncated tag data');
+    b = bytes[offset++];
+    n += (b & 0x7f) * 2 ** shift;
+    shift += 7;
+  } while (b & 0x80);
+  return [n % 2 ? -(n + 1) / 2 : n / 2, offset];
+}
+
+/**
+ * Decode ANS-104 tags (an Avro array of { name: bytes, value: bytes } records).
+ * @param {Uint8Array} bytes
+ * @returns {Array<{ name: string, value: string }>}
+ */
+export function decodeTags(bytes) {
+  const tags = [];
+  let p = 0;
+  while (p < bytes.length) {
+    let count;
+    [count, p] = readAvroLong(bytes, p);
+    if (count === 0) break;
+    if (count < 0) { count = -count; [, p] = readAvroLong(bytes, p); }   // block byte size, unused
+    for (let i = 0; i < count; i++) {
+      let len;
+      [len, p] = readAvroLong(bytes, p);
+      const name = dec.decode(bytes.subarray(p, p + len)); p += len;
+      [len, p] = readAvroLong(bytes, p);
+      const value = dec.decode(bytes.subarray(p, p + len)); p += len;
+      tags.push({ name, value });
+    }
+  }
+  return tags;
+}
+
+/**
+ * Read the tags and payload of a signed ANS-104 data item.
+ * @param {Uint8Array} bytes
+ * @returns {{ tags: Array<{ name: string, value: string }>, data: Uint8Array }}
+ */
+export function parseDataItem(bytes) {
+  const cfg = SIG_CONFIG[readUint(bytes, 0, 2)];
+  if (!cfg) throw new Error('Unsupported signature type');
+  let p = 2 + cfg.sig + cfg.owner;
+  if (bytes[p++] === 1) p += 32;   // target
+  if (bytes[p++] === 1) p += 32;   // anchor
+  const tagBytesLen = readUint(bytes, p + 8, 8);
+  p += 16;
+  if (p + tagBytesLen > bytes.length) throw new Error('Truncated data item');
+  const tags = decodeTags(bytes.subarray(p, p + tagBytesLen));
+  return { tags, data: bytes.subarray(p + tagBytesLen) };
+}
+
+/**
+ * Unpack an ANS-104 binary bundle: count(32) | [size(32) | id(32)] * count | items...
+ * @param {Uint8Array} bytes
+ * @returns {Array<{ id: string, tags: Array<{ name: string, value: string }>, data: Uint8Array }>}
+ */
+export function parseBundle(bytes) {
+  if (!(bytes instanceof Uint8Array) || bytes.length < 32) throw new Error('Not a bundle');
+  const count = readUint(bytes, 0, 32);
+  let offset = 32 + count * 64;
+  if (offset > bytes.length) throw new Error('Truncated bundle header');
+  const items = [];
+  for (let i = 0; i < count; i++) {
+    const h = 32 + i * 64;
+    const size = readUint(bytes, h, 32);
+    if (offset + size > bytes.length) throw new Error('Truncated bundle item');
+    const { tags, data } = parseDataItem(bytes.subarray(offset, offset + size));
+    items.push({ id: base64url(bytes.subarray(h + 32, h + 64)), tags, data });
+    offset += size;
+  }
+  return items;
+}
+
+/**
+ * GraphQL-shaped edges for the items of an unpacked batch, so computeLiveSets
+ * and decryption treat them like indexed transactions. Items take the batch's
+ * block and carry their encrypted bytes as `data`.
+ * @param {Object} batchEdge - GraphQL edge of the bundle transaction
+ * @param {Array<{ id: string, tags: Array, data: Uint8Array }>} items - parseBundle() output
+ * @returns {Array<Object>}
+ */
+export function batchItemEdges(batchEdge, items) {
+  return items.map(item => ({
+    node: { id: item.id, tags: item.tags, block: batchEdge.node.block || null, bundledIn: { id: batchEdge.node.id } },
+    data: item.data
+  }));
+}
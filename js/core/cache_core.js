@@ -1,13 +1,19 @@
 // cache_core.js - Pure cache logic extracted from cache.js
 // Testable functions for content hashing, duplicate detection, and remote merge
 
+import { clearCover } from './cover_core.js';
+
 /**
  * Compute SHA-256 based content hash for an entry
- * @param {Object} entry - Entry object with title, author, edition, format, dateRead
+ * A re-read (workKey set, see work_core.js) also hashes its readingStartedAt:
+ * it starts with the same title/author/format and an empty dateRead as the read
+ * before it, and mustn't be taken for a duplicate of it.
+ * @param {Object} entry - Entry object with title, author, edition, format, dateRead (workKey, readingStartedAt)
  * @returns {Promise<string>} - Hash in format "sha256-<hex>"
  */
 export async function computeContentHash(entry) {
-  const base = (entry.title || '') + '|' + (entry.author || '') + '|' + (entry.edition || '') + '|' + (entry.format || '') + '|' + (entry.dateRead || '');
+  let base = (entry.title || '') + '|' + (entry.author || '') + '|' + (entry.edition || '') + '|' + (entry.format || '') + '|' + (entry.dateRead || '');
+  if (entry.workKey) base += '|' + (entry.readingStartedAt || '');
   const enc = new TextEncoder().encode(base);
   const buf = await crypto.subtle.digest('SHA-256', enc);
   const hex = Array.from(new Uint8Array(buf)).map(b => b.toString(16).padStart(2, '0')).join('');
@@ -42,6 +48,30 @@ export async function detectDuplicate(payload, existingEntries) {
   return existing || null;
 }
 
+// A confirmed entry edited locally whose new version hasn't uploaded yet.
+// A merge still waiting on the user's conflict choices isn't one: sync keeps
+// recomputing it until it's resolved, here or on another device.
+function hasLocalEdit(e) {
+  return !!e.txid && e.status === 'pending' && !(e.mergeOf?.length && e.conflicts?.length);
+}
+
+// A merged version (see merge_core.js) over a local record: it has to be
+// uploaded, so it stays pending with the merge's inputs in mergeOf
+async function mergedRecord(r, base) {
+  const { id, status, pending, seenRemote, block, hasCover, ...fields } = r;
+  const merged = { ...base, ...fields, status: 'pending', pending: true, seenRemote: false };
+  if (!('conflicts' in fields)) delete merged.conflicts;
+  // Conflicts found again keep the time they were first seen
+  else if (base.conflicts?.length) {
+    const seen = new Map(base.conflicts.map(c => [c.field, c.detectedAt]));
+    merged.conflicts = fields.conflicts.map(c => (seen.get(c.field) ? { ...c, detectedAt: seen.get(c.field) } : c));
+  }
+  // hasCover without a reference: the merge didn't see the cover, keep the local one
+  if (!hasCover && !fields.coverHash) clearCover(merged);
+  merged.contentHash = await computeContentHash(merged);
+  return merged;
+}
+
 /**
  * Merge remote entries with local entries, respecting tombstones
  * @param {Array<Object>} remoteList - Remote entries from server
@@ -84,7 +114,14 @@ export async function applyRemote(remoteList, tombstones, localEntries) {
     if (tombRefs.has(r.txid)) continue; // Skip tombstoned entries
 
     const existing = localMapByTx.get(r.txid);
-    if (existing) {
+    if (existing && r.mergeOf?.length) {
+      // This version merged with its forks (see merge_core.js): take the merged
+      // fields and upload them, unless there are local changes still to upload
+      if (!hasLocalEdit(existing)) {
+        console.log('[Bookish:Cache] applyRemote', r.txid?.slice(0,8), '→ merge');
+        toUpdate.push(await mergedRecord(r, existing));
+      }
+    } else if (existing) {
       let changed = false;
       const updates = {};
 
@@ -106,20 +143,25 @@ export async function applyRemote(remoteList, tombstones, localEntries) {
     } else {
       // New remote entry not in local by txid
       const prevTxid = r.prevTxid;
-      const supersededLocal = prevTxid ? localMapByTx.get(prevTxid) : null;
+      // A fork adopted by sync (merge_core.js) supersedes the forks it was adopted over
+      const supersededLocal = (prevTxid && localMapByTx.get(prevTxid)) ||
+        (r.adoptedOver || []).map(t => localMapByTx.get(t)).find(Boolean) || null;
 
       const contentHash = await computeContentHash({
         title: r.title,
         author: r.author,
         edition: r.edition,
         format: r.format,
-        dateRead: r.dateRead
+        dateRead: r.dateRead,
+        workKey: r.workKey,
+        readingStartedAt: r.readingStartedAt
       });
 
       // Spread all remote fields to preserve optional fields (rating, owned, tags, notes, etc.)
       // Then apply local-only state fields
+      const { adoptedOver, ...remote } = r;
       const newEntry = {
-        ...r,
+        ...remote,
         id: r.txid,
         txid: r.txid,
         bookId: r.bookId || null,
@@ -130,7 +172,16 @@ export async function applyRemote(remoteList, tombstones, localEntries) {
         onArweave: false
       };
 
-      if (supersededLocal) {
+      if (r.mergeOf?.length) {
+        const target = supersededLocal || (r.bookId && localByBookId.get(r.bookId));
+        if (target && hasLocalEdit(target)) continue;
+        console.log('[Bookish:Cache] applyRemote', r.txid?.slice(0,8), '→ merge');
+        const merged = await mergedRecord(r, newEntry);
+        if (target) toReplace.push({ prevId: target.id, entry: merged }); else toAdd.push(merged);
+      } else if (supersededLocal && hasLocalEdit(supersededLocal)) {
+        // The local edit uploads with the same Prev; the fork is merged next sync
+        console.log('[Bookish:Cache] applyRemote', r.txid?.slice(0,8), '→ skip (local edit pending)');
+      } else if (supersededLocal) {
         console.log('[Bookish:Cache] applyRemote', r.txid?.slice(0,8), '→ replace-prev');
         toReplace.push({ prevId: supersededLocal.id, entry: newEntry });
       } else {
@@ -141,6 +192,7 @@ export async function applyRemote(remoteList, tombstones, localEntries) {
           localPendingByHash.delete(contentHash);
         } else if (r.bookId && localByBookId.has(r.bookId)) {
           const localMatch = localByBookId.get(r.bookId);
+          if (hasLocalEdit(localMatch)) continue;
           const wins = pickWinner(localMatch, newEntry) === newEntry;
           console.log('[Bookish:Cache] applyRemote', r.txid?.slice(0,8), 'bookId-match remote:', (newEntry.modifiedAt || 0), 'local:', (localMatch.modifiedAt || 0), '→', wins ? 'REPLACE' : 'skip');
           if (wins) {
@@ -154,8 +206,10 @@ export async function applyRemote(remoteList, tombstones, localEntries) {
     }
   }
 
-  // Mark tombstoned entries
+  // Mark tombstoned entries (a restore from the trash that hasn't re-published yet
+  // still carries the tombstoned txid; its upload will supersede the tombstone)
   for (const e of localEntries) {
+    if (e.restoredAt && e.pending) continue;
     if (e.txid && tombRefs.has(e.txid) && e.status !== 'tombstoned') {
       toTombstone.push({
         ...e,
@@ -168,6 +222,100 @@ export async function applyRemote(remoteList, tombstones, localEntries) {
   return { toAdd, toUpdate, toTombstone, toReplace };
 }
 
+/**
+ * Turn an applyRemote() result into finished entry changes for the cache:
+ * records to add, records that replace another id, and field patches for
+ * records that already exist (a field set to undefined is removed). Patches
+ * and replaces carry the txid, modifiedAt and status of the record they were
+ * computed against so the writer can skip records edited in the meantime.
+ * @param {{ toAdd: Array, toUpdate: Array, toTombstone: Array, toReplace: Array }} result
+ * @param {Array<Object>} localEntries - The entries applyRemote compared against
+ * @returns {{ add: Array<Object>, replace: Array<{ prevId: string, base: Object|null, entry: Object }>, patch: Array<{ id: string, base: Object, changes: Object }> }}
+ */
+export function toEntryDiff(result, localEntries) {
+  const localById = new Map(localEntries.map(e => [e.id, e]));
+  const patch = [];
+  for (const next of [...result.toUpdate, ...result.toTombstone]) {
+    const cur = localById.get(next.id);
+    if (!cur) continue;
+    const changes = {};
+    for (const [k, v] of Object.entries(next)) {
+      if (cur[k] !== v) changes[k] = v;
+    }
+    for (const k of Object.keys(cur)) {
+      if (!(k in next)) changes[k] = undefined;
+    }
+    if (Object.keys(changes).length) {
+      patch.push({ id: next.id, base: { txid: cur.txid || null, modifiedAt: cur.modifiedAt || 0 }, changes });
+    }
+  }
+  const replace = (result.toReplace || []).map(({ prevId, entry }) => {
+    const cur = prevId ? localById.get(prevId) : null;
+    const base = cur ? { txid: cur.txid || null, modifiedAt: cur.modifiedAt || 0, status: cur.status } : null;
+    return { prevId, base, entry };
+  });
+  return { add: result.toAdd, replace, patch };
+}
+
+/**
+ * Apply an entry diff to an in-memory list of records.
+ * @param {Array<Object>} entries
+ * @param {{ add: Array, replace: Array, patch: Array }} diff
+ * @returns {Array<Object>} - New list
+ */
+export function applyEntryDiff(entries, diff) {
+  const byId = new Map(entries.map(e => [e.id, e]));
+  for (const { id, changes } of diff.patch) {
+    if (byId.has(id)) byId.set(id, patchEntry(byId.get(id), changes));
+  }
+  for (const r of diff.replace) {
+    if (!replaceApplies(byId.get(r.prevId), r)) continue;
+    byId.delete(r.prevId);
+    byId.set(r.entry.id, r.entry);
+  }
+  for (const entry of diff.add) byId.set(entry.id, entry);
+  return [...byId.values()];
+}
+
+/**
+ * A record with a patch's changes applied (undefined removes the field).
+ * @param {Object} entry
+ * @param {Object} changes
+ * @returns {Object}
+ */
+export function patchEntry(entry, changes) {
+  const out = { ...entry, ...changes };
+  for (const [k, v] of Object.entries(changes)) {
+    if (v === undefined) delete out[k];
+  }
+  return out;
+}
+
+/**
+ * Whether a patch still applies to the current record (same version it was
+ * computed against).
+ * @param {Object|null} current
+ * @param {{ base: { txid: string|null, modifiedAt: number } }} patch
+ * @returns {boolean}
+ */
+export function patchApplies(current, patch) {
+  return !!current && (current.txid || null) === patch.base.txid && (current.modifiedAt || 0) === patch.base.modifiedAt;
+}
+
+/**
+ * Whether a replace still applies: the record it replaces is the version it
+ * was computed against. A record edited (or deleted) since is left alone and
+ * the remote version is merged with it next sync.
+ * @param {Object|null} current - The stored record under replace.prevId
+ * @param {{ prevId: string|null, base: Object|null }} replace
+ * @returns {boolean}
+ */
+export function replaceApplies(current, replace) {
+  if (!replace.prevId) return true;
+  if (!replace.base) return false;
+  return patchApplies(current, replace) && current.status === replace.base.status;
+}
+
 /**
  * Compact duplicate entries, keeping the best one
  * @param {Array<Object>} entries - All entries to check for duplicates
@@ -175,7 +323,7 @@ export async function applyRemote(remoteList, tombstones, localEntries) {
  */
 export function compactDuplicates(entries) {
   const seenTx = new Map();
-  const toDelete = [];
+  const toDelete = new Set();
 
   // Handle same-txid duplicates
   for (const e of entries) {
@@ -205,7 +353,7 @@ export function compactDuplicates(entries) {
         }
 
         if (drop.id !== keep.id) {
-          toDelete.push(drop.id);
+          toDelete.add(drop.id);
         }
         seenTx.set(e.txid, keep);
       }
@@ -221,31 +369,31 @@ export function compactDuplicates(entries) {
 
   for (const e of entries) {
     if (e.status !== 'confirmed' && confirmedByHash.has(e.contentHash)) {
-      if (!toDelete.includes(e.id)) {
-        toDelete.push(e.id);
-      }
+      toDelete.add(e.id);
     }
   }
 
-  // Handle same-bookId duplicates (race condition from quick edits)
+  // Handle same-bookId duplicates (race condition from quick edits).
+  // A merge of forked versions (see merge_core.js) outranks the versions it merged.
+  const merges = (a, b) => !!b.txid && !!a.mergeOf?.includes(b.txid);
   const byBookId = new Map();
   for (const e of entries) {
-    if (!e.bookId || e.status === 'tombstoned' || toDelete.includes(e.id)) continue;
+    if (!e.bookId || e.status === 'tombstoned' || toDelete.has(e.id)) continue;
     const existing = byBookId.get(e.bookId);
     if (!existing) {
       byBookId.set(e.bookId, e);
     } else {
-      const keep = pickWinner(existing, e);
+      const keep = merges(e, existing) ? e : merges(existing, e) ? existing : pickWinner(existing, e);
       const drop = keep === existing ? e : existing;
       byBookId.set(e.bookId, keep);
-      if (!toDelete.includes(drop.id)) {
-        toDelete.push(drop.id);
+      if (!toDelete.has(drop.id)) {
+        toDelete.add(drop.id);
         console.log('[Bookish:Cache] Compacting duplicate bookId:', drop.bookId?.slice(0,8), 'dropping', drop.txid?.slice(0,8), 'keeping', keep.txid?.slice(0,8));
       }
     }
   }
 
-  const toKeep = entries.filter(e => !toDelete.includes(e.id));
+  const toKeep = entries.filter(e => !toDelete.has(e.id));
 
-  return { toKeep, toDelete };
+  return { toKeep, toDelete: [...toDelete] };
 }
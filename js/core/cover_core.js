@@ -0,0 +1,104 @@
+// cover_core.js - Pure cover reference logic
+// Cover images are uploaded once, encrypted, as their own records
+// (Schema-Name=cover) and entries point at them instead of carrying the image:
+//   coverHash  SHA-256 of the image bytes; identifies the cover on every device
+//   coverTxid  the cover record's transaction
+//   mimeType   image type
+// Entries written before covers moved out carry the image inline (coverImage);
+// it moves to a cover record the next time the entry is uploaded.
+// No DOM, no IndexedDB, no network.
+
+import { base64ToBytes } from './crypto_core.js';
+
+export const COVER_SCHEMA = 'cover';
+export const COVER_SCHEMA_VERSION = '0.1.0';
+
+// Entry fields that describe its cover
+export const COVER_FIELDS = ['coverImage', 'coverHash', 'coverTxid', 'mimeType', 'hasCover'];
+
+/**
+ * Content hash of cover image bytes.
+ * @param {Uint8Array} bytes
+ * @returns {Promise<string>} - "sha256-<hex>"
+ */
+export async function hashCoverBytes(bytes) {
+  const buf = await crypto.subtle.digest('SHA-256', bytes);
+  return 'sha256-' + Array.from(new Uint8Array(buf)).map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Content hash of a base64-encoded cover.
+ * @param {string} base64
+ * @returns {Promise<string>}
+ */
+export function hashCoverBase64(base64) {
+  return hashCoverBytes(base64ToBytes(base64));
+}
+
+/**
+ * Give a payload with its cover inline (written before covers had records of
+ * their own) a coverHash, so it compares with newer versions. In place.
+ * @param {Object} payload
+ * @returns {Promise<Object>} - The same payload
+ */
+export async function addCoverHash(payload) {
+  if (payload?.coverImage && !payload.coverHash) payload.coverHash = await hashCoverBase64(payload.coverImage);
+  return payload;
+}
+
+/**
+ * Whether an entry has a cover, wherever the image is.
+ * @param {Object} entry
+ * @returns {boolean}
+ */
+export function hasCoverImage(entry) {
+  return !!(entry?.coverHash || entry?.coverImage || entry?.hasCover);
+}
+
+/**
+ * What it takes to find an entry's cover: the local copy by hash, the cover
+ * record by txid, or (older entries) the entry's own transaction.
+ * @param {Object} entry
+ * @returns {{ hash: string|null, coverTxid: string|null, entryTxid: string|null, mimeType: string|null }|null}
+ */
+export function coverRefOf(entry) {
+  if (!hasCoverImage(entry)) return null;
+  return {
+    hash: entry.coverHash || null,
+    coverTxid: entry.coverTxid || null,
+    entryTxid: entry.txid || null,
+    mimeType: entry.mimeType || null
+  };
+}
+
+/**
+ * An entry's cover reference as payload fields.
+ * @param {Object} entry
+ * @returns {{ coverHash?: string, coverTxid?: string, mimeType?: string }} - empty without a coverHash
+ */
+export function coverFields(entry) {
+  if (!entry?.coverHash) return {};
+  const out = { coverHash: entry.coverHash };
+  if (entry.coverTxid) out.coverTxid = entry.coverTxid;
+  if (entry.mimeType) out.mimeType = entry.mimeType;
+  return out;
+}
+
+/**
+ * Remove every cover field from an entry, in place.
+ * @param {Object} entry
+ * @returns {Object}
+ */
+export function clearCover(entry) {
+  for (const k of COVER_FIELDS) delete entry[k];
+  return entry;
+}
+
+/**
+ * Cover record payload (encrypted and uploaded as its own transaction).
+ * @param {{ data: string, mimeType: string, hash: string }} cover - data is base64
+ * @returns {Object}
+ */
+export function buildCoverRecord({ data, mimeType, hash }) {
+  return { schema: COVER_SCHEMA, version: COVER_SCHEMA_VERSION, hash, mimeType, data };
+}
@@ -1,5 +1,6 @@
-// credential_core.js - Username+password credential key derivation
-// PBKDF2-SHA256 based key derivation for email+password authentication
+// credential_core.js - Credential key derivation (email+password, passkey)
+// PBKDF2-SHA256 based key derivation for email+password authentication, and
+// the same lookup/encryption keys from a passkey's WebAuthn PRF output
 // Pure crypto module — no DOM, no Arweave, no side effects
 
 import { importAesKey, encryptJsonToBytes, decryptBytesToJson } from './crypto_core.js';
@@ -13,6 +14,11 @@ const KEY_LENGTH_BITS = 256;
 const AUTH_SALT_DOMAIN = 'bookish-auth-v1';
 const LOOKUP_DOMAIN = 'bookish-lookup-v1';
 const ENCRYPT_DOMAIN = 'bookish-encrypt-v1';
+const PASSKEY_PRF_DOMAIN = 'bookish-passkey-prf-v1';
+
+// Payload version written (schemas/credential_mapping_0.2.0.json); 0.1.0
+// payloads have no rotated keys and read the same way
+export const CREDENTIAL_MAPPING_VERSION = '0.2.0';
 
 /**
  * Normalize username (email) for consistent key derivation
@@ -75,14 +81,22 @@ export async function deriveCredentialKeys(email, password) {
   );
   const masterKey = new Uint8Array(masterKeyBits);
 
-  // Step 4: Derive lookup key = SHA-256(masterKey + LOOKUP_DOMAIN)
+  // Steps 4-5: lookup key and encryption key
+  return keysFromMasterKey(masterKey);
+}
+
+// Lookup key and encryption key from a 32-byte master key
+async function keysFromMasterKey(masterKey) {
+  const encoder = new TextEncoder();
+
+  // Lookup key = SHA-256(masterKey + LOOKUP_DOMAIN) → hex string
   const lookupInput = new Uint8Array(masterKey.length + encoder.encode(LOOKUP_DOMAIN).length);
   lookupInput.set(masterKey, 0);
   lookupInput.set(encoder.encode(LOOKUP_DOMAIN), masterKey.length);
   const lookupHash = new Uint8Array(await crypto.subtle.digest('SHA-256', lookupInput));
   const lookupKey = Array.from(lookupHash).map(b => b.toString(16).padStart(2, '0')).join('');
 
-  // Step 5: Derive encryption key = SHA-256(masterKey + ENCRYPT_DOMAIN) → AES-GCM CryptoKey
+  // Encryption key = SHA-256(masterKey + ENCRYPT_DOMAIN) → AES-GCM CryptoKey
   const encryptInput = new Uint8Array(masterKey.length + encoder.encode(ENCRYPT_DOMAIN).length);
   encryptInput.set(masterKey, 0);
   encryptInput.set(encoder.encode(ENCRYPT_DOMAIN), masterKey.length);
@@ -92,6 +106,32 @@ export async function deriveCredentialKeys(email, password) {
   return { masterKey, lookupKey, encryptionKey };
 }
 
+/**
+ * PRF input a passkey is evaluated with. Fixed, so the same passkey always
+ * gives the same output (and so the same credential keys).
+ * @returns {Promise<Uint8Array>} - 32 bytes
+ */
+export async function passkeyPrfSalt() {
+  return new Uint8Array(await crypto.subtle.digest('SHA-256', new TextEncoder().encode(PASSKEY_PRF_DOMAIN)));
+}
+
+/**
+ * Derive all credential keys from a passkey's PRF output
+ * The PRF output (HMAC-SHA256 inside the authenticator, unique to the passkey)
+ * stands in for the PBKDF2 master key; lookup and encryption keys follow as
+ * for email+password, so the mapping is stored and read the same way.
+ *
+ * @param {ArrayBuffer|Uint8Array} prfOutput - prf.results.first from the WebAuthn ceremony
+ * @returns {Promise<{masterKey: Uint8Array, lookupKey: string, encryptionKey: CryptoKey}>}
+ */
+export async function deriveCredentialKeysFromPrf(prfOutput) {
+  const masterKey = new Uint8Array(prfOutput || []);
+  if (masterKey.length < 32) {
+    throw new Error('Passkey PRF output is required');
+  }
+  return keysFromMasterKey(masterKey.slice(0, 32));
+}
+
 /**
  * Encrypt credential payload (seed + metadata) with credential encryption key
  * Encrypts the entire JSON payload per the spec — nothing stored in plaintext on Arweave.
@@ -101,6 +141,7 @@ export async function deriveCredentialKeys(email, password) {
  * @param {string} payload.seed - 12-word BIP39 seed phrase
  * @param {string} payload.displayName - User display name
  * @param {number} payload.createdAt - Unix timestamp of account creation
+ * @param {Object} [payload.keys] - Rotated encryption keys ({ [keyId]: hex }, see keyring_core.js)
  * @param {CryptoKey} encryptionKey - Credential-derived AES-GCM key
  * @returns {Promise<Uint8Array>} - Encrypted bytes (iv | tag | ciphertext)
  */
@@ -113,11 +154,12 @@ export async function encryptCredentialPayload(payload, encryptionKey) {
   }
   const fullPayload = {
     schema: 'credential-mapping',
-    version: '0.1.0',
+    version: CREDENTIAL_MAPPING_VERSION,
     seed: payload.seed,
     displayName: payload.displayName || 'Bookish User',
     createdAt: payload.createdAt || Date.now()
   };
+  if (payload.keys && Object.keys(payload.keys).length) fullPayload.keys = payload.keys;
   return await encryptJsonToBytes(encryptionKey, fullPayload);
 }
 
@@ -127,7 +169,7 @@ export async function encryptCredentialPayload(payload, encryptionKey) {
  *
  * @param {Uint8Array} encryptedBytes - Encrypted credential payload (iv | tag | ciphertext)
  * @param {CryptoKey} encryptionKey - Credential-derived AES-GCM key
- * @returns {Promise<{seed: string, displayName: string, createdAt: number}>}
+ * @returns {Promise<{seed: string, displayName: string, createdAt: number, keys: Object}>}
  */
 export async function decryptCredentialPayload(encryptedBytes, encryptionKey) {
   if (!encryptedBytes || !(encryptedBytes instanceof Uint8Array)) {
@@ -143,7 +185,8 @@ export async function decryptCredentialPayload(encryptedBytes, encryptionKey) {
   return {
     seed: payload.seed,
     displayName: payload.displayName,
-    createdAt: payload.createdAt
+    createdAt: payload.createdAt,
+    keys: payload.keys && typeof payload.keys === 'object' ? payload.keys : {}
   };
 }
 
@@ -4,6 +4,7 @@
 import { bytesToBase64, base64ToBytes, encryptJsonToBytes, decryptBytesToJson } from './crypto_core.js';
 import { registerPendingTxByKey, fetchPendingTxIdsByKey } from './pending_tx_bridge.js';
 import { queryGraphQL, ARWEAVE_GATEWAY, TURBO_GATEWAY } from './arweave_query.js';
+import { CREDENTIAL_MAPPING_VERSION } from './credential_core.js';
 
 /**
  * Validate that a lookup key is a 64-char hex string (SHA-256 output)
@@ -33,9 +34,10 @@ function getCachedTxId(lookupKey) {
  * @param {Object} params
  * @param {string} params.lookupKey - Hex-encoded credential lookup key (64 chars)
  * @param {Uint8Array} params.encryptedPayload - Encrypted credential payload bytes
+ * @param {string} [params.schemaVersion] - Payload version; escrow payloads (made by the worker) are '0.1.0'
  * @returns {Promise<string>} - Arweave transaction ID
  */
-export async function uploadCredentialMapping({ lookupKey, encryptedPayload }) {
+export async function uploadCredentialMapping({ lookupKey, encryptedPayload, schemaVersion = CREDENTIAL_MAPPING_VERSION }) {
   if (!lookupKey || !encryptedPayload) {
     throw new Error('lookupKey and encryptedPayload are required');
   }
@@ -51,7 +53,7 @@ export async function uploadCredentialMapping({ lookupKey, encryptedPayload }) {
     { name: 'Type', value: 'credential-mapping' },
     { name: 'Credential-Lookup-Key', value: lookupKey },
     { name: 'Enc', value: 'aes-256-gcm' },
-    { name: 'Schema-Version', value: '0.1.0' }
+    { name: 'Schema-Version', value: schemaVersion }
   ];
 
   if (!window.bookishUpload) {
@@ -80,16 +82,19 @@ export async function uploadCredentialMapping({ lookupKey, encryptedPayload }) {
 
 /**
  * Search for a credential mapping transaction by lookup key tag.
+ * The newest one wins: a key rotation uploads the mapping again with the new
+ * key, so the local tx ID cache is only a fallback for when neither the
+ * bridge nor GraphQL has it (yet).
  *
  * @param {string} lookupKey - Hex-encoded credential lookup key (64 chars)
  * @returns {Promise<string|null>} - Transaction ID or null if not found
  */
 async function findCredentialMappingTx(lookupKey) {
   const cached = getCachedTxId(lookupKey);
-  if (cached) {
-    console.log(`[Bookish:CredentialMapping] Using cached tx: ${cached}`);
+  const fromCache = () => {
+    if (cached) console.log(`[Bookish:CredentialMapping] Using cached tx: ${cached}`);
     return cached;
-  }
+  };
 
   // Check bridge for recently uploaded mappings (before Arweave indexes them)
   try {
@@ -121,7 +126,7 @@ async function findCredentialMappingTx(lookupKey) {
   const { data, error } = await queryGraphQL(query);
   if (error) {
     console.warn('[Bookish:CredentialMapping] Arweave query failed:', error);
-    return null;
+    return fromCache();
   }
   const edges = data?.transactions?.edges || [];
   if (edges.length > 0) {
@@ -130,7 +135,7 @@ async function findCredentialMappingTx(lookupKey) {
     cacheTxId(lookupKey, txId);
     return txId;
   }
-  return null;
+  return fromCache();
 }
 
 /**
@@ -0,0 +1,88 @@
+// goal_core.js - Pure yearly reading goal logic
+// Goals live in account settings as { readingGoals: { "2026": 24, ... } } and
+// progress is computed from finished reads' dateRead. No DOM, no network.
+
+import { finishedReads } from './stats_core.js';
+
+const DAY_MS = 86400000;
+
+/**
+ * Goal target for a year, or null when none is set.
+ * @param {Object|undefined} settings - Account settings
+ * @param {number} year
+ * @returns {number|null}
+ */
+export function getGoal(settings, year) {
+  const n = settings?.readingGoals?.[String(year)];
+  return Number.isInteger(n) && n > 0 ? n : null;
+}
+
+/**
+ * Set (or clear, with a falsy target) the goal for a year, returning new settings.
+ * @param {Object|undefined} settings
+ * @param {number} year
+ * @param {number|null} target
+ * @returns {Object}
+ * @throws {Error} on an invalid year or target
+ */
+export function setGoal(settings, year, target) {
+  const y = Number(year);
+  if (!Number.isInteger(y) || y < 1900 || y > 9999) throw new Error(`Invalid goal year: ${year}`);
+  const goals = { ...(settings?.readingGoals || {}) };
+  if (!target) {
+    delete goals[String(y)];
+  } else {
+    const n = Number(target);
+    if (!Number.isInteger(n) || n < 1 || n > 10000) throw new Error('Goal must be a whole number of books');
+    goals[String(y)] = n;
+  }
+  return { ...(settings || {}), readingGoals: goals };
+}
+
+/**
+ * Progress toward a yearly goal.
+ *
+ * Pace compares books read so far with an even spread of the target across the
+ * year: by July 1st a 24-book goal expects 12. Past years are judged against the
+ * full target, future years against none.
+ *
+ * @param {Array<Object>} entries - All entries (any status)
+ * @param {{ year: number, target: number, now?: Date|number }} goal
+ * @returns {{
+ *   year: number, target: number, read: number, percent: number,
+ *   expected: number, delta: number, remaining: number,
+ *   perWeekNeeded: number|null,
+ *   status: 'done'|'ahead'|'on-track'|'behind'
+ * }}
+ */
+export function goalProgress(entries, { year, target, now = Date.now() }) {
+  const prefix = String(year) + '-';
+  const read = finishedReads(entries).filter(e => (e.dateRead || '').startsWith(prefix)).length;
+
+  const t = new Date(now).getTime();
+  const start = new Date(year, 0, 1).getTime();
+  const end = new Date(year + 1, 0, 1).getTime();
+  const fraction = Math.min(1, Math.max(0, (t - start) / (end - start)));
+
+  const expected = Math.floor(target * fraction);
+  const delta = read - expected;
+  const remaining = Math.max(0, target - read);
+  const weeksLeft = (end - Math.max(t, start)) / (7 * DAY_MS);
+
+  let status = 'on-track';
+  if (read >= target) status = 'done';
+  else if (delta > 0) status = 'ahead';
+  else if (delta < 0) status = 'behind';
+
+  return {
+    year,
+    target,
+    read,
+    percent: Math.min(100, Math.round(read / target * 100)),
+    expected,
+    delta,
+    remaining,
+    perWeekNeeded: remaining && weeksLeft > 0 ? Math.round(remaining / weeksLeft * 10) / 10 : null,
+    status
+  };
+}
@@ -0,0 +1,199 @@
+// goodreads_csv.js - Pure Goodreads / StoryGraph CSV import mapping
+// Parses exported library CSVs and maps rows onto BookRepository.create payloads.
+// No DOM, no IndexedDB, no network.
+
+import { READING_STATUS } from './reading_status.js';
+
+// Exclusive shelves are reading statuses, not tags
+const EXCLUSIVE_SHELVES = {
+  'read': READING_STATUS.READ,
+  'currently-reading': READING_STATUS.READING,
+  'to-read': READING_STATUS.WANT_TO_READ,
+  // StoryGraph "Read Status" value
+  'want-to-read': READING_STATUS.WANT_TO_READ
+};
+
+// Header aliases: first match wins. StoryGraph names follow the Goodreads ones.
+const COLUMNS = {
+  title: ['Title'],
+  author: ['Author', 'Authors'],
+  isbn13: ['ISBN13', 'ISBN/UID'],
+  isbn: ['ISBN'],
+  rating: ['My Rating', 'Star Rating'],
+  shelf: ['Exclusive Shelf', 'Read Status'],
+  dateRead: ['Date Read', 'Last Date Read'],
+  dateAdded: ['Date Added'],
+  review: ['My Review', 'Review'],
+  bookshelves: ['Bookshelves', 'Tags'],
+  binding: ['Binding', 'Format'],
+  owned: ['Owned Copies', 'Owned?']
+};
+
+/**
+ * Parse RFC 4180 CSV text into an array of string arrays.
+ * Handles quoted fields containing commas, doubled quotes and newlines.
+ * @param {string} text
+ * @returns {Array<Array<string>>}
+ */
+export function parseCSV(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  const s = (text || '').replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < s.length; i++) {
+    const c = s[i];
+    if (inQuotes) {
+      if (c === '"') {
+        if (s[i + 1] === '"') { field += '"'; i++; }
+        else inQuotes = false;
+      } else {
+        field += c;
+      }
+    } else if (c === '"') {
+      inQuotes = true;
+    } else if (c === ',') {
+      row.push(field); field = '';
+    } else if (c === '\n' || c === '\r') {
+      if (c === '\r' && s[i + 1] === '\n') i++;
+      row.push(field); field = '';
+      rows.push(row); row = [];
+    } else {
+      field += c;
+    }
+  }
+  if (field !== '' || row.length) { row.push(field); rows.push(row); }
+
+  return rows.filter(r => r.some(f => f.trim() !== ''));
+}
+
+/**
+ * Parse CSV text into header-keyed records.
+ * @param {string} text
+ * @returns {Array<Object>} - One object per data row, keyed by header name
+ */
+export function parseCSVRecords(text) {
+  const [header, ...rows] = parseCSV(text);
+  if (!header) return [];
+  const names = header.map(h => h.trim());
+  return rows.map(r => {
+    const rec = {};
+    names.forEach((name, i) => { rec[name] = (r[i] ?? '').trim(); });
+    return rec;
+  });
+}
+
+function pick(row, key) {
+  for (const name of COLUMNS[key]) {
+    if (row[name] !== undefined && row[name] !== '') return row[name];
+  }
+  return '';
+}
+
+/**
+ * Strip Goodreads' spreadsheet-formula wrapping from ISBNs (="0316769177").
+ * @param {string} raw
+ * @returns {string} - Bare ISBN digits (X allowed for ISBN-10), or ''
+ */
+export function cleanISBN(raw) {
+  const v = (raw || '').replace(/^="?|"$/g, '').replace(/[\s-]/g, '');
+  return /^(\d{13}|\d{9}[\dXx])$/.test(v) ? v.toUpperCase() : '';
+}
+
+/**
+ * Normalize Goodreads (YYYY/MM/DD) and StoryGraph (YYYY/MM/DD or YYYY-MM-DD) dates.
+ * @param {string} raw
+ * @returns {string} - YYYY-MM-DD, or '' if unparseable
+ */
+export function normalizeDate(raw) {
+  const m = (raw || '').match(/^(\d{4})[/-](\d{1,2})[/-](\d{1,2})/);
+  if (!m) return '';
+  return `${m[1]}-${m[2].padStart(2, '0')}-${m[3].padStart(2, '0')}`;
+}
+
+/**
+ * Map a Goodreads Binding (or StoryGraph Format) to Bookish format values.
+ * @param {string} binding
+ * @returns {'print'|'ebook'|'audio'}
+ */
+export function mapBinding(binding) {
+  const b = (binding || '').toLowerCase();
+  if (/audio|audible|mp3/.test(b)) return 'audio';
+  if (/kindle|ebook|e-book|nook|digital/.test(b)) return 'ebook';
+  return 'print';
+}
+
+/**
+ * Convert review HTML (Goodreads exports <br/> line breaks) to plain text.
+ * @param {string} html
+ * @returns {string}
+ */
+function reviewToText(html) {
+  return (html || '')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&amp;/g, '&').replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"')
+    .trim();
+}
+
+/**
+ * Map one parsed CSV record onto a BookRepository.create payload.
+ * @param {Object} row - Header-keyed record from parseCSVRecords
+ * @returns {Object|null} - Payload, or null when the row has no title
+ */
+export function mapGoodreadsRow(row) {
+  const title = pick(row, 'title');
+  if (!title) return null;
+
+  const shelf = pick(row, 'shelf').toLowerCase();
+  const readingStatus = EXCLUSIVE_SHELVES[shelf] || READING_STATUS.READ;
+  const dateAdded = normalizeDate(pick(row, 'dateAdded'));
+  const createdAt = dateAdded ? Date.parse(dateAdded + 'T00:00:00Z') : undefined;
+
+  const payload = {
+    title,
+    author: pick(row, 'author').split(',')[0].trim(),
+    format: mapBinding(pick(row, 'binding')),
+    dateRead: readingStatus === READING_STATUS.READ ? normalizeDate(pick(row, 'dateRead')) : '',
+    readingStatus
+  };
+
+  const isbn = cleanISBN(pick(row, 'isbn13')) || cleanISBN(pick(row, 'isbn'));
+  if (isbn) payload.isbn = isbn;
+
+  const rating = Math.round(parseFloat(pick(row, 'rating')));
+  if (rating >= 1 && rating <= 5) payload.rating = rating;
+
+  const tags = pick(row, 'bookshelves').split(',')
+    .map(t => t.trim())
+    .filter(t => t && !EXCLUSIVE_SHELVES[t.toLowerCase()]);
+  if (tags.length) payload.tags = [...new Set(tags)].join(', ');
+
+  const notes = reviewToText(pick(row, 'review'));
+  if (notes) payload.notes = notes.slice(0, 10000);
+
+  const owned = pick(row, 'owned').toLowerCase();
+  if (owned === 'yes' || parseInt(owned, 10) > 0) payload.owned = true;
+
+  if (createdAt) payload.createdAt = createdAt;
+  if (readingStatus === READING_STATUS.READING && createdAt) payload.readingStartedAt = createdAt;
+
+  return payload;
+}
+
+/**
+ * Parse a Goodreads or StoryGraph library export into create payloads.
+ * @param {string} text - Raw CSV file contents
+ * @returns {{ payloads: Array<Object>, skipped: number }}
+ */
+export function parseGoodreadsCSV(text) {
+  const records = parseCSVRecords(text);
+  const payloads = [];
+  let skipped = 0;
+  for (const rec of records) {
+    const p = mapGoodreadsRow(rec);
+    if (p) payloads.push(p); else skipped++;
+  }
+  return { payloads, skipped };
+}
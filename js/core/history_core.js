@@ -0,0 +1,143 @@
+// history_core.js - Pure entry version history
+// Every edit is a new transaction tagged Prev=<previous txid>; walking that
+// chain backwards yields the versions of an entry. This module walks the chain,
+// diffs decrypted versions field by field and builds restore payloads.
+// No DOM, no IndexedDB, no network.
+
+import { formatProgress } from './progress_core.js';
+
+export const MAX_HISTORY_VERSIONS = 50;
+
+// Fields shown in diffs, in display order
+export const HISTORY_FIELDS = [
+  ['title', 'Title'],
+  ['author', 'Author'],
+  ['format', 'Format'],
+  ['readingStatus', 'Status'],
+  ['dateRead', 'Date read'],
+  ['readingStartedAt', 'Started'],
+  ['rating', 'Rating'],
+  ['owned', 'Owned'],
+  ['tags', 'Tags'],
+  ['series', 'Series'],
+  ['seriesIndex', 'Series #'],
+  ['notes', 'Notes'],
+  ['coverHash', 'Cover'],
+  ['progress', 'Progress']
+];
+
+const STATUS_LABELS = { want_to_read: 'Want to read', reading: 'Reading', read: 'Read' };
+const NOTES_PREVIEW = 80;
+
+/**
+ * Walk a Prev chain from the newest transaction back to the first.
+ * Stops at the first txid whose predecessor is unknown, on a cycle, or at `limit`.
+ * @param {string} startTxid - Newest version
+ * @param {Function} getPrev - async (txid) => string|null
+ * @param {{ limit?: number }} [opts]
+ * @returns {Promise<Array<string>>} - Newest first
+ */
+export async function walkPrevChain(startTxid, getPrev, { limit = MAX_HISTORY_VERSIONS } = {}) {
+  const chain = [];
+  const seen = new Set();
+  let txid = startTxid;
+  while (txid && !seen.has(txid) && chain.length < limit) {
+    chain.push(txid);
+    seen.add(txid);
+    txid = await getPrev(txid);
+  }
+  return chain;
+}
+
+// Comparable form of a field value ('' for every flavour of "not set")
+function comparable(field, value) {
+  if (value === undefined || value === null || value === '' || value === false || value === 0) {
+    return field === 'seriesIndex' && value === 0 ? '0' : '';
+  }
+  if (field === 'readingStatus') return value;
+  if (field === 'progress') return JSON.stringify(value.checkins || []) + '|' + (value.unit || '') + '|' + (value.total || '');
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+/**
+ * Human-readable value of a field for the history view.
+ * @param {string} field
+ * @param {*} value
+ * @returns {string} - '—' when the field is not set
+ */
+export function formatFieldValue(field, value) {
+  if (comparable(field, value) === '') return '—';
+  switch (field) {
+    case 'readingStatus': return STATUS_LABELS[value] || value;
+    case 'readingStartedAt': return new Date(value).toISOString().slice(0, 10);
+    case 'rating': return '★'.repeat(Math.max(0, Math.min(5, Number(value) || 0)));
+    case 'owned': return 'Yes';
+    case 'coverHash':
+    case 'coverImage': return 'Image';
+    case 'progress': return formatProgress(value) || '—';
+    case 'notes': {
+      const s = String(value).replace(/\s+/g, ' ').trim();
+      return s.length > NOTES_PREVIEW ? s.slice(0, NOTES_PREVIEW - 1) + '…' : s;
+    }
+    default: return String(value);
+  }
+}
+
+/**
+ * Field-level changes from one version to the next.
+ * A missing readingStatus counts as 'read' (legacy entries). Covers compare by
+ * coverHash, so versions with an inline cover need one (see addCoverHash).
+ * @param {Object|null} older - Previous version payload (null for the first version)
+ * @param {Object} newer
+ * @returns {Array<{ field: string, label: string, before: string, after: string }>}
+ */
+export function diffVersions(older, newer) {
+  const changes = [];
+  for (const [field, label] of HISTORY_FIELDS) {
+    let a = older ? older[field] : undefined;
+    let b = newer ? newer[field] : undefined;
+    if (field === 'readingStatus') { if (older) a = a || 'read'; b = b || 'read'; }
+    if (comparable(field, a) === comparable(field, b)) continue;
+    if (field === 'coverHash') {
+      changes.push({ field, label, before: a ? 'Image' : '—', after: b ? (a ? 'Replaced' : 'Image') : 'Removed' });
+      continue;
+    }
+    changes.push({ field, label, before: formatFieldValue(field, a), after: formatFieldValue(field, b) });
+  }
+  return changes;
+}
+
+/**
+ * Edit payload that puts an older version's fields back, for BookRepository.update.
+ * Fields the old version didn't have are cleared. Identity (bookId, workKey) and
+ * the progress log stay as they are now, so a restore never loses check-ins.
+ * @param {Object} version - Decrypted payload of the version to restore
+ * @returns {Object}
+ */
+export function buildRestorePayload(version) {
+  const payload = {
+    title: version.title || '',
+    author: version.author || '',
+    format: version.format || 'print',
+    dateRead: version.dateRead || '',
+    readingStatus: version.readingStatus || 'read',
+    readingStartedAt: version.readingStartedAt || undefined,
+    rating: version.rating || 0,
+    owned: !!version.owned,
+    tags: version.tags || '',
+    notes: version.notes || '',
+    series: version.series || '',
+    seriesIndex: version.series && version.seriesIndex != null ? version.seriesIndex : null
+  };
+  if (version.coverImage) {
+    payload.coverImage = version.coverImage;
+    payload.mimeType = version.mimeType || '';
+  } else if (version.coverHash) {
+    payload.coverHash = version.coverHash;
+    if (version.coverTxid) payload.coverTxid = version.coverTxid;
+    if (version.mimeType) payload.mimeType = version.mimeType;
+  } else {
+    payload.coverImage = '';
+  }
+  return payload;
+}
@@ -1,6 +1,8 @@
 // Core ID & size helpers extracted from browser_client.js (pure logic)
 // No DOM or global side-effects.
 
+import { READING_SCHEMA, stampPayload } from './schema_core.js';
+
 export async function deriveBookId({ isbn, title, author, edition, createdAt }) {
   const ts = createdAt ? String(createdAt) : String(Date.now());
   if (isbn && isbn.trim()) return `isbn:${isbn.trim()}:${ts}`;
@@ -20,8 +22,7 @@ export function detectMime(raw){
 
 // Estimate encrypted payload size for a prospective entry (AES-GCM adds 12 iv + 16 tag)
 export async function estimateEntryBytes(entry){
-  const e = { ...entry };
-  e.schema='reading'; e.version='0.1.0';
+  const e = stampPayload({ ...entry }, READING_SCHEMA);
   if(!e.bookId){ e.bookId = await deriveBookId(e); }
   const pt = new TextEncoder().encode(JSON.stringify(e));
   return 12 + 16 + pt.length; // iv + tag + ciphertext
@@ -0,0 +1,107 @@
+// keyring_core.js - Symmetric key ids and the keyring
+// Records are encrypted with the keyring's active key and tagged with its
+// Key-Id. Rotating the key adds a new one; older keys stay in the keyring so
+// versions written before still decrypt. Only the default key is derived from
+// the seed phrase; rotated keys are random and reach other devices inside the
+// credential mappings (see keyring.js).
+// Keyring: { active: keyId, keys: { [keyId]: hex } }
+// No DOM, no IndexedDB, no network.
+
+// The key accounts start with (bookish.sym as first derived). Rotations add
+// 'k2-<tag>', 'k3-<tag>', ...; the random tag keeps two devices rotating at
+// once from writing different keys under one Key-Id.
+export const DEFAULT_KEY_ID = 'default';
+
+/**
+ * Position of a key in the rotation order.
+ * @param {string} keyId
+ * @returns {number} - 1 for the default key, n for 'k<n>-<tag>', 0 for anything else
+ */
+export function keyGeneration(keyId) {
+  if (keyId === DEFAULT_KEY_ID) return 1;
+  const m = /^k(\d{1,6})-[0-9a-f]{8}$/.exec(keyId || '');
+  return m && Number(m[1]) > 1 ? Number(m[1]) : 0;
+}
+
+/**
+ * Whether a Key-Id names one of this app's keys.
+ * @param {string} keyId
+ * @returns {boolean}
+ */
+export function isKeyId(keyId) {
+  return keyGeneration(keyId) > 0;
+}
+
+/**
+ * Keyring holding just one key.
+ * @param {string} symKeyHex
+ * @param {string} [keyId='default']
+ * @returns {{ active: string, keys: Object }}
+ */
+export function singleKeyring(symKeyHex, keyId = DEFAULT_KEY_ID) {
+  return { active: keyId, keys: { [keyId]: symKeyHex } };
+}
+
+/**
+ * Id of the key a rotation adds.
+ * @param {{ keys: Object }} keyring
+ * @param {string} tag - 8 random hex characters
+ * @returns {string}
+ */
+export function nextKeyId(keyring, tag) {
+  const newest = Math.max(1, ...Object.keys(keyring?.keys || {}).map(keyGeneration));
+  return `k${newest + 1}-${tag}`;
+}
+
+/**
+ * The keys rotations added, as stored in credential mappings. The default key
+ * is left out: it comes from the seed phrase.
+ * @param {{ keys: Object }} keyring
+ * @returns {Object} - { [keyId]: hex }
+ */
+export function rotatedKeys(keyring) {
+  const keys = {};
+  for (const [id, hex] of Object.entries(keyring?.keys || {})) if (keyGeneration(id) > 1) keys[id] = hex;
+  return keys;
+}
+
+/**
+ * Keyring with keys added. The newest key becomes the active one, so every
+ * device writes under the latest rotation once it knows about it.
+ * @param {{ active: string, keys: Object }} keyring
+ * @param {Object} added - { [keyId]: hex }
+ * @returns {{ active: string, keys: Object }} - a new keyring
+ */
+export function addKeys(keyring, added) {
+  const keys = { ...keyring.keys };
+  for (const [id, hex] of Object.entries(added)) if (isKeyId(id)) keys[id] = hex;
+  const active = Object.keys(keys).reduce((a, b) => (keyGeneration(b) > keyGeneration(a) ? b : a), keyring.active);
+  return { active, keys };
+}
+
+/**
+ * Key-Id tag of a GraphQL edge.
+ * @param {Object} edge
+ * @returns {string|null}
+ */
+export function keyIdOf(edge) {
+  return edge?.node?.tags?.find(t => t.name === 'Key-Id')?.value || null;
+}
+
+/**
+ * Key ids on edges that aren't in the keyring (rotated on another device).
+ * Edges already decrypted (snapshot items) and unknown tag values are ignored.
+ * @param {Array<Object>} edges
+ * @param {Array<string>} knownKeyIds
+ * @returns {Array<string>}
+ */
+export function missingKeyIds(edges, knownKeyIds) {
+  const known = new Set(knownKeyIds);
+  const missing = new Set();
+  for (const e of edges) {
+    if (e.entry) continue;
+    const id = keyIdOf(e);
+    if (id && isKeyId(id) && !known.has(id)) missing.add(id);
+  }
+  return [...missing];
+}
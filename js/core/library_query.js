@@ -0,0 +1,180 @@
+// library_query.js - Pure library search / filter / sort
+// A query is a flat object that round-trips through the URL hash
+// (#q=dune&format=ebook&sort=title) so filtered views are linkable.
+// No DOM, no IndexedDB, no network.
+
+import { READING_STATUS, normalizeReadingStatus } from './reading_status.js';
+
+export const SORT_OPTIONS = ['', 'title', 'author', 'rating', 'added'];
+
+// '' is the default shelf (reading + read); 'all' adds the reading list
+export const STATUS_OPTIONS = ['', READING_STATUS.READING, READING_STATUS.READ, READING_STATUS.WANT_TO_READ, 'all'];
+
+export const FORMAT_OPTIONS = ['', 'print', 'ebook', 'audio'];
+
+export const EMPTY_QUERY = Object.freeze({ q: '', status: '', format: '', rating: 0, owned: '', tag: '', year: '', sort: '' });
+
+function fold(s) {
+  return String(s || '').toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+}
+
+function formatOf(entry) {
+  const f = (entry.format || '').toLowerCase();
+  if (f === 'audiobook' || f === 'audio') return 'audio';
+  if (f === 'ebook') return 'ebook';
+  return 'print';
+}
+
+function tagList(entry) {
+  return (entry.tags || '').split(',').map(t => t.trim()).filter(Boolean);
+}
+
+/**
+ * Coerce arbitrary input into a valid query (unknown values fall back to defaults).
+ * @param {Object} [input]
+ * @returns {Object}
+ */
+export function normalizeQuery(input = {}) {
+  const rating = parseInt(input.rating, 10);
+  const year = String(input.year || '');
+  return {
+    q: String(input.q || '').trim().slice(0, 200),
+    status: STATUS_OPTIONS.includes(input.status) ? input.status : '',
+    format: FORMAT_OPTIONS.includes(input.format) ? input.format : '',
+    rating: rating >= 1 && rating <= 5 ? rating : 0,
+    owned: input.owned === 'yes' || input.owned === 'no' ? input.owned : '',
+    tag: String(input.tag || '').trim(),
+    year: /^\d{4}$/.test(year) ? year : '',
+    sort: SORT_OPTIONS.includes(input.sort) ? input.sort : ''
+  };
+}
+
+/**
+ * Parse a URL hash ("#q=...&format=...") into a query.
+ * @param {string} hash
+ * @returns {Object}
+ */
+export function parseQueryHash(hash) {
+  const params = new URLSearchParams(String(hash || '').replace(/^#/, ''));
+  const raw = {};
+  for (const k of Object.keys(EMPTY_QUERY)) {
+    if (params.has(k)) raw[k] = params.get(k);
+  }
+  return normalizeQuery(raw);
+}
+
+/**
+ * Serialize a query to a URL hash, omitting defaults. '' for the default view.
+ * @param {Object} query
+ * @returns {string}
+ */
+export function queryToHash(query) {
+  const q = normalizeQuery(query);
+  const params = new URLSearchParams();
+  for (const k of Object.keys(EMPTY_QUERY)) {
+    if (q[k] !== EMPTY_QUERY[k]) params.set(k, String(q[k]));
+  }
+  const s = params.toString();
+  return s ? '#' + s : '';
+}
+
+/**
+ * Whether the query narrows or reorders the default shelf.
+ * @param {Object} query
+ * @returns {boolean}
+ */
+export function isActiveQuery(query) {
+  return queryToHash(query) !== '';
+}
+
+/**
+ * Test one entry against the query's filters.
+ * Free text matches every word against title, author, notes and tags.
+ * Rating is a minimum ("4 stars and up"); year matches dateRead.
+ * @param {Object} entry
+ * @param {Object} query - Normalized query
+ * @returns {boolean}
+ */
+export function matchesQuery(entry, query) {
+  if (!entry || entry.status === 'tombstoned') return false;
+
+  const rs = normalizeReadingStatus(entry);
+  if (query.status === '') {
+    if (rs === READING_STATUS.WANT_TO_READ) return false;
+  } else if (query.status !== 'all' && rs !== query.status) {
+    return false;
+  }
+
+  if (query.format && formatOf(entry) !== query.format) return false;
+  if (query.rating && !(entry.rating >= query.rating)) return false;
+  if (query.owned === 'yes' && !entry.owned) return false;
+  if (query.owned === 'no' && entry.owned) return false;
+  if (query.year && !(entry.dateRead || '').startsWith(query.year + '-')) return false;
+  if (query.tag) {
+    const want = fold(query.tag);
+    if (!tagList(entry).some(t => fold(t) === want)) return false;
+  }
+
+  if (query.q) {
+    const haystack = fold([entry.title, entry.author, entry.notes, entry.tags].join('\n'));
+    for (const word of fold(query.q).split(/\s+/)) {
+      if (word && !haystack.includes(word)) return false;
+    }
+  }
+  return true;
+}
+
+// Default shelf order: reading (newest started) first, then read by dateRead desc, then reading list
+function compareDefault(a, b) {
+  const rank = e => {
+    const rs = normalizeReadingStatus(e);
+    return rs === READING_STATUS.READING ? 0 : rs === READING_STATUS.READ ? 1 : 2;
+  };
+  const ra = rank(a), rb = rank(b);
+  if (ra !== rb) return ra - rb;
+  if (ra === 0) return (b.readingStartedAt || b.createdAt || 0) - (a.readingStartedAt || a.createdAt || 0);
+  if (ra === 1) {
+    const da = a.dateRead || '', db = b.dateRead || '';
+    if (da !== db) return db.localeCompare(da);
+  }
+  return (b.createdAt || 0) - (a.createdAt || 0);
+}
+
+const COMPARATORS = {
+  '': compareDefault,
+  title: (a, b) => fold(a.title).localeCompare(fold(b.title)) || compareDefault(a, b),
+  author: (a, b) => fold(a.author).localeCompare(fold(b.author)) || fold(a.title).localeCompare(fold(b.title)),
+  rating: (a, b) => (b.rating || 0) - (a.rating || 0) || compareDefault(a, b),
+  added: (a, b) => (b.createdAt || 0) - (a.createdAt || 0)
+};
+
+/**
+ * Filter and sort entries for the main shelf.
+ * @param {Array<Object>} entries - All entries (any status)
+ * @param {Object} query
+ * @returns {Array<Object>} - New array; input is not mutated
+ */
+export function applyQuery(entries, query) {
+  const q = normalizeQuery(query);
+  return (entries || []).filter(e => matchesQuery(e, q)).sort(COMPARATORS[q.sort]);
+}
+
+/**
+ * Values offered by the tag and year filters, from the active library.
+ * @param {Array<Object>} entries
+ * @returns {{ tags: Array<string>, years: Array<string> }} - tags A-Z, years newest first
+ */
+export function facetValues(entries) {
+  const tags = new Map();
+  const years = new Set();
+  for (const e of entries || []) {
+    if (e.status === 'tombstoned') continue;
+    for (const t of tagList(e)) if (!tags.has(t.toLowerCase())) tags.set(t.toLowerCase(), t);
+    const y = (e.dateRead || '').slice(0, 4);
+    if (/^\d{4}$/.test(y)) years.add(y);
+  }
+  return {
+    tags: [...tags.values()].sort((a, b) => a.localeCompare(b)),
+    years: [...years].sort().reverse()
+  };
+}
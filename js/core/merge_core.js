@@ -0,0 +1,272 @@
+// merge_core.js - Pure field-level three-way merge of forked entry versions
+// Two devices that edit the same version P upload siblings A and B (both
+// Prev=P). Instead of keeping whichever was modified last, fields are merged
+// against P: a field changed on one side only takes that change, a field
+// changed the same way on both is fine, and a field changed differently on
+// both is a conflict. Conflicts keep the newer value for now and are recorded
+// on the entry (entry.conflicts) until the user settles them in the conflict
+// inbox; the resolution is uploaded with a Prev tag for every forked version.
+// A merge that comes out the same as one of the forks adopts that fork rather
+// than uploading a copy of it.
+// No DOM, no IndexedDB, no network.
+
+import { pickWinner } from './cache_core.js';
+import { MAX_CHECKINS } from './progress_core.js';
+
+// Payload fields that merge independently (the cover's other fields travel with coverHash)
+export const MERGE_FIELDS = [
+  'title', 'author', 'format', 'dateRead', 'readingStatus', 'readingStartedAt',
+  'rating', 'owned', 'tags', 'notes', 'isbn', 'workKey', 'series', 'seriesIndex',
+  'coverHash', 'progress'
+];
+
+// Taken from whichever version's coverHash wins: its cover record, image
+// type, and for versions written before covers had records, the image itself
+const COVER_COMPANIONS = ['coverTxid', 'mimeType', 'coverImage'];
+
+// How far back a Prev chain is walked looking for a common version
+export const MAX_ANCESTOR_DEPTH = 25;
+
+const isEmpty = (v) => v === undefined || v === null || v === '';
+
+/**
+ * Field equality for merge purposes ('' / null / undefined are all "unset").
+ * @param {*} a
+ * @param {*} b
+ * @returns {boolean}
+ */
+export function sameValue(a, b) {
+  if (isEmpty(a) && isEmpty(b)) return true;
+  if (typeof a === 'object' || typeof b === 'object') return JSON.stringify(a) === JSON.stringify(b);
+  return a === b;
+}
+
+// Check-ins from both sides, oldest first; unit and total from the newer side
+function mergeProgress(newer, older) {
+  const byAt = new Map();
+  for (const c of [...(older?.checkins || []), ...(newer?.checkins || [])]) byAt.set(c.at, c);
+  const checkins = [...byAt.values()].sort((a, b) => a.at - b.at).slice(-MAX_CHECKINS);
+  return { ...(older || {}), ...(newer || {}), checkins };
+}
+
+// An entry from an older snapshot carries hasCover instead of a reference: its cover is unknown here
+const coverUnknown = (e) => !!e?.hasCover && !e.coverHash;
+
+/**
+ * Three-way merge of two sibling versions' fields.
+ * @param {Object|null} base - Common ancestor payload (null if unknown: every difference conflicts)
+ * @param {Object} a
+ * @param {Object} b
+ * @returns {{ fields: Object, conflicts: Array<{ field: string, base: *, values: Array }> }}
+ *   fields: merged value per MERGE_FIELDS entry and cover companion (undefined = unset)
+ */
+export function threeWayMerge(base, a, b) {
+  const newer = pickWinner(a, b);
+  const older = newer === a ? b : a;
+  const fields = {};
+  const conflicts = [];
+  for (const field of MERGE_FIELDS) {
+    const va = a[field], vb = b[field], vbase = base ? base[field] : undefined;
+    if (field === 'coverHash' && (coverUnknown(a) || coverUnknown(b) || (base && coverUnknown(base)))) {
+      fields[field] = newer[field];
+    } else if (sameValue(va, vb)) {
+      fields[field] = va;
+    } else if (base && sameValue(va, vbase)) {
+      fields[field] = vb;
+    } else if (base && sameValue(vb, vbase)) {
+      fields[field] = va;
+    } else if (field === 'progress') {
+      fields[field] = mergeProgress(newer.progress, older.progress);
+    } else {
+      fields[field] = newer[field];
+      conflicts.push({
+        field,
+        base: base ? (vbase ?? null) : null,
+        values: [newer, older].map(v => ({
+          value: v[field] ?? null,
+          ...(field === 'coverHash' && v.coverTxid && { coverTxid: v.coverTxid }),
+          ...(field === 'coverHash' && v.mimeType && { mimeType: v.mimeType }),
+          txid: v.txid || null,
+          modifiedAt: v.modifiedAt || 0
+        }))
+      });
+    }
+  }
+  const coverFrom = fields.coverHash === undefined ? null : fields.coverHash === a.coverHash ? a : b;
+  for (const k of COVER_COMPANIONS) fields[k] = coverFrom?.[k];
+  return { fields, conflicts };
+}
+
+/**
+ * Combine conflict lists: one record per field, values de-duplicated.
+ * @param {...Array} lists
+ * @returns {Array}
+ */
+export function mergeConflicts(...lists) {
+  const byField = new Map();
+  for (const c of lists.flat().filter(Boolean)) {
+    const cur = byField.get(c.field);
+    if (!cur) { byField.set(c.field, { ...c, values: [...c.values] }); continue; }
+    for (const v of c.values) {
+      if (!cur.values.some(x => sameValue(x.value, v.value))) cur.values.push(v);
+    }
+  }
+  return [...byField.values()];
+}
+
+// Forked versions a record stands for besides its own txid
+const foldedIn = (v) => [...(v.mergeOf || []), ...(v.adoptedOver || [])];
+
+/**
+ * Merge two forked versions of an entry into one record. The newer fork is
+ * the template (its txid becomes the Prev of the merge upload); the other
+ * fork's txid is listed in mergeOf and gets a Prev tag of its own.
+ * When the merge has no conflicts and matches an already published fork
+ * field for field, that fork is adopted instead (the lowest txid when both
+ * match) and the txids it stands in for are listed in adoptedOver: every
+ * device settles on the same version and nothing is uploaded.
+ * @param {Object|null} base - Common ancestor payload
+ * @param {Object} a
+ * @param {Object} b
+ * @param {number} [now]
+ * @returns {Object} - Merged record (pending upload), or the adopted fork
+ */
+export function mergeForks(base, a, b, now = Date.now()) {
+  const newer = pickWinner(a, b);
+  const older = newer === a ? b : a;
+  const { fields, conflicts } = threeWayMerge(base, a, b);
+  const adopted = adoptableFork(fields, conflicts, a, b);
+  if (adopted) {
+    const other = adopted === a ? b : a;
+    const over = [...foldedIn(adopted), other.txid, ...foldedIn(other)];
+    return { ...adopted, adoptedOver: [...new Set(over.filter(t => t && t !== adopted.txid))] };
+  }
+  const merged = { ...newer };
+  for (const [k, v] of Object.entries(fields)) {
+    if (v === undefined) delete merged[k]; else merged[k] = v;
+  }
+  if (coverUnknown(a) || coverUnknown(b)) merged.hasCover = true;
+  const all = mergeConflicts(a.conflicts, b.conflicts, conflicts.map(c => ({ ...c, detectedAt: now })));
+  if (all.length) merged.conflicts = all; else delete merged.conflicts;
+  merged.mergeOf = [...new Set([...foldedIn(newer), ...foldedIn(older), older.txid].filter(t => t && t !== newer.txid))];
+  delete merged.adoptedOver;
+  merged.modifiedAt = Math.max(a.modifiedAt || 0, b.modifiedAt || 0);
+  return merged;
+}
+
+// The published fork a conflict-free merge is identical to, if any
+function adoptableFork(fields, conflicts, a, b) {
+  if (conflicts.length || a.conflicts?.length || b.conflicts?.length) return null;
+  if (coverUnknown(a) || coverUnknown(b)) return null;
+  const sides = [a, b]
+    .filter(v => v.txid && !v.mergeOf?.length)
+    .sort((x, y) => (x.txid < y.txid ? -1 : x.txid > y.txid ? 1 : 0));
+  const keys = [...MERGE_FIELDS, ...COVER_COMPANIONS];
+  return sides.find(v => keys.every(k => sameValue(fields[k], v[k]))) || null;
+}
+
+// One side of a version walk: txids reached so far (nearest first) and the
+// ones whose parents haven't been looked up yet
+function walker(v) {
+  const tips = [v.txid, ...foldedIn(v)];
+  return { tips, seen: new Set(tips), order: [...tips], frontier: tips };
+}
+
+async function stepBack(w, parentsOf) {
+  const next = [];
+  for (const t of w.frontier) {
+    for (const parent of await parentsOf(t)) {
+      if (!parent || w.seen.has(parent)) continue;
+      w.seen.add(parent);
+      w.order.push(parent);
+      next.push(parent);
+    }
+  }
+  w.frontier = next;
+}
+
+/**
+ * How two versions of the same entry relate. Both Prev chains (every Prev
+ * of a merge, and the forks an adopted version stands for) are walked back one step at a time, so the usual case, one version
+ * a few edits ahead of the other, needs only a few lookups.
+ * @param {Object} a - Record with txid (and mergeOf for merged records)
+ * @param {Object} b
+ * @param {Function} parentsOf - async (txid) => txids it supersedes (its Prev tags)
+ * @returns {Promise<{ relation: 'same'|'a-newer'|'b-newer'|'fork', base: string|null }>}
+ *   base: nearest common ancestor txid for forks (null if none was found)
+ */
+export async function relateVersions(a, b, parentsOf) {
+  if (a.txid === b.txid) return { relation: 'same', base: null };
+  const wa = walker(a), wb = walker(b);
+  const covers = (w, other) => other.tips.every(t => w.seen.has(t));
+  for (let depth = 0; ; depth++) {
+    if (covers(wa, wb)) return { relation: 'a-newer', base: null };
+    if (covers(wb, wa)) return { relation: 'b-newer', base: null };
+    const base = wb.order.find(t => wa.seen.has(t)) || null;
+    if (base || depth >= MAX_ANCESTOR_DEPTH || (!wa.frontier.length && !wb.frontier.length)) {
+      return { relation: 'fork', base };
+    }
+    await stepBack(wa, parentsOf);
+    await stepBack(wb, parentsOf);
+  }
+}
+
+/**
+ * Whether an entry is a merge of forked versions that still has conflicts
+ * for the user to settle (it isn't uploaded until they do).
+ * @param {Object} entry
+ * @returns {boolean}
+ */
+export function isUnresolvedMerge(entry) {
+  return !!(entry?.mergeOf?.length && entry.conflicts?.length);
+}
+
+/**
+ * The versions an entry's conflicts come from, newest first.
+ * @param {Array} conflicts - entry.conflicts
+ * @returns {Array<{ txid: string|null, modifiedAt: number }>}
+ */
+export function conflictSides(conflicts) {
+  const byTxid = new Map();
+  for (const c of conflicts || []) {
+    for (const v of c.values) {
+      const cur = byTxid.get(v.txid);
+      if (!cur || v.modifiedAt > cur.modifiedAt) byTxid.set(v.txid, { txid: v.txid, modifiedAt: v.modifiedAt });
+    }
+  }
+  return [...byTxid.values()].sort((a, b) => b.modifiedAt - a.modifiedAt);
+}
+
+/**
+ * Edit payload that settles an entry's conflicts, for BookRepository.update.
+ * Cleared values use the edit conventions ('' clears a cover or series).
+ * @param {Array} conflicts - entry.conflicts
+ * @param {Object} choices - field -> index into that conflict's values; fields left out keep their current value
+ * @returns {Object}
+ */
+export function buildResolutionPayload(conflicts, choices = {}) {
+  const payload = { conflicts: undefined };
+  for (const c of conflicts || []) {
+    const chosen = c.values[choices[c.field]];
+    if (!chosen) continue;
+    const value = chosen.value ?? undefined;
+    if (c.field === 'coverHash') {
+      if (value) {
+        payload.coverHash = value;
+        if (chosen.coverTxid) payload.coverTxid = chosen.coverTxid;
+        if (chosen.mimeType) payload.mimeType = chosen.mimeType;
+      } else {
+        payload.coverImage = '';
+      }
+    } else if (c.field === 'coverImage') {
+      // Recorded before covers had records of their own
+      payload.coverImage = value || '';
+      if (value && chosen.mimeType) payload.mimeType = chosen.mimeType;
+    } else if (c.field === 'series') {
+      payload.series = value || '';
+    } else {
+      payload[c.field] = value;
+    }
+  }
+  return payload;
+}
@@ -0,0 +1,83 @@
+// pool_core.js - Bounded concurrency, rate limiting and retry helpers
+// Sync fetches and decrypts many transactions; these keep a fixed number in
+// flight, space out requests per gateway, and back off on transient failures.
+// No DOM, no IndexedDB, no network.
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Run worker over items with at most `concurrency` in flight. Failures don't
+ * stop the pool; each result is reported as it settles.
+ * @param {Array} items
+ * @param {Function} worker - async (item, index) => value
+ * @param {{ concurrency?: number, onResult?: Function }} [opts]
+ *   onResult({ ok, value, error }, item, index) runs as each item settles
+ * @returns {Promise<Array<{ ok: boolean, value?: *, error?: Error }>>} - in item order
+ */
+export async function runPool(items, worker, { concurrency = 6, onResult } = {}) {
+  const results = new Array(items.length);
+  let next = 0;
+  async function lane() {
+    while (next < items.length) {
+      const i = next++;
+      try {
+        results[i] = { ok: true, value: await worker(items[i], i) };
+      } catch (error) {
+        results[i] = { ok: false, error };
+      }
+      try { onResult?.(results[i], items[i], i); } catch { /* reporting must not stall the pool */ }
+    }
+  }
+  const lanes = Math.max(1, Math.min(concurrency, items.length));
+  await Promise.all(Array.from({ length: lanes }, lane));
+  return results;
+}
+
+/**
+ * Space out calls so no more than perSecond start each second.
+ * @param {{ perSecond: number }} opts
+ * @returns {{ acquire: () => Promise<void> }}
+ */
+export function createRateLimiter({ perSecond }) {
+  const gap = 1000 / perSecond;
+  let nextAt = 0;
+  return {
+    async acquire() {
+      const now = Date.now();
+      const at = Math.max(now, nextAt);
+      nextAt = at + gap;
+      if (at > now) await sleep(at - now);
+    }
+  };
+}
+
+/**
+ * Exponential backoff with jitter.
+ * @param {number} attempt - 0 for the first retry
+ * @param {{ baseMs?: number, maxMs?: number, random?: Function }} [opts]
+ * @returns {number} - ms to wait
+ */
+export function backoffDelay(attempt, { baseMs = 400, maxMs = 5000, random = Math.random } = {}) {
+  const exp = Math.min(maxMs, baseMs * 2 ** attempt);
+  return Math.round(exp / 2 + random() * exp / 2);
+}
+
+/**
+ * Call fn until it succeeds, retrying errors shouldRetry accepts.
+ * @param {Function} fn - async (attempt) => value
+ * @param {{ retries?: number, shouldRetry?: Function, onRetry?: Function, baseMs?: number, maxMs?: number }} [opts]
+ *   shouldRetry(error) defaults to always; onRetry(error, attempt, delayMs) runs before each wait
+ * @returns {Promise<*>}
+ */
+export async function withRetry(fn, { retries = 2, shouldRetry = () => true, onRetry, baseMs, maxMs } = {}) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (err) {
+      if (attempt >= retries || !shouldRetry(err)) throw err;
+      const delay = backoffDelay(attempt, { baseMs, maxMs });
+      onRetry?.(err, attempt, delay);
+      await sleep(delay);
+    }
+  }
+}
@@ -0,0 +1,83 @@
+// progress_core.js - Pure reading progress check-in logic
+// Progress lives on the entry as { unit, total?, checkins: [{ at, value, unit }] }
+// and travels with every edit upload. No DOM, no IndexedDB, no network.
+
+export const PROGRESS_UNITS = ['page', 'percent', 'minutes'];
+
+// Bound payload growth: long reads keep only the most recent check-ins
+export const MAX_CHECKINS = 100;
+
+/**
+ * Append a check-in, returning a new progress object.
+ * @param {Object|undefined} progress - Existing entry.progress
+ * @param {{ value: number, unit?: string, total?: number, at?: number }} checkin
+ * @returns {Object} - { unit, total?, checkins }
+ * @throws {Error} on invalid value or unit
+ */
+export function addCheckin(progress, { value, unit, total, at = Date.now() }) {
+  const u = unit || progress?.unit || 'page';
+  if (!PROGRESS_UNITS.includes(u)) throw new Error(`Unknown progress unit: ${u}`);
+  let v = Number(value);
+  if (!Number.isFinite(v) || v < 0) throw new Error('Progress must be a positive number');
+
+  const sameUnit = progress?.unit === u;
+  let t = total != null && total !== '' ? Number(total) : (sameUnit ? progress?.total : undefined);
+  if (!(t > 0) || u === 'percent') t = undefined;
+
+  if (u === 'percent') v = Math.min(v, 100);
+  else if (t) v = Math.min(v, t);
+
+  const checkins = [...(progress?.checkins || []), { at, value: Math.round(v), unit: u }].slice(-MAX_CHECKINS);
+  const next = { unit: u, checkins };
+  if (t) next.total = Math.round(t);
+  return next;
+}
+
+/**
+ * Most recent check-in, or null.
+ * @param {Object|undefined} progress
+ * @returns {{ at: number, value: number, unit: string }|null}
+ */
+export function latestCheckin(progress) {
+  const list = progress?.checkins;
+  return list?.length ? list[list.length - 1] : null;
+}
+
+/**
+ * Completion percentage (0-100), or null when it can't be known
+ * (pages/minutes without a total).
+ * @param {Object|undefined} progress
+ * @returns {number|null}
+ */
+export function progressPercent(progress) {
+  const last = latestCheckin(progress);
+  if (!last) return null;
+  if (last.unit === 'percent') return Math.min(100, last.value);
+  if (last.unit === progress.unit && progress.total > 0) return Math.min(100, Math.round(last.value / progress.total * 100));
+  return null;
+}
+
+/**
+ * Short human label for a check-in, e.g. "p. 120 of 300", "45%", "90 min".
+ * @param {{ value: number, unit: string }} checkin
+ * @param {number} [total]
+ * @returns {string}
+ */
+export function formatCheckin(checkin, total) {
+  if (!checkin) return '';
+  const of = total ? ` of ${total}` : '';
+  if (checkin.unit === 'percent') return `${checkin.value}%`;
+  if (checkin.unit === 'minutes') return `${checkin.value} min${of}`;
+  return `p. ${checkin.value}${of}`;
+}
+
+/**
+ * Label for the latest check-in of an entry's progress.
+ * @param {Object|undefined} progress
+ * @returns {string}
+ */
+export function formatProgress(progress) {
+  const last = latestCheckin(progress);
+  if (!last) return '';
+  return formatCheckin(last, last.unit === progress.unit ? progress.total : undefined);
+}
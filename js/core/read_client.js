@@ -0,0 +1,128 @@
+// read_client.js - Read side of the Bookish client: gateway reads, decryption, search
+// Shared by browser_client.js on the page and the sync worker, so it only
+// uses globalThis (window on the page, self in the worker) for counters.
+// No DOM, no IndexedDB.
+
+import { hexToBytes, importAesKey, decryptBytesToJson } from './crypto_core.js';
+import { searchBookEntries, computeLiveSets } from './arweave_query.js';
+import { singleKeyring } from './keyring_core.js';
+import { createRateLimiter, withRetry } from './pool_core.js';
+
+// Reads try Turbo first (fresh uploads), then arweave.net. Each gateway has its
+// own request rate, shared by every client in this context; 429/5xx and
+// network errors retry with backoff, anything else moves on to the next gateway.
+const READ_GATEWAYS = [
+  { kind: 'turbo', url: 'https://turbo-gateway.com', limiter: createRateLimiter({ perSecond: 10 }) },
+  { kind: 'arweave', url: 'https://arweave.net', limiter: createRateLimiter({ perSecond: 5 }) }
+];
+const READ_RETRIES = 2;
+
+/**
+ * Network counters for diagnostics (window.bookishNet on the page).
+ * @returns {Object}
+ */
+export function netStats() {
+  globalThis.bookishNet = globalThis.bookishNet || { reads: { arweave: 0, turbo: 0, errors: 0 } };
+  return globalThis.bookishNet;
+}
+
+/**
+ * Add one timing sample to bookishNet.timing[name] ({ count, totalMs, maxMs }).
+ * @param {string} name - 'turbo', 'arweave', 'decrypt', ...
+ * @param {number} ms
+ */
+export function recordTiming(name, ms) {
+  const net = netStats();
+  const timing = net.timing = net.timing || {};
+  const t = timing[name] = timing[name] || { count: 0, totalMs: 0, maxMs: 0 };
+  t.count++;
+  t.totalMs += ms;
+  if (ms > t.maxMs) t.maxMs = ms;
+}
+
+function readError(message, retryable) {
+  const err = new Error(message);
+  err.retryable = retryable;
+  return err;
+}
+
+async function readFrom(gw, txid) {
+  return withRetry(async () => {
+    await gw.limiter.acquire();
+    const t0 = Date.now();
+    let r;
+    try { r = await fetch(`${gw.url}/${txid}`); }
+    catch { recordTiming(gw.kind, Date.now() - t0); throw readError(`${gw.kind} network error`, true); }
+    if (!r.ok) { recordTiming(gw.kind, Date.now() - t0); throw readError(`${gw.kind} ${r.status}`, r.status === 429 || r.status >= 500); }
+    const bytes = new Uint8Array(await r.arrayBuffer());
+    recordTiming(gw.kind, Date.now() - t0);
+    return bytes;
+  }, { retries: READ_RETRIES, shouldRetry: e => e.retryable, onRetry: () => { netStats().retries = (netStats().retries || 0) + 1; } });
+}
+
+/**
+ * Raw bytes of a transaction from the first gateway that has it.
+ * @param {string} txid
+ * @returns {Promise<Uint8Array>}
+ */
+export async function fetchTxBytes(txid) {
+  for (const gw of READ_GATEWAYS) {
+    try {
+      const bytes = await readFrom(gw, txid);
+      netStats().reads[gw.kind]++;
+      if (globalThis.BOOKISH_DEBUG) console.debug('[Bookish] read from', gw.kind, txid);
+      return bytes;
+    } catch { /* next gateway */ }
+  }
+  netStats().reads.errors++;
+  if (globalThis.BOOKISH_DEBUG) console.debug('[Bookish] read failed', txid);
+  throw new Error('fetch ' + txid + ': turbo+arweave failed');
+}
+
+/**
+ * Create a read-only client for a keyring (see keyring_core.js).
+ * @param {Object} opts
+ * @param {{ active: string, keys: Object }} [opts.keyring] - Keys by Key-Id
+ * @param {string} [opts.symKeyHex] - AES-256 key (hex), when there's only the one
+ * @param {string} [opts.appName='bookish']
+ * @param {Function} opts.getAddress - async () => EVM address (Pub-Addr) or null
+ * @returns {Promise<{ keyIds: Array<string>, decryptBytes: Function, decryptTx: Function, fetchTxBytes: Function, searchByOwner: Function, computeLiveSets: Function }>}
+ */
+export async function createReadClient({ keyring = null, symKeyHex, appName = 'bookish', getAddress }) {
+  if (!keyring && symKeyHex) keyring = singleKeyring(symKeyHex.trim());
+  if (!keyring?.keys?.[keyring.active]) throw new Error('missing symKeyHex');
+  const aesKeys = new Map();
+  for (const [id, hex] of Object.entries(keyring.keys)) aesKeys.set(id, await importAesKey(hexToBytes(hex.trim())));
+
+  // The key named by the record's Key-Id tag; without one (read by txid
+  // alone) the active key, then the older ones
+  function keysFor(keyId) {
+    const first = aesKeys.get(keyId) || aesKeys.get(keyring.active);
+    return [first, ...[...aesKeys.values()].filter(k => k !== first)];
+  }
+
+  async function decryptBytes(bytes, keyId) {
+    for (const key of keysFor(keyId)) {
+      try {
+        return await decryptBytesToJson(key, bytes);
+      } catch { /* next key */ }
+    }
+    throw new Error('decrypt failed');
+  }
+
+  async function decryptTx(txid, { keyId } = {}) {
+    const bytes = await fetchTxBytes(txid);
+    const t0 = Date.now();
+    try { return await decryptBytes(bytes, keyId); }
+    finally { recordTiming('decrypt', Date.now() - t0); }
+  }
+
+  async function searchByOwner(owner, { limit = 25, cursor, schemaNames } = {}) {
+    let pub = null;
+    try { pub = (await getAddress?.())?.toLowerCase() || null; } catch { /* no wallet */ }
+    if (!pub && !owner) return { edges: [], pageInfo: { hasNextPage: false } };
+    return searchBookEntries(pub, { owner, limit, cursor, appName, schemaNames });
+  }
+
+  return { keyIds: [...aesKeys.keys()], decryptBytes, decryptTx, fetchTxBytes, searchByOwner, computeLiveSets };
+}
@@ -0,0 +1,16 @@
+// reading_status.js - Reading status values shared by the core modules
+// Kept apart from book_repository.js so pure modules can use them without
+// loading the repository and everything it imports.
+// No DOM, no IndexedDB, no network.
+
+export const READING_STATUS = {
+  WANT_TO_READ: 'want_to_read',
+  READING: 'reading',
+  READ: 'read'
+};
+
+export function normalizeReadingStatus(entry) {
+  const s = entry?.readingStatus;
+  if (s === READING_STATUS.WANT_TO_READ || s === READING_STATUS.READING || s === READING_STATUS.READ) return s;
+  return READING_STATUS.READ;
+}
@@ -0,0 +1,296 @@
+// schema_core.js - Versioned record schemas: migrations and validation
+// Every encrypted record names its schema and version (payload.schema /
+// payload.version, mirrored in the Schema-Name / Schema-Version tags).
+// Payloads written by older versions of the app are upgraded step by step on
+// read through the migration registry below; outgoing payloads are upgraded,
+// stamped with the current version and checked against the matching JSON
+// Schema in /schemas before upload. Remote records that still don't validate
+// are quarantined by sync instead of entering the library.
+// No DOM, no IndexedDB.
+
+import { SHELF_SCHEMA, SHELF_SCHEMA_VERSION } from './shelf_core.js';
+import { COVER_SCHEMA, COVER_SCHEMA_VERSION } from './cover_core.js';
+
+export const READING_SCHEMA = 'reading';
+
+// Version written for each record schema; also the Schema-Version tag
+export const SCHEMA_VERSIONS = Object.freeze({
+  [READING_SCHEMA]: '0.3.0',
+  [SHELF_SCHEMA]: SHELF_SCHEMA_VERSION,
+  [COVER_SCHEMA]: COVER_SCHEMA_VERSION
+});
+
+// Records from before payloads carried a version
+export const LEGACY_VERSION = '0.1.0';
+
+// JSON Schema file per record schema and version, under /schemas
+const SCHEMA_FILES = {
+  [READING_SCHEMA]: (v) => `bookish_${v}.json`,
+  [SHELF_SCHEMA]: (v) => `shelf_${v}.json`,
+  [COVER_SCHEMA]: (v) => `cover_${v}.json`
+};
+
+const READING_STATUSES = ['want_to_read', 'reading', 'read'];
+
+/**
+ * Compare dotted version strings numerically.
+ * @param {string} a
+ * @param {string} b
+ * @returns {number} - negative, 0 or positive
+ */
+export function compareVersions(a, b) {
+  const pa = String(a).split('.').map(Number), pb = String(b).split('.').map(Number);
+  for (let i = 0; i < Math.max(pa.length, pb.length); i++) {
+    const d = (pa[i] || 0) - (pb[i] || 0);
+    if (d) return d;
+  }
+  return 0;
+}
+
+function normalizeFormat(f) {
+  const v = String(f || '').trim().toLowerCase();
+  if (v === 'audio' || v === 'audiobook') return 'audio';
+  if (v === 'ebook' || v === 'e-book' || v === 'kindle') return 'ebook';
+  return 'print';
+}
+
+function toNumber(v) {
+  if (typeof v === 'number') return v;
+  if (typeof v === 'string' && v.trim() !== '' && Number.isFinite(Number(v))) return Number(v);
+  return v;
+}
+
+function coverMime(b64) {
+  if (b64.startsWith('iVBOR')) return 'image/png';
+  return 'image/jpeg';
+}
+
+// 0.1.0 → 0.2.0: the format vocabulary became print/ebook/audio, edition and
+// author became optional, and empty optional strings are left out. workKey,
+// series and progress were written before 0.2.0 named them and pass through.
+function readingFrom010(p, { txid, rootTxid } = {}) {
+  p.format = normalizeFormat(p.format);
+  if (!READING_STATUSES.includes(p.readingStatus)) p.readingStatus = 'read';
+  if (typeof p.dateRead === 'string') {
+    const m = p.dateRead.match(/^\d{4}-\d{2}-\d{2}/);
+    if (m) p.dateRead = m[0];
+  } else {
+    p.dateRead = '';
+  }
+  for (const k of ['edition', 'isbn', 'workKey', 'series', 'mimeType', 'coverImage']) {
+    if (p[k] === '' || p[k] === null) delete p[k];
+  }
+  for (const k of ['rating', 'seriesIndex', 'readingStartedAt', 'createdAt', 'modifiedAt']) {
+    if (p[k] === null || p[k] === '') delete p[k];
+    else if (p[k] !== undefined) p[k] = toNumber(p[k]);
+  }
+  if (!p.series) delete p.seriesIndex;
+  if (p.coverImage && !p.mimeType) p.mimeType = coverMime(p.coverImage);
+  // Early entries had no bookId; the first txid of the Prev chain is the
+  // same for every version of the entry and on every device
+  if (!p.bookId && (rootTxid || txid)) p.bookId = 'tx:' + (rootTxid || txid);
+}
+
+// Upgrade steps per schema, oldest first. Each mutates the payload in place.
+// reading 0.3.0 moved covers to their own records (coverHash / coverTxid, see
+// cover_core.js); older entries keep theirs inline until their next upload,
+// so there's no step for it.
+const MIGRATIONS = {
+  [READING_SCHEMA]: [
+    { to: '0.2.0', up: readingFrom010 }
+  ],
+  [SHELF_SCHEMA]: [],
+  [COVER_SCHEMA]: []
+};
+
+// Apply every step newer than the payload's version, then stamp the current one
+function upgrade(p, name, ctx) {
+  const current = SCHEMA_VERSIONS[name];
+  const from = p.version || LEGACY_VERSION;
+  if (compareVersions(from, current) > 0) return p;   // written by a newer app; left alone
+  for (const step of MIGRATIONS[name]) {
+    if (compareVersions(from, step.to) < 0) step.up(p, ctx);
+  }
+  p.schema = name;
+  p.version = current;
+  return p;
+}
+
+/**
+ * Upgrade a decrypted payload to the current version of its schema.
+ * Payloads of unknown schemas (tombstones, snapshots) come back unchanged.
+ * @param {Object} payload
+ * @param {{ schema?: string, txid?: string, rootTxid?: string }} [ctx] - schema when the payload doesn't name one;
+ *   txid of its transaction; rootTxid of the first version in its Prev chain, when known
+ * @returns {Object} - Upgraded copy
+ */
+export function migratePayload(payload, { schema, txid, rootTxid } = {}) {
+  const name = payload?.schema || schema;
+  if (!SCHEMA_VERSIONS[name]) return payload;
+  return upgrade({ ...payload }, name, { txid, rootTxid });
+}
+
+/**
+ * Upgrade an outgoing payload in place and stamp its schema and version.
+ * Built from cache records, which may predate a migration, so a payload
+ * without a version goes through every step.
+ * @param {Object} payload
+ * @param {string} name - Schema name
+ * @returns {Object} - The same payload
+ */
+export function stampPayload(payload, name) {
+  return upgrade(payload, name, {});
+}
+
+// --- Validation (the JSON Schema subset the files in /schemas use) ---
+
+function typeMatches(v, type) {
+  switch (type) {
+    case 'string': return typeof v === 'string';
+    case 'number': return typeof v === 'number' && Number.isFinite(v);
+    case 'integer': return Number.isInteger(v);
+    case 'boolean': return typeof v === 'boolean';
+    case 'array': return Array.isArray(v);
+    case 'object': return !!v && typeof v === 'object' && !Array.isArray(v);
+    case 'null': return v === null;
+    default: return true;
+  }
+}
+
+/**
+ * Validate a value against a JSON Schema. Supports type, const, enum,
+ * required, properties, items, minLength, maxLength, pattern, minimum,
+ * maximum, uniqueItems, allOf and if/then/else.
+ * @param {Object} schema
+ * @param {*} value
+ * @param {string} [path]
+ * @returns {Array<string>} - One message per problem; empty when valid
+ */
+export function validateSchema(schema, value, path = '') {
+  const at = path || '(root)';
+  const errors = [];
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    if (!types.some(t => typeMatches(value, t))) return [`${at}: expected ${types.join(' or ')}`];
+  }
+  if ('const' in schema && value !== schema.const) errors.push(`${at}: must be ${JSON.stringify(schema.const)}`);
+  if (schema.enum && !schema.enum.includes(value)) errors.push(`${at}: must be one of ${schema.enum.join(', ')}`);
+  if (typeof value === 'string') {
+    if (schema.minLength != null && value.length < schema.minLength) errors.push(schema.minLength === 1 ? `${at}: must not be empty` : `${at}: must be at least ${schema.minLength} characters`);
+    if (schema.maxLength != null && value.length > schema.maxLength) errors.push(`${at}: must be at most ${schema.maxLength} characters`);
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) errors.push(`${at}: has an unexpected format`);
+  }
+  if (typeof value === 'number') {
+    if (schema.minimum != null && value < schema.minimum) errors.push(`${at}: must be ${schema.minimum} or more`);
+    if (schema.maximum != null && value > schema.maximum) errors.push(`${at}: must be ${schema.maximum} or less`);
+  }
+  if (Array.isArray(value)) {
+    if (schema.items) value.forEach((v, i) => errors.push(...validateSchema(schema.items, v, `${path}[${i}]`)));
+    if (schema.uniqueItems && new Set(value.map(v => JSON.stringify(v))).size !== value.length) errors.push(`${at}: has duplicate items`);
+  }
+  if (typeMatches(value, 'object')) {
+    for (const k of schema.required || []) {
+      if (value[k] === undefined) errors.push(`${path ? path + '.' : ''}${k}: is required`);
+    }
+    for (const [k, sub] of Object.entries(schema.properties || {})) {
+      if (value[k] !== undefined) errors.push(...validateSchema(sub, value[k], path ? `${path}.${k}` : k));
+    }
+  }
+  for (const sub of schema.allOf || []) errors.push(...validateSchema(sub, value, path));
+  if (schema.if) {
+    const branch = validateSchema(schema.if, value, path).length ? schema.else : schema.then;
+    if (branch) errors.push(...validateSchema(branch, value, path));
+  }
+  return errors;
+}
+
+const _schemas = new Map();   // file -> Promise<schema|null>
+
+/**
+ * JSON Schema for a record schema and version, fetched once from /schemas.
+ * @param {string} name
+ * @param {string} version
+ * @returns {Promise<Object|null>} - null when there's no such file or it can't be fetched
+ */
+export function loadSchema(name, version) {
+  const file = SCHEMA_FILES[name]?.(version);
+  if (!file) return Promise.resolve(null);
+  if (!_schemas.has(file)) {
+    const load = (async () => {
+      try {
+        const res = await fetch(new URL(`../../schemas/${file}`, import.meta.url));
+        return res.ok ? await res.json() : null;
+      } catch (err) {
+        // Offline: tried again next time
+        console.warn('[Bookish:Schema] Could not load', file, err);
+        _schemas.delete(file);
+        return null;
+      }
+    })();
+    _schemas.set(file, load);
+  }
+  return _schemas.get(file);
+}
+
+/**
+ * Problems with a payload against the JSON Schema for its schema and version.
+ * Nothing is reported when that schema file isn't available.
+ * @param {Object} payload
+ * @returns {Promise<Array<string>>}
+ */
+export async function checkPayload(payload) {
+  const schema = await loadSchema(payload?.schema, payload?.version);
+  return schema ? validateSchema(schema, payload) : [];
+}
+
+/**
+ * Throw if an outgoing payload doesn't match its schema.
+ * @param {Object} payload - Stamped payload (see stampPayload)
+ * @returns {Promise<void>}
+ * @throws {Error} code 'invalid-payload', with `errors`
+ */
+export async function assertValidPayload(payload) {
+  const errors = await checkPayload(payload);
+  if (!errors.length) return;
+  const err = new Error(`Invalid ${payload.schema} record: ${errors.join('; ')}`);
+  err.code = 'invalid-payload';
+  err.errors = errors;
+  throw err;
+}
+
+/**
+ * Upgrade a decrypted remote payload and validate the result.
+ * @param {Object} payload
+ * @param {{ schema?: string, txid?: string, rootTxid?: string }} [ctx] - See migratePayload
+ * @returns {Promise<{ payload: Object, errors: Array<string> }>} - errors non-empty: quarantine it
+ */
+export async function admitPayload(payload, ctx = {}) {
+  if (!payload || typeof payload !== 'object') return { payload, errors: ['(root): expected object'] };
+  let migrated;
+  try {
+    migrated = migratePayload(payload, ctx);
+  } catch (err) {
+    return { payload, errors: [`migration failed: ${err?.message || err}`] };
+  }
+  return { payload: migrated, errors: await checkPayload(migrated) };
+}
+
+// --- Quarantine ---
+
+// Cache meta key for remote records sync couldn't admit
+export const QUARANTINE_KEY = 'quarantine';
+export const MAX_QUARANTINE = 200;
+
+/**
+ * Fold one sync's quarantined records into the stored list. A complete full
+ * pass re-read everything, so its list replaces the old one.
+ * @param {Array<Object>|null} stored
+ * @param {Array<Object>} found - fetchRemote() quarantined
+ * @param {{ complete?: boolean }} [opts]
+ * @returns {Array<Object>} - Newest first, at most MAX_QUARANTINE
+ */
+export function mergeQuarantine(stored, found, { complete = false } = {}) {
+  const byTxid = new Map();
+  for (const q of [...(complete ? [] : stored || []), ...found]) byTxid.set(q.txid, q);
+  return [...byTxid.values()].sort((a, b) => (b.at || 0) - (a.at || 0)).slice(0, MAX_QUARANTINE);
+}
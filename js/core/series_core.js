@@ -0,0 +1,169 @@
+// series_core.js - Pure book series logic
+// Entries carry optional { series, seriesIndex }; a series groups them by a
+// normalized name and lists which volumes are read, in progress, wanted or missing.
+// No DOM, no IndexedDB, no network.
+
+import { READING_STATUS, normalizeReadingStatus } from './reading_status.js';
+
+export const MAX_SERIES_NAME = 120;
+export const MAX_SERIES_INDEX = 9999;
+
+// Volume states, best first (a read volume wins over a re-read in progress)
+export const VOLUME_STATE = {
+  READ: READING_STATUS.READ,
+  READING: READING_STATUS.READING,
+  WANT_TO_READ: READING_STATUS.WANT_TO_READ,
+  MISSING: 'missing'
+};
+const STATE_RANK = { read: 0, reading: 1, want_to_read: 2 };
+
+/**
+ * Coerce a series number ("3", 2.5, "#4") to a number, or undefined.
+ * Fractional numbers are kept for novellas between volumes (e.g. 2.5).
+ * @param {*} value
+ * @returns {number|undefined}
+ */
+export function normalizeSeriesIndex(value) {
+  if (value === null || value === undefined || value === '') return undefined;
+  const n = typeof value === 'number' ? value : parseFloat(String(value).replace(/^#/, '').trim());
+  if (!Number.isFinite(n) || n < 0 || n > MAX_SERIES_INDEX) return undefined;
+  return Math.round(n * 100) / 100;
+}
+
+/**
+ * Parse an OpenLibrary edition series string into name and number.
+ * Handles "Dune Chronicles ; 1", "Harry Potter (1)", "The Expanse #3",
+ * "Discworld, book 5" and "Foundation series ; no. 3".
+ * @param {string} str
+ * @returns {{ series: string, seriesIndex?: number }|null}
+ */
+export function parseSeriesString(str) {
+  let s = String(str || '').replace(/\s+/g, ' ').trim();
+  if (!s) return null;
+  let index;
+  const m = s.match(/^(.*?)(?:\s*[,;:(]\s*|\s+|\s*(?=#))(?:#\s*|(?:no|nr|vol|volume|bk|book|pt|part)\.?\s*)?(\d+(?:\.\d+)?)\)?$/i);
+  if (m && m[1].trim()) {
+    index = normalizeSeriesIndex(m[2]);
+    s = m[1];
+  }
+  const series = s.replace(/[\s,;:(-]+$/, '').trim().slice(0, MAX_SERIES_NAME);
+  if (!series) return null;
+  return index === undefined ? { series } : { series, seriesIndex: index };
+}
+
+/**
+ * Grouping key for a series name: case, punctuation and a leading "The" ignored.
+ * @param {string} name
+ * @returns {string} - '' when the name is empty
+ */
+export function seriesKey(name) {
+  return String(name || '')
+    .toLowerCase()
+    .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+    .replace(/^the\s+/, '')
+    .replace(/[^a-z0-9]+/g, '');
+}
+
+// Most frequent non-empty value; first seen wins ties
+function mostCommon(values) {
+  const counts = new Map();
+  for (const v of values) if (v) counts.set(v, (counts.get(v) || 0) + 1);
+  let best = '', bestN = 0;
+  for (const [v, n] of counts) if (n > bestN) { best = v; bestN = n; }
+  return best;
+}
+
+function betterVolume(a, b) {
+  const ra = STATE_RANK[normalizeReadingStatus(a)], rb = STATE_RANK[normalizeReadingStatus(b)];
+  if (ra !== rb) return ra < rb ? a : b;
+  return (a.modifiedAt || a.createdAt || 0) >= (b.modifiedAt || b.createdAt || 0) ? a : b;
+}
+
+/**
+ * Group entries into series with per-volume state.
+ *
+ * Numbered volumes are listed in order; whole numbers between 1 and the highest
+ * known volume that no entry covers are reported as missing. Entries in the
+ * series without a number are listed separately.
+ *
+ * @param {Array<Object>} entries
+ * @returns {Array<{
+ *   key: string, name: string, author: string,
+ *   volumes: Array<{ index: number, state: string, entry: Object|null }>,
+ *   unnumbered: Array<Object>,
+ *   counts: { read: number, reading: number, want_to_read: number, missing: number }
+ * }>} - Sorted by name
+ */
+export function groupSeries(entries) {
+  const groups = new Map();
+  for (const e of entries || []) {
+    if (!e || e.status === 'tombstoned' || !e.series) continue;
+    const key = seriesKey(e.series);
+    if (!key) continue;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(e);
+  }
+
+  const out = [];
+  for (const [key, members] of groups) {
+    const byIndex = new Map();
+    const unnumbered = [];
+    for (const e of members) {
+      const idx = normalizeSeriesIndex(e.seriesIndex);
+      if (idx === undefined) { unnumbered.push(e); continue; }
+      const cur = byIndex.get(idx);
+      byIndex.set(idx, cur ? betterVolume(cur, e) : e);
+    }
+
+    const volumes = [...byIndex].map(([index, entry]) => ({ index, state: normalizeReadingStatus(entry), entry }));
+    const highest = volumes.reduce((m, v) => Math.max(m, v.index), 0);
+    for (let i = 1; i <= Math.floor(highest); i++) {
+      if (!byIndex.has(i)) volumes.push({ index: i, state: VOLUME_STATE.MISSING, entry: null });
+    }
+    volumes.sort((a, b) => a.index - b.index);
+
+    const counts = { read: 0, reading: 0, want_to_read: 0, missing: 0 };
+    for (const v of volumes) counts[v.state]++;
+    for (const e of unnumbered) counts[normalizeReadingStatus(e)]++;
+
+    out.push({
+      key,
+      name: mostCommon(members.map(e => String(e.series).trim())),
+      author: mostCommon(members.map(e => e.author)),
+      volumes,
+      unnumbered,
+      counts
+    });
+  }
+  return out.sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * The series an entry belongs to, from groupSeries output.
+ * @param {Array<Object>} groups
+ * @param {Object} entry
+ * @returns {Object|null}
+ */
+export function seriesForEntry(groups, entry) {
+  const key = seriesKey(entry?.series);
+  return key ? groups.find(g => g.key === key) || null : null;
+}
+
+/**
+ * Create payload for a missing volume, added to the reading list.
+ * The title is a placeholder ("Series #3") until the user edits it.
+ * @param {{ name: string, author: string }} group
+ * @param {number} index
+ * @returns {Object}
+ */
+export function buildMissingVolumePayload(group, index) {
+  return {
+    title: `${group.name} #${index}`,
+    author: group.author || '',
+    format: 'print',
+    dateRead: '',
+    readingStatus: READING_STATUS.WANT_TO_READ,
+    series: group.name,
+    seriesIndex: index
+  };
+}
@@ -0,0 +1,174 @@
+// shelf_core.js - Pure custom shelf (collection) logic
+// A shelf is its own encrypted record: { shelfId, name, description, bookIds, ... }.
+// bookIds is the manual order of books on the shelf; membership lives on the
+// shelf, not the entry, so one edit re-orders or re-fills a whole shelf.
+// No DOM, no IndexedDB, no network.
+
+import { pickWinner } from './cache_core.js';
+
+export const SHELF_SCHEMA = 'shelf';
+export const SHELF_SCHEMA_VERSION = '0.1.0';
+export const MAX_SHELF_NAME = 80;
+export const MAX_SHELF_DESCRIPTION = 500;
+
+function newShelfId() {
+  return 'shelf-' + Date.now().toString(36) + Math.random().toString(36).slice(2, 10);
+}
+
+/**
+ * Validate and trim user-supplied shelf fields.
+ * @param {{ name?: string, description?: string }} fields
+ * @returns {{ name: string, description: string }}
+ * @throws {Error} when the name is empty or a field is too long
+ */
+export function cleanShelfFields({ name, description } = {}) {
+  const n = String(name || '').trim();
+  const d = String(description || '').trim();
+  if (!n) throw new Error('Shelf name is required');
+  if (n.length > MAX_SHELF_NAME) throw new Error(`Shelf name must be ${MAX_SHELF_NAME} characters or less`);
+  if (d.length > MAX_SHELF_DESCRIPTION) throw new Error(`Description must be ${MAX_SHELF_DESCRIPTION} characters or less`);
+  return { name: n, description: d };
+}
+
+/**
+ * New local shelf record (not yet uploaded).
+ * @param {{ name: string, description?: string }} fields
+ * @param {number} [now]
+ * @returns {Object}
+ */
+export function createShelf(fields, now = Date.now()) {
+  return {
+    shelfId: newShelfId(),
+    ...cleanShelfFields(fields),
+    bookIds: [],
+    createdAt: now,
+    modifiedAt: now,
+    txid: null,
+    status: 'pending'
+  };
+}
+
+/**
+ * Encrypted payload for a shelf (local bookkeeping stripped).
+ * @param {Object} shelf
+ * @returns {Object}
+ */
+export function buildShelfPayload(shelf) {
+  return {
+    shelfId: shelf.shelfId,
+    name: shelf.name,
+    description: shelf.description || '',
+    bookIds: [...(shelf.bookIds || [])],
+    createdAt: shelf.createdAt,
+    modifiedAt: shelf.modifiedAt
+  };
+}
+
+/**
+ * Add a book to the end of a shelf (no-op if already there).
+ * @param {Array<string>} bookIds
+ * @param {string} bookId
+ * @returns {Array<string>}
+ */
+export function addBookId(bookIds, bookId) {
+  return bookIds.includes(bookId) ? [...bookIds] : [...bookIds, bookId];
+}
+
+/**
+ * @param {Array<string>} bookIds
+ * @param {string} bookId
+ * @returns {Array<string>}
+ */
+export function removeBookId(bookIds, bookId) {
+  return bookIds.filter(id => id !== bookId);
+}
+
+/**
+ * Move a book to a new position (clamped to the list).
+ * @param {Array<string>} bookIds
+ * @param {string} bookId
+ * @param {number} toIndex
+ * @returns {Array<string>}
+ */
+export function moveBookId(bookIds, bookId, toIndex) {
+  const from = bookIds.indexOf(bookId);
+  if (from === -1) return [...bookIds];
+  const out = bookIds.filter(id => id !== bookId);
+  const to = Math.max(0, Math.min(out.length, toIndex));
+  out.splice(to, 0, bookId);
+  return out;
+}
+
+/**
+ * Books on a shelf in shelf order. Books that were deleted (or not synced
+ * to this device yet) are skipped.
+ * @param {Object} shelf
+ * @param {Array<Object>} entries - Active entries
+ * @returns {Array<Object>}
+ */
+export function shelfEntries(shelf, entries) {
+  const byBookId = new Map();
+  for (const e of entries) {
+    if (!e.bookId || e.status === 'tombstoned') continue;
+    const cur = byBookId.get(e.bookId);
+    if (!cur || pickWinner(e, cur) === e) byBookId.set(e.bookId, e);
+  }
+  return (shelf.bookIds || []).map(id => byBookId.get(id)).filter(Boolean);
+}
+
+/**
+ * Shelves a book is on.
+ * @param {Array<Object>} shelves
+ * @param {string} bookId
+ * @returns {Array<Object>}
+ */
+export function shelvesForBook(shelves, bookId) {
+  if (!bookId) return [];
+  return shelves.filter(s => s.status !== 'tombstoned' && (s.bookIds || []).includes(bookId));
+}
+
+/**
+ * Plan how remote shelf records merge into local ones.
+ *
+ * Several live versions of one shelfId (concurrent edits on two devices) resolve
+ * to the newest modifiedAt; a local shelf is only replaced by a strictly newer
+ * remote copy. Once a shelf's txid shows up as tombstoned, the local record
+ * (confirmed, or deleted here and awaiting that tombstone) is removed. A
+ * tombstone deletes every version before the one it names too, so a device
+ * still on an older version (edited, then deleted, elsewhere) removes it.
+ *
+ * @param {Array<Object>} remoteShelves - Decrypted shelf records ({ txid, ...payload })
+ * @param {Array<Object>} localShelves - Cached shelves
+ * @param {Array<{ txid: string, ref: string }>} tombstones
+ * @param {Map<string, string|null>} [prevLinks] - txid -> Prev txid of known versions
+ * @returns {{ toPut: Array<Object>, toDelete: Array<string> }} - toDelete holds shelfIds
+ */
+export function mergeShelves(remoteShelves, localShelves, tombstones = [], prevLinks = new Map()) {
+  const remoteById = new Map();
+  for (const r of remoteShelves) {
+    if (!r?.shelfId) continue;
+    const cur = remoteById.get(r.shelfId);
+    if (!cur || (r.modifiedAt || 0) > (cur.modifiedAt || 0)) remoteById.set(r.shelfId, r);
+  }
+  const localById = new Map(localShelves.map(s => [s.shelfId, s]));
+  const tombRefs = new Set();
+  for (const t of tombstones) {
+    for (let txid = t.ref; txid && !tombRefs.has(txid); txid = prevLinks.get(txid)) tombRefs.add(txid);
+  }
+
+  const toPut = [], toDelete = [];
+  for (const [shelfId, r] of remoteById) {
+    const local = localById.get(shelfId);
+    if (local?.status === 'tombstoned') continue;
+    // Local is as new or newer (unsynced edit, or an upload GraphQL hasn't indexed yet)
+    if (local && (local.modifiedAt || 0) >= (r.modifiedAt || 0)) continue;
+    const { schema, version, ...fields } = r;
+    toPut.push({ ...fields, bookIds: fields.bookIds || [], status: 'confirmed' });
+  }
+  for (const local of localShelves) {
+    if (local.status !== 'pending' && local.txid && tombRefs.has(local.txid) && !remoteById.has(local.shelfId)) {
+      toDelete.push(local.shelfId);
+    }
+  }
+  return { toPut, toDelete };
+}
@@ -0,0 +1,144 @@
+// snapshot_core.js - Pure encrypted library snapshot logic
+// A snapshot is the whole synced library (entries and shelves; covers by reference)
+// as of a block height, uploaded in encrypted parts tagged Schema-Name=snapshot.
+// A fresh device loads the newest complete snapshot, then only pages GraphQL
+// down to that height; snapshot items become edges so computeLiveSets can
+// supersede or tombstone them like any indexed transaction.
+// No DOM, no IndexedDB, no network.
+
+import { SHELF_SCHEMA, buildShelfPayload } from './shelf_core.js';
+
+export const SNAPSHOT_SCHEMA = 'snapshot';
+export const SNAPSHOT_VERSION = 1;
+export const SNAPSHOT_MIN_ENTRIES = 25;      // smaller libraries sync fast enough without one
+export const SNAPSHOT_EVERY_TXS = 50;        // publish again after this many newer transactions
+export const SNAPSHOT_OVERLAP_BLOCKS = 30;   // re-read this far below the snapshot for late-indexed items
+export const SNAPSHOT_PART_BYTES = 80000;    // plaintext JSON per part, under the upload proxy limit
+
+// Fields that only describe this device's copy of an entry
+const LOCAL_FIELDS = new Set(['id', 'txid', 'status', 'pending', 'seenRemote', 'onArweave', 'contentHash', 'block', 'prevTxid', 'tombstonedAt', 'restoredAt', 'mergeOf', 'publishMerge']);
+
+const tagOf = (edge, name) => edge.node.tags?.find(t => t.name === name)?.value;
+
+function entryPayload(entry) {
+  const payload = {};
+  for (const [k, v] of Object.entries(entry)) {
+    if (k.startsWith('_') || LOCAL_FIELDS.has(k) || v === undefined) continue;
+    payload[k] = v;
+  }
+  // Entries reference their cover record; an image still inline is left out
+  if (payload.coverImage) {
+    delete payload.coverImage;
+    if (!payload.coverHash) { delete payload.mimeType; payload.hasCover = true; }
+  }
+  return payload;
+}
+
+/**
+ * Snapshot items for every synced entry and shelf. Only records confirmed on
+ * Arweave are included; inline cover images are dropped (hasCover marks them for back-fill).
+ * @param {Array<Object>} entries - Cache records
+ * @param {Array<Object>} shelves - Shelf records
+ * @returns {{ height: number, items: Array<Object> }|null} - null when nothing is mined yet
+ */
+export function buildSnapshot(entries, shelves = []) {
+  const items = [];
+  let height = 0;
+  for (const e of entries) {
+    if (e.status !== 'confirmed' || !e.seenRemote || !e.txid) continue;
+    if (e.block?.height > height) height = e.block.height;
+    items.push({ txid: e.txid, schema: 'reading', prev: e.prevTxid || null, block: e.block || null, payload: entryPayload(e) });
+  }
+  for (const s of shelves) {
+    if (s.status !== 'confirmed' || !s.txid) continue;
+    items.push({ txid: s.txid, schema: SHELF_SCHEMA, prev: null, block: null, payload: buildShelfPayload(s) });
+  }
+  return height ? { height, items } : null;
+}
+
+/**
+ * Split snapshot items into parts of at most maxBytes of JSON each.
+ * @param {Array<Object>} items
+ * @param {number} [maxBytes]
+ * @returns {Array<Array<Object>>}
+ */
+export function splitSnapshot(items, maxBytes = SNAPSHOT_PART_BYTES) {
+  const parts = [];
+  let cur = [], bytes = 0;
+  for (const item of items) {
+    const size = JSON.stringify(item).length + 1;
+    if (cur.length && bytes + size > maxBytes) { parts.push(cur); cur = []; bytes = 0; }
+    cur.push(item);
+    bytes += size;
+  }
+  if (cur.length || !parts.length) parts.push(cur);
+  return parts;
+}
+
+/**
+ * Newest snapshot whose parts are all indexed.
+ * @param {Array<Object>} edges - GraphQL edges with Schema-Name=snapshot
+ * @returns {{ id: string, height: number, txids: Array<string> }|null} - txids in part order
+ */
+export function pickLatestSnapshot(edges) {
+  const byId = new Map();
+  for (const e of edges) {
+    const id = tagOf(e, 'Snapshot-Id');
+    const height = Number(tagOf(e, 'Snapshot-Height'));
+    const part = Number(tagOf(e, 'Part'));
+    const parts = Number(tagOf(e, 'Parts'));
+    if (!id || !height || !parts || !(part >= 0 && part < parts)) continue;
+    if (!byId.has(id)) byId.set(id, { id, height, parts, txids: new Array(parts).fill(null) });
+    byId.get(id).txids[part] = e.node.id;
+  }
+  let best = null;
+  for (const s of byId.values()) {
+    if (s.txids.some(t => !t)) continue;
+    if (!best || s.height > best.height) best = s;
+  }
+  return best && { id: best.id, height: best.height, txids: best.txids };
+}
+
+/**
+ * Add snapshot items to the indexed edges as GraphQL-shaped edges. Every edge
+ * a snapshot covers carries its decrypted payload as `entry`, so it needs no
+ * download; items GraphQL also returned keep the indexed edge.
+ * @param {Array<Object>} edges - Indexed edges newer than (about) the snapshot
+ * @param {Array<Object>} items - Snapshot items (all parts)
+ * @returns {Array<Object>}
+ */
+export function mergeSnapshotEdges(edges, items) {
+  const byTxid = new Map(items.map(item => [item.txid, item]));
+  const merged = edges.map(e => {
+    const item = byTxid.get(e.node.id);
+    if (!item) return e;
+    byTxid.delete(e.node.id);
+    return { ...e, entry: item.payload };
+  });
+  for (const item of byTxid.values()) {
+    merged.push({
+      node: {
+        id: item.txid,
+        tags: [
+          { name: 'Schema-Name', value: item.schema || 'reading' },
+          ...(item.prev ? [{ name: 'Prev', value: item.prev }] : [])
+        ],
+        block: item.block || null
+      },
+      entry: item.payload
+    });
+  }
+  return merged;
+}
+
+/**
+ * Whether this sync should publish a new snapshot.
+ * @param {{ liveCount: number, latestHeight: number|null, newerTxs: number }} state
+ *   newerTxs: transactions newer than the latest snapshot (all of them when there is none)
+ * @returns {boolean}
+ */
+export function shouldPublishSnapshot({ liveCount, latestHeight, newerTxs }) {
+  if (liveCount < SNAPSHOT_MIN_ENTRIES) return false;
+  if (!latestHeight) return true;
+  return newerTxs >= SNAPSHOT_EVERY_TXS;
+}
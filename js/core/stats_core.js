@@ -0,0 +1,126 @@
+// stats_core.js - Pure reading statistics over library entries
+// Aggregates finished reads by year/month, format, rating, author and tag.
+// No DOM, no IndexedDB, no network.
+
+import { READING_STATUS, normalizeReadingStatus } from './reading_status.js';
+import { normalizeAuthorKey, pickBestName } from './search_core.js';
+
+const DAY_MS = 86400000;
+
+function mapFormat(f) {
+  const v = (f || '').toLowerCase();
+  if (v === 'ebook') return 'ebook';
+  if (v === 'audiobook' || v === 'audio') return 'audio';
+  return 'print';
+}
+
+function topN(counts, n) {
+  return [...counts.values()]
+    .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name))
+    .slice(0, n);
+}
+
+/**
+ * Finished reads (readingStatus 'read', not tombstoned).
+ * @param {Array<Object>} entries
+ * @returns {Array<Object>}
+ */
+export function finishedReads(entries) {
+  return (entries || []).filter(e => e.status !== 'tombstoned' && normalizeReadingStatus(e) === READING_STATUS.READ);
+}
+
+/**
+ * Days from readingStartedAt to dateRead, or null when either is missing / inconsistent.
+ * @param {Object} entry
+ * @returns {number|null}
+ */
+export function daysToFinish(entry) {
+  if (!entry?.readingStartedAt || !entry.dateRead) return null;
+  const end = Date.parse(entry.dateRead + 'T23:59:59Z');
+  if (isNaN(end) || end < entry.readingStartedAt) return null;
+  return Math.max(1, Math.round((end - entry.readingStartedAt) / DAY_MS));
+}
+
+/**
+ * Compute the stats dashboard model.
+ * Each finished read counts once, so re-reads count toward the year they were read.
+ *
+ * @param {Array<Object>} entries - All entries (any status)
+ * @param {{ year?: number, top?: number }} [opts] - year for the monthly breakdown (default: latest year with reads)
+ * @returns {{
+ *   totalRead: number, reading: number, wantToRead: number,
+ *   byYear: Array<{ year: number, count: number }>,
+ *   year: number|null, byMonth: Array<number>,
+ *   formats: { print: number, ebook: number, audio: number },
+ *   averageRating: number|null, ratedCount: number,
+ *   topAuthors: Array<{ name: string, count: number }>,
+ *   topTags: Array<{ name: string, count: number }>,
+ *   averageDaysToFinish: number|null, timedCount: number
+ * }}
+ */
+export function computeStats(entries, { year, top = 5 } = {}) {
+  const active = (entries || []).filter(e => e.status !== 'tombstoned');
+  const reads = finishedReads(active);
+
+  const years = new Map();
+  const formats = { print: 0, ebook: 0, audio: 0 };
+  const authors = new Map();
+  const authorNames = new Map();
+  const tags = new Map();
+  let ratingSum = 0, ratedCount = 0, daysSum = 0, timedCount = 0;
+
+  for (const e of reads) {
+    const y = parseInt((e.dateRead || '').slice(0, 4), 10);
+    if (y) years.set(y, (years.get(y) || 0) + 1);
+
+    formats[mapFormat(e.format)]++;
+
+    if (e.rating >= 1 && e.rating <= 5) { ratingSum += e.rating; ratedCount++; }
+
+    const akey = normalizeAuthorKey(e.author);
+    if (akey) {
+      if (!authors.has(akey)) { authors.set(akey, { name: '', count: 0 }); authorNames.set(akey, []); }
+      authors.get(akey).count++;
+      authorNames.get(akey).push(e.author);
+    }
+
+    for (const raw of (e.tags || '').split(',')) {
+      const t = raw.trim();
+      if (!t) continue;
+      const k = t.toLowerCase();
+      if (!tags.has(k)) tags.set(k, { name: t, count: 0 });
+      tags.get(k).count++;
+    }
+
+    const d = daysToFinish(e);
+    if (d != null) { daysSum += d; timedCount++; }
+  }
+
+  for (const [k, a] of authors) a.name = pickBestName(authorNames.get(k), 3);
+
+  const byYear = [...years].map(([y, count]) => ({ year: y, count })).sort((a, b) => b.year - a.year);
+  const statYear = year || byYear[0]?.year || null;
+  const byMonth = new Array(12).fill(0);
+  if (statYear) {
+    for (const e of reads) {
+      const m = (e.dateRead || '').match(/^(\d{4})-(\d{2})/);
+      if (m && +m[1] === statYear) byMonth[+m[2] - 1]++;
+    }
+  }
+
+  return {
+    totalRead: reads.length,
+    reading: active.filter(e => normalizeReadingStatus(e) === READING_STATUS.READING).length,
+    wantToRead: active.filter(e => normalizeReadingStatus(e) === READING_STATUS.WANT_TO_READ).length,
+    byYear,
+    year: statYear,
+    byMonth,
+    formats,
+    averageRating: ratedCount ? Math.round(ratingSum / ratedCount * 10) / 10 : null,
+    ratedCount,
+    topAuthors: topN(authors, top),
+    topTags: topN(tags, top),
+    averageDaysToFinish: timedCount ? Math.round(daysSum / timedCount) : null,
+    timedCount
+  };
+}
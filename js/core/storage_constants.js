@@ -5,8 +5,12 @@
 export const ACCOUNT_STORAGE_KEY = 'bookish.account';
 export const SEED_SHOWN_KEY = 'bookish.seed.shown';
 
+// Account settings (reading goals, ...), synced via encrypted account metadata
+export const SETTINGS_STORAGE_KEY = 'bookish.settings';
+
 // Session and encryption
 export const SYM_KEY_STORAGE_KEY = 'bookish.sym';
+export const KEYRING_STORAGE_KEY = 'bookish.keyring';
 export const SESSION_ENC_STORAGE_KEY = 'bookish.account.sessionEnc';
 
 // Wallet
@@ -9,9 +9,12 @@ export const STORAGE_KEYS = {
   // Account & Authentication
   ACCOUNT: 'bookish.account',              // Account metadata (address, derivation, displayName, created, arweaveTxId)
   SYM_KEY: 'bookish.sym',                  // Symmetric encryption key (hex string)
+  KEYRING: 'bookish.keyring',              // Keys by Key-Id, current and rotated out ({ active, keys })
   SESSION_SEED: 'bookish.account.sessionEnc', // Session-encrypted seed
   MANUAL_SEED: 'bookish.seed.manual',      // Manual seed (legacy)
   SEED_SHOWN: 'bookish.seed.shown',        // Flag: seed phrase has been shown to user
+  SETTINGS: 'bookish.settings',            // Account settings (reading goals), synced in account metadata
+  SETTINGS_UNSENT: 'bookish.settings.unsent', // Flag: settings changed here, not yet in uploaded account metadata
 
   // Wallet
   EVM_WALLET: 'bookish.evmWallet.v1',       // Encrypted EVM wallet (Base)
@@ -49,6 +52,20 @@ export function getSymKey() {
   return localStorage.getItem(STORAGE_KEYS.SYM_KEY);
 }
 
+/**
+ * Get the symmetric keyring
+ * @returns {Object|null} { active, keys } or null
+ */
+export function getKeyring() {
+  try {
+    const data = localStorage.getItem(STORAGE_KEYS.KEYRING);
+    return data ? JSON.parse(data) : null;
+  } catch (error) {
+    console.error('[StorageManager] Failed to parse keyring:', error);
+    return null;
+  }
+}
+
 /**
  * Get session-encrypted seed
  * @returns {string|null} Seed string or null
@@ -107,6 +124,20 @@ export function getPendingCredentialMapping() {
   }
 }
 
+/**
+ * Get account settings
+ * @returns {Object} Parsed settings object ({} when unset)
+ */
+export function getSettings() {
+  try {
+    const data = localStorage.getItem(STORAGE_KEYS.SETTINGS);
+    return data ? JSON.parse(data) : {};
+  } catch (error) {
+    console.error('[StorageManager] Failed to parse settings:', error);
+    return {};
+  }
+}
+
 /**
  * Check if seed has been shown to user
  * @returns {boolean}
@@ -141,6 +172,17 @@ export function setSymKey(hexString) {
   localStorage.setItem(STORAGE_KEYS.SYM_KEY, hexString);
 }
 
+/**
+ * Set the symmetric keyring
+ * @param {Object} keyring - { active, keys }
+ */
+export function setKeyring(keyring) {
+  if (!keyring?.keys?.[keyring.active]) {
+    throw new Error('Invalid keyring');
+  }
+  localStorage.setItem(STORAGE_KEYS.KEYRING, JSON.stringify(keyring));
+}
+
 /**
  * Set session-encrypted seed
  * @param {string} seed - Seed phrase
@@ -197,6 +239,17 @@ export function setPendingCredentialMapping(mapping) {
   localStorage.setItem(STORAGE_KEYS.PENDING_CREDENTIAL_MAPPING, JSON.stringify(mapping));
 }
 
+/**
+ * Set account settings
+ * @param {Object} settings - Settings object
+ */
+export function setSettings(settings) {
+  if (!settings || typeof settings !== 'object') {
+    throw new Error('Invalid settings');
+  }
+  localStorage.setItem(STORAGE_KEYS.SETTINGS, JSON.stringify(settings));
+}
+
 /**
  * Set seed shown flag
  * @param {boolean} shown - Whether seed has been shown
@@ -205,6 +258,15 @@ export function setSeedShown(shown) {
   localStorage.setItem(STORAGE_KEYS.SEED_SHOWN, shown ? 'true' : 'false');
 }
 
+/**
+ * Mark settings as changed here and not yet uploaded (or as uploaded)
+ * @param {boolean} unsent
+ */
+export function setSettingsUnsent(unsent) {
+  if (unsent) localStorage.setItem(STORAGE_KEYS.SETTINGS_UNSENT, 'true');
+  else localStorage.removeItem(STORAGE_KEYS.SETTINGS_UNSENT);
+}
+
 // ============================================================================
 // CHECKERS (Boolean queries)
 // ============================================================================
@@ -257,6 +319,14 @@ export function hasPendingCredentialMapping() {
   return !!localStorage.getItem(STORAGE_KEYS.PENDING_CREDENTIAL_MAPPING);
 }
 
+/**
+ * Check if settings changed here haven't been uploaded yet
+ * @returns {boolean}
+ */
+export function hasUnsentSettings() {
+  return localStorage.getItem(STORAGE_KEYS.SETTINGS_UNSENT) === 'true';
+}
+
 /**
  * Check if user is logged in (has both account and sym key)
  * @returns {boolean}
@@ -286,10 +356,19 @@ export function clearAccount() {
 }
 
 /**
- * Clear authentication data (sym key, session seed)
+ * Clear account settings
+ */
+export function clearSettings() {
+  localStorage.removeItem(STORAGE_KEYS.SETTINGS);
+  localStorage.removeItem(STORAGE_KEYS.SETTINGS_UNSENT);
+}
+
+/**
+ * Clear authentication data (sym key, keyring, session seed)
  */
 export function clearAuth() {
   localStorage.removeItem(STORAGE_KEYS.SYM_KEY);
+  localStorage.removeItem(STORAGE_KEYS.KEYRING);
   localStorage.removeItem(STORAGE_KEYS.SESSION_SEED);
 }
 
@@ -339,6 +418,7 @@ export function clearSeedShown() {
 export function clearSession() {
   clearAuth();
   clearAccount();
+  clearSettings();
   clearWallet();
   clearManualSeed();
   clearSeedShown();
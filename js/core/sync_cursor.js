@@ -0,0 +1,64 @@
+// sync_cursor.js - Pure high-water mark logic for incremental sync
+// The cursor records the highest mined block height sync has applied and the
+// txids seen at that height. Routine cycles page GraphQL (newest first) only
+// until they pass it; a periodic full pass re-reads everything to pick up
+// late-indexed transactions and anything a delta could miss.
+// No DOM, no IndexedDB, no network.
+
+export const SYNC_CURSOR_KEY = 'syncCursor';
+export const FULL_SYNC_INTERVAL_MS = 60 * 60 * 1000;   // 1 hour between full reconciliation passes
+
+/**
+ * Whether this cycle must re-read every transaction.
+ * @param {{ height: number, txids: Array<string>, fullAt: number }|null} cursor
+ * @param {number} [now]
+ * @returns {boolean}
+ */
+export function needsFullSync(cursor, now = Date.now()) {
+  if (!cursor || !cursor.height || !cursor.fullAt) return true;
+  return now - cursor.fullAt >= FULL_SYNC_INTERVAL_MS;
+}
+
+/**
+ * Whether an edge is newer than the cursor. Unmined edges always are.
+ * @param {Object} edge - GraphQL edge
+ * @param {Object|null} cursor
+ * @returns {boolean}
+ */
+export function isAfterCursor(edge, cursor) {
+  const height = edge.node.block?.height;
+  if (!cursor || !height) return true;
+  if (height !== cursor.height) return height > cursor.height;
+  return !cursor.txids.includes(edge.node.id);
+}
+
+/**
+ * Whether a page (newest first) reaches below the cursor, so later pages
+ * hold nothing new.
+ * @param {Array<Object>} edges - One GraphQL page
+ * @param {Object|null} cursor
+ * @returns {boolean}
+ */
+export function reachedCursor(edges, cursor) {
+  if (!cursor) return false;
+  return edges.some(e => e.node.block && e.node.block.height < cursor.height);
+}
+
+/**
+ * Cursor after applying a batch of indexed edges.
+ * @param {Object|null} cursor - Previous cursor
+ * @param {Array<Object>} edges - Indexed edges this cycle applied
+ * @param {{ full?: boolean, now?: number }} [opts] - full: this cycle read every transaction
+ * @returns {{ height: number, txids: Array<string>, fullAt: number }}
+ */
+export function advanceCursor(cursor, edges, { full = false, now = Date.now() } = {}) {
+  let height = cursor?.height || 0;
+  for (const e of edges) {
+    if (e.node.block?.height > height) height = e.node.block.height;
+  }
+  const txids = new Set(height === cursor?.height ? cursor.txids : []);
+  for (const e of edges) {
+    if (e.node.block?.height === height) txids.add(e.node.id);
+  }
+  return { height, txids: [...txids], fullAt: full ? now : (cursor?.fullAt || 0) };
+}
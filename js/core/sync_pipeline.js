@@ -0,0 +1,494 @@
+// sync_pipeline.js - Remote half of sync: query, fetch, decrypt and merge
+// Runs inside the sync worker (sync_worker.js), or in-process where module
+// workers aren't available. It gets everything from the page as plain data
+// (cached entries without covers, shelf txids, sync cursor, wallet address)
+// and hands back plain data: remote shelves and tombstones, the next cursor,
+// and finished entry diffs for the cache (see toEntryDiff in cache_core.js).
+// Versions of one book that forked (edited on two devices from the same
+// version) are merged field by field here (see merge_core.js). Payloads from
+// older app versions are upgraded as they decrypt; ones that still don't match
+// their schema are quarantined (see schema_core.js).
+// No DOM, no IndexedDB.
+
+import { fetchPendingTxIds } from './pending_tx_bridge.js';
+import { pickWinner, applyRemote, toEntryDiff, applyEntryDiff } from './cache_core.js';
+import { SHELF_SCHEMA } from './shelf_core.js';
+import { schemaNameOf, isBatchEdge, parentTxids, fetchTxTags, BATCH_SCHEMA } from './arweave_query.js';
+import { parseBundle, batchItemEdges } from './bundle_core.js';
+import { SNAPSHOT_SCHEMA, SNAPSHOT_OVERLAP_BLOCKS, pickLatestSnapshot, mergeSnapshotEdges } from './snapshot_core.js';
+import { needsFullSync, isAfterCursor, reachedCursor, advanceCursor } from './sync_cursor.js';
+import { runPool } from './pool_core.js';
+import { relateVersions, mergeForks, isUnresolvedMerge } from './merge_core.js';
+import { admitPayload, migratePayload } from './schema_core.js';
+import { addCoverHash } from './cover_core.js';
+import { keyIdOf, missingKeyIds } from './keyring_core.js';
+import { netStats } from './read_client.js';
+
+const DECRYPT_CONCURRENCY = 6;
+const DECRYPT_FLUSH_MS = 500;   // how often books decrypted so far are handed on during a long sync
+
+const prevTag = (edge) => edge.node.tags?.find(t => t.name === 'Prev')?.value;
+
+// Upgrade a decrypted payload; one that doesn't validate goes on the
+// quarantine list instead (null is returned). Inline covers get their
+// coverHash here so versions compare by it in merges.
+async function admit(dec, { txid, schema, rootTxid }, quarantine) {
+  const { payload, errors } = await admitPayload(dec, { txid, schema, rootTxid });
+  if (!errors.length) return addCoverHash(payload);
+  console.warn('[Bookish:Sync] Quarantined invalid record', txid, errors);
+  quarantine.push({ txid, schema: dec?.schema || schema, version: dec?.version || null, errors, at: Date.now() });
+  return null;
+}
+
+// Decrypted remote entries as cache records
+function remoteRecords(entries) {
+  return entries.map(e => ({ ...e, status: 'confirmed', id: e.txid }));
+}
+
+/**
+ * Newest complete snapshot of this library.
+ * @param {Object} client - Read client (searchByOwner)
+ * @returns {Promise<Object|null|undefined>} - undefined when GraphQL is unavailable
+ */
+export async function findLatestSnapshot(client) {
+  const { edges, error } = await client.searchByOwner(null, { limit: 50, schemaNames: [SNAPSHOT_SCHEMA] });
+  if (error) return undefined;
+  return pickLatestSnapshot(edges);
+}
+
+// Decrypted items of every part, or null if any part can't be read
+async function loadSnapshotItems(client, snapshot) {
+  const items = [];
+  try {
+    for (const txid of snapshot.txids) {
+      const part = await client.decryptTx(txid);
+      if (part.schema !== SNAPSHOT_SCHEMA || part.snapshotId !== snapshot.id) throw new Error('Unexpected snapshot part');
+      items.push(...(part.items || []));
+    }
+  } catch (err) {
+    console.warn('[Bookish:Sync] Snapshot unavailable, doing a full sync:', err);
+    return null;
+  }
+  return items;
+}
+
+function partitionEdges(liveEdges, cachedEntries) {
+  const confirmedTxids = new Set(
+    cachedEntries
+      .filter(e => e.txid && e.seenRemote && e.status === 'confirmed')
+      .map(e => e.txid)
+  );
+  return {
+    needsDecrypt: liveEdges.filter(e => !confirmedTxids.has(e.node.id)),
+    alreadySynced: liveEdges.filter(e => confirmedTxids.has(e.node.id))
+  };
+}
+
+function restoreFromCache(edges, cachedEntries) {
+  const byTxid = new Map(cachedEntries.filter(c => c.txid).map(c => [c.txid, c]));
+  const results = [];
+  for (const e of edges) {
+    const cached = byTxid.get(e.node.id);
+    if (cached) {
+      results.push({ ...cached, block: e.node.block, ...(prevTag(e) && { prevTxid: prevTag(e) }) });
+    }
+  }
+  return results;
+}
+
+function mergeAndDeduplicate(hydrated, bridgeEntries) {
+  if (bridgeEntries.length > 0) {
+    const txids = new Set(hydrated.map(e => e.txid));
+    let added = 0;
+    for (const be of bridgeEntries) {
+      if (!txids.has(be.txid)) { hydrated.push(be); added++; }
+    }
+    if (added > 0) console.log('[Bookish:Sync] Bridge: merged', added, 'new entries into sync results');
+  }
+
+  // Every live version of a book is kept; resolveVersions() folds them together
+  const byTxid = new Map();
+  for (const entry of hydrated) byTxid.set(entry.txid, entry);
+
+  const noBookId = hydrated.filter(e => !e.bookId);
+  if (noBookId.length > 0) console.log('[Bookish:Sync] WARNING: entries without bookId:', noBookId.map(e => e.txid?.slice(0,8)));
+  const deduped = [...byTxid.values()];
+  deduped.sort((a, b) => {
+    const da = a.dateRead || '0000-00-00', db = b.dateRead || '0000-00-00';
+    if (da !== db) return db.localeCompare(da);
+    return (b.createdAt || 0) - (a.createdAt || 0);
+  });
+
+  return deduped;
+}
+
+export class SyncPipeline {
+  /**
+   * @param {Object} client - Read client (see createReadClient in read_client.js)
+   */
+  constructor(client) {
+    this.client = client;
+    this._batchItems = new Map();  // batch bundle txid -> unpacked items (this session)
+    this._parents = new Map();     // txid -> txids it supersedes (its Prev tags)
+    this._versions = new Map();    // txid -> decrypted payload, for merge bases
+  }
+
+  /**
+   * Fetch everything remote that this device hasn't merged yet.
+   * @param {Object} input
+   * @param {boolean} [input.full] - Re-read every transaction instead of stopping at the cursor
+   * @param {Array<Object>} input.cachedEntries - Every cache record (covers may be left out)
+   * @param {Array<string>} input.shelfTxids - Txids of local shelf versions
+   * @param {Object|null} input.cursor - Persisted sync cursor
+   * @param {Object|null|undefined} input.latestSnapshot - Known newest snapshot; undefined to look it up
+   * @param {string|null} input.address - Wallet address, for the pending-tx bridge
+   * @param {Function} [input.onDecrypted] - async (entries, tombstones) with live entries as they decrypt
+   * @returns {Promise<Object>} - { entries, tombstones, partial, shelves, newerThanSnapshot, fullPass, cursor, prevLinks, latestSnapshot, quarantined }
+   *   quarantined: [{ txid, schema, version, errors, at }] for records that failed validation
+   * Throws code 'unknown-key' (with keyIds) when records are tagged with keys the client lacks.
+   */
+  async fetchRemote({ full = false, cachedEntries, shelfTxids = [], cursor: prevCursor = null, latestSnapshot, address = null, onDecrypted }) {
+    const client = this.client;
+    const knownTxids = new Set([...cachedEntries.map(e => e.txid), ...shelfTxids].filter(Boolean));
+    const quarantined = [];
+    const { entries: bridgeEntries, tombstones: bridgeTombstones, shelves: bridgeShelves } = await this._fetchBridgeEntries(address, knownTxids, quarantined);
+
+    // Cold start (nothing synced on this device yet): begin from the newest
+    // snapshot and only page GraphQL down to just below its height
+    let snapshotItems = null;
+    const coldStart = !cachedEntries.some(e => e.seenRemote && e.txid);
+    const latest = latestSnapshot === undefined ? await findLatestSnapshot(client) : latestSnapshot;
+    if (coldStart && latest) snapshotItems = await loadSnapshotItems(client, latest);
+    const minHeight = snapshotItems ? latest.height - SNAPSHOT_OVERLAP_BLOCKS : 0;
+    if (snapshotItems) console.log('[Bookish:Sync] Cold sync from snapshot at height', latest.height, '(' + snapshotItems.length + ' records)');
+
+    // Routine cycles stop at the cursor; applyRemote and mergeShelves only add,
+    // replace or tombstone, so a delta of newer transactions merges safely
+    const fullPass = full || coldStart || needsFullSync(prevCursor);
+    const { edges: indexedEdges, error: gqlError } = await this._fetchGraphQLPages({ minHeight, after: fullPass ? null : prevCursor });
+    const cursor = advanceCursor(fullPass ? null : prevCursor, indexedEdges, { full: fullPass });
+    let allEdges = await this._expandBatches(indexedEdges);
+    // Written under a key rotated in on another device: stop before anything
+    // is merged (or the cursor moves); the device needs to sign in again for it
+    const missing = missingKeyIds(allEdges, client.keyIds || []);
+    if (missing.length) {
+      const err = new Error('Records use a key this device doesn\u2019t have: ' + missing.join(', '));
+      err.code = 'unknown-key';
+      err.keyIds = missing;
+      throw err;
+    }
+    if (snapshotItems) allEdges = mergeSnapshotEdges(allEdges, snapshotItems);
+    const snapshotHeight = latest?.height || 0;
+    const newerThanSnapshot = indexedEdges.filter(e => !isBatchEdge(e) && (!e.node.block || e.node.block.height > snapshotHeight)).length;
+
+    // Every indexed version, superseded ones included, tells us its Prev link
+    const prevLinks = allEdges.map(e => [e.node.id, prevTag(e) || null]);
+    for (const e of allEdges) {
+      this._parents.set(e.node.id, parentTxids(e));
+      if (e.entry) this._versions.set(e.node.id, e.entry);
+    }
+
+    let liveEdges = [], tombstones = [];
+    if (allEdges.length > 0) {
+      ({ liveEdges, tombstones } = client.computeLiveSets(allEdges));
+    }
+    const shelfEdges = liveEdges.filter(e => schemaNameOf(e) === SHELF_SCHEMA);
+    liveEdges = liveEdges.filter(e => schemaNameOf(e) !== SHELF_SCHEMA);
+    if (bridgeTombstones.length > 0) {
+      tombstones = [...tombstones, ...bridgeTombstones];
+    }
+
+    const { needsDecrypt, alreadySynced } = partitionEdges(liveEdges, cachedEntries);
+
+    console.log('[Bookish:Sync] Cache check:', alreadySynced.length, 'already synced,', needsDecrypt.length, 'need decrypt');
+    const net = netStats();
+    net.cacheHits = (net.cacheHits || 0) + alreadySynced.length;
+
+    const decrypted = await this._decryptEdges(needsDecrypt, {
+      quarantine: quarantined,
+      onBatch: onDecrypted && (batch => onDecrypted(mergeAndDeduplicate(batch, []), tombstones))
+    });
+    const restored = restoreFromCache(alreadySynced, cachedEntries);
+    const hydrated = [...decrypted, ...restored];
+    const entries = mergeAndDeduplicate(hydrated, bridgeEntries);
+    const shelves = [...await this._decryptShelfEdges(shelfEdges, shelfTxids, quarantined), ...bridgeShelves];
+
+    const partial = !!gqlError;
+    if (partial && bridgeEntries.length > 0) {
+      console.log('[Bookish:Sync] Partial sync: GraphQL unavailable, returning', entries.length, 'bridge entries');
+    }
+
+    if (quarantined.length) console.warn('[Bookish:Sync] Quarantined', quarantined.length, 'invalid records');
+    return { entries, tombstones, partial, shelves, newerThanSnapshot, fullPass, cursor, prevLinks, latestSnapshot: latest, quarantined };
+  }
+
+  /**
+   * Fold every version of a book into one record. A version that descends
+   * from the others replaces them; forked siblings are merged against their
+   * common ancestor. The local record takes part when it has no unsynced
+   * edits (a merge still waiting on its conflicts counts as synced), and
+   * books that end up as the local record are left out. Merges are marked
+   * publishMerge on the one device expected to upload them.
+   * @param {Array<Object>} entries - Live remote entries (several per book when forked)
+   * @param {Array<Object>} local - Cache records
+   * @returns {Promise<Array<Object>>}
+   */
+  async resolveVersions(entries, local) {
+    const localByTxid = new Map(local.filter(e => e.txid).map(e => [e.txid, e]));
+    const localByBook = new Map();
+    for (const e of local) {
+      if (!e.bookId || !e.txid || (e.status !== 'confirmed' && !isUnresolvedMerge(e))) continue;
+      const cur = localByBook.get(e.bookId);
+      if (!cur || pickWinner(e, cur) === e) localByBook.set(e.bookId, e);
+    }
+    const groups = new Map();
+    const out = [];
+    for (const e of entries) {
+      if (!e.bookId) { out.push(e); continue; }
+      if (!groups.has(e.bookId)) groups.set(e.bookId, []);
+      groups.get(e.bookId).push(e);
+    }
+    const parentsOf = (txid) => this._parentsOf(txid, localByTxid);
+    for (const [bookId, versions] of groups) {
+      const mine = localByBook.get(bookId);
+      if (mine && !versions.some(v => v.txid === mine.txid)) versions.push(mine);
+      versions.sort((a, b) => (a.txid < b.txid ? -1 : a.txid > b.txid ? 1 : 0));
+      let cur = versions[0];
+      for (const next of versions.slice(1)) {
+        const { relation, base } = await relateVersions(cur, next, parentsOf);
+        if (relation === 'b-newer') cur = next;
+        else if (relation === 'fork') {
+          console.log('[Bookish:Sync] Merging forked versions', cur.txid?.slice(0,8), next.txid?.slice(0,8), 'of', bookId.slice(0,8));
+          cur = mergeForks(base && await this._loadVersion(base, localByTxid), cur, next);
+        }
+      }
+      // One device publishes a merge: the one whose version is the lowest
+      // forked txid. The others show it and wait for that upload.
+      if (cur.mergeOf?.length) cur.publishMerge = !!mine && [cur.txid, ...cur.mergeOf].sort()[0] === mine.txid;
+      if (cur !== mine) out.push(cur);
+    }
+    return out;
+  }
+
+  // Txids a version supersedes: from this session's edges, else asked of GraphQL,
+  // else the local record's Prev
+  async _parentsOf(txid, localByTxid) {
+    if (this._parents.has(txid)) return this._parents.get(txid);
+    const tags = await fetchTxTags(txid);
+    if (tags) {
+      const parents = parentTxids({ node: { tags } });
+      this._parents.set(txid, parents);
+      return parents;
+    }
+    const prev = localByTxid.get(txid)?.prevTxid;
+    return prev ? [prev] : [];
+  }
+
+  // First version of a txid's Prev chain as far as this session's edges go
+  // (legacy records without a bookId are keyed by it, see schema_core.js)
+  _rootOf(txid) {
+    const seen = new Set([txid]);
+    let root = txid;
+    for (let prev = this._parents.get(root)?.[0]; prev && !seen.has(prev); prev = this._parents.get(root)?.[0]) {
+      seen.add(prev);
+      root = prev;
+    }
+    return root;
+  }
+
+  // Payload of an earlier version (the common ancestor of a fork), or null
+  async _loadVersion(txid, localByTxid) {
+    if (localByTxid.has(txid)) return localByTxid.get(txid);
+    if (!this._versions.has(txid)) {
+      try {
+        this._versions.set(txid, await this.client.decryptTx(txid));
+      } catch (err) {
+        console.warn('[Bookish:Sync] Merge base unavailable', txid, err);
+        return null;
+      }
+    }
+    return addCoverHash(migratePayload(this._versions.get(txid), { txid }));
+  }
+
+  // Batches whose items the gateway hasn't indexed are fetched once per session
+  // and unpacked into item edges; items already listed are left alone.
+  async _expandBatches(edges) {
+    const batches = edges.filter(isBatchEdge);
+    if (!batches.length) return edges;
+    const known = new Set(edges.map(e => e.node.id));
+    const indexedBundles = new Set(edges.map(e => e.node.bundledIn?.id).filter(Boolean));
+    const extra = [];
+    for (const batch of batches) {
+      if (indexedBundles.has(batch.node.id)) continue;
+      let items = this._batchItems.get(batch.node.id);
+      if (!items) {
+        try {
+          items = parseBundle(await this.client.fetchTxBytes(batch.node.id));
+          this._batchItems.set(batch.node.id, items);
+        } catch (err) {
+          console.warn('[Bookish:Sync] Failed to unpack batch', batch.node.id, err);
+          continue;
+        }
+      }
+      for (const edge of batchItemEdges(batch, items)) {
+        if (known.has(edge.node.id)) continue;
+        known.add(edge.node.id);
+        extra.push(edge);
+      }
+    }
+    if (extra.length) console.log('[Bookish:Sync] Unpacked', extra.length, 'entries from', batches.length, 'batches');
+    return [...edges, ...extra];
+  }
+
+  // Snapshot items are already decrypted and unpacked batch items carry their
+  // bytes; everything else is fetched by txid. Decrypted with the key the
+  // Key-Id tag names.
+  async _decryptEdge(edge) {
+    if (edge.entry) return { ...edge.entry };
+    const keyId = keyIdOf(edge);
+    return edge.data ? this.client.decryptBytes(edge.data, keyId) : this.client.decryptTx(edge.node.id, { keyId });
+  }
+
+  // Only versions this device hasn't seen need fetching; known txids are already merged
+  async _decryptShelfEdges(edges, shelfTxids, quarantine) {
+    if (!edges.length) return [];
+    const known = new Set(shelfTxids);
+    const results = [];
+    for (const e of edges) {
+      if (known.has(e.node.id)) continue;
+      try {
+        const dec = await admit(await this._decryptEdge(e), { txid: e.node.id, schema: SHELF_SCHEMA }, quarantine);
+        if (dec?.shelfId) results.push({ txid: e.node.id, ...dec });
+      } catch (err) {
+        console.warn('[Bookish:Sync] Failed to decrypt shelf', e.node.id, err);
+      }
+    }
+    return results;
+  }
+
+  async _fetchBridgeEntries(address, knownTxids, quarantine) {
+    try {
+      if (!address) return { entries: [], tombstones: [], shelves: [] };
+      const pendingIds = await fetchPendingTxIds(address);
+      if (pendingIds.length === 0) return { entries: [], tombstones: [], shelves: [] };
+
+      const newIds = pendingIds.filter(id => !knownTxids.has(id));
+      if (newIds.length === 0) return { entries: [], tombstones: [], shelves: [] };
+
+      console.log('[Bookish:Sync] Bridge: fetching', newIds.length, 'pending tx IDs from Turbo');
+      const results = [];
+      const bridgeTombstones = [];
+      const bridgeShelves = [];
+      const settled = await runPool(newIds, txid => this.client.decryptTx(txid), { concurrency: DECRYPT_CONCURRENCY });
+      for (const [i, { ok, value }] of settled.entries()) {
+        if (!ok) continue;   // skip undecryptable
+        const txid = newIds[i];
+        if (value.op === 'tombstone' && value.ref) {
+          bridgeTombstones.push({ txid, ref: value.ref });
+          continue;
+        }
+        const dec = await admit(value, { txid, schema: value.schema, rootTxid: this._rootOf(txid) }, quarantine);
+        if (!dec) continue;
+        if (dec.schema === SHELF_SCHEMA) {
+          bridgeShelves.push({ txid, ...dec });
+        } else {
+          results.push({ txid, ...dec, block: null });
+        }
+      }
+      console.log('[Bookish:Sync] Bridge: decrypted', results.length, 'entries,', bridgeShelves.length, 'shelves,', bridgeTombstones.length, 'tombstones of', newIds.length, 'txids');
+      return { entries: results, tombstones: bridgeTombstones, shelves: bridgeShelves };
+    } catch {
+      return { entries: [], tombstones: [], shelves: [] };
+    }
+  }
+
+  // Results are newest first. minHeight: stop paging once edges fall below it.
+  // after: sync cursor; only edges newer than it are kept, and paging stops past it.
+  async _fetchGraphQLPages({ minHeight = 0, after = null } = {}) {
+    const allEdges = [];
+    let cursor;
+
+    console.log('[Bookish:Sync] Querying Arweave GraphQL for book entries...');
+    const t0 = Date.now();
+
+    for (;;) {
+      const { edges, pageInfo, error } = await this.client.searchByOwner(null, { limit: 50, cursor, schemaNames: ['reading', SHELF_SCHEMA, BATCH_SCHEMA] });
+      if (error) {
+        console.warn('[Bookish:Sync] GraphQL unavailable:', error);
+        return { edges: allEdges, error };
+      }
+      allEdges.push(...edges.filter(e =>
+        (!minHeight || !e.node.block || e.node.block.height >= minHeight) && isAfterCursor(e, after)));
+      if (minHeight && edges.some(e => e.node.block && e.node.block.height < minHeight)) break;
+      if (reachedCursor(edges, after)) break;
+      if (!pageInfo.hasNextPage) break;
+      const next = edges[edges.length - 1]?.cursor;
+      if (!next || next === cursor) break;
+      cursor = next;
+    }
+
+    console.log('[Bookish:Sync] GraphQL completed in', Date.now() - t0, 'ms, found', allEdges.length, 'transactions');
+    return { edges: allEdges, error: null };
+  }
+
+  // Fetches and decrypts up to DECRYPT_CONCURRENCY at a time (the client rate
+  // limits and retries each gateway). onBatch(entries) gets what has decrypted
+  // since the last call, about every DECRYPT_FLUSH_MS; calls never overlap.
+  // Records that fail validation go on `quarantine` and are left out.
+  async _decryptEdges(edges, { onBatch, quarantine = [] } = {}) {
+    const t0 = Date.now();
+    let buffer = [], lastFlush = t0, flushing = Promise.resolve();
+    const flush = () => {
+      if (!onBatch || !buffer.length) return;
+      const batch = buffer;
+      buffer = [];
+      lastFlush = Date.now();
+      flushing = flushing.then(() => onBatch(batch)).catch(err => console.warn('[Bookish:Sync] Progressive apply failed:', err));
+    };
+
+    const settled = await runPool(edges, async (e) => {
+      const dec = await admit(await this._decryptEdge(e), { txid: e.node.id, schema: schemaNameOf(e), rootTxid: this._rootOf(e.node.id) }, quarantine);
+      if (!dec) return null;
+      const prev = prevTag(e);
+      return { txid: e.node.id, ...dec, block: e.node.block, ...(prev && { prevTxid: prev }) };
+    }, {
+      concurrency: DECRYPT_CONCURRENCY,
+      onResult: ({ ok, value, error }, e) => {
+        if (!ok) { console.warn('[Bookish:Sync] Failed to decrypt', e.node.id, error); return; }
+        if (!value) return;
+        buffer.push(value);
+        if (Date.now() - lastFlush >= DECRYPT_FLUSH_MS) flush();
+      }
+    });
+    // The remainder is merged with everything else by the caller
+    await flushing;
+
+    const results = settled.filter(r => r.ok && r.value).map(r => r.value);
+    const ms = Date.now() - t0;
+    netStats().lastDecrypt = { count: edges.length, failed: edges.length - results.length, ms, concurrency: DECRYPT_CONCURRENCY, at: Date.now() };
+    console.log('[Bookish:Sync] Decrypted', results.length, 'of', edges.length, 'entries in', ms, 'ms');
+    return results;
+  }
+}
+
+/**
+ * One sync cycle's remote work: fetchRemote(), resolveVersions() and the
+ * applyRemote merge, against a working copy of the cache records. Only entry
+ * diffs leave here.
+ * @param {SyncPipeline} pipeline
+ * @param {Object} input - See SyncPipeline.fetchRemote (without onDecrypted)
+ * @param {{ onDiff?: Function }} [opts] - async onDiff(diff) for each batch merged while decrypting
+ * @returns {Promise<Object>} - fetchRemote() result with `diff` (the rest of the changes) in place of `entries`
+ */
+export async function runSyncJob(pipeline, input, { onDiff } = {}) {
+  let local = input.cachedEntries;
+  const merge = async (entries, tombstones) => {
+    const resolved = await pipeline.resolveVersions(entries, local);
+    const diff = toEntryDiff(await applyRemote(remoteRecords(resolved), tombstones, local), local);
+    local = applyEntryDiff(local, diff);
+    return diff;
+  };
+  const onDecrypted = onDiff && (async (entries, tombstones) => onDiff(await merge(entries, tombstones)));
+  const { entries, ...result } = await pipeline.fetchRemote({ ...input, onDecrypted });
+  return { ...result, diff: await merge(entries, result.tombstones) };
+}
@@ -0,0 +1,52 @@
+// trash_core.js - Pure trash bin logic for deleted books
+// Deleted entries stay in the local cache as status 'tombstoned' (with their full
+// data) for TRASH_RETENTION_DAYS, so they can be listed and restored.
+// No DOM, no IndexedDB, no network.
+
+export const TRASH_RETENTION_DAYS = 30;
+const DAY_MS = 86400000;
+
+/**
+ * Deleted entries still in the trash, most recently deleted first.
+ * @param {Array<Object>} allEntries - Raw cache records (any status)
+ * @param {number} [now]
+ * @returns {Array<Object>}
+ */
+export function trashEntries(allEntries, now = Date.now()) {
+  const cutoff = now - TRASH_RETENTION_DAYS * DAY_MS;
+  return (allEntries || [])
+    .filter(e => e.status === 'tombstoned' && (!e.tombstonedAt || e.tombstonedAt >= cutoff))
+    .sort((a, b) => (b.tombstonedAt || 0) - (a.tombstonedAt || 0));
+}
+
+/**
+ * Whole days until a trashed entry is purged (0 on its last day).
+ * @param {Object} entry
+ * @param {number} [now]
+ * @returns {number}
+ */
+export function daysUntilPurge(entry, now = Date.now()) {
+  if (!entry?.tombstonedAt) return TRASH_RETENTION_DAYS;
+  const left = entry.tombstonedAt + TRASH_RETENTION_DAYS * DAY_MS - now;
+  return Math.max(0, Math.floor(left / DAY_MS));
+}
+
+/**
+ * Local record for an entry taken back out of the trash. It stays pending until
+ * re-published; restoredAt keeps sync from re-applying the old tombstone meanwhile.
+ * @param {Object} trashed - Tombstoned record
+ * @param {number} [now]
+ * @returns {Object}
+ */
+export function restoredRecord(trashed, now = Date.now()) {
+  const { tombstonedAt, _deleting, ...rest } = trashed;
+  return {
+    ...rest,
+    status: 'pending',
+    pending: true,
+    seenRemote: false,
+    _committed: false,
+    modifiedAt: now,
+    restoredAt: now
+  };
+}
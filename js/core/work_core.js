@@ -0,0 +1,96 @@
+// work_core.js - Pure "work" grouping: several reading events of the same book
+// Each reading event keeps its own bookId; a work groups them by normalized
+// title/author (or an explicit workKey set by "read again").
+// No DOM, no IndexedDB, no network.
+
+import { normalizeTitleKey, normalizeAuthorKey } from './search_core.js';
+import { READING_STATUS, normalizeReadingStatus } from './reading_status.js';
+import { coverFields } from './cover_core.js';
+
+/**
+ * Work key for an entry: explicit workKey if present, else normalized title|author.
+ * @param {Object} entry
+ * @returns {string} - '' when the entry has no usable title
+ */
+export function workKeyFor(entry) {
+  if (entry?.workKey) return entry.workKey;
+  const t = normalizeTitleKey(entry?.title);
+  if (!t) return '';
+  return t + '|' + normalizeAuthorKey(entry?.author);
+}
+
+// In-progress reads first, then most recently finished, then most recently added
+function compareReads(a, b) {
+  const ra = normalizeReadingStatus(a) === READING_STATUS.READING ? 0 : 1;
+  const rb = normalizeReadingStatus(b) === READING_STATUS.READING ? 0 : 1;
+  if (ra !== rb) return ra - rb;
+  const da = a.dateRead || '', db = b.dateRead || '';
+  if (da !== db) return db.localeCompare(da);
+  return (b.createdAt || 0) - (a.createdAt || 0);
+}
+
+/**
+ * Group entries into works.
+ * @param {Array<Object>} entries
+ * @returns {Array<{ workKey: string, latest: Object, reads: Array<Object> }>}
+ *   reads are newest first; latest === reads[0]. Input order of first appearance is kept.
+ */
+export function groupByWork(entries) {
+  const groups = new Map();
+  for (const e of entries) {
+    const key = workKeyFor(e) || ('entry:' + (e.txid || e.id));
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(e);
+  }
+  return [...groups].map(([workKey, reads]) => {
+    reads.sort(compareReads);
+    return { workKey, latest: reads[0], reads };
+  });
+}
+
+/**
+ * Reading history for the work an entry belongs to (started or finished reads only).
+ * @param {Array<Object>} entries - All active entries
+ * @param {Object} entry
+ * @returns {Array<{ key: string, readingStatus: string, dateRead: string, readingStartedAt: number|undefined, format: string, rating: number|undefined }>}
+ */
+export function readHistory(entries, entry) {
+  const key = workKeyFor(entry);
+  if (!key) return [];
+  return entries
+    .filter(e => e.status !== 'tombstoned' && workKeyFor(e) === key
+      && normalizeReadingStatus(e) !== READING_STATUS.WANT_TO_READ)
+    .sort(compareReads)
+    .map(e => ({
+      key: e.txid || e.id,
+      readingStatus: normalizeReadingStatus(e),
+      dateRead: e.dateRead || '',
+      readingStartedAt: e.readingStartedAt,
+      format: e.format || '',
+      rating: e.rating || undefined
+    }));
+}
+
+/**
+ * Create payload for re-reading a book: same work, fresh reading event.
+ * Carries book identity (title, author, isbn, cover, owned) but not per-read
+ * fields (dateRead, rating, notes).
+ * @param {Object} entry - A previous read
+ * @param {number} [now]
+ * @returns {Object}
+ */
+export function buildReadAgainPayload(entry, now = Date.now()) {
+  const payload = {
+    title: entry.title,
+    author: entry.author,
+    format: entry.format,
+    dateRead: '',
+    readingStatus: READING_STATUS.READING,
+    readingStartedAt: now,
+    workKey: workKeyFor(entry)
+  };
+  if (entry.isbn) payload.isbn = entry.isbn;
+  Object.assign(payload, coverFields(entry));
+  if (entry.owned) payload.owned = entry.owned;
+  return payload;
+}
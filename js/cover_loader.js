@@ -0,0 +1,105 @@
+// cover_loader.js - Lazy cover images
+// Covers aren't part of the rendered markup: an <img> carries the cover's
+// reference in data attributes (coverImgAttrs) and no src. Once it comes near
+// the viewport the image is read from the local cover store, or fetched, through
+// BookRepository.getCover, and shown from an object URL kept for the session.
+// Also sets --cover-url on the surrounding .cover / tile for the blurred fill.
+
+const SELECTOR = 'img[data-cover-key]';
+
+let _loadCover = null;
+let _io = null;
+const _urls = new Map();   // cover key -> Promise<object URL|null>
+const _ready = new Map();  // cover key -> object URL, for re-rendered markup
+
+function escapeAttr(s) { return String(s).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;'); }
+
+/**
+ * Key a cover is loaded and kept under.
+ * @param {{ hash?: string|null, entryTxid?: string|null }|null} ref - coverRefOf(entry)
+ * @returns {string} - '' when there's nothing to load
+ */
+export function coverKey(ref) {
+  return ref?.hash || (ref?.entryTxid ? 'tx:' + ref.entryTxid : '');
+}
+
+/**
+ * Data attributes for a lazily loaded cover <img>.
+ * @param {{ hash?: string|null, coverTxid?: string|null, entryTxid?: string|null }|null} ref - coverRefOf(entry)
+ * @returns {string} - '' when there's nothing to load
+ */
+export function coverImgAttrs(ref) {
+  const key = coverKey(ref);
+  if (!key) return '';
+  return [
+    ['data-cover-key', key],
+    ['data-cover-hash', ref.hash],
+    ['data-cover-txid', ref.coverTxid],
+    ['data-cover-entry', ref.entryTxid]
+  ].filter(([, v]) => v).map(([k, v]) => ` ${k}="${escapeAttr(v)}"`).join('');
+}
+
+/**
+ * Object URL of a cover, loaded once per session.
+ * @param {{ hash?: string|null, coverTxid?: string|null, entryTxid?: string|null }|null} ref - coverRefOf(entry)
+ * @returns {Promise<string|null>} - null when it isn't available
+ */
+export function coverUrl(ref) {
+  const key = coverKey(ref);
+  if (!key || !_loadCover) return Promise.resolve(null);
+  if (!_urls.has(key)) {
+    const load = _loadCover(ref)
+      .then(blob => (blob ? URL.createObjectURL(blob) : null))
+      .catch(err => { console.warn('[Bookish:Covers] Load failed', key, err); return null; });
+    _urls.set(key, load);
+    // Unavailable (offline, not synced yet): tried again on the next render
+    load.then(url => { if (url) _ready.set(key, url); else _urls.delete(key); });
+  }
+  return _urls.get(key);
+}
+
+function apply(img, url) {
+  img.src = url;
+  img.classList.remove('cover-unavailable');
+  img.closest('.cover, .tile-cover')?.style.setProperty('--cover-url', `url('${url}')`);
+}
+
+async function show(img) {
+  const url = await coverUrl({ hash: img.dataset.coverHash || null, coverTxid: img.dataset.coverTxid || null, entryTxid: img.dataset.coverEntry || null });
+  if (url) apply(img, url); else img.classList.add('cover-unavailable');
+}
+
+function watch(root) {
+  if (root.nodeType !== 1) return;
+  const imgs = root.matches(SELECTOR) ? [root] : root.querySelectorAll(SELECTOR);
+  for (const img of imgs) {
+    if (img.getAttribute('src')) continue;
+    // Already loaded: set before the re-rendered card paints
+    const url = _ready.get(img.dataset.coverKey);
+    if (url) apply(img, url);
+    else if (_io) _io.observe(img);
+    else show(img);
+  }
+}
+
+/**
+ * Start loading cover <img>s (see coverImgAttrs) as they're added to the page.
+ * @param {Function} loadCover - async (ref) => Blob|null, e.g. BookRepository.getCover
+ */
+export function initCoverLoader(loadCover) {
+  if (_loadCover) return;
+  _loadCover = loadCover;
+  if ('IntersectionObserver' in window) {
+    _io = new IntersectionObserver((seen) => {
+      for (const e of seen) {
+        if (!e.isIntersecting) continue;
+        _io.unobserve(e.target);
+        show(e.target);
+      }
+    }, { rootMargin: '400px 0px' });
+  }
+  new MutationObserver((records) => {
+    for (const r of records) r.addedNodes.forEach(watch);
+  }).observe(document.body, { childList: true, subtree: true });
+  watch(document.body);
+}
@@ -0,0 +1,139 @@
+// history_view.js - Version history drawer for one book
+// Loads the entry's saved versions (its Prev chain) from BookRepository, shows
+// what changed in each edit and restores an older version as a new edit.
+
+import { diffVersions, buildRestorePayload } from './core/history_core.js';
+
+const historyOverlay = document.getElementById('historyOverlay');
+const historyTitle = document.getElementById('historyTitle');
+const historyBody = document.getElementById('historyBody');
+
+let _repo = null;
+let _onRestored = null;
+let _onFailed = null;
+let _entry = null;
+let _versions = [];
+let _loadToken = 0;
+let _restoring = false;
+
+function escapeHtml(s) { return String(s).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;'); }
+
+function isOpen() { return historyOverlay && historyOverlay.style.display !== 'none'; }
+
+function versionTime(payload) {
+  return payload?.modifiedAt || payload?.createdAt || null;
+}
+
+function formatWhen(ts) {
+  if (!ts) return 'Unknown date';
+  return new Date(ts).toLocaleString(undefined, { year: 'numeric', month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' });
+}
+
+function renderVersions() {
+  const pendingNote = _entry?.pending
+    ? '<p class="wtr-empty">This book has changes that are still saving; they\'ll appear here once uploaded.</p>'
+    : '';
+  if (!_versions.length) {
+    historyBody.innerHTML = pendingNote || '<p class="wtr-empty">No saved versions yet.</p>';
+    return;
+  }
+  const items = _versions.map((v, i) => {
+    const when = formatWhen(versionTime(v.payload));
+    if (!v.payload) {
+      return `<li class="history-version"><div class="history-version-head"><span class="history-when">Version ${_versions.length - i}</span></div>
+        <p class="history-note">Couldn't load this version.</p></li>`;
+    }
+    const older = _versions[i + 1];
+    const isFirst = i === _versions.length - 1;
+    const changes = isFirst || !older?.payload ? [] : diffVersions(older.payload, v.payload);
+    const note = isFirst ? 'First saved version'
+      : !older?.payload ? 'Previous version unavailable'
+      : changes.length ? '' : 'No visible changes';
+    const action = i === 0
+      ? '<span class="history-current">Current</span>'
+      : `<button type="button" class="shelf-empty-link" data-action="restore" data-index="${i}"${_restoring ? ' disabled' : ''}>Restore</button>`;
+    return `<li class="history-version">
+      <div class="history-version-head"><span class="history-when">${escapeHtml(when)}</span>${action}</div>
+      ${note ? `<p class="history-note">${escapeHtml(note)}</p>` : ''}
+      ${changes.length ? `<ul class="history-changes">${changes.map(c => `
+        <li><span class="history-field">${escapeHtml(c.label)}</span>
+          <span class="history-before">${escapeHtml(c.before)}</span> → <span class="history-after">${escapeHtml(c.after)}</span></li>`).join('')}
+      </ul>` : ''}
+    </li>`;
+  }).join('');
+  historyBody.innerHTML = `${pendingNote}<ol class="history-list">${items}</ol>`;
+}
+
+/**
+ * Open the history drawer for a book and load its versions.
+ * @param {Object} entry
+ */
+export async function openHistoryView(entry) {
+  if (!historyOverlay || !_repo || !entry) return;
+  _entry = entry;
+  _versions = [];
+  if (historyTitle) historyTitle.textContent = entry.title ? `History · ${entry.title}` : 'History';
+  historyBody.innerHTML = '<p class="wtr-empty">Loading history…</p>';
+  historyOverlay.style.display = 'block';
+
+  const token = ++_loadToken;
+  try {
+    const versions = await _repo.getHistory(entry.txid || entry.id);
+    if (token !== _loadToken) return;
+    _versions = versions;
+    renderVersions();
+  } catch (err) {
+    if (token !== _loadToken) return;
+    console.warn('[Bookish:History] Failed to load history:', err);
+    historyBody.innerHTML = `<p class="wtr-empty">Couldn't load the history: ${escapeHtml(err.message || 'unknown error')}</p>`;
+  }
+}
+
+export function closeHistoryView() {
+  _loadToken++;
+  if (historyOverlay) historyOverlay.style.display = 'none';
+}
+
+/**
+ * Wire the history drawer to a BookRepository.
+ * @param {import('./core/book_repository.js').BookRepository} repo
+ * @param {{ onRestored?: Function, onFailed?: Function }} [opts] - onRestored(entry, version) after a
+ *   restore is saved locally; onFailed(err) when it couldn't be (e.g. the book was deleted meanwhile)
+ */
+export function initHistoryView(repo, { onRestored, onFailed } = {}) {
+  _repo = repo;
+  _onRestored = onRestored;
+  _onFailed = onFailed;
+}
+
+async function restore(index) {
+  const version = _versions[index];
+  if (!version?.payload || !_entry || _restoring) return;
+  const when = formatWhen(versionTime(version.payload));
+  if (!confirm(`Restore the version from ${when}? It's saved as a new edit, so the current version stays in the history.`)) return;
+  _restoring = true;
+  renderVersions();
+  const entry = _entry;
+  try {
+    const key = entry.txid || entry.id;
+    await _repo.update(key, buildRestorePayload(version.payload));
+    if (_entry === entry) closeHistoryView();
+    _onRestored?.(entry, version);
+  } catch (err) {
+    console.warn('[Bookish:History] Restore failed:', err);
+    _onFailed?.(err);
+  } finally {
+    _restoring = false;
+    if (isOpen() && _entry === entry) renderVersions();
+  }
+}
+
+document.getElementById('historyBackdrop')?.addEventListener('click', closeHistoryView);
+document.getElementById('historyClose')?.addEventListener('click', closeHistoryView);
+historyBody?.addEventListener('click', (ev) => {
+  const btn = ev.target.closest('[data-action="restore"]');
+  if (btn) restore(Number(btn.dataset.index));
+});
+document.addEventListener('keydown', (e) => {
+  if (e.key === 'Escape' && isOpen()) closeHistoryView();
+});
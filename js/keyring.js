@@ -0,0 +1,116 @@
+// keyring.js - This device's symmetric keyring, and key rotation
+// bookish.sym is always the active key: the wallet record and the session
+// seed are encrypted with it, and new records are written with it. The
+// keyring (bookish.keyring) adds the keys rotated out, so versions written
+// under them still decrypt.
+//
+// The default key is derived from the seed phrase. A rotation's key is random:
+// the seed phrase doesn't give it, so a device that had the session seed (a
+// lost or compromised one) can't read what's written under it. Other devices
+// get it by signing in again: the key is stored in the email+password
+// credential mapping next to the seed (credential_mapping schema 0.2.0), and
+// in passkey mappings added from then on. Password recovery by email and the
+// recovery phrase restore the seed only, so they don't give rotated keys.
+
+import * as storageManager from './core/storage_manager.js';
+import { getSessionEncryptedSeed, importAesKey, hexToBytes, encryptBytes, bytesToBase64 } from './core/crypto_core.js';
+import { DEFAULT_KEY_ID, singleKeyring, addKeys, nextKeyId, rotatedKeys } from './core/keyring_core.js';
+
+/**
+ * The keyring, with bookish.sym as its active key. Started (or restarted)
+ * around bookish.sym when there's none yet or it's from an earlier sign-in.
+ * @returns {{ active: string, keys: Object }|null} - null when signed out
+ */
+export function getKeyring() {
+  const sym = storageManager.getSymKey();
+  if (!sym) return null;
+  const keyring = storageManager.getKeyring();
+  if (keyring?.keys?.[keyring.active] === sym) return keyring;
+  const fresh = singleKeyring(sym);
+  storageManager.setKeyring(fresh);
+  return fresh;
+}
+
+/**
+ * Key-Id of the key new records are written with.
+ * @returns {string}
+ */
+export function activeKeyId() {
+  return getKeyring()?.active || DEFAULT_KEY_ID;
+}
+
+// Store the keyring. When its active key changes, bookish.sym, the wallet
+// record and the session seed all move to the new key; they're re-encrypted
+// first and written together so they never disagree.
+async function saveKeyring(keyring, seed) {
+  const oldSym = storageManager.getSymKey();
+  const newSym = keyring.keys[keyring.active];
+  if (newSym !== oldSym) {
+    const wallet = await window.bookishWallet?.reencrypt?.(oldSym, newSym);
+    const newKey = await importAesKey(hexToBytes(newSym));
+    const sessionSeed = bytesToBase64(await encryptBytes(newKey, new TextEncoder().encode(seed)));
+    storageManager.setSymKey(newSym);
+    if (wallet) storageManager.setWalletRecord(wallet);
+    storageManager.setSessionSeed(sessionSeed);
+  }
+  storageManager.setKeyring(keyring);
+  console.log('[Bookish:Keyring] Keys:', Object.keys(keyring.keys).join(', '), '- active', keyring.active);
+}
+
+/**
+ * Keys rotations added, for storing in a credential mapping.
+ * @returns {Object} - { [keyId]: hex }
+ */
+export function getRotatedKeys() {
+  return rotatedKeys(getKeyring());
+}
+
+/**
+ * Add rotated keys (from a credential mapping, or a new rotation). The newest
+ * becomes the active key.
+ * @param {Object} keys - { [keyId]: hex }
+ * @param {string} [seed] - Seed phrase; defaults to the session's
+ * @returns {Promise<boolean>} - Whether any key was added
+ */
+export async function addRotatedKeys(keys, seed) {
+  const keyring = getKeyring();
+  const added = Object.fromEntries(Object.entries(keys || {}).filter(([id]) => !keyring?.keys[id]));
+  if (!keyring || !Object.keys(added).length) return false;
+  seed = seed || await getSessionEncryptedSeed();
+  if (!seed) {
+    const err = new Error('Sign in again to change your encryption key');
+    err.code = 'seed-unavailable';
+    throw err;
+  }
+  await saveKeyring(addKeys(keyring, added), seed);
+  return true;
+}
+
+/**
+ * AES key for a Key-Id, when the keyring has it.
+ * @param {string} keyId
+ * @returns {Promise<CryptoKey|null>}
+ */
+export async function keyFor(keyId) {
+  const hex = getKeyring()?.keys[keyId];
+  return hex ? importAesKey(hexToBytes(hex)) : null;
+}
+
+/**
+ * A new random key for a rotation, not yet in the keyring: store it in the
+ * credential mapping first, then add it with addRotatedKeys. Records written
+ * before stay under their old keys; re-encrypting the library and account
+ * metadata under the new key is up to the caller.
+ * @returns {{ keyId: string, keys: Object }} - Its Key-Id, and every rotated key including it
+ */
+export function createRotationKey() {
+  const keyring = getKeyring();
+  if (!keyring) {
+    const err = new Error('Sign in again to change your encryption key');
+    err.code = 'seed-unavailable';
+    throw err;
+  }
+  const hex = (n) => Array.from(crypto.getRandomValues(new Uint8Array(n)), b => b.toString(16).padStart(2, '0')).join('');
+  const keyId = nextKeyId(keyring, hex(4));
+  return { keyId, keys: { ...rotatedKeys(keyring), [keyId]: hex(32) } };
+}
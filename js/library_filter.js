@@ -0,0 +1,137 @@
+// library_filter.js - Search / filter / sort controls for the main shelf
+// Owns the current library query and keeps it in the URL hash so filtered
+// views are linkable and survive reloads. render() in app.js reads
+// getLibraryQuery() and calls updateLibraryFilter() with the results.
+
+import { parseQueryHash, queryToHash, normalizeQuery, isActiveQuery, facetValues, EMPTY_QUERY } from './core/library_query.js';
+
+const SEARCH_DEBOUNCE_MS = 150;
+
+const filterEl = document.getElementById('libraryFilter');
+const searchInput = document.getElementById('librarySearch');
+const toggleBtn = document.getElementById('libraryFilterToggle');
+const panel = document.getElementById('libraryFilterPanel');
+const summaryEl = document.getElementById('libraryFilterSummary');
+const countEl = document.getElementById('libraryFilterCount');
+const clearBtn = document.getElementById('libraryFilterClear');
+
+// query field -> <select>
+const selects = {
+  status: document.getElementById('filterStatus'),
+  format: document.getElementById('filterFormat'),
+  rating: document.getElementById('filterRating'),
+  owned: document.getElementById('filterOwned'),
+  tag: document.getElementById('filterTag'),
+  year: document.getElementById('filterYear'),
+  sort: document.getElementById('filterSort')
+};
+
+let _query = parseQueryHash(location.hash);
+let _onChange = null;
+let _searchTimer = null;
+let _facetKey = '';
+
+function escapeHtml(s) { return String(s).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;'); }
+
+function writeHash() {
+  const hash = queryToHash(_query);
+  if (hash === (location.hash === '#' ? '' : location.hash)) return;
+  history.replaceState(null, '', hash || (location.pathname + location.search));
+}
+
+function syncControls() {
+  if (searchInput && document.activeElement !== searchInput) searchInput.value = _query.q;
+  for (const [k, el] of Object.entries(selects)) {
+    if (el) el.value = String(_query[k] || (k === 'rating' ? 0 : ''));
+  }
+  // Panel opens automatically when a linked view carries filters
+  const hasPanelFilters = Object.keys(selects).some(k => _query[k] !== EMPTY_QUERY[k]);
+  if (hasPanelFilters && panel) setPanelOpen(true);
+}
+
+function setPanelOpen(open) {
+  if (!panel) return;
+  panel.hidden = !open;
+  toggleBtn?.setAttribute('aria-expanded', String(open));
+}
+
+// Keep the current value selectable even when no entry carries it (e.g. from a shared link)
+function fillOptions(select, values, current, anyLabel) {
+  const opts = current && !values.includes(current) ? [current, ...values] : values;
+  select.innerHTML = `<option value="">${anyLabel}</option>` + opts.map(v => `<option value="${escapeHtml(v)}">${escapeHtml(v)}</option>`).join('');
+  select.value = current || '';
+}
+
+/**
+ * Current (normalized) library query.
+ * @returns {Object}
+ */
+export function getLibraryQuery() {
+  return _query;
+}
+
+/**
+ * Replace the library query, update the URL hash and re-render.
+ * @param {Object} next
+ */
+export function setLibraryQuery(next) {
+  _query = normalizeQuery(next);
+  writeHash();
+  syncControls();
+  _onChange?.();
+}
+
+/**
+ * Refresh tag/year options and the result summary after a render.
+ * @param {Array<Object>} entries - All entries
+ * @param {number} shown - Cards currently on the shelf
+ * @param {boolean} hasBooks - Whether the library has any books at all
+ */
+export function updateLibraryFilter(entries, shown, hasBooks) {
+  if (!filterEl) return;
+  filterEl.style.display = hasBooks ? '' : 'none';
+  if (!hasBooks) return;
+
+  const { tags, years } = facetValues(entries);
+  const facetKey = tags.join('\n') + '|' + years.join(',') + '|' + _query.tag + '|' + _query.year;
+  if (facetKey !== _facetKey) {
+    _facetKey = facetKey;
+    if (selects.tag) fillOptions(selects.tag, tags, _query.tag, 'Any tag');
+    if (selects.year) fillOptions(selects.year, years, _query.year, 'Any year');
+  }
+
+  const active = isActiveQuery(_query);
+  if (summaryEl) summaryEl.style.display = active ? '' : 'none';
+  if (countEl) countEl.textContent = `${shown} ${shown === 1 ? 'book' : 'books'}`;
+}
+
+/**
+ * Wire controls and hash navigation.
+ * @param {Function} onChange - Called whenever the query changes (re-render)
+ */
+export function initLibraryFilter(onChange) {
+  _onChange = onChange;
+  syncControls();
+}
+
+searchInput?.addEventListener('input', () => {
+  clearTimeout(_searchTimer);
+  _searchTimer = setTimeout(() => setLibraryQuery({ ..._query, q: searchInput.value }), SEARCH_DEBOUNCE_MS);
+});
+searchInput?.addEventListener('keydown', (e) => {
+  if (e.key === 'Escape' && searchInput.value) { searchInput.value = ''; setLibraryQuery({ ..._query, q: '' }); }
+});
+toggleBtn?.addEventListener('click', () => setPanelOpen(panel?.hidden));
+for (const [k, el] of Object.entries(selects)) {
+  el?.addEventListener('change', () => setLibraryQuery({ ..._query, [k]: el.value }));
+}
+clearBtn?.addEventListener('click', () => {
+  if (searchInput) searchInput.value = '';
+  setLibraryQuery(EMPTY_QUERY);
+  setPanelOpen(false);
+});
+window.addEventListener('hashchange', () => {
+  _query = parseQueryHash(location.hash);
+  syncControls();
+  _onChange?.();
+});
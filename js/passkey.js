@@ -0,0 +1,122 @@
+// passkey.js - WebAuthn passkeys with the PRF extension
+// A passkey stands in for email+password: its PRF output, evaluated with a
+// fixed input (passkeyPrfSalt), gives the credential lookup and encryption
+// keys (deriveCredentialKeysFromPrf in credential_core.js). Passkeys are
+// discoverable, so signing in on a new device needs nothing typed.
+//
+// Testing without a hardware key, in Chrome:
+//   1. DevTools > More tools > WebAuthn, enable the virtual authenticator
+//      environment and add one (ctap2, internal, resident keys, user
+//      verification and PRF). Without a PRF option in the panel, use the
+//      protocol: WebAuthn.addVirtualAuthenticator with hasResidentKey,
+//      hasUserVerification, isUserVerified and hasPrf true.
+//   2. Sign in with email and password and add a passkey from the account panel.
+//   3. Sign out, clear site data (keep DevTools open; the authenticator lives
+//      as long as that session) and sign in with the passkey: library and
+//      settings load as with the password.
+// An authenticator without PRF must be refused ("can't be used to sign in to
+// Bookish"), and a cancelled prompt must leave the sign-in form as it was.
+
+import { passkeyPrfSalt } from './core/credential_core.js';
+
+const RP_NAME = 'Bookish';
+
+function randomBytes(n) {
+  return crypto.getRandomValues(new Uint8Array(n));
+}
+
+function toBase64Url(buf) {
+  let s = '';
+  for (const b of new Uint8Array(buf)) s += String.fromCharCode(b);
+  return btoa(s).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(str) {
+  const s = atob(str.replace(/-/g, '+').replace(/_/g, '/'));
+  return Uint8Array.from(s, c => c.charCodeAt(0));
+}
+
+function passkeyError(message, code) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+// Cancelled or timed out prompts come back as NotAllowedError
+function wrapCeremonyError(err) {
+  if (err?.code) return err;
+  if (err?.name === 'NotAllowedError' || err?.name === 'AbortError') return passkeyError('Passkey request was cancelled', 'passkey-cancelled');
+  if (err?.name === 'InvalidStateError') return passkeyError('This passkey is already registered', 'passkey-exists');
+  return passkeyError(err?.message || 'Passkey request failed', 'passkey-failed');
+}
+
+/**
+ * Whether this browser can use passkeys at all. PRF support is only known
+ * once a passkey is created or used.
+ * @returns {boolean}
+ */
+export function isPasskeySupported() {
+  return !!(window.isSecureContext && window.PublicKeyCredential && navigator.credentials?.create);
+}
+
+/**
+ * Evaluate the PRF of a passkey. Without credentialIds the browser offers
+ * every Bookish passkey on the device (and phones nearby).
+ * @param {Array<string>} [credentialIds] - base64url credential ids to allow
+ * @returns {Promise<{ credentialId: string, prfOutput: ArrayBuffer }>}
+ */
+export async function getPasskeyPrf(credentialIds = []) {
+  let cred;
+  try {
+    cred = await navigator.credentials.get({
+      publicKey: {
+        challenge: randomBytes(32),
+        rpId: location.hostname,
+        allowCredentials: credentialIds.map(id => ({ type: 'public-key', id: fromBase64Url(id) })),
+        userVerification: 'required',
+        extensions: { prf: { eval: { first: await passkeyPrfSalt() } } }
+      }
+    });
+  } catch (err) {
+    throw wrapCeremonyError(err);
+  }
+  if (!cred) throw passkeyError('Passkey request was cancelled', 'passkey-cancelled');
+  const prfOutput = cred.getClientExtensionResults?.()?.prf?.results?.first;
+  if (!prfOutput) throw passkeyError('This passkey can\'t be used to sign in to Bookish', 'prf-unsupported');
+  return { credentialId: toBase64Url(cred.rawId), prfOutput };
+}
+
+/**
+ * Create a passkey and evaluate its PRF. Authenticators that don't return PRF
+ * results at creation are asked once more with the new passkey.
+ * @param {Object} params
+ * @param {string} params.name - Account name shown by the authenticator (email or display name)
+ * @param {string} [params.displayName]
+ * @param {Array<string>} [params.excludeIds] - base64url ids of passkeys already registered
+ * @returns {Promise<{ credentialId: string, prfOutput: ArrayBuffer }>}
+ */
+export async function createPasskey({ name, displayName, excludeIds = [] }) {
+  const salt = await passkeyPrfSalt();
+  let cred;
+  try {
+    cred = await navigator.credentials.create({
+      publicKey: {
+        rp: { name: RP_NAME, id: location.hostname },
+        user: { id: randomBytes(16), name: name || RP_NAME, displayName: displayName || name || RP_NAME },
+        challenge: randomBytes(32),
+        pubKeyCredParams: [{ type: 'public-key', alg: -7 }, { type: 'public-key', alg: -257 }],
+        authenticatorSelection: { residentKey: 'required', requireResidentKey: true, userVerification: 'required' },
+        excludeCredentials: excludeIds.map(id => ({ type: 'public-key', id: fromBase64Url(id) })),
+        extensions: { prf: { eval: { first: salt } } }
+      }
+    });
+  } catch (err) {
+    throw wrapCeremonyError(err);
+  }
+  if (!cred) throw passkeyError('Passkey request was cancelled', 'passkey-cancelled');
+  const credentialId = toBase64Url(cred.rawId);
+  const prf = cred.getClientExtensionResults?.()?.prf;
+  if (prf?.enabled === false) throw passkeyError('This device\'s passkeys can\'t be used to sign in to Bookish', 'prf-unsupported');
+  if (prf?.results?.first) return { credentialId, prfOutput: prf.results.first };
+  return getPasskeyPrf([credentialId]);
+}
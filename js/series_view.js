@@ -0,0 +1,153 @@
+// series_view.js - Book series drawer
+// Lists series in the library and, per series, which volumes are read, in
+// progress, on the reading list or missing. Missing volumes can be added to
+// Want to Read in one click. Re-renders on the repository's 'change' event.
+
+import { groupSeries, buildMissingVolumePayload, VOLUME_STATE } from './core/series_core.js';
+import { normalizeReadingStatus } from './core/book_repository.js';
+
+const seriesBtn = document.getElementById('seriesBtn');
+const seriesOverlay = document.getElementById('seriesOverlay');
+const seriesTitle = document.getElementById('seriesTitle');
+const seriesBody = document.getElementById('seriesBody');
+
+const STATE_LABELS = {
+  [VOLUME_STATE.READ]: 'Read',
+  [VOLUME_STATE.READING]: 'Reading',
+  [VOLUME_STATE.WANT_TO_READ]: 'Want to read',
+  [VOLUME_STATE.MISSING]: 'Missing'
+};
+
+let _repo = null;
+let _openBook = null;
+let _seriesKey = null;    // series being viewed, null for the list
+let _adding = false;
+
+function escapeHtml(s) { return String(s).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;'); }
+
+function isOpen() { return seriesOverlay && seriesOverlay.style.display !== 'none'; }
+
+function summary(g) {
+  const total = g.volumes.length + g.unnumbered.length;
+  const parts = [`${g.counts.read} of ${total} read`];
+  if (g.counts.reading) parts.push(`${g.counts.reading} reading`);
+  if (g.counts.missing) parts.push(`${g.counts.missing} missing`);
+  return parts.join(' · ');
+}
+
+function volumeRow(label, state, entry, index) {
+  const main = entry
+    ? `<button type="button" class="shelf-book-open" data-action="open" data-key="${escapeHtml(entry.txid || entry.id)}">
+        <span class="wtr-item-title">${escapeHtml(entry.title || 'Untitled')}</span>
+      </button>`
+    : '<span class="series-volume-missing">Not in your library</span>';
+  const action = state === VOLUME_STATE.MISSING
+    ? `<button type="button" class="shelf-empty-link" data-action="want" data-index="${index}"${_adding ? ' disabled' : ''}>+ Want to Read</button>`
+    : `<span class="series-state series-state-${state}">${STATE_LABELS[state]}</span>`;
+  return `<li class="series-volume${state === VOLUME_STATE.MISSING ? ' missing' : ''}">
+    <span class="series-volume-num">${escapeHtml(label)}</span>${main}${action}
+  </li>`;
+}
+
+function renderList(groups) {
+  if (seriesTitle) seriesTitle.textContent = 'Series';
+  seriesBody.innerHTML = groups.length
+    ? `<ul class="shelf-list">${groups.map(g => `
+        <li><button type="button" class="shelf-list-item" data-series="${escapeHtml(g.key)}">
+          <span class="shelf-list-name">${escapeHtml(g.name)}</span>
+          <span class="stats-rank-count">${g.counts.read}/${g.volumes.length + g.unnumbered.length}</span>
+          <span class="shelf-list-desc">${escapeHtml([g.author, summary(g)].filter(Boolean).join(' · '))}</span>
+        </button></li>`).join('')}</ul>`
+    : '<p class="wtr-empty">Add a series name (and number) to a book to track which volumes you\'ve read and which are missing.</p>';
+}
+
+function renderSeries(g) {
+  if (seriesTitle) seriesTitle.textContent = g.name;
+  const missing = g.counts.missing;
+  seriesBody.innerHTML = `
+    <button type="button" class="shelf-back" data-action="back">← All series</button>
+    <p class="shelf-desc">${escapeHtml([g.author, summary(g)].filter(Boolean).join(' · '))}</p>
+    ${missing > 1 ? `<div class="shelf-actions"><button type="button" class="shelf-empty-link" data-action="want-all"${_adding ? ' disabled' : ''}>Add ${missing} missing to Want to Read</button></div>` : ''}
+    <ul class="series-volumes">
+      ${g.volumes.map(v => volumeRow('#' + v.index, v.state, v.entry, v.index)).join('')}
+      ${g.unnumbered.map(e => volumeRow('–', normalizeReadingStatus(e), e)).join('')}
+    </ul>`;
+}
+
+export function renderSeriesView() {
+  if (!seriesBody || !_repo) return;
+  const groups = groupSeries(_repo.getAll());
+  const g = _seriesKey && groups.find(x => x.key === _seriesKey);
+  if (_seriesKey && !g) _seriesKey = null;
+  if (g) renderSeries(g); else renderList(groups);
+}
+
+/**
+ * Open the drawer, optionally on one series.
+ * @param {string|null} [key] - seriesKey() of the series to show
+ */
+export function openSeriesView(key = null) {
+  if (!seriesOverlay) return;
+  _seriesKey = key;
+  renderSeriesView();
+  seriesOverlay.style.display = 'block';
+}
+
+export function closeSeriesView() {
+  if (seriesOverlay) seriesOverlay.style.display = 'none';
+}
+
+/**
+ * Wire the series drawer to a BookRepository.
+ * @param {import('./core/book_repository.js').BookRepository} repo
+ * @param {{ openBook: Function }} opts - openBook(entry) opens the book modal
+ */
+export function initSeriesView(repo, { openBook } = {}) {
+  _repo = repo;
+  _openBook = openBook;
+  repo.on('change', () => { if (isOpen()) renderSeriesView(); });
+}
+
+async function addMissing(indexes) {
+  const g = groupSeries(_repo.getAll()).find(x => x.key === _seriesKey);
+  if (!g || !indexes.length) return;
+  _adding = true;
+  renderSeriesView();
+  try {
+    const payloads = indexes.map(i => buildMissingVolumePayload(g, i));
+    if (payloads.length === 1) await _repo.create(payloads[0]);
+    else await _repo.createMany(payloads);
+  } finally {
+    _adding = false;
+    renderSeriesView();
+  }
+}
+
+function onAction(action, btn) {
+  if (action === 'back') { _seriesKey = null; renderSeriesView(); return; }
+  if (action === 'open') {
+    const entry = _repo.getById(btn.dataset.key);
+    if (entry && _openBook) { closeSeriesView(); _openBook(entry); }
+    return;
+  }
+  if (_adding) return;
+  if (action === 'want') {
+    addMissing([Number(btn.dataset.index)]);
+  } else if (action === 'want-all') {
+    const g = groupSeries(_repo.getAll()).find(x => x.key === _seriesKey);
+    if (g) addMissing(g.volumes.filter(v => v.state === VOLUME_STATE.MISSING).map(v => v.index));
+  }
+}
+
+seriesBtn?.addEventListener('click', () => openSeriesView());
+document.getElementById('seriesBackdrop')?.addEventListener('click', closeSeriesView);
+document.getElementById('seriesClose')?.addEventListener('click', closeSeriesView);
+seriesBody?.addEventListener('click', (ev) => {
+  const item = ev.target.closest('.shelf-list-item');
+  if (item) { _seriesKey = item.dataset.series; renderSeriesView(); return; }
+  const btn = ev.target.closest('[data-action]');
+  if (btn) onAction(btn.dataset.action, btn);
+});
+document.addEventListener('keydown', (e) => {
+  if (e.key === 'Escape' && isOpen()) closeSeriesView();
+});
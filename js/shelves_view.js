@@ -0,0 +1,162 @@
+// shelves_view.js - Custom shelves drawer
+// Lists shelves, creates/edits/deletes them and re-orders the books on a shelf.
+// All changes go through BookRepository; re-renders on its 'change' event.
+
+import { shelfEntries } from './core/shelf_core.js';
+
+const shelvesBtn = document.getElementById('shelvesBtn');
+const shelvesOverlay = document.getElementById('shelvesOverlay');
+const shelvesTitle = document.getElementById('shelvesTitle');
+const shelvesBody = document.getElementById('shelvesBody');
+
+let _repo = null;
+let _openBook = null;
+let _shelfId = null;      // shelf being viewed, null for the list
+let _editing = false;     // name/description form open
+let _error = '';
+
+function escapeHtml(s) { return String(s).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;'); }
+
+function isOpen() { return shelvesOverlay && shelvesOverlay.style.display !== 'none'; }
+
+function shelfForm(shelf) {
+  return `<form class="shelf-form" id="shelfForm">
+    <input type="text" name="name" class="tags-input" maxlength="80" placeholder="Shelf name, e.g. Book club 2026" value="${escapeHtml(shelf?.name || '')}" required>
+    <textarea name="description" class="tags-input" maxlength="500" rows="2" placeholder="Description (optional)">${escapeHtml(shelf?.description || '')}</textarea>
+    ${_error ? `<p class="shelf-error">${escapeHtml(_error)}</p>` : ''}
+    <div class="shelf-form-actions">
+      ${shelf ? '<button type="button" class="btn secondary" data-action="cancel-edit">Cancel</button>' : ''}
+      <button type="submit" class="btn primary">${shelf ? 'Save' : 'Create shelf'}</button>
+    </div>
+  </form>`;
+}
+
+function renderList() {
+  const shelves = _repo.getShelves();
+  const entries = _repo.getAll();
+  if (shelvesTitle) shelvesTitle.textContent = 'Shelves';
+  shelvesBody.innerHTML = `
+    ${shelves.length ? `<ul class="shelf-list">${shelves.map(s => {
+      const n = shelfEntries(s, entries).length;
+      return `<li><button type="button" class="shelf-list-item" data-shelf="${escapeHtml(s.shelfId)}">
+        <span class="shelf-list-name">${escapeHtml(s.name)}</span>
+        <span class="stats-rank-count">${n}</span>
+        ${s.description ? `<span class="shelf-list-desc">${escapeHtml(s.description)}</span>` : ''}
+      </button></li>`;
+    }).join('')}</ul>` : '<p class="wtr-empty">Group books into named shelves like "Favorites" or "Book club 2026", in your own order.</p>'}
+    <h4 class="stats-heading">New shelf</h4>
+    ${shelfForm(null)}`;
+}
+
+function renderShelf(shelf) {
+  const books = shelfEntries(shelf, _repo.getAll());
+  if (shelvesTitle) shelvesTitle.textContent = shelf.name;
+  shelvesBody.innerHTML = `
+    <button type="button" class="shelf-back" data-action="back">← All shelves</button>
+    ${_editing ? shelfForm(shelf) : `
+      ${shelf.description ? `<p class="shelf-desc">${escapeHtml(shelf.description)}</p>` : ''}
+      <div class="shelf-actions">
+        <button type="button" class="shelf-empty-link" data-action="edit">Edit</button>
+        <button type="button" class="shelf-empty-link" data-action="delete">Delete shelf</button>
+      </div>`}
+    ${books.length ? `<ol class="shelf-books">${books.map((e, i) => `
+      <li class="shelf-book" data-book="${escapeHtml(e.bookId)}">
+        <button type="button" class="shelf-book-open" data-action="open">
+          <span class="wtr-item-title">${escapeHtml(e.title || 'Untitled')}</span>
+          <span class="wtr-item-author">${escapeHtml(e.author || '')}</span>
+        </button>
+        <button type="button" class="shelf-book-btn" data-action="up" aria-label="Move up"${i === 0 ? ' disabled' : ''}>↑</button>
+        <button type="button" class="shelf-book-btn" data-action="down" aria-label="Move down"${i === books.length - 1 ? ' disabled' : ''}>↓</button>
+        <button type="button" class="shelf-book-btn" data-action="remove" aria-label="Remove from shelf">×</button>
+      </li>`).join('')}</ol>`
+    : '<p class="wtr-empty">No books on this shelf yet. Open a book and pick this shelf to add it.</p>'}`;
+}
+
+export function renderShelves() {
+  if (!shelvesBody || !_repo) return;
+  const shelf = _shelfId && _repo.getShelf(_shelfId);
+  if (_shelfId && !shelf) { _shelfId = null; _editing = false; }
+  if (shelf) renderShelf(shelf); else renderList();
+}
+
+export function openShelvesView(shelfId = null) {
+  if (!shelvesOverlay) return;
+  _shelfId = shelfId;
+  _editing = false;
+  _error = '';
+  renderShelves();
+  shelvesOverlay.style.display = 'block';
+}
+
+export function closeShelvesView() {
+  if (shelvesOverlay) shelvesOverlay.style.display = 'none';
+}
+
+/**
+ * Wire the shelves drawer to a BookRepository.
+ * @param {import('./core/book_repository.js').BookRepository} repo
+ * @param {{ openBook: Function }} opts - openBook(entry) opens the book modal
+ */
+export function initShelvesView(repo, { openBook } = {}) {
+  _repo = repo;
+  _openBook = openBook;
+  repo.on('change', () => { if (isOpen() && !_editing) renderShelves(); });
+}
+
+async function onSubmit(form) {
+  const fields = { name: form.elements.name.value, description: form.elements.description.value };
+  try {
+    if (_shelfId) await _repo.updateShelf(_shelfId, fields);
+    else _shelfId = (await _repo.createShelf(fields)).shelfId;
+    _error = '';
+    _editing = false;
+  } catch (err) {
+    _error = err.message;
+  }
+  renderShelves();
+}
+
+async function onAction(action, btn) {
+  const shelf = _shelfId && _repo.getShelf(_shelfId);
+  if (action === 'back') { _shelfId = null; _editing = false; _error = ''; renderShelves(); return; }
+  if (!shelf) return;
+  if (action === 'edit') { _editing = true; renderShelves(); return; }
+  if (action === 'cancel-edit') { _editing = false; _error = ''; renderShelves(); return; }
+  if (action === 'delete') {
+    if (!confirm(`Delete the shelf "${shelf.name}"? The books stay in your library.`)) return;
+    _shelfId = null;
+    await _repo.deleteShelf(shelf.shelfId);
+    return;
+  }
+
+  const bookId = btn.closest('.shelf-book')?.dataset.book;
+  if (!bookId) return;
+  const books = shelfEntries(shelf, _repo.getAll());
+  const pos = books.findIndex(e => e.bookId === bookId);
+  if (action === 'open') {
+    if (pos !== -1 && _openBook) { closeShelvesView(); _openBook(books[pos]); }
+  } else if (action === 'up' || action === 'down') {
+    // Swap with the visible neighbour (ids of books not on this device are skipped)
+    const neighbour = books[action === 'up' ? pos - 1 : pos + 1];
+    if (neighbour) await _repo.moveInShelf(shelf.shelfId, bookId, shelf.bookIds.indexOf(neighbour.bookId));
+  } else if (action === 'remove') {
+    await _repo.removeFromShelf(shelf.shelfId, bookId);
+  }
+}
+
+shelvesBtn?.addEventListener('click', () => openShelvesView());
+document.getElementById('shelvesBackdrop')?.addEventListener('click', closeShelvesView);
+document.getElementById('shelvesClose')?.addEventListener('click', closeShelvesView);
+shelvesBody?.addEventListener('submit', (ev) => {
+  ev.preventDefault();
+  onSubmit(ev.target);
+});
+shelvesBody?.addEventListener('click', (ev) => {
+  const item = ev.target.closest('.shelf-list-item');
+  if (item) { _shelfId = item.dataset.shelf; _editing = false; renderShelves(); return; }
+  const btn = ev.target.closest('[data-action]');
+  if (btn) onAction(btn.dataset.action, btn);
+});
+document.addEventListener('keydown', (e) => {
+  if (e.key === 'Escape' && isOpen()) closeShelvesView();
+});
@@ -0,0 +1,162 @@
+// stats_view.js - Reading statistics drawer
+// Renders computeStats() over BookRepository.getAll(); re-renders on the
+// repository's 'change' event while the drawer is open. Also hosts the yearly
+// reading goal, stored in account settings.
+
+import { computeStats } from './core/stats_core.js';
+import { getGoal, setGoal, goalProgress } from './core/goal_core.js';
+import { getSettings } from './core/storage_manager.js';
+import { updateAccountSettings } from './account_ui.js';
+
+const MONTHS = ['J', 'F', 'M', 'A', 'M', 'J', 'J', 'A', 'S', 'O', 'N', 'D'];
+const FORMAT_LABELS = { print: 'Print', ebook: 'Ebook', audio: 'Audio' };
+
+const statsBtn = document.getElementById('statsBtn');
+const statsOverlay = document.getElementById('statsOverlay');
+const statsBody = document.getElementById('statsBody');
+
+let _repo = null;
+let _year = null;
+let _editingGoal = false;
+
+function escapeHtml(s) { return String(s).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;'); }
+
+function isOpen() { return statsOverlay && statsOverlay.style.display !== 'none'; }
+
+function tile(value, label) {
+  return `<div class="stats-tile"><div class="stats-tile-value">${escapeHtml(value)}</div><div class="stats-tile-label">${escapeHtml(label)}</div></div>`;
+}
+
+function rankList(title, items) {
+  if (!items.length) return '';
+  return `<h4 class="stats-heading">${title}</h4><ol class="stats-rank">${items.map(i =>
+    `<li><span>${escapeHtml(i.name)}</span><span class="stats-rank-count">${i.count}</span></li>`).join('')}</ol>`;
+}
+
+function paceText(g, isPast) {
+  if (g.status === 'done') return 'Goal reached 🎉';
+  if (isPast) return `${g.remaining} short of the goal`;
+  const perWeek = g.perWeekNeeded != null ? ` · ${g.perWeekNeeded} a week to finish` : '';
+  if (g.status === 'ahead') return `${g.delta} ahead of schedule${perWeek}`;
+  if (g.status === 'behind') return `${-g.delta} behind schedule${perWeek}`;
+  return `On track${perWeek}`;
+}
+
+function goalSection(entries, year) {
+  const target = getGoal(getSettings(), year);
+  if (!target || _editingGoal) {
+    return `<div class="stats-goal">
+      <label class="stats-goal-form">Read
+        <input type="number" id="statsGoalInput" min="1" max="10000" step="1" inputmode="numeric" value="${target || ''}" placeholder="24">
+        books in ${year}</label>
+      <button type="button" class="btn secondary stats-goal-save">${target ? 'Save' : 'Set goal'}</button>
+    </div>`;
+  }
+  const g = goalProgress(entries, { year, target });
+  const isPast = year < new Date().getFullYear();
+  return `<div class="stats-goal">
+    <div class="stats-goal-head"><span><strong>${g.read}</strong> of ${g.target} books in ${year}</span>
+      <button type="button" class="stats-goal-edit" aria-label="Edit goal">Edit</button></div>
+    <div class="stats-goal-track"><div class="stats-goal-bar" style="width:${g.percent}%"></div></div>
+    <div class="stats-goal-pace stats-goal-${g.status}">${escapeHtml(paceText(g, isPast))}</div>
+  </div>`;
+}
+
+async function saveGoal(year) {
+  const input = document.getElementById('statsGoalInput');
+  const raw = (input?.value || '').trim();
+  try {
+    const next = setGoal(getSettings(), year, raw ? parseInt(raw, 10) : null);
+    _editingGoal = false;
+    const done = updateAccountSettings(next);
+    renderStats();
+    await done;
+  } catch (err) {
+    input?.setCustomValidity(err.message);
+    input?.reportValidity();
+    input?.addEventListener('input', () => input.setCustomValidity(''), { once: true });
+  }
+}
+
+function goalYear() {
+  return _year || new Date().getFullYear();
+}
+
+export function renderStats() {
+  if (!statsBody || !_repo) return;
+  const entries = _repo.getAll();
+  const s = computeStats(entries, { year: _year });
+  const goal = goalSection(entries, goalYear());
+
+  if (!s.totalRead) {
+    statsBody.innerHTML = goal + '<p class="wtr-empty">Finish a book to start seeing your reading stats.</p>';
+    return;
+  }
+
+  const maxMonth = Math.max(1, ...s.byMonth);
+  const maxFormat = Math.max(1, ...Object.values(s.formats));
+
+  statsBody.innerHTML = `
+    ${goal}
+    <div class="stats-tiles">
+      ${tile(String(s.totalRead), 'Books read')}
+      ${tile(String(s.reading), 'Reading now')}
+      ${tile(s.averageRating != null ? s.averageRating.toFixed(1) + '★' : '–', 'Avg rating')}
+      ${tile(s.averageDaysToFinish != null ? String(s.averageDaysToFinish) : '–', 'Avg days to finish')}
+    </div>
+    ${s.byYear.length ? `<h4 class="stats-heading">By year</h4>
+    <div class="stats-years">${s.byYear.map(y =>
+      `<button type="button" class="stats-year${y.year === s.year ? ' active' : ''}" data-year="${y.year}">${y.year} <span>${y.count}</span></button>`).join('')}</div>
+    <div class="stats-months" aria-label="Books read per month in ${s.year}">${s.byMonth.map((n, i) =>
+      `<div class="stats-month" title="${n}"><div class="stats-month-bar" style="height:${Math.round(n / maxMonth * 100)}%"></div><span>${MONTHS[i]}</span></div>`).join('')}</div>` : ''}
+    <h4 class="stats-heading">Formats</h4>
+    <div class="stats-formats">${Object.entries(s.formats).map(([k, n]) =>
+      `<div class="stats-format"><span class="stats-format-label">${FORMAT_LABELS[k]}</span><div class="stats-format-track"><div class="stats-format-bar" style="width:${Math.round(n / maxFormat * 100)}%"></div></div><span class="stats-rank-count">${n}</span></div>`).join('')}</div>
+    ${rankList('Top authors', s.topAuthors)}
+    ${rankList('Top tags', s.topTags)}`;
+}
+
+/**
+ * Re-render the drawer if it's open (e.g. the goal changed on another device).
+ */
+export function refreshStatsView() {
+  if (isOpen() && !_editingGoal) renderStats();
+}
+
+export function openStatsView() {
+  if (!statsOverlay) return;
+  renderStats();
+  statsOverlay.style.display = 'block';
+}
+
+export function closeStatsView() {
+  if (statsOverlay) statsOverlay.style.display = 'none';
+}
+
+/**
+ * Wire the stats drawer to a BookRepository.
+ * @param {import('./core/book_repository.js').BookRepository} repo
+ */
+export function initStatsView(repo) {
+  _repo = repo;
+  repo.on('change', () => { if (isOpen()) renderStats(); });
+}
+
+statsBtn?.addEventListener('click', openStatsView);
+document.getElementById('statsBackdrop')?.addEventListener('click', closeStatsView);
+document.getElementById('statsClose')?.addEventListener('click', closeStatsView);
+statsBody?.addEventListener('click', (ev) => {
+  if (ev.target.closest('.stats-goal-edit')) { _editingGoal = true; renderStats(); document.getElementById('statsGoalInput')?.focus(); return; }
+  if (ev.target.closest('.stats-goal-save')) { saveGoal(goalYear()); return; }
+  const btn = ev.target.closest('.stats-year');
+  if (!btn) return;
+  _year = parseInt(btn.dataset.year, 10);
+  _editingGoal = false;
+  renderStats();
+});
+statsBody?.addEventListener('keydown', (ev) => {
+  if (ev.key === 'Enter' && ev.target.id === 'statsGoalInput') saveGoal(goalYear());
+});
+document.addEventListener('keydown', (e) => {
+  if (e.key === 'Escape' && isOpen()) closeStatsView();
+});
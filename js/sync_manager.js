@@ -17,10 +17,14 @@ let syncCycleCount = 0;
 let lastWriteAt = 0;        // Timestamp of last local book write
 let dirtyFlag = false;       // Set on write, cleared after next sync
 let forceBalanceCheck = false; // Force balance check on next cycle (Sync Now)
+let forceFullSync = false;     // Re-read every book transaction on next cycle (Sync Now)
 
 // Balance throttle state
 let lastBalanceCheckAt = 0;
 
+// Account metadata (profile, settings) refresh throttle state
+let lastAccountRefreshAt = 0;
+
 // Configuration — adaptive intervals
 const INTERVAL_ACTIVE_MS  = 30000;   // 30s — after a local write or login
 const INTERVAL_COOLING_MS = 60000;   // 60s — 2min since last write
@@ -28,12 +32,14 @@ const INTERVAL_IDLE_MS    = 300000;  // 5min — no writes for 5+ min
 const ACTIVE_WINDOW_MS    = 120000;  // 2min — how long Active lasts after a write
 const COOLING_WINDOW_MS   = 300000;  // 5min — how long Cooling lasts
 const BALANCE_THROTTLE_MS = 300000;  // 5min — skip balance RPC when confirmed
+const ACCOUNT_REFRESH_THROTTLE_MS = 300000; // 5min — between account metadata checks (always on focus)
 const MIN_FUNDING_ETH = 0.00002; // ~$0.04 at $2000/ETH
 
 // Callbacks for external modules
 let statusCallback = null;
 let bookSyncCallback = null;
 let accountPersistenceCallback = null;
+let accountRefreshCallback = null;
 let getWalletInfoCallback = null;
 let updateBalanceCallback = null;
 
@@ -81,8 +87,9 @@ function computeSyncInterval() {
  * Initialize sync manager
  * @param {Object} config - Configuration object
  * @param {Function} config.onStatusChange - Callback for status updates
- * @param {Function} config.onBookSync - Callback to trigger book sync
+ * @param {Function} config.onBookSync - Callback to trigger book sync; receives { full } (true on Sync Now)
  * @param {Function} config.onAccountPersistence - Callback to trigger account persistence
+ * @param {Function} [config.onAccountRefresh] - Callback to pick up account metadata (settings) changed on another device
  * @param {Function} config.getWalletInfo - Callback to get wallet info
  * @param {Function} config.updateBalance - Callback to update balance display
  */
@@ -90,6 +97,7 @@ export function initSyncManager(config) {
   statusCallback = config.onStatusChange;
   bookSyncCallback = config.onBookSync;
   accountPersistenceCallback = config.onAccountPersistence;
+  accountRefreshCallback = config.onAccountRefresh || null;
   getWalletInfoCallback = config.getWalletInfo;
   updateBalanceCallback = config.updateBalance;
 
@@ -146,7 +154,8 @@ export function markDirty() {
 
 /**
  * Trigger an immediate sync cycle (Sync Now).
- * Resets to Active interval and forces a fresh balance check.
+ * Resets to Active interval and forces a fresh balance check and a full
+ * (non-incremental) book sync.
  * @returns {Promise<void>}
  */
 export async function triggerSyncNow() {
@@ -154,6 +163,7 @@ export async function triggerSyncNow() {
   lastWriteAt = Date.now();
   dirtyFlag = true;
   forceBalanceCheck = true;
+  forceFullSync = true;
 
   // If a sync is already running, just let it finish — the dirty flag
   // ensures the next scheduled cycle will run at Active interval.
@@ -209,14 +219,19 @@ async function runSyncCycle() {
 
     // Step 2: Sync books (if callback provided)
     if (bookSyncCallback) {
+      const full = forceFullSync;
+      forceFullSync = false;
       try {
-        await bookSyncCallback();
+        await bookSyncCallback({ full });
       } catch (error) {
         console.error('[Bookish:SyncManager] Book sync failed:', error);
         transientSyncState.error = error.message || 'Sync failed';
       }
     }
 
+    // Step 2b: Settings changed on another device (throttled)
+    await refreshAccount();
+
     // Step 3: Mark initial sync as attempted (even on error) so the
     // "Syncing your books..." loading state doesn't persist forever.
     initialSynced = true;
@@ -247,6 +262,27 @@ async function runSyncCycle() {
   }
 }
 
+/**
+ * Pick up account metadata changed on another device, at most every
+ * ACCOUNT_REFRESH_THROTTLE_MS unless forced (app regained focus).
+ * @param {boolean} [force]
+ */
+async function refreshAccount(force = false) {
+  if (!accountRefreshCallback || !storageManager.isLoggedIn()) return;
+  if (!force && Date.now() - lastAccountRefreshAt < ACCOUNT_REFRESH_THROTTLE_MS) return;
+  lastAccountRefreshAt = Date.now();
+  try {
+    await accountRefreshCallback();
+  } catch (error) {
+    console.warn('[Bookish:SyncManager] Account refresh failed:', error);
+  }
+}
+
+// Coming back to the app: another device may have changed settings meanwhile
+document.addEventListener('visibilitychange', () => {
+  if (document.visibilityState === 'visible' && syncInterval) refreshAccount(true);
+});
+
 /**
  * Check wallet balance and trigger auto-persistence if funded.
  * Throttles RPC calls when account is already confirmed and no force flag.
@@ -423,7 +459,9 @@ export function resetForTesting() {
   lastWriteAt = 0;
   dirtyFlag = false;
   forceBalanceCheck = false;
+  forceFullSync = false;
   lastBalanceCheckAt = 0;
+  lastAccountRefreshAt = 0;
   transientSyncState = {
     justCompleted: false,
     completedTime: 0,
@@ -0,0 +1,47 @@
+// sync_worker.js - Dedicated module worker for the sync pipeline
+// GraphQL paging, gateway reads, AES-GCM decryption, content hashing and the
+// applyRemote merge all run here, off the main thread (see core/sync_pipeline.js).
+//
+// Message protocol (replies echo the request id):
+//   page → worker  { id, type: 'sync', keys: { keyring, appName }, input }
+//                  input: SyncPipeline.fetchRemote options (plain data)
+//   worker → page  { id, type: 'diff', diff }              entries merged while decrypting
+//                  { id, type: 'result', result, net }    runSyncJob() output and this job's network counters
+//                  { id, type: 'error', message, code, keyIds }   code 'unknown-key': see fetchRemote
+
+import { createReadClient, netStats } from './core/read_client.js';
+import { SyncPipeline, runSyncJob } from './core/sync_pipeline.js';
+
+let pipeline = null;
+let pipelineKey = null;
+let address = null;
+
+// Rebuilt when the keyring changes (a key rotated in)
+async function pipelineFor({ keyring, appName }) {
+  const key = JSON.stringify(keyring);
+  if (!pipeline || pipelineKey !== key) {
+    const client = await createReadClient({ keyring, appName, getAddress: async () => address });
+    pipeline = new SyncPipeline(client);
+    pipelineKey = key;
+  }
+  return pipeline;
+}
+
+async function runSync({ id, keys, input }) {
+  address = input.address || null;
+  globalThis.bookishNet = undefined;   // counters per job; the page adds them up
+  const p = await pipelineFor(keys);
+  const result = await runSyncJob(p, input, {
+    onDiff: async (diff) => self.postMessage({ id, type: 'diff', diff })
+  });
+  self.postMessage({ id, type: 'result', result, net: netStats() });
+}
+
+self.onmessage = async ({ data }) => {
+  if (data?.type !== 'sync') return;
+  try {
+    await runSync(data);
+  } catch (err) {
+    self.postMessage({ id: data.id, type: 'error', message: err?.message || String(err), code: err?.code || null, keyIds: err?.keyIds || null });
+  }
+};
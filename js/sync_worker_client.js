@@ -0,0 +1,102 @@
+// sync_worker_client.js - Page side of the sync worker (see sync_worker.js)
+// Runs sync jobs in the worker and adds the worker's network counters to
+// window.bookishNet. Jobs reject with code 'worker-failed' when the worker
+// can't run (no module worker support, script failed to load), so the caller
+// can fall back to syncing on the main thread.
+
+function workerFailed(message) {
+  const err = new Error(message);
+  err.code = 'worker-failed';
+  return err;
+}
+
+// Add a job's counters (reads, retries, cache hits, timings) to the page's
+function addNetStats(delta) {
+  if (!delta) return;
+  const net = window.bookishNet = window.bookishNet || { reads: { arweave: 0, turbo: 0, errors: 0 } };
+  for (const [k, v] of Object.entries(delta.reads || {})) net.reads[k] = (net.reads[k] || 0) + v;
+  for (const k of ['retries', 'cacheHits']) {
+    if (delta[k]) net[k] = (net[k] || 0) + delta[k];
+  }
+  for (const [name, t] of Object.entries(delta.timing || {})) {
+    net.timing = net.timing || {};
+    const cur = net.timing[name] = net.timing[name] || { count: 0, totalMs: 0, maxMs: 0 };
+    cur.count += t.count;
+    cur.totalMs += t.totalMs;
+    cur.maxMs = Math.max(cur.maxMs, t.maxMs);
+  }
+  if (delta.lastDecrypt) net.lastDecrypt = delta.lastDecrypt;
+}
+
+/**
+ * Start the sync worker.
+ * @returns {{ run: Function, terminate: Function }|null} - null where workers aren't supported
+ */
+export function createSyncWorker() {
+  if (typeof Worker === 'undefined') return null;
+  let worker;
+  try {
+    worker = new Worker(new URL('./sync_worker.js', import.meta.url), { type: 'module' });
+  } catch (err) {
+    console.warn('[Bookish:SyncWorker] Could not start worker:', err);
+    return null;
+  }
+
+  const jobs = new Map();   // id -> { resolve, reject, onDiff }
+  let nextId = 0;
+  let broken = null;
+
+  worker.onmessage = ({ data }) => {
+    const job = jobs.get(data?.id);
+    if (!job) return;
+    if (data.type === 'diff') {
+      job.onDiff?.(data.diff);
+      return;
+    }
+    jobs.delete(data.id);
+    if (data.type === 'result') {
+      addNetStats(data.net);
+      job.resolve(data.result);
+    } else {
+      const err = new Error(data.message || 'Sync failed');
+      if (data.code) err.code = data.code;
+      if (data.keyIds) err.keyIds = data.keyIds;
+      job.reject(err);
+    }
+  };
+  worker.onerror = (ev) => {
+    ev.preventDefault?.();
+    broken = workerFailed(ev.message || 'Sync worker failed to load');
+    for (const job of jobs.values()) job.reject(broken);
+    jobs.clear();
+  };
+
+  return {
+    /**
+     * Run one sync job.
+     * @param {{ keyring: Object, appName?: string }} keys - keyring: see core/keyring_core.js
+     * @param {Object} input - SyncPipeline.fetchRemote options (plain data)
+     * @param {{ onDiff?: Function }} [opts] - onDiff(diff) for entries merged while decrypting
+     * @returns {Promise<Object>} - runSyncJob() result
+     */
+    run(keys, input, { onDiff } = {}) {
+      if (broken) return Promise.reject(broken);
+      const id = ++nextId;
+      return new Promise((resolve, reject) => {
+        jobs.set(id, { resolve, reject, onDiff });
+        try {
+          worker.postMessage({ id, type: 'sync', keys, input });
+        } catch (err) {
+          jobs.delete(id);
+          reject(workerFailed(err.message));
+        }
+      });
+    },
+    terminate() {
+      worker.terminate();
+      broken = workerFailed('Sync worker stopped');
+      for (const job of jobs.values()) job.reject(broken);
+      jobs.clear();
+    }
+  };
+}
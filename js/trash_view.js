@@ -0,0 +1,125 @@
+// trash_view.js - Trash drawer for deleted books
+// Lists recently deleted entries with their saved data and restores them
+// through BookRepository. Re-renders on the repository's 'change' event.
+
+import { HISTORY_FIELDS, formatFieldValue } from './core/history_core.js';
+import { TRASH_RETENTION_DAYS, daysUntilPurge } from './core/trash_core.js';
+
+const trashBtn = document.getElementById('trashBtn');
+const trashOverlay = document.getElementById('trashOverlay');
+const trashBody = document.getElementById('trashBody');
+
+// Title and author head each row; the rest are listed as details
+const DETAIL_FIELDS = HISTORY_FIELDS.filter(([field]) => field !== 'title' && field !== 'author');
+
+let _repo = null;
+let _onRestored = null;
+let _trash = [];
+let _loadToken = 0;
+let _restoring = null;    // key being restored
+
+function escapeHtml(s) { return String(s).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;'); }
+
+function isOpen() { return trashOverlay && trashOverlay.style.display !== 'none'; }
+
+function formatDeleted(entry) {
+  const when = entry.tombstonedAt
+    ? new Date(entry.tombstonedAt).toLocaleDateString(undefined, { year: 'numeric', month: 'short', day: 'numeric' })
+    : 'Deleted';
+  const left = daysUntilPurge(entry);
+  return `${entry.tombstonedAt ? 'Deleted ' + when : when} · ${left ? `removed in ${left} day${left === 1 ? '' : 's'}` : 'removed today'}`;
+}
+
+function details(entry) {
+  const rows = DETAIL_FIELDS
+    .map(([field, label]) => [label, formatFieldValue(field, entry[field])])
+    .filter(([, value]) => value !== '—');
+  return rows.length
+    ? `<ul class="history-changes">${rows.map(([label, value]) => `
+        <li><span class="history-field">${escapeHtml(label)}</span> ${escapeHtml(value)}</li>`).join('')}</ul>`
+    : '';
+}
+
+function renderTrash() {
+  if (!_trash.length) {
+    trashBody.innerHTML = `<p class="wtr-empty">Nothing in the trash. Deleted books stay here for ${TRASH_RETENTION_DAYS} days.</p>`;
+    return;
+  }
+  trashBody.innerHTML = `
+    <p class="shelf-desc">Deleted books stay here for ${TRASH_RETENTION_DAYS} days on this device. Restoring one brings it back everywhere.</p>
+    <ol class="history-list">${_trash.map(e => {
+      const key = e.txid || e.id;
+      return `<li class="history-version">
+        <div class="history-version-head">
+          <span class="history-when">${escapeHtml(e.title || 'Untitled')}${e.author ? ` <span class="trash-author">${escapeHtml(e.author)}</span>` : ''}</span>
+          <button type="button" class="shelf-empty-link" data-action="restore" data-key="${escapeHtml(key)}"${_restoring ? ' disabled' : ''}>${_restoring === key ? 'Restoring…' : 'Restore'}</button>
+        </div>
+        <p class="history-note">${escapeHtml(formatDeleted(e))}</p>
+        ${details(e)}
+      </li>`;
+    }).join('')}</ol>`;
+}
+
+async function loadTrash() {
+  if (!trashBody || !_repo) return;
+  const token = ++_loadToken;
+  try {
+    const trash = await _repo.getTrash();
+    if (token !== _loadToken) return;
+    _trash = trash;
+    renderTrash();
+  } catch (err) {
+    if (token !== _loadToken) return;
+    console.warn('[Bookish:Trash] Failed to load trash:', err);
+    trashBody.innerHTML = `<p class="wtr-empty">Couldn't load the trash: ${escapeHtml(err.message || 'unknown error')}</p>`;
+  }
+}
+
+export function openTrashView() {
+  if (!trashOverlay || !_repo) return;
+  trashBody.innerHTML = '<p class="wtr-empty">Loading trash…</p>';
+  trashOverlay.style.display = 'block';
+  loadTrash();
+}
+
+export function closeTrashView() {
+  _loadToken++;
+  if (trashOverlay) trashOverlay.style.display = 'none';
+}
+
+/**
+ * Wire the trash drawer to a BookRepository.
+ * @param {import('./core/book_repository.js').BookRepository} repo
+ * @param {{ onRestored?: Function }} [opts] - onRestored(entry) once a restore is saved locally
+ */
+export function initTrashView(repo, { onRestored } = {}) {
+  _repo = repo;
+  _onRestored = onRestored;
+  repo.on('change', () => { if (isOpen()) loadTrash(); });
+}
+
+async function restore(key) {
+  if (!key || _restoring) return;
+  _restoring = key;
+  renderTrash();
+  try {
+    const entry = await _repo.restoreFromTrash(key);
+    _onRestored?.(entry);
+  } catch (err) {
+    console.warn('[Bookish:Trash] Restore failed:', err);
+  } finally {
+    _restoring = null;
+    if (isOpen()) loadTrash();
+  }
+}
+
+trashBtn?.addEventListener('click', openTrashView);
+document.getElementById('trashBackdrop')?.addEventListener('click', closeTrashView);
+document.getElementById('trashClose')?.addEventListener('click', closeTrashView);
+trashBody?.addEventListener('click', (ev) => {
+  const btn = ev.target.closest('[data-action="restore"]');
+  if (btn) restore(btn.dataset.key);
+});
+document.addEventListener('keydown', (e) => {
+  if (e.key === 'Escape' && isOpen()) closeTrashView();
+});
@@ -1,7 +1,7 @@
 // turbo_client.js - Bookish upload client via Upload Proxy (Cloudflare Worker)
 // Creates client-signed ANS-104 data items and sends them through the proxy to Turbo.
 
-import { createSignedDataItem } from './core/ans104_signer.js';
+import { createSignedDataItem, createBundle } from './core/ans104_signer.js';
 import { append as logAppend } from './core/log_local.js';
 
 const UPLOAD_PROXY = window.BOOKISH_UPLOAD_PROXY || 'https://bookish-upload-proxy.bookish.workers.dev';
@@ -64,10 +64,15 @@ async function signFeeTx(feeSchedule) {
 
 // ============ Upload ============
 
-async function upload(dataBytes, tags, { skipFee = false } = {}) {
-  let dtTags = Array.isArray(tags) ? [...tags] : [];
+function withContentType(tags) {
+  const dtTags = Array.isArray(tags) ? [...tags] : [];
   const hasCT = dtTags.some(t => (t.name || '').toLowerCase() === 'content-type');
   if (!hasCT) dtTags.unshift({ name: 'Content-Type', value: 'application/octet-stream' });
+  return dtTags;
+}
+
+async function upload(dataBytes, tags, { skipFee = false } = {}) {
+  const dtTags = withContentType(tags);
 
   const payloadBytes = dataBytes instanceof Uint8Array ? dataBytes.length : (dataBytes?.byteLength || 0);
   console.info('[Bookish:Upload] uploading via proxy', { bytes: payloadBytes, tags: dtTags.length, skipFee });
@@ -117,6 +122,32 @@ async function upload(dataBytes, tags, { skipFee = false } = {}) {
   return { id };
 }
 
+// ============ Bundled Upload ============
+
+const BUNDLE_TAGS = [
+  { name: 'Bundle-Format', value: 'binary' },
+  { name: 'Bundle-Version', value: '2.0.0' },
+];
+
+/**
+ * Upload several data items as one ANS-104 bundle: one proxy request, one fee.
+ * Each item keeps its own id and tags, so gateways index them individually.
+ * @param {Array<{ data: Uint8Array, tags: Array<{name:string, value:string}> }>} items
+ * @param {{ skipFee?: boolean, tags?: Array<{name:string, value:string}> }} [opts] - tags: extra tags on the bundle itself
+ * @returns {Promise<{ id: string, ids: Array<string> }>} bundle id + item ids (input order)
+ */
+async function uploadBundle(items, { skipFee = false, tags = [] } = {}) {
+  const pk = await window.bookishWallet.getPrivateKey();
+  const signed = [];
+  for (const { data, tags } of items) {
+    signed.push(await createSignedDataItem(pk, data, withContentType(tags)));
+  }
+  const { bytes, ids } = await createBundle(signed);
+  logAppend('upload', 'bundle', { items: items.length, bytes: bytes.length });
+  const { id } = await upload(bytes, [...BUNDLE_TAGS, ...tags], { skipFee });
+  return { id, ids };
+}
+
 async function doUpload(signedBytes, tags, payment) {
   const headers = {
     'Content-Type': 'application/octet-stream',
@@ -132,4 +163,4 @@ async function doUpload(signedBytes, tags, payment) {
   });
 }
 
-window.bookishUpload = { upload, estimateCost, reset };
+window.bookishUpload = { upload, uploadBundle, estimateCost, reset };
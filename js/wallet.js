@@ -1,5 +1,5 @@
 // wallet.js - Hidden EVM wallet (Base) stored locally, encrypted with the Bookish symmetric key
-// Exposes window.bookishWallet with: ensure(), getAddress(), getBalance(), signMessage(), export(), import()
+// Exposes window.bookishWallet with: ensure(), getAddress(), getBalance(), signMessage(), export(), import(), reencrypt()
 
 import { Wallet, JsonRpcProvider } from 'https://esm.sh/ethers@6.13.0';
 import { hexToBytes, importAesKey, encryptJson as coreEncryptJson, decryptJson as coreDecryptJson } from './core/crypto_core.js';
@@ -67,6 +67,14 @@ async function signMessage(message){ const w = await getWallet(); return await w
 async function exportWallet(){ const rec = await loadRecord(); return rec || null; }
 async function importWallet(rec){ if(!rec || !rec.addr || !rec.enc) throw new Error('bad-import'); await saveRecord(rec); return true; }
 
+// Key rotation: the stored record re-encrypted from one bookish.sym to the next
+// (not saved, so the caller can switch keys and record together). Same address.
+async function reencrypt(oldSymHex, newSymHex){
+  const rec = await loadRecord(); if(!rec) return null;
+  const parsed = await coreDecryptJson(await importAesKey(hexToBytes(oldSymHex.trim())), rec.enc);
+  return { ...rec, enc: await coreEncryptJson(await importAesKey(hexToBytes(newSymHex.trim())), parsed) };
+}
+
 async function getPrivateKey(){ const rec = await loadRecord(); if(!rec) throw new Error('wallet-missing'); const parsed = await decryptJson(rec.enc); return parsed.privateKey; }
 
-window.bookishWallet = { ensure, getAddress, getBalance, signMessage, export: exportWallet, import: importWallet, getPrivateKey };
+window.bookishWallet = { ensure, getAddress, getBalance, signMessage, export: exportWallet, import: importWallet, reencrypt, getPrivateKey };
@@ -58,7 +58,7 @@ self.addEventListener('fetch',e=>{
     if(url.pathname.startsWith('/covers/')||/\.(jpg|png|webp)$/i.test(url.pathname)){ e.respondWith(staleWhileRevalidate(e.request)); return; }
     // All same-origin JS/CSS: network-first so SW updates always serve fresh code
     if(/\.(js|css)$/.test(url.pathname)){ e.respondWith(networkFirst(e.request)); return; }
-    if(url.pathname==='/'||url.pathname==='/index.html'||url.pathname==='/manifest.json'){
+    if(url.pathname==='/'||url.pathname==='/index.html'||url.pathname==='/manifest.json'||url.pathname.startsWith('/schemas/')){
       e.respondWith(networkFirst(e.request)); return;
     }
   }